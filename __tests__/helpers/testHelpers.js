@@ -17,6 +17,10 @@ exports.mockRequest = (options = {}) => {
     method: options.method || 'GET',
     path: options.path || '/',
     ip: options.ip || '127.0.0.1',
+    user: options.user,
+    get(name) {
+      return this.headers[name.toLowerCase()];
+    },
     dbQuery: options.dbQuery || {},
     dbOptions: options.dbOptions || {
       page: 1,
@@ -35,6 +39,7 @@ exports.mockResponse = () => {
   res.status = jest.fn().mockReturnValue(res);
   res.json = jest.fn().mockReturnValue(res);
   res.send = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
   return res;
 };
 
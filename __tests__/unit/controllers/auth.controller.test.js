@@ -0,0 +1,464 @@
+/**
+ * Auth Controller Unit Tests
+ * Tests for session-backed login, refresh token rotation and logout
+ */
+
+const authController = require('../../../src/controllers/auth.controller');
+const User = require('../../../src/models/User.model');
+const Session = require('../../../src/models/Session.model');
+const SecurityLog = require('../../../src/models/SecurityLog.model');
+const SecurityPolicy = require('../../../src/models/SecurityPolicy.model');
+const mailService = require('../../../src/services/mail.service');
+const smsService = require('../../../src/services/sms.service');
+const { verifyToken, hashToken } = require('../../../src/utils/jwt');
+const totp = require('../../../src/utils/totp');
+const { mockRequest, mockResponse, createTestUser } = require('../../helpers/testHelpers');
+
+describe('Auth Controller', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = await User.create(createTestUser({ password: 'password123' }));
+  });
+
+  const login = async () => {
+    const req = mockRequest({ body: { email: testUser.email, password: 'password123' } });
+    const res = mockResponse();
+    await authController.login(req, res);
+    return res.json.mock.calls[0][0].message;
+  };
+
+  describe('login', () => {
+    test('should open a session and bind the access token to it', async () => {
+      const { token, refreshToken } = await login();
+
+      expect(refreshToken).toBeDefined();
+      const decoded = verifyToken(token);
+      const session = await Session.findById(decoded.sid);
+      expect(session).toBeTruthy();
+      expect(session.userId.toString()).toBe(testUser._id.toString());
+      expect(session.refreshTokenHash).not.toBe(refreshToken);
+    });
+  });
+
+  describe('security policy', () => {
+    test('should reject signup passwords that break the policy', async () => {
+      const req = mockRequest({
+        body: { name: 'New User', email: 'new@example.com', phone: '+94770000000', password: 'nonumbers' }
+      });
+      const res = mockResponse();
+
+      await authController.signup(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toBe('Password must contain a number');
+    });
+
+    test('should revoke the oldest session beyond the role limit', async () => {
+      const policy = await SecurityPolicy.getPolicy();
+      await policy.updatePolicy({ sessions: { maxConcurrent: { citizen: 2 } } });
+
+      const first = verifyToken((await login()).token).sid;
+      await login();
+      await login();
+
+      const active = await Session.find({ userId: testUser._id, revokedAt: null });
+      expect(active).toHaveLength(2);
+      expect(active.map(s => s._id.toString())).not.toContain(first);
+    });
+
+    test('should use the policy lockout threshold', async () => {
+      const policy = await SecurityPolicy.getPolicy();
+      await policy.updatePolicy({ lockout: { maxFailedAttempts: 2 } });
+
+      const req = () => mockRequest({ body: { email: testUser.email, password: 'wrong-password' } });
+      await authController.login(req(), mockResponse());
+      const res = mockResponse();
+      await authController.login(req(), res);
+
+      expect(res.status).toHaveBeenCalledWith(423);
+    });
+
+    test('should refuse login with an expired password', async () => {
+      const policy = await SecurityPolicy.getPolicy();
+      await policy.updatePolicy({ password: { expiryDays: 30 } });
+      await User.updateOne({ _id: testUser._id }, { passwordChangedAt: new Date(Date.now() - 31 * 86400000) });
+
+      const res = mockResponse();
+      await authController.login(mockRequest({ body: { email: testUser.email, password: 'password123' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should not allow reusing a recent password', async () => {
+      const change = async (currentPassword, newPassword) => {
+        const res = mockResponse();
+        await authController.changePassword(mockRequest({
+          user: { id: testUser._id.toString() },
+          body: { currentPassword, newPassword }
+        }), res);
+        return res;
+      };
+
+      expect((await change('password123', 'newpass123')).status).toHaveBeenCalledWith(200);
+      const res = await change('newpass123', 'password123');
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toContain('recent passwords');
+    });
+  });
+
+  describe('login protection', () => {
+    const attempt = async (password) => {
+      const res = mockResponse();
+      await authController.login(mockRequest({ body: { email: testUser.email, password } }), res);
+      return res;
+    };
+
+    test('should lock the account after too many failures', async () => {
+      for (let i = 0; i < 4; i++) {
+        expect((await attempt('wrong-password')).status).toHaveBeenCalledWith(401);
+      }
+
+      const res = await attempt('wrong-password');
+
+      expect(res.status).toHaveBeenCalledWith(423);
+      const user = await User.findById(testUser._id);
+      expect(user.isLocked()).toBe(true);
+      expect(await SecurityLog.countDocuments({ eventType: 'account-locked', userId: testUser._id })).toBe(1);
+
+      // Correct password is refused while locked
+      expect((await attempt('password123')).status).toHaveBeenCalledWith(423);
+    });
+
+    test('should reset the failure count after a successful login', async () => {
+      for (let i = 0; i < 4; i++) await attempt('wrong-password');
+      await attempt('password123');
+
+      const res = await attempt('wrong-password');
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      const user = await User.findById(testUser._id);
+      expect(user.failedLoginAttempts).toBe(1);
+    });
+  });
+
+  describe('refresh', () => {
+    test('should rotate the refresh token', async () => {
+      const { refreshToken } = await login();
+      const req = mockRequest({ body: { refreshToken } });
+      const res = mockResponse();
+
+      await authController.refresh(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.token).toBeDefined();
+      expect(data.refreshToken).not.toBe(refreshToken);
+    });
+
+    test('should revoke the session when a spent refresh token is replayed', async () => {
+      const { refreshToken } = await login();
+      await authController.refresh(mockRequest({ body: { refreshToken } }), mockResponse());
+
+      const res = mockResponse();
+      await authController.refresh(mockRequest({ body: { refreshToken } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      const sessions = await Session.find({ userId: testUser._id });
+      expect(sessions[0].revokedReason).toBe('token-reuse');
+    });
+
+    test('should fail without a refresh token', async () => {
+      const res = mockResponse();
+
+      await authController.refresh(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('logout', () => {
+    test('should revoke the current session', async () => {
+      const { token } = await login();
+      const session = await Session.findById(verifyToken(token).sid);
+      const req = mockRequest({ user: { id: testUser._id.toString() } });
+      req.authSession = session;
+      const res = mockResponse();
+
+      await authController.logout(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const updated = await Session.findById(session._id);
+      expect(updated.revokedReason).toBe('logout');
+    });
+
+    test('should revoke every session with allDevices', async () => {
+      await login();
+      await login();
+      const req = mockRequest({ user: { id: testUser._id.toString() }, body: { allDevices: true } });
+      const res = mockResponse();
+
+      await authController.logout(req, res);
+
+      expect(res.json.mock.calls[0][0].data.revokedSessions).toBe(2);
+      expect(await Session.countDocuments({ userId: testUser._id, revokedAt: null })).toBe(0);
+    });
+  });
+
+  describe('password reset', () => {
+    let sentMail;
+
+    beforeEach(() => {
+      sentMail = [];
+      mailService.setTransport({ send: async (message) => sentMail.push(message) });
+    });
+
+    afterEach(() => {
+      mailService.setTransport(null);
+    });
+
+    const requestReset = async () => {
+      await authController.forgotPassword(mockRequest({ body: { email: testUser.email } }), mockResponse());
+      return sentMail[0].text.match(/token=([a-f0-9]+)/)[1];
+    };
+
+    test('should email a reset token and store only its hash', async () => {
+      const token = await requestReset();
+
+      expect(sentMail[0].to).toBe(testUser.email);
+      const user = await User.findById(testUser._id).select('+passwordResetTokenHash');
+      expect(user.passwordResetTokenHash).toBe(hashToken(token));
+    });
+
+    test('should respond the same for unknown emails without sending mail', async () => {
+      const res = mockResponse();
+
+      await authController.forgotPassword(mockRequest({ body: { email: 'nobody@example.com' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    test('should reset the password once and revoke sessions', async () => {
+      await login();
+      const token = await requestReset();
+
+      const res = mockResponse();
+      await authController.resetPassword(mockRequest({ body: { token, password: 'newpass123' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const user = await User.findById(testUser._id).select('+password');
+      expect(await user.comparePassword('newpass123')).toBe(true);
+      expect(await Session.countDocuments({ userId: testUser._id, revokedAt: null })).toBe(0);
+      expect(await SecurityLog.countDocuments({ eventType: 'password-reset', userId: testUser._id })).toBe(2);
+
+      const reuse = mockResponse();
+      await authController.resetPassword(mockRequest({ body: { token, password: 'another123' } }), reuse);
+      expect(reuse.status).toHaveBeenCalledWith(400);
+    });
+
+    test('should reject expired reset tokens', async () => {
+      const token = await requestReset();
+      await User.updateOne({ _id: testUser._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+      const res = mockResponse();
+      await authController.resetPassword(mockRequest({ body: { token, password: 'newpass123' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('changePassword', () => {
+    test('should require the current password', async () => {
+      const req = mockRequest({
+        user: { id: testUser._id.toString() },
+        body: { currentPassword: 'wrong', newPassword: 'newpass123' }
+      });
+      const res = mockResponse();
+
+      await authController.changePassword(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should change the password and replace existing sessions', async () => {
+      await login();
+      const req = mockRequest({
+        user: { id: testUser._id.toString() },
+        body: { currentPassword: 'password123', newPassword: 'newpass123' }
+      });
+      const res = mockResponse();
+
+      await authController.changePassword(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+      const activeSessions = await Session.find({ userId: testUser._id, revokedAt: null });
+      expect(activeSessions).toHaveLength(1);
+      expect(activeSessions[0]._id.toString()).toBe(verifyToken(data.token).sid);
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    const enroll = async () => {
+      const setupRes = mockResponse();
+      await authController.setupTwoFactor(mockRequest({ user: testUser }), setupRes);
+      const { secret } = setupRes.json.mock.calls[0][0].data;
+
+      // Use the previous step so the login code in each test is still unused
+      const code = totp.generateCode(secret, totp.getStep() - 1);
+      const verifyRes = mockResponse();
+      await authController.enableTwoFactor(mockRequest({ user: { id: testUser.id }, body: { code } }), verifyRes);
+
+      return { secret, recoveryCodes: verifyRes.json.mock.calls[0][0].data.recoveryCodes };
+    };
+
+    const loginTwoFactor = async (body) => {
+      const res = mockResponse();
+      await authController.loginTwoFactor(mockRequest({ body }), res);
+      return res;
+    };
+
+    test('should enable two-factor and return recovery codes once', async () => {
+      const { recoveryCodes } = await enroll();
+
+      expect(recoveryCodes).toHaveLength(10);
+      const user = await User.findById(testUser._id).select('+twoFactor.secret +twoFactor.recoveryCodes');
+      expect(user.twoFactor.enabled).toBe(true);
+      expect(user.twoFactor.secret).toBeDefined();
+      expect(user.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+      expect(await SecurityLog.countDocuments({ eventType: 'two-factor-enabled' })).toBe(1);
+    });
+
+    test('should require a second step before issuing tokens', async () => {
+      const { secret } = await enroll();
+
+      const { challengeToken, token, twoFactorRequired } = await login();
+      expect(twoFactorRequired).toBe(true);
+      expect(token).toBeUndefined();
+
+      const res = await loginTwoFactor({ challengeToken, code: totp.generateCode(secret) });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].message.token).toBeDefined();
+    });
+
+    test('should reject a code that was already used', async () => {
+      const { secret } = await enroll();
+      const code = totp.generateCode(secret);
+
+      await loginTwoFactor({ challengeToken: (await login()).challengeToken, code });
+      const res = await loginTwoFactor({ challengeToken: (await login()).challengeToken, code });
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should accept each recovery code only once', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const first = await loginTwoFactor({ challengeToken: (await login()).challengeToken, recoveryCode: recoveryCodes[0] });
+      const second = await loginTwoFactor({ challengeToken: (await login()).challengeToken, recoveryCode: recoveryCodes[0] });
+
+      expect(first.status).toHaveBeenCalledWith(200);
+      expect(second.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should count failed codes towards the account lockout', async () => {
+      const policy = await SecurityPolicy.getPolicy();
+      await policy.updatePolicy({ lockout: { maxFailedAttempts: 2 } });
+      await enroll();
+
+      const { challengeToken } = await login();
+      await loginTwoFactor({ challengeToken, code: '000000' });
+      const res = await loginTwoFactor({ challengeToken, code: '000000' });
+
+      expect(res.status).toHaveBeenCalledWith(423);
+    });
+
+    test('should not allow disabling when the role requires two-factor', async () => {
+      const policy = await SecurityPolicy.getPolicy();
+      await policy.updatePolicy({ twoFactor: { required: { citizen: true } } });
+      const { secret } = await enroll();
+
+      const res = mockResponse();
+      await authController.disableTwoFactor(
+        mockRequest({ user: testUser, body: { password: 'password123', code: totp.generateCode(secret) } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('signup verification', () => {
+    let outbox;
+    let smsOutbox;
+    let newUser;
+
+    beforeEach(async () => {
+      mailService.setTransport('memory');
+      smsService.setTransport('memory');
+      outbox = mailService.getTransport().messages;
+      smsOutbox = smsService.getTransport().messages;
+      outbox.length = 0;
+      smsOutbox.length = 0;
+
+      const req = mockRequest({
+        body: { name: 'New User', email: 'new@example.com', phone: '+94770000000', password: 'password123' }
+      });
+      await authController.signup(req, mockResponse());
+      newUser = await User.findOne({ email: 'new@example.com' });
+    });
+
+    afterEach(() => {
+      mailService.setTransport(null);
+      smsService.setTransport(null);
+    });
+
+    const emailToken = () => outbox[outbox.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+    const smsCode = () => smsOutbox[smsOutbox.length - 1].text.match(/\b(\d{6})\b/)[1];
+
+    const verifyPhone = async (code) => {
+      const res = mockResponse();
+      await authController.verifyPhone(mockRequest({ user: newUser, body: { code } }), res);
+      return res;
+    };
+
+    test('should create a pending account and send both messages', async () => {
+      expect(newUser.status).toBe('pending-verification');
+      expect(outbox[0].to).toBe('new@example.com');
+      expect(smsOutbox[0].to).toBe('+94770000000');
+    });
+
+    test('should activate the account once email and phone are verified', async () => {
+      const emailRes = mockResponse();
+      await authController.verifyEmail(mockRequest({ body: { token: emailToken() } }), emailRes);
+      expect(emailRes.json.mock.calls[0][0].data.status).toBe('pending-verification');
+
+      const phoneRes = await verifyPhone(smsCode());
+
+      expect(phoneRes.status).toHaveBeenCalledWith(200);
+      expect((await User.findById(newUser._id)).status).toBe('active');
+    });
+
+    test('should reject a wrong code and lock the code after repeated failures', async () => {
+      const wrong = smsCode() === '000000' ? '111111' : '000000';
+
+      for (let i = 0; i < 5; i++) {
+        expect((await verifyPhone(wrong)).status).toHaveBeenCalledWith(400);
+      }
+
+      expect((await verifyPhone(smsCode())).status).toHaveBeenCalledWith(429);
+    });
+
+    test('should throttle resends', async () => {
+      const res = mockResponse();
+
+      await authController.resendPhoneVerification(mockRequest({ user: newUser }), res);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+      expect(smsOutbox).toHaveLength(1);
+    });
+  });
+});
@@ -7,6 +7,10 @@ const citizenController = require('../../../src/controllers/citizen.controller')
 const WasteRequest = require('../../../src/models/WasteRequest.model');
 const SmartBin = require('../../../src/models/SmartBin.model');
 const User = require('../../../src/models/User.model');
+const Payment = require('../../../src/models/Payment.model');
+const Invoice = require('../../../src/models/Invoice.model');
+const BillingConfig = require('../../../src/models/BillingConfig.model');
+const paymentService = require('../../../src/services/payment.service');
 const { mockRequest, mockResponse, createTestUser, createTestWasteRequest, createTestSmartBin } = require('../../helpers/testHelpers');
 
 // Mock notification service
@@ -24,8 +28,8 @@ describe('Citizen Controller', () => {
   describe('createRequest', () => {
     test('should create a new waste request successfully', async () => {
       const req = mockRequest({
+        user: testUser,
         body: {
-          userId: testUser._id.toString(),
           wasteType: 'household',
           quantity: '2 bags',
           address: {
@@ -50,16 +54,36 @@ describe('Citizen Controller', () => {
       expect(response.data.status).toBe('pending');
     });
 
-    test('should fail without required fields', async () => {
+    test('should block citizens who have not verified their email and phone', async () => {
+      testUser.status = 'pending-verification';
+      await testUser.save();
+
       const req = mockRequest({
+        user: testUser,
         body: {
-          userId: testUser._id.toString()
+          wasteType: 'household',
+          quantity: '2 bags',
+          address: { street: '123 Test Street', city: 'Colombo' },
+          preferredDate: new Date(Date.now() + 86400000).toISOString()
         }
       });
       const res = mockResponse();
 
       await citizenController.createRequest(req, res);
 
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(await WasteRequest.countDocuments()).toBe(0);
+    });
+
+    test('should fail without required fields', async () => {
+      const req = mockRequest({
+        user: testUser,
+        body: {}
+      });
+      const res = mockResponse();
+
+      await citizenController.createRequest(req, res);
+
       expect(res.status).toHaveBeenCalledWith(400);
       expect(res.json).toHaveBeenCalled();
       const response = res.json.mock.calls[0][0];
@@ -74,8 +98,8 @@ describe('Citizen Controller', () => {
       }
 
       const req = mockRequest({
+        user: testUser,
         body: {
-          userId: testUser._id.toString(),
           wasteType: 'household',
           quantity: '1 bag',
           address: {
@@ -97,8 +121,8 @@ describe('Citizen Controller', () => {
 
     test('should calculate cost for bulky waste', async () => {
       const req = mockRequest({
+        user: testUser,
         body: {
-          userId: testUser._id.toString(),
           wasteType: 'bulky',
           quantity: '2 items',
           address: {
@@ -114,14 +138,19 @@ describe('Citizen Controller', () => {
 
       expect(res.status).toHaveBeenCalledWith(201);
       const response = res.json.mock.calls[0][0];
-      expect(response.data.estimatedCost).toBeGreaterThan(0);
+      expect(response.data.estimatedCost).toBe(1000);
       expect(response.data.paymentRequired).toBe(true);
+
+      const saved = await WasteRequest.findById(response.data.requestId);
+      expect(saved.costBreakdown.basis).toBe('estimate');
+      expect(saved.costBreakdown.lines[0]).toMatchObject({ code: 'per-item', quantity: 2, amount: 1000 });
+      expect(saved.paymentStatus).toBe('pending');
     });
 
     test('should set no cost for household waste', async () => {
       const req = mockRequest({
+        user: testUser,
         body: {
-          userId: testUser._id.toString(),
           wasteType: 'household',
           quantity: '3 bags',
           address: {
@@ -149,8 +178,8 @@ describe('Citizen Controller', () => {
       await WasteRequest.create(createTestWasteRequest(testUser._id));
 
       const req = mockRequest({
-        query: { userId: testUser._id.toString() },
-        dbQuery: { userId: testUser._id.toString() },
+        user: testUser,
+        dbQuery: {},
         dbOptions: {
           page: 1,
           limit: 10,
@@ -170,19 +199,25 @@ describe('Citizen Controller', () => {
       expect(response.pagination.total).toBe(2);
     });
 
-    test('should fail without userId', async () => {
+    test('should only return requests owned by the authenticated user', async () => {
+      const otherUser = await User.create(createTestUser({ email: 'other@example.com' }));
+      await WasteRequest.create(createTestWasteRequest(testUser._id));
+      await WasteRequest.create(createTestWasteRequest(otherUser._id));
+
       const req = mockRequest({
-        query: {},
-        dbQuery: {}
+        user: testUser,
+        // Attempt to read another user's requests via a filter
+        dbQuery: { userId: otherUser._id.toString() },
+        dbOptions: { page: 1, limit: 10, sort: {}, select: '' }
       });
       const res = mockResponse();
 
       await citizenController.getRequests(req, res);
 
-      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.status).toHaveBeenCalledWith(200);
       const response = res.json.mock.calls[0][0];
-      expect(response.success).toBe(false);
-      expect(response.message).toContain('User ID is required');
+      expect(response.data.length).toBe(1);
+      expect(response.data[0].userId.toString()).toBe(testUser._id.toString());
     });
 
     test('should filter by status', async () => {
@@ -190,8 +225,9 @@ describe('Citizen Controller', () => {
       await WasteRequest.create(createTestWasteRequest(testUser._id, { status: 'approved' }));
 
       const req = mockRequest({
-        query: { userId: testUser._id.toString(), status: 'pending' },
-        dbQuery: { userId: testUser._id.toString(), status: 'pending' },
+        user: testUser,
+        query: { status: 'pending' },
+        dbQuery: { status: 'pending' },
         dbOptions: { page: 1, limit: 10, sort: {}, select: '' }
       });
       const res = mockResponse();
@@ -281,7 +317,12 @@ describe('Citizen Controller', () => {
   });
 
   describe('updatePayment', () => {
+    afterEach(() => {
+      paymentService.setGateway(null);
+    });
+
     test('should record payment successfully', async () => {
+      paymentService.setGateway('fake');
       const request = await WasteRequest.create(
         createTestWasteRequest(testUser._id, {
           estimatedCost: 500,
@@ -344,6 +385,141 @@ describe('Citizen Controller', () => {
       const response = res.json.mock.calls[0][0];
       expect(response.message).toContain('Payment amount must be at least');
     });
+
+    describe('payment ledger', () => {
+      let request;
+
+      beforeEach(async () => {
+        request = await WasteRequest.create(
+          createTestWasteRequest(testUser._id, {
+            estimatedCost: 500,
+            paymentStatus: 'pending'
+          })
+        );
+      });
+
+      const pay = async (body) => {
+        const req = mockRequest({
+          params: { id: request._id.toString() },
+          body: { amount: 500, paymentMethod: 'card', ...body }
+        });
+        const res = mockResponse();
+        await citizenController.updatePayment(req, res);
+        return res;
+      };
+
+      test('should leave a manual payment authorized when no gateway is configured', async () => {
+        const res = await pay({ paymentMethod: 'cash' });
+
+        expect(res.status).toHaveBeenCalledWith(202);
+        const payment = await Payment.findOne({ requestId: request._id });
+        expect(payment.provider).toBe('manual');
+        expect(payment.method).toBe('cash');
+        expect(payment.status).toBe('authorized');
+        expect(payment.events.map(event => event.status)).toEqual(['pending', 'authorized']);
+      });
+
+      test('should not mark the request paid until an admin captures the manual payment', async () => {
+        const res = await pay({ paymentMethod: 'cash', amount: 5000 });
+
+        expect(res.json.mock.calls[0][0].data.paymentStatus).toBe('pending');
+        expect((await WasteRequest.findById(request._id)).paymentStatus).toBe('pending');
+
+        await paymentService.capturePayment(await Payment.findOne({ requestId: request._id }));
+
+        expect((await WasteRequest.findById(request._id)).paymentStatus).toBe('paid');
+      });
+
+      test('should mark the request failed when the gateway declines', async () => {
+        paymentService.setGateway('fake');
+
+        const res = await pay({ paymentToken: 'fake_declined' });
+
+        expect(res.status).toHaveBeenCalledWith(402);
+        expect(res.json.mock.calls[0][0].message).toContain('Card declined');
+        const saved = await WasteRequest.findById(request._id);
+        expect(saved.paymentStatus).toBe('failed');
+        const payment = await Payment.findOne({ requestId: request._id });
+        expect(payment.status).toBe('failed');
+      });
+
+      test('should keep the request pending while the payer has to act', async () => {
+        paymentService.setGateway('fake');
+
+        const res = await pay({ paymentToken: 'fake_requires_action' });
+
+        expect(res.status).toHaveBeenCalledWith(202);
+        const response = res.json.mock.calls[0][0];
+        expect(response.data.paymentState).toBe('pending');
+        expect(response.data.nextAction.type).toBe('redirect');
+        expect((await WasteRequest.findById(request._id)).paymentStatus).toBe('pending');
+      });
+
+      test('should fail the payment when the capture is rejected', async () => {
+        paymentService.setGateway('fake');
+
+        await pay({ paymentToken: 'fake_capture_fails' });
+
+        const payment = await Payment.findOne({ requestId: request._id });
+        expect(payment.status).toBe('failed');
+        expect(payment.authorizedAt).toBeDefined();
+        expect((await WasteRequest.findById(request._id)).paymentStatus).toBe('failed');
+      });
+
+      test('should only ask for the outstanding balance after a partial payment', async () => {
+        await Payment.create({
+          requestId: request._id,
+          userId: testUser._id,
+          provider: 'manual',
+          amount: 300,
+          status: 'captured'
+        });
+
+        const res = await pay({ amount: 100 });
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].message).toContain('at least 200');
+      });
+
+      describe('early-payment discount', () => {
+        let invoice;
+
+        beforeEach(async () => {
+          const config = await BillingConfig.getConfig();
+          await config.updateConfig({ discounts: { earlyPayment: { enabled: true, daysBeforeDue: 3, percentage: 5 } } });
+          invoice = await Invoice.issueForRequest(request);
+          paymentService.setGateway('fake');
+        });
+
+        test('should keep the discount once the payment is captured', async () => {
+          const res = await pay({ amount: 475 });
+
+          expect(res.status).toHaveBeenCalledWith(200);
+          expect(res.json.mock.calls[0][0].data.earlyPaymentDiscount.amount).toBe(-25);
+          expect((await Invoice.findById(invoice._id)).total).toBe(475);
+          expect((await WasteRequest.findById(request._id)).paymentStatus).toBe('paid');
+        });
+
+        test('should leave the invoice untouched when the amount is too low', async () => {
+          const res = await pay({ amount: 1 });
+
+          expect(res.status).toHaveBeenCalledWith(400);
+          expect(res.json.mock.calls[0][0].message).toContain('at least 475');
+          const saved = await Invoice.findById(invoice._id);
+          expect(saved.total).toBe(500);
+          expect(saved.adjustments).toHaveLength(0);
+        });
+
+        test('should leave the invoice untouched when the payment fails', async () => {
+          const res = await pay({ amount: 475, paymentToken: 'fake_declined' });
+
+          expect(res.status).toHaveBeenCalledWith(402);
+          const saved = await Invoice.findById(invoice._id);
+          expect(saved.total).toBe(500);
+          expect(saved.adjustments).toHaveLength(0);
+        });
+      });
+    });
   });
 
   describe('cancelRequest', () => {
@@ -402,6 +578,70 @@ describe('Citizen Controller', () => {
       const response = res.json.mock.calls[0][0];
       expect(response.message).toContain('2 hours before');
     });
+
+    describe('refunds', () => {
+      let request;
+
+      const cancel = async () => {
+        const req = mockRequest({
+          params: { id: request._id.toString() },
+          body: { reason: 'Plans changed' }
+        });
+        const res = mockResponse();
+        await citizenController.cancelRequest(req, res);
+        return res;
+      };
+
+      beforeEach(async () => {
+        request = await WasteRequest.create(
+          createTestWasteRequest(testUser._id, {
+            status: 'pending',
+            preferredDate: new Date(Date.now() + 12 * 60 * 60 * 1000),
+            estimatedCost: 300,
+            paymentStatus: 'paid'
+          })
+        );
+        await Payment.create({
+          requestId: request._id,
+          userId: testUser._id,
+          provider: 'manual',
+          amount: 300,
+          status: 'captured'
+        });
+      });
+
+      test('should refund a paid request in full outside any fee window', async () => {
+        const res = await cancel();
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        const response = res.json.mock.calls[0][0];
+        expect(response.data.paymentStatus).toBe('refunded');
+        expect(response.data.refund.refunded).toBe(300);
+        expect(response.data.refund.cancellationFee).toBe(0);
+
+        const payment = await Payment.findOne({ requestId: request._id });
+        expect(payment.refunds).toHaveLength(1);
+        expect(payment.refunds[0].status).toBe('succeeded');
+        expect(payment.refunds[0].reason).toBe('Plans changed');
+      });
+
+      test('should keep the cancellation fee inside a fee window', async () => {
+        const config = await BillingConfig.getConfig();
+        config.cancellation.feeWindows = [
+          { hoursBeforeCollection: 48, feePercentage: 10 },
+          { hoursBeforeCollection: 24, feePercentage: 25 }
+        ];
+        await config.save();
+
+        const res = await cancel();
+
+        const response = res.json.mock.calls[0][0];
+        expect(response.data.refund.feeWindow).toEqual({ hoursBeforeCollection: 24, feePercentage: 25 });
+        expect(response.data.refund.cancellationFee).toBe(75);
+        expect(response.data.refund.refunded).toBe(225);
+        expect((await WasteRequest.findById(request._id)).cancellationFee).toBe(75);
+      });
+    });
   });
 
   describe('getNearbyBins', () => {
@@ -431,6 +671,46 @@ describe('Citizen Controller', () => {
       expect(response.data.length).toBeGreaterThan(0);
     });
 
+    test('should leave out bins beyond the radius and return distances nearest first', async () => {
+      await SmartBin.create(createTestSmartBin({
+        binId: 'BIN-FAR',
+        location: { address: 'Kandy', coordinates: { lat: 7.2906, lng: 80.6337 } }
+      }));
+      await SmartBin.create(createTestSmartBin({
+        binId: 'BIN-NEAR',
+        location: { address: 'Near', coordinates: { lat: 6.9280, lng: 79.8620 } }
+      }));
+      await SmartBin.create(createTestSmartBin({
+        binId: 'BIN-CENTER',
+        location: { address: 'Center', coordinates: { lat: 6.9271, lng: 79.8612 } }
+      }));
+
+      const req = mockRequest({
+        query: { lat: 6.9271, lng: 79.8612, radius: 5000 }
+      });
+      const res = mockResponse();
+
+      await citizenController.getNearbyBins(req, res);
+
+      const response = res.json.mock.calls[0][0];
+      expect(response.data.map(bin => bin.binId)).toEqual(['BIN-CENTER', 'BIN-NEAR']);
+      expect(response.data[0].distance).toBe(0);
+      expect(response.data[1].distance).toBeGreaterThan(100);
+      expect(response.data[1].distance).toBeLessThan(200);
+      expect(response.data[1].location.coordinates).toEqual({ lat: 6.9280, lng: 79.8620 });
+    });
+
+    test('should reject a radius that is not a positive number', async () => {
+      const req = mockRequest({
+        query: { lat: 6.9271, lng: 79.8612, radius: 'wide' }
+      });
+      const res = mockResponse();
+
+      await citizenController.getNearbyBins(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
     test('should fail without coordinates', async () => {
       const req = mockRequest({
         query: { radius: 2000 }
@@ -466,8 +746,8 @@ describe('Citizen Controller', () => {
       jest.spyOn(WasteRequest, 'create').mockRejectedValueOnce(new Error('Database error'));
 
       const req = mockRequest({
+        user: testUser,
         body: {
-          userId: testUser._id.toString(),
           wasteType: 'household',
           quantity: '1 bag',
           address: {
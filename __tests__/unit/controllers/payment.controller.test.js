@@ -0,0 +1,120 @@
+/**
+ * Payment Webhook Unit Tests
+ * Tests for gateway webhooks: signature checks, idempotency and ledger updates
+ */
+
+const express = require('express');
+const request = require('supertest');
+const paymentRoutes = require('../../../src/routes/payment.routes');
+const { keepRawBody } = require('../../../src/middleware/rawBody');
+const BillingConfig = require('../../../src/models/BillingConfig.model');
+const WasteRequest = require('../../../src/models/WasteRequest.model');
+const Payment = require('../../../src/models/Payment.model');
+const PaymentEvent = require('../../../src/models/PaymentEvent.model');
+const User = require('../../../src/models/User.model');
+const fakeGateway = require('../../../src/services/gateways/fake.gateway');
+const { createTestUser, createTestWasteRequest } = require('../../helpers/testHelpers');
+
+const WEBHOOK_SECRET = 'whsec_test';
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json({ verify: keepRawBody }));
+  app.use('/api/payments', paymentRoutes);
+  return app;
+};
+
+describe('Payment Webhooks', () => {
+  let app;
+  let wasteRequest;
+  let payment;
+
+  const deliver = (event, secret = WEBHOOK_SECRET) => {
+    const rawBody = JSON.stringify(event);
+    return request(app)
+      .post('/api/payments/webhooks/fake')
+      .set('Content-Type', 'application/json')
+      .set('X-Fake-Signature', fakeGateway.signWebhook(rawBody, secret))
+      .send(rawBody);
+  };
+
+  beforeEach(async () => {
+    app = buildApp();
+    await BillingConfig.getConfig();
+    await BillingConfig.updateOne({ _id: 'billing-config' }, { 'paymentGateway.webhookSecret': WEBHOOK_SECRET });
+
+    const user = await User.create(createTestUser());
+    wasteRequest = await WasteRequest.create(
+      createTestWasteRequest(user._id, { estimatedCost: 500, paymentStatus: 'pending' })
+    );
+    payment = await Payment.create({
+      requestId: wasteRequest._id,
+      userId: user._id,
+      provider: 'fake',
+      amount: 500,
+      status: 'authorized',
+      gatewayReference: 'fake_txn_1'
+    });
+  });
+
+  test('should reject a delivery with a bad signature', async () => {
+    const res = await deliver({ id: 'evt_1', type: 'payment.succeeded', reference: 'fake_txn_1' }, 'wrong-secret');
+
+    expect(res.status).toBe(400);
+    expect(await PaymentEvent.countDocuments()).toBe(0);
+  });
+
+  test('should return 404 for providers without webhooks', async () => {
+    const res = await request(app).post('/api/payments/webhooks/manual').send({});
+
+    expect(res.status).toBe(404);
+  });
+
+  test('should capture the payment and mark the request paid', async () => {
+    const res = await deliver({ id: 'evt_1', type: 'payment.succeeded', reference: 'fake_txn_1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('processed');
+    expect((await Payment.findById(payment._id)).status).toBe('captured');
+    expect((await WasteRequest.findById(wasteRequest._id)).paymentStatus).toBe('paid');
+
+    const event = await PaymentEvent.findOne({ provider: 'fake', eventId: 'evt_1' });
+    expect(event.paymentId.toString()).toBe(payment._id.toString());
+    expect(event.payload.reference).toBe('fake_txn_1');
+  });
+
+  test('should acknowledge a redelivered event without applying it twice', async () => {
+    const event = { id: 'evt_refund', type: 'payment.refunded', reference: 'fake_txn_1', amount: 200, refundId: 're_1' };
+    await deliver({ id: 'evt_1', type: 'payment.succeeded', reference: 'fake_txn_1' });
+
+    await deliver(event);
+    const res = await deliver(event);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.duplicate).toBe(true);
+    const saved = await Payment.findById(payment._id);
+    expect(saved.refundedAmount).toBe(200);
+    expect((await PaymentEvent.findOne({ eventId: 'evt_refund' })).receivedCount).toBe(2);
+    expect((await WasteRequest.findById(wasteRequest._id)).paymentStatus).toBe('refunded');
+  });
+
+  test('should move the request to disputed and back when the dispute is won', async () => {
+    await deliver({ id: 'evt_1', type: 'payment.succeeded', reference: 'fake_txn_1' });
+
+    await deliver({ id: 'evt_2', type: 'payment.disputed', reference: 'fake_txn_1', reason: 'fraudulent' });
+    expect((await WasteRequest.findById(wasteRequest._id)).paymentStatus).toBe('disputed');
+
+    await deliver({ id: 'evt_3', type: 'dispute.won', reference: 'fake_txn_1' });
+    expect((await Payment.findById(payment._id)).status).toBe('captured');
+    expect((await WasteRequest.findById(wasteRequest._id)).paymentStatus).toBe('paid');
+  });
+
+  test('should keep events for unknown payments so they can be replayed', async () => {
+    const res = await deliver({ id: 'evt_1', type: 'payment.succeeded', reference: 'fake_unknown' });
+
+    expect(res.status).toBe(200);
+    const event = await PaymentEvent.findOne({ eventId: 'evt_1' });
+    expect(event.status).toBe('ignored');
+    expect(event.error).toBe('No matching payment');
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Authentication Middleware Unit Tests
+ * Tests for Bearer token verification and req.user population
+ */
+
+const jwt = require('jsonwebtoken');
+const { authenticate, authenticateForTwoFactorSetup, extractToken } = require('../../../src/middleware/auth');
+const User = require('../../../src/models/User.model');
+const Session = require('../../../src/models/Session.model');
+const SecurityPolicy = require('../../../src/models/SecurityPolicy.model');
+const { generateToken } = require('../../../src/utils/jwt');
+const { mockRequest, mockResponse, createTestUser } = require('../../helpers/testHelpers');
+
+describe('Auth Middleware', () => {
+  let testUser;
+  let session;
+
+  const tokenFor = (user) =>
+    generateToken(user._id, user.email, user.role, session._id.toString());
+
+  beforeEach(async () => {
+    testUser = await User.create(createTestUser({ password: 'password123' }));
+    ({ session } = await Session.createForUser(testUser._id));
+  });
+
+  describe('extractToken', () => {
+    test('should extract Bearer token from Authorization header', () => {
+      const req = mockRequest({ headers: { authorization: 'Bearer abc.def.ghi' } });
+      expect(extractToken(req)).toBe('abc.def.ghi');
+    });
+
+    test('should return null for missing header', () => {
+      expect(extractToken(mockRequest())).toBeNull();
+    });
+
+    test('should return null for non-Bearer scheme', () => {
+      const req = mockRequest({ headers: { authorization: 'Basic dXNlcjpwYXNz' } });
+      expect(extractToken(req)).toBeNull();
+    });
+  });
+
+  describe('authenticate', () => {
+    test('should populate req.user for a valid token', async () => {
+      const token = tokenFor(testUser);
+      const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.id).toBe(testUser._id.toString());
+      expect(req.user.role).toBe('citizen');
+    });
+
+    test('should return 401 when token is missing', async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].message).toContain('Authentication required');
+    });
+
+    test('should return 401 for an invalid token', async () => {
+      const req = mockRequest({ headers: { authorization: 'Bearer not-a-jwt' } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].message).toBe('Invalid token');
+    });
+
+    test('should return 401 for an expired token', async () => {
+      const secret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+      const token = jwt.sign(
+        { id: testUser._id, email: testUser.email, role: testUser.role, sid: session._id },
+        secret,
+        { expiresIn: -10 }
+      );
+      const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].message).toBe('Token expired');
+    });
+
+    test('should return 401 when the user no longer exists', async () => {
+      const token = tokenFor(testUser);
+      await User.findByIdAndDelete(testUser._id);
+
+      const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should return 401 for suspended accounts', async () => {
+      testUser.status = 'suspended';
+      await testUser.save();
+      const token = tokenFor(testUser);
+
+      const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should return 401 when the session has been revoked', async () => {
+      const token = tokenFor(testUser);
+      await session.revoke('logout');
+
+      const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].message).toBe('Session has been revoked');
+    });
+
+    test('should return 401 for tokens not bound to a session', async () => {
+      const token = generateToken(testUser._id, testUser.email, testUser.role);
+      const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('two-factor enforcement', () => {
+    beforeEach(async () => {
+      const policy = await SecurityPolicy.getPolicy();
+      await policy.updatePolicy({ twoFactor: { required: { citizen: true } } });
+    });
+
+    test('should return 403 until the user enrolls', async () => {
+      const req = mockRequest({ headers: { authorization: `Bearer ${tokenFor(testUser)}` } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should let unenrolled users reach the setup routes', async () => {
+      const req = mockRequest({ headers: { authorization: `Bearer ${tokenFor(testUser)}` } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateForTwoFactorSetup(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should pass once two-factor is enabled', async () => {
+      testUser.twoFactor.enabled = true;
+      await testUser.save();
+
+      const req = mockRequest({ headers: { authorization: `Bearer ${tokenFor(testUser)}` } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Authorization Unit Tests
+ * Tests for role policies declared on each router and ownership checks
+ */
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { authorize, authorizeOwnership, authorizeSelf } = require('../../../src/middleware/auth');
+const WasteRequest = require('../../../src/models/WasteRequest.model');
+const Route = require('../../../src/models/Route.model');
+const WorkOrder = require('../../../src/models/WorkOrder.model');
+const {
+  mockRequest,
+  mockResponse,
+  createTestWasteRequest,
+  createTestRoute,
+  createTestWorkOrder
+} = require('../../helpers/testHelpers');
+
+const ROLES = ['citizen', 'coordinator', 'technician', 'admin', 'crew'];
+
+const fakeUser = (role) => ({ id: new mongoose.Types.ObjectId().toString(), role });
+
+/**
+ * Mount a router behind a stub that authenticates as the given role
+ */
+const buildApp = (mountPath, router, role) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = fakeUser(role);
+    next();
+  });
+  app.use(mountPath, router);
+  return app;
+};
+
+const id = new mongoose.Types.ObjectId().toString();
+
+// [mount, router module, method, path, allowed roles]
+const POLICIES = [
+  ['/api/admin', 'admin.routes', 'get', '/users', ['admin']],
+  ['/api/admin', 'admin.routes', 'put', `/users/${id}/role`, ['admin']],
+  ['/api/admin', 'admin.routes', 'delete', `/users/${id}`, ['admin']],
+  ['/api/admin', 'admin.routes', 'put', '/billing/config', ['admin']],
+  ['/api/users', 'user.routes', 'get', '/', ['admin']],
+  ['/api/users', 'user.routes', 'post', '/', ['admin']],
+  ['/api/citizen', 'citizen.routes', 'post', '/requests', ['citizen']],
+  ['/api/citizen', 'citizen.routes', 'get', '/requests', ['citizen']],
+  ['/api/citizen', 'citizen.routes', 'put', `/requests/${id}/cancel`, ['citizen']],
+  ['/api/coordinator', 'coordinator.routes', 'get', '/dashboard', ['coordinator', 'admin']],
+  ['/api/coordinator', 'coordinator.routes', 'put', `/routes/${id}/assign`, ['coordinator', 'admin']],
+  ['/api/coordinator', 'coordinator.routes', 'put', `/requests/${id}/approve`, ['coordinator', 'admin']],
+  ['/api/crew', 'crew.routes', 'get', '/dashboard', ['crew']],
+  ['/api/crew', 'crew.routes', 'put', `/routes/${id}/stops/0`, ['crew']],
+  ['/api/technician', 'technician.routes', 'get', '/work-orders', ['technician']],
+  ['/api/technician', 'technician.routes', 'put', `/work-orders/${id}/resolve`, ['technician']],
+  ['/api/bins', 'bin.routes', 'post', '/', ['coordinator', 'admin']],
+  ['/api/bins', 'bin.routes', 'put', `/${id}/empty`, ['crew', 'coordinator', 'admin']],
+  ['/api/bins', 'bin.routes', 'delete', `/${id}`, ['admin']],
+  ['/api/devices', 'device.routes', 'post', '/', ['technician', 'admin']],
+  ['/api/devices', 'device.routes', 'delete', `/${id}`, ['admin']],
+  ['/api/work-orders', 'workorder.routes', 'put', `/${id}/assign`, ['coordinator', 'admin']],
+  ['/api/work-orders', 'workorder.routes', 'delete', `/${id}`, ['admin']],
+  ['/api/issues', 'issue.routes', 'post', '/', ['crew']],
+  ['/api/issues', 'issue.routes', 'put', `/${id}/status`, ['coordinator', 'admin']]
+];
+
+describe('Authorization', () => {
+  describe('authorize', () => {
+    test('should call next for an allowed role', () => {
+      const req = mockRequest({ user: fakeUser('admin') });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      authorize('coordinator', 'admin')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should return 403 for other roles', () => {
+      const req = mockRequest({ user: fakeUser('citizen') });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      authorize('admin')(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should return 401 when no user is attached', () => {
+      const req = mockRequest();
+      const res = mockResponse();
+      const next = jest.fn();
+
+      authorize('admin')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('route policies', () => {
+    const cases = [];
+    POLICIES.forEach(([mount, routerFile, method, path, allowed]) => {
+      ROLES.filter(role => !allowed.includes(role)).forEach(role => {
+        cases.push([role, method.toUpperCase(), `${mount}${path}`, mount, routerFile, method, path]);
+      });
+    });
+
+    test.each(cases)('%s → %s %s should be forbidden', async (role, _m, _p, mount, routerFile, method, path) => {
+      const router = require(`../../../src/routes/${routerFile}`);
+      const app = buildApp(mount, router, role);
+
+      const res = await request(app)[method](`${mount}${path}`).send({});
+
+      expect(res.status).toBe(403);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('authorizeOwnership', () => {
+    test('should allow a citizen to access their own request', async () => {
+      const owner = fakeUser('citizen');
+      const wasteRequest = await WasteRequest.create(createTestWasteRequest(owner.id));
+      const req = mockRequest({ user: owner, params: { id: wasteRequest._id.toString() } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authorizeOwnership(WasteRequest, 'userId')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should return 403 for another citizen\'s request', async () => {
+      const wasteRequest = await WasteRequest.create(createTestWasteRequest());
+      const req = mockRequest({ user: fakeUser('citizen'), params: { id: wasteRequest._id.toString() } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authorizeOwnership(WasteRequest, 'userId')(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should return 403 for a crew member not assigned to the route', async () => {
+      const route = await Route.create(createTestRoute(null, { crewId: new mongoose.Types.ObjectId() }));
+      const req = mockRequest({ user: fakeUser('crew'), params: { routeId: route._id.toString() } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authorizeOwnership(Route, 'crewId', { param: 'routeId' })(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should return 403 for a technician not assigned to the work order', async () => {
+      const workOrder = await WorkOrder.create(createTestWorkOrder(null, null, {
+        technicianId: new mongoose.Types.ObjectId()
+      }));
+      const req = mockRequest({ user: fakeUser('technician'), params: { id: workOrder._id.toString() } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authorizeOwnership(WorkOrder, 'technicianId')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should let admins bypass ownership', async () => {
+      const workOrder = await WorkOrder.create(createTestWorkOrder());
+      const req = mockRequest({ user: fakeUser('admin'), params: { id: workOrder._id.toString() } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authorizeOwnership(WorkOrder, 'technicianId')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown documents', async () => {
+      const req = mockRequest({ user: fakeUser('citizen'), params: { id } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authorizeOwnership(WasteRequest, 'userId')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('authorizeSelf', () => {
+    test('should return 403 when the path names another user', () => {
+      const req = mockRequest({ user: fakeUser('crew'), params: { crewId: id } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      authorizeSelf('crewId')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should allow the user named in the path', () => {
+      const user = fakeUser('crew');
+      const req = mockRequest({ user, params: { crewId: user.id } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      authorizeSelf('crewId')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Device Authentication Unit Tests
+ * Tests for device API keys on telemetry routes
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { authenticateUserOrDevice } = require('../../../src/middleware/deviceAuth');
+const Device = require('../../../src/models/Device.model');
+const SmartBin = require('../../../src/models/SmartBin.model');
+const deviceRoutes = require('../../../src/routes/device.routes');
+const binRoutes = require('../../../src/routes/bin.routes');
+const { createTestDevice, createTestSmartBin } = require('../../helpers/testHelpers');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/devices', authenticateUserOrDevice, deviceRoutes);
+  app.use('/api/bins', authenticateUserOrDevice, binRoutes);
+  return app;
+};
+
+describe('Device Auth Middleware', () => {
+  let app;
+  let bin;
+  let device;
+  let apiKey;
+
+  beforeEach(async () => {
+    app = buildApp();
+    bin = await SmartBin.create(createTestSmartBin());
+    device = new Device(createTestDevice({ binId: bin._id }));
+    apiKey = device.issueApiKey();
+    await device.save();
+  });
+
+  test('should store only a hash of the key', async () => {
+    const stored = await Device.findById(device._id).select('+apiKeyHash');
+
+    expect(stored.apiKeyHash).toBeDefined();
+    expect(stored.apiKeyHash).not.toBe(apiKey);
+    expect(stored.toJSON().apiKeyHash).toBeUndefined();
+  });
+
+  test('should accept telemetry from the device itself', async () => {
+    const res = await request(app)
+      .put(`/api/devices/${device._id}/signal`)
+      .set('X-Device-Key', apiKey)
+      .send({ batteryLevel: 60 });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('should accept fill levels for the bin the device is installed in', async () => {
+    const res = await request(app)
+      .put(`/api/bins/${bin._id}/fill-level`)
+      .set('X-Device-Key', apiKey)
+      .send({ fillLevel: 70 });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('should reject telemetry for another device or bin', async () => {
+    const otherBin = await SmartBin.create(createTestSmartBin({ binId: 'BIN-OTHER' }));
+    const other = await Device.create(createTestDevice({ deviceId: 'DEV-OTHER' }));
+
+    const signal = await request(app)
+      .put(`/api/devices/${other._id}/signal`)
+      .set('X-Device-Key', apiKey)
+      .send({});
+    const fill = await request(app)
+      .put(`/api/bins/${otherBin._id}/fill-level`)
+      .set('X-Device-Key', apiKey)
+      .send({ fillLevel: 70 });
+
+    expect(signal.status).toBe(403);
+    expect(fill.status).toBe(403);
+  });
+
+  test('should not let a device key reach non-telemetry routes', async () => {
+    const res = await request(app).get('/api/devices').set('X-Device-Key', apiKey);
+
+    expect(res.status).toBe(401);
+  });
+
+  test('should accept telemetry batches from gateways only', async () => {
+    const gateway = new Device(createTestDevice({ deviceId: 'GW-001', deviceType: 'gateway' }));
+    const gatewayKey = gateway.issueApiKey();
+    await gateway.save();
+    device.gatewayId = gateway._id;
+    await device.save();
+    const readings = [{ deviceId: device.deviceId, timestamp: new Date(), fillLevel: 55 }];
+
+    const fromSensor = await request(app)
+      .post('/api/devices/telemetry/batch')
+      .set('X-Device-Key', apiKey)
+      .send({ readings });
+    const fromGateway = await request(app)
+      .post('/api/devices/telemetry/batch')
+      .set('X-Device-Key', gatewayKey)
+      .send({ readings });
+
+    expect(fromSensor.status).toBe(403);
+    expect(fromGateway.status).toBe(200);
+    expect(fromGateway.body.data.applied).toBe(1);
+  });
+
+  test('should reject unknown, rotated and revoked keys', async () => {
+    const unknown = await request(app)
+      .put(`/api/devices/${device._id}/signal`)
+      .set('X-Device-Key', 'dev_not-a-real-key');
+    expect(unknown.status).toBe(401);
+
+    device.issueApiKey();
+    await device.save();
+    const rotated = await request(app)
+      .put(`/api/devices/${device._id}/signal`)
+      .set('X-Device-Key', apiKey);
+    expect(rotated.status).toBe(401);
+
+    const current = device.issueApiKey();
+    device.revokeApiKey();
+    await device.save();
+    const revoked = await request(app)
+      .put(`/api/devices/${device._id}/signal`)
+      .set('X-Device-Key', current);
+    expect(revoked.status).toBe(401);
+  });
+
+  test('should not let a device update change or restore its API key', async () => {
+    const asTechnician = express();
+    asTechnician.use(express.json());
+    asTechnician.use((req, res, next) => {
+      req.user = { id: device._id.toString(), role: 'technician' };
+      next();
+    });
+    asTechnician.use('/api/devices', deviceRoutes);
+    const revokedHash = device.apiKeyHash;
+    device.revokeApiKey();
+    await device.save();
+
+    const res = await request(asTechnician)
+      .put(`/api/devices/${device._id}`)
+      .send({ apiKeyHash: revokedHash, apiKeyRevokedAt: null, batteryLevel: 40 });
+
+    expect(res.status).toBe(200);
+    const updated = await Device.findById(device._id).select('+apiKeyHash');
+    expect(updated.batteryLevel).toBe(40);
+    expect(updated.apiKeyHash).toBeUndefined();
+    expect(updated.apiKeyRevokedAt).toBeDefined();
+    const restored = await request(app)
+      .put(`/api/devices/${device._id}/signal`)
+      .set('X-Device-Key', apiKey);
+    expect(restored.status).toBe(401);
+  });
+
+  test('should reject telemetry from decommissioned devices', async () => {
+    await Device.updateOne({ _id: device._id }, { status: 'decommissioned' });
+
+    const res = await request(app)
+      .put(`/api/devices/${device._id}/signal`)
+      .set('X-Device-Key', apiKey);
+
+    expect(res.status).toBe(403);
+  });
+});
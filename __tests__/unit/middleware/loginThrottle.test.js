@@ -0,0 +1,54 @@
+/**
+ * Login Throttle Middleware Unit Tests
+ * Tests for per-IP limiting of failed login attempts
+ */
+
+const { loginThrottle } = require('../../../src/middleware/loginThrottle');
+const SecurityLog = require('../../../src/models/SecurityLog.model');
+const { mockRequest, mockResponse } = require('../../helpers/testHelpers');
+
+describe('Login Throttle Middleware', () => {
+  const recordFailures = (count, ipAddress) =>
+    SecurityLog.insertMany(
+      Array.from({ length: count }, () => ({
+        eventType: 'login-failed',
+        ipAddress,
+        success: false
+      }))
+    );
+
+  test('should allow requests under the limit', async () => {
+    await recordFailures(19, '10.0.0.1');
+    const req = mockRequest({ ip: '10.0.0.1' });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await loginThrottle(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should return 429 once the IP reaches the limit', async () => {
+    await recordFailures(20, '10.0.0.1');
+    const req = mockRequest({ ip: '10.0.0.1' });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await loginThrottle(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '900');
+  });
+
+  test('should not count failures from other IPs', async () => {
+    await recordFailures(20, '10.0.0.2');
+    const req = mockRequest({ ip: '10.0.0.1' });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await loginThrottle(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Security Logger Unit Tests
+ * Tests that auth and admin routes record security events after the handler responds
+ */
+
+const express = require('express');
+const request = require('supertest');
+const authRoutes = require('../../../src/routes/auth.routes');
+const adminRoutes = require('../../../src/routes/admin.routes');
+const User = require('../../../src/models/User.model');
+const SecurityLog = require('../../../src/models/SecurityLog.model');
+const { createTestUser } = require('../../helpers/testHelpers');
+
+const buildApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/admin', (req, res, next) => {
+    req.user = user;
+    next();
+  }, adminRoutes);
+  return app;
+};
+
+// Events are written once the response has finished, so poll briefly for them
+const findLog = async (filter) => {
+  for (let i = 0; i < 40; i++) {
+    const log = await SecurityLog.findOne(filter);
+    if (log) return log;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  return null;
+};
+
+describe('Security Logger', () => {
+  let admin;
+  let citizen;
+  let app;
+
+  beforeEach(async () => {
+    admin = await User.create(createTestUser({ email: 'admin@example.com', role: 'admin', password: 'password123' }));
+    citizen = await User.create(createTestUser({ email: 'citizen@example.com', password: 'password123' }));
+    app = buildApp(admin);
+  });
+
+  describe('logLoginAttempt', () => {
+    test('should record failed and successful logins for the user', async () => {
+      await request(app).post('/api/auth/login').send({ email: citizen.email, password: 'wrong-password' });
+      await request(app).post('/api/auth/login').send({ email: citizen.email, password: 'password123' });
+
+      const failed = await findLog({ eventType: 'login-failed', userId: citizen._id });
+      const succeeded = await findLog({ eventType: 'login-success', userId: citizen._id });
+
+      expect(failed.success).toBe(false);
+      expect(failed.failureReason).toBe('Invalid password');
+      expect(succeeded.details.method).toBe('password');
+    });
+
+    test('should record unknown emails without a user', async () => {
+      await request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password: 'password123' });
+
+      const log = await findLog({ eventType: 'login-failed' });
+      expect(log.userId).toBeNull();
+      expect(log.failureReason).toBe('Unknown email');
+    });
+  });
+
+  describe('logUserCreated', () => {
+    test('should record self-registration', async () => {
+      const res = await request(app).post('/api/auth/signup').send({
+        name: 'New User', email: 'new@example.com', phone: '+94770000000', password: 'password123'
+      });
+
+      const log = await findLog({ eventType: 'user-created' });
+      expect(log.targetUserId.toString()).toBe(res.body.message.user.id);
+      expect(log.details.selfRegistered).toBe(true);
+    });
+  });
+
+  describe('admin actions', () => {
+    test('should record role changes with the admin as actor', async () => {
+      await request(app).put(`/api/admin/users/${citizen._id}/role`).send({ role: 'technician' });
+
+      const log = await findLog({ eventType: 'role-change' });
+      expect(log.userId.toString()).toBe(admin._id.toString());
+      expect(log.targetUserId.toString()).toBe(citizen._id.toString());
+      expect(log.success).toBe(true);
+      expect(log.details.previousRole).toBe('citizen');
+      expect(log.details.newRole).toBe('technician');
+    });
+
+    test('should record a failed action with the handler message', async () => {
+      await request(app).put(`/api/admin/users/${citizen._id}/role`).send({ role: 'superuser' });
+
+      const log = await findLog({ eventType: 'role-change' });
+      expect(log.success).toBe(false);
+      expect(log.failureReason).toBe('Invalid role');
+    });
+
+    test('should record user deactivation and data exports', async () => {
+      await request(app).delete(`/api/admin/users/${citizen._id}`);
+      await request(app).get('/api/admin/export?type=users');
+
+      expect(await findLog({ eventType: 'user-deleted', targetUserId: citizen._id })).toBeTruthy();
+      const exportLog = await findLog({ eventType: 'data-export' });
+      expect(exportLog.details.exportType).toBe('users');
+      expect(exportLog.details.recordCount).toBe(2);
+    });
+
+    test('should record settings changes', async () => {
+      await request(app).put('/api/admin/security/policies').send({ policies: { password: { minLength: 10 } } });
+
+      const log = await findLog({ eventType: 'settings-change' });
+      expect(log.details.settingsType).toBe('security');
+      expect(log.details.fields).toEqual(['password']);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * BillingConfig Model Unit Tests
+ * Tests for itemised quotes, minimum/maximum charges, taxes and versions
+ */
+
+const BillingConfig = require('../../../src/models/BillingConfig.model');
+const BillingConfigVersion = require('../../../src/models/BillingConfigVersion.model');
+
+describe('BillingConfig Model', () => {
+  let config;
+
+  beforeEach(async () => {
+    config = await BillingConfig.getConfig();
+  });
+
+  describe('quote', () => {
+    test('should quote nothing for household waste with default rates', () => {
+      const quote = config.quote('household', '3 bags');
+
+      expect(quote.total).toBe(0);
+      expect(quote.lines).toEqual([]);
+      expect(quote.basis).toBe('estimate');
+      expect(quote.currency).toBe('LKR');
+    });
+
+    test('should charge bulky waste per item', () => {
+      const quote = config.quote('bulky', '3 big items');
+
+      expect(quote.units).toBe(3);
+      expect(quote.lines).toEqual([
+        { code: 'per-item', description: 'Items', quantity: 3, unitPrice: 500, amount: 1500 }
+      ]);
+      expect(quote.total).toBe(1500);
+    });
+
+    test('should default to one unit when the quantity has no number', () => {
+      expect(config.quote('bulky', 'many items').total).toBe(500);
+    });
+
+    test('should itemise base fee, bags and weight', () => {
+      config.wasteTypeRates.household.baseFee = 100;
+      config.wasteTypeRates.household.perBag = 50;
+      config.wasteTypeRates.household.perKg = 12.5;
+
+      const quote = config.quote('household', '2 bags', 4);
+
+      expect(quote.basis).toBe('actual');
+      expect(quote.weightKg).toBe(4);
+      expect(quote.lines.map(line => [line.code, line.amount])).toEqual([
+        ['base-fee', 100],
+        ['per-bag', 100],
+        ['per-kg', 50]
+      ]);
+      expect(quote.subtotal).toBe(250);
+      expect(quote.total).toBe(250);
+    });
+
+    test('should leave the per-kg charge out of estimates', () => {
+      config.wasteTypeRates['e-waste'].perKg = 40;
+
+      expect(config.quote('e-waste', '1 item').total).toBe(0);
+      expect(config.quote('e-waste', '1 item', 2.5).total).toBe(100);
+    });
+
+    test('should add a minimum charge adjustment line', () => {
+      config.wasteTypeRates.bulky.perItem = 200;
+
+      const quote = config.quote('bulky', '1 item');
+
+      expect(quote.lines[1]).toMatchObject({ code: 'minimum-charge', amount: 300 });
+      expect(quote.subtotal).toBe(500);
+    });
+
+    test('should cap the subtotal at the maximum charge', () => {
+      config.billing.maximumCharge = 2000;
+
+      const quote = config.quote('bulky', '10 items');
+
+      expect(quote.lines[1]).toMatchObject({ code: 'maximum-charge', amount: -3000 });
+      expect(quote.subtotal).toBe(2000);
+    });
+
+    test('should apply discounts before tax', () => {
+      const quote = config.quote('bulky', '4 items', 0, {
+        discounts: [{ code: 'bulk', description: 'Bulk discount', percentage: 10 }]
+      });
+
+      expect(quote.discounts).toEqual([
+        { code: 'bulk', description: 'Bulk discount', percentage: 10, amount: 200 }
+      ]);
+      expect(quote.discountTotal).toBe(200);
+      expect(quote.total).toBe(1800);
+    });
+
+    test('should add VAT and service tax lines when enabled', () => {
+      config.taxConfiguration.enabled = true;
+      config.taxConfiguration.vatRate = 18;
+      config.taxConfiguration.serviceTax = 2.5;
+
+      const quote = config.quote('bulky', '2 items');
+
+      expect(quote.taxes).toEqual([
+        { code: 'vat', description: 'VAT', rate: 18, amount: 180 },
+        { code: 'service-tax', description: 'Service tax', rate: 2.5, amount: 25 }
+      ]);
+      expect(quote.taxTotal).toBe(205);
+      expect(quote.total).toBe(1205);
+    });
+
+    test('should quote zero for an unknown waste type', () => {
+      expect(config.quote('invalid', '2 items').total).toBe(0);
+    });
+  });
+
+  describe('calculateCost', () => {
+    test('should return the quote total rounded to whole LKR', () => {
+      config.wasteTypeRates.recyclable.perKg = 3.3;
+
+      expect(config.calculateCost('recyclable', '1 bag', 1.5)).toBe(5);
+    });
+  });
+
+  describe('versions', () => {
+    const nextMonth = () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+    test('should record the initial settings as version 1', async () => {
+      const initial = await BillingConfigVersion.findOne({ version: 1 });
+
+      expect(config.activeVersion).toBe(1);
+      expect(initial.settings.wasteTypeRates.bulky.perItem).toBe(500);
+      expect(initial.settings.billing.invoiceSequence).toBeUndefined();
+    });
+
+    test('should apply an update now as a new version with its changes', async () => {
+      const version = await config.updateConfig({ wasteTypeRates: { bulky: { perItem: 600 } } }, null, { note: 'New tariff' });
+
+      expect(version.version).toBe(2);
+      expect(version.basedOn).toBe(1);
+      expect(version.changes).toEqual([{ field: 'wasteTypeRates.bulky.perItem', oldValue: 500, newValue: 600 }]);
+      expect(config.activeVersion).toBe(2);
+      expect((await BillingConfig.getConfig()).wasteTypeRates.bulky.perItem).toBe(600);
+    });
+
+    test('should not create a version when nothing changed', async () => {
+      const version = await config.updateConfig({ wasteTypeRates: { bulky: { perItem: 500 } } });
+
+      expect(version).toBeNull();
+      expect(await BillingConfigVersion.countDocuments()).toBe(1);
+    });
+
+    test('should keep a scheduled change out of the settings until it is due', async () => {
+      const version = await config.updateConfig({ wasteTypeRates: { bulky: { perItem: 800 } } }, null, { effectiveFrom: nextMonth() });
+
+      expect((await BillingConfig.getConfig()).wasteTypeRates.bulky.perItem).toBe(500);
+
+      await BillingConfigVersion.updateOne({ _id: version._id }, { effectiveFrom: new Date(Date.now() - 1000) });
+      const activated = await BillingConfig.getConfig();
+
+      expect(activated.activeVersion).toBe(version.version);
+      expect(activated.wasteTypeRates.bulky.perItem).toBe(800);
+    });
+
+    test('should price a request with the version it was quoted under', async () => {
+      const quote = config.quote('bulky', '1 item');
+      await config.updateConfig({ wasteTypeRates: { bulky: { perItem: 900 } } });
+
+      const request = { costBreakdown: quote, createdAt: new Date() };
+      const priced = await BillingConfig.getConfigForRequest(request);
+
+      expect(quote.configVersion).toBe(1);
+      expect(priced.quote('bulky', '2 items').total).toBe(1000);
+      expect(config.quote('bulky', '2 items').total).toBe(1800);
+    });
+
+    test('should roll back to an earlier version and diff the two', async () => {
+      await config.updateConfig({ taxConfiguration: { enabled: true, vatRate: 18 } });
+      const rollback = await config.rollbackConfig(1);
+
+      expect(rollback.version).toBe(3);
+      expect(rollback.rolledBackTo).toBe(1);
+      expect(config.taxConfiguration.enabled).toBe(false);
+
+      const diff = await BillingConfig.diffVersions(2, 3);
+      expect(diff.changes.map(change => change.field)).toEqual(['taxConfiguration.enabled', 'taxConfiguration.vatRate']);
+      expect(await BillingConfig.diffVersions(1, 3)).toEqual({ from: 1, to: 3, changes: [] });
+    });
+
+    test('should not roll back to an unknown version', async () => {
+      expect(await config.rollbackConfig(99)).toBeUndefined();
+    });
+  });
+});
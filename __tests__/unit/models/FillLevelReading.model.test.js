@@ -0,0 +1,152 @@
+/**
+ * FillLevelReading Model Unit Tests
+ * Tests for bin fill-level history, downsampling and retention
+ */
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const FillLevelReading = require('../../../src/models/FillLevelReading.model');
+const SmartBin = require('../../../src/models/SmartBin.model');
+const PrivacySettings = require('../../../src/models/PrivacySettings.model');
+const binRoutes = require('../../../src/routes/bin.routes');
+const { createTestSmartBin } = require('../../helpers/testHelpers');
+
+describe('FillLevelReading Model', () => {
+  describe('recording', () => {
+    test('should keep every fill-level update with its sensor values', async () => {
+      const bin = await SmartBin.create(createTestSmartBin());
+      const deviceId = new mongoose.Types.ObjectId();
+
+      await bin.updateFillLevel(40, { deviceId, batteryLevel: 80, temperature: 21.5 });
+      await bin.updateFillLevel(95, { deviceId, batteryLevel: 79 });
+      await bin.empty();
+
+      const readings = await FillLevelReading.find({ binId: bin._id });
+      const byLevel = Object.fromEntries(readings.map(reading => [reading.fillLevel, reading]));
+
+      expect(readings).toHaveLength(3);
+      expect(byLevel[40].temperature).toBe(21.5);
+      expect(byLevel[95].deviceId).toEqual(deviceId);
+      expect(byLevel[0].source).toBe('collection');
+    });
+
+    test('should refresh the fill forecast from the history', async () => {
+      const bin = await SmartBin.create(createTestSmartBin({ fillLevel: 10 }));
+      const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+      await FillLevelReading.insertMany([
+        { binId: bin._id, timestamp: hoursAgo(20), fillLevel: 10 },
+        { binId: bin._id, timestamp: hoursAgo(10), fillLevel: 20 }
+      ]);
+
+      await bin.updateFillLevel(30);
+
+      // One point per hour: 90% is 60 hours away
+      expect(bin.fillRate).toBe(1);
+      expect((bin.predictedFullAt - bin.lastUpdated) / (60 * 60 * 1000)).toBeCloseTo(60, 1);
+    });
+  });
+
+  describe('getHistory', () => {
+    test('should downsample readings to min, max and average per bucket', async () => {
+      const binId = new mongoose.Types.ObjectId();
+      await FillLevelReading.insertMany([
+        { binId, timestamp: new Date('2026-03-01T10:05:00Z'), fillLevel: 20, batteryLevel: 90 },
+        { binId, timestamp: new Date('2026-03-01T10:35:00Z'), fillLevel: 30, batteryLevel: 89 },
+        { binId, timestamp: new Date('2026-03-01T11:10:00Z'), fillLevel: 45 },
+        { binId, timestamp: new Date('2026-03-01T13:00:00Z'), fillLevel: 60 }
+      ]);
+
+      const rows = await FillLevelReading.getHistory(binId, {
+        from: new Date('2026-03-01T10:00:00Z'),
+        to: new Date('2026-03-01T12:00:00Z'),
+        unit: 'hour',
+        binSize: 1
+      });
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0]._id).toEqual(new Date('2026-03-01T10:00:00Z'));
+      expect(rows[0]).toMatchObject({ readings: 2, fillLevelMin: 20, fillLevelMax: 30, fillLevelAvg: 25, batteryLevelMin: 89 });
+      expect(rows[1]).toMatchObject({ readings: 1, fillLevelAvg: 45, batteryLevelAvg: null });
+    });
+  });
+
+  describe('GET /api/bins/:id/history', () => {
+    // Bin routes behind a stub that authenticates as a coordinator
+    const buildApp = () => {
+      const app = express();
+      app.use((req, res, next) => {
+        req.user = { id: new mongoose.Types.ObjectId().toString(), role: 'coordinator' };
+        next();
+      });
+      app.use('/api/bins', binRoutes);
+      return app;
+    };
+
+    test('should return the downsampled buckets as data', async () => {
+      const bin = await SmartBin.create(createTestSmartBin());
+      await FillLevelReading.insertMany([
+        { binId: bin._id, timestamp: new Date('2026-03-01T10:05:00Z'), fillLevel: 20, batteryLevel: 90 },
+        { binId: bin._id, timestamp: new Date('2026-03-01T10:35:00Z'), fillLevel: 30, batteryLevel: 89 },
+        { binId: bin._id, timestamp: new Date('2026-03-01T11:10:00Z'), fillLevel: 45 }
+      ]);
+
+      const res = await request(buildApp())
+        .get(`/api/bins/${bin._id}/history`)
+        .query({ from: '2026-03-01T10:00:00Z', to: '2026-03-01T12:00:00Z', interval: '1h' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Fill level history retrieved successfully');
+      expect(res.body.data).toMatchObject({ binId: bin._id.toString(), interval: '1h' });
+      expect(res.body.data.buckets).toEqual([
+        {
+          timestamp: '2026-03-01T10:00:00.000Z',
+          readings: 2,
+          fillLevel: { min: 20, max: 30, avg: 25 },
+          batteryLevel: { min: 89, max: 90, avg: 89.5 },
+          temperature: null
+        },
+        {
+          timestamp: '2026-03-01T11:00:00.000Z',
+          readings: 1,
+          fillLevel: { min: 45, max: 45, avg: 45 },
+          batteryLevel: null,
+          temperature: null
+        }
+      ]);
+    });
+
+    test('should reject an invalid interval', async () => {
+      const bin = await SmartBin.create(createTestSmartBin());
+
+      const res = await request(buildApp()).get(`/api/bins/${bin._id}/history`).query({ interval: '5x' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('syncRetention', () => {
+    const expiry = async () => {
+      const [collection] = await mongoose.connection.db
+        .listCollections({ name: FillLevelReading.collection.collectionName })
+        .toArray();
+      return collection.options.expireAfterSeconds;
+    };
+
+    test('should expire readings after the retention period when auto-delete is on', async () => {
+      const settings = await PrivacySettings.getSettings();
+      settings.dataRetention = { days: 30, autoDelete: true };
+      await settings.save();
+
+      await FillLevelReading.syncRetention();
+
+      expect(await expiry()).toBe(30 * 24 * 60 * 60);
+    });
+
+    test('should keep readings when auto-delete is off', async () => {
+      await FillLevelReading.syncRetention();
+
+      expect(await expiry()).toBeUndefined();
+    });
+  });
+});
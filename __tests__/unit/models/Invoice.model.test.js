@@ -0,0 +1,229 @@
+/**
+ * Invoice Model Unit Tests
+ * Tests for issuing invoices from requests, numbering, voiding, reissue links,
+ * and the late fees and discounts applied by billing
+ */
+
+const mongoose = require('mongoose');
+const Invoice = require('../../../src/models/Invoice.model');
+const BillingConfig = require('../../../src/models/BillingConfig.model');
+const WasteRequest = require('../../../src/models/WasteRequest.model');
+const Payment = require('../../../src/models/Payment.model');
+const billingService = require('../../../src/services/billing.service');
+const { createTestWasteRequest } = require('../../helpers/testHelpers');
+
+describe('Invoice Model', () => {
+  let config;
+
+  beforeEach(async () => {
+    config = await BillingConfig.getConfig();
+  });
+
+  const createQuotedRequest = async (overrides = {}) => {
+    const request = new WasteRequest(
+      createTestWasteRequest(new mongoose.Types.ObjectId(), { wasteType: 'bulky', quantity: '2 items', ...overrides })
+    );
+    request.applyQuote(config.quote(request.wasteType, request.quantity));
+    return request.save();
+  };
+
+  describe('allocateInvoiceNumber', () => {
+    test('should hand out sequential numbers with the configured prefix', async () => {
+      const first = await BillingConfig.allocateInvoiceNumber();
+      const second = await BillingConfig.allocateInvoiceNumber();
+
+      expect(first).toBe('INV-000001');
+      expect(second).toBe('INV-000002');
+    });
+
+    test('should never hand out the same number twice concurrently', async () => {
+      const numbers = await Promise.all(
+        Array.from({ length: 10 }, () => BillingConfig.allocateInvoiceNumber())
+      );
+
+      expect(new Set(numbers).size).toBe(10);
+    });
+
+    test('should not be rewound by billing config updates', async () => {
+      await BillingConfig.allocateInvoiceNumber();
+      const stale = await BillingConfig.getConfig();
+      await stale.updateConfig({ billing: { invoiceSequence: 1, paymentDueDays: 14 } });
+
+      const saved = await BillingConfig.getConfig();
+      expect(saved.billing.invoiceSequence).toBe(2);
+      expect(saved.billing.paymentDueDays).toBe(14);
+      expect(saved.billing.invoicePrefix).toBe('INV');
+    });
+  });
+
+  describe('issueForRequest', () => {
+    test('should copy the cost breakdown and set the due date', async () => {
+      const request = await createQuotedRequest();
+
+      const invoice = await Invoice.issueForRequest(request);
+
+      expect(invoice.invoiceNumber).toBe('INV-000001');
+      expect(invoice.status).toBe('issued');
+      expect(invoice.userId.toString()).toBe(request.userId.toString());
+      expect(invoice.lineItems[0]).toMatchObject({ code: 'per-item', quantity: 2, amount: 1000 });
+      expect(invoice.total).toBe(1000);
+      expect(invoice.dueDate - invoice.issuedAt).toBe(config.billing.paymentDueDays * 86400000);
+    });
+
+    test('should return the open invoice instead of issuing a second one', async () => {
+      const request = await createQuotedRequest();
+
+      const first = await Invoice.issueForRequest(request);
+      const second = await Invoice.issueForRequest(request);
+
+      expect(second._id.toString()).toBe(first._id.toString());
+      expect(await Invoice.countDocuments()).toBe(1);
+    });
+
+    test('should issue a single invoice when a request is completed twice concurrently', async () => {
+      const request = await createQuotedRequest();
+      await Invoice.init();
+
+      const [first, second] = await Promise.all([
+        Invoice.issueForRequest(request),
+        Invoice.issueForRequest(request)
+      ]);
+
+      expect(second._id.toString()).toBe(first._id.toString());
+      expect(await Invoice.countDocuments()).toBe(1);
+    });
+
+    test('should not invoice free requests', async () => {
+      const request = await createQuotedRequest({ wasteType: 'household', quantity: '3 bags' });
+
+      expect(await Invoice.issueForRequest(request)).toBeNull();
+    });
+
+    test('should invoice requests without a breakdown as a single line', async () => {
+      const request = await WasteRequest.create(
+        createTestWasteRequest(null, { estimatedCost: 750, paymentStatus: 'paid' })
+      );
+
+      const invoice = await Invoice.issueForRequest(request);
+
+      expect(invoice.lineItems).toHaveLength(1);
+      expect(invoice.total).toBe(750);
+      expect(invoice.status).toBe('paid');
+    });
+  });
+
+  describe('void', () => {
+    test('should void and allow a replacement to be issued', async () => {
+      const request = await createQuotedRequest();
+      const adminId = new mongoose.Types.ObjectId();
+      const original = await Invoice.issueForRequest(request);
+
+      const replacement = await Invoice.issueForRequest(request, {
+        replaces: original,
+        voidedBy: adminId,
+        voidReason: 'Wrong address'
+      });
+
+      expect(original.status).toBe('void');
+      expect(original.voidedBy.toString()).toBe(adminId.toString());
+      expect(original.replacedBy.toString()).toBe(replacement._id.toString());
+      expect(replacement.replaces.toString()).toBe(original._id.toString());
+      expect(replacement.invoiceNumber).not.toBe(original.invoiceNumber);
+
+      const open = await Invoice.findOpenForRequest(request._id);
+      expect(open._id.toString()).toBe(replacement._id.toString());
+    });
+
+    test('should not allow a second open invoice for a request', async () => {
+      const request = await createQuotedRequest();
+      const original = await Invoice.issueForRequest(request);
+
+      await expect(
+        Invoice.create({ ...original.toObject(), _id: undefined, invoiceNumber: 'INV-DUPLICATE' })
+      ).rejects.toMatchObject({ code: 11000 });
+    });
+  });
+  describe('adjustments', () => {
+    test('should add fees and discounts as a percentage of the invoiced charges', async () => {
+      const invoice = await Invoice.issueForRequest(await createQuotedRequest());
+
+      invoice.addAdjustment({ code: 'late-fee', description: 'Late fee', percentage: 5 });
+      invoice.addAdjustment({ code: 'bulk-discount', description: 'Bulk discount', percentage: 10 });
+
+      expect(invoice.adjustments.map(adjustment => adjustment.amount)).toEqual([50, -100]);
+      expect(invoice.adjustmentTotal).toBe(-50);
+      expect(invoice.total).toBe(950);
+    });
+
+    test('should apply each kind of adjustment only once', async () => {
+      const invoice = await Invoice.issueForRequest(await createQuotedRequest());
+
+      invoice.addAdjustment({ code: 'late-fee', description: 'Late fee', percentage: 5 });
+      const again = invoice.addAdjustment({ code: 'late-fee', description: 'Late fee', percentage: 5 });
+
+      expect(again).toBeNull();
+      expect(invoice.total).toBe(1050);
+    });
+
+    test('should charge the late fee once on overdue invoices', async () => {
+      const invoice = await Invoice.issueForRequest(await createQuotedRequest());
+      invoice.dueDate = new Date(Date.now() - 86400000);
+      await invoice.save();
+
+      const first = await billingService.applyLateFees();
+      const second = await billingService.applyLateFees();
+
+      expect(first).toEqual({ count: 1, amount: 50 });
+      expect(second.count).toBe(0);
+      expect((await Invoice.findById(invoice._id)).total).toBe(1050);
+    });
+
+    test('should bring the request payment status up to the late fee', async () => {
+      const request = await createQuotedRequest({ paymentStatus: 'paid' });
+      const invoice = await Invoice.issueForRequest(request);
+      invoice.dueDate = new Date(Date.now() - 86400000);
+      await invoice.save();
+      const payment = new Payment({ requestId: request._id, userId: request.userId, provider: 'fake', amount: 1000 });
+      payment.transition('authorized').transition('captured');
+      await payment.save();
+
+      await billingService.applyLateFees();
+
+      expect((await WasteRequest.findById(request._id)).paymentStatus).toBe('pending');
+      expect((await Invoice.findById(invoice._id)).status).toBe('issued');
+    });
+
+    test('should give the early-payment discount only before the cut-off', async () => {
+      await config.updateConfig({ discounts: { earlyPayment: { enabled: true, daysBeforeDue: 3, percentage: 5 } } });
+      const invoice = await Invoice.issueForRequest(await createQuotedRequest());
+
+      const late = await billingService.applyEarlyPaymentDiscount(invoice, new Date(invoice.dueDate.getTime() - 86400000));
+      const early = await billingService.applyEarlyPaymentDiscount(invoice);
+
+      expect(late).toBeNull();
+      expect(early.amount).toBe(-50);
+      expect(invoice.total).toBe(950);
+    });
+
+    test('should discount open invoices of citizens over the monthly threshold', async () => {
+      await config.updateConfig({ discounts: { bulkDiscount: { enabled: true, threshold: 2, percentage: 10 } } });
+      const userId = new mongoose.Types.ObjectId();
+      const completed = { userId, status: 'completed', completedDate: new Date() };
+      const invoices = [];
+      for (let i = 0; i < 2; i++) {
+        invoices.push(await Invoice.issueForRequest(await createQuotedRequest(completed)));
+      }
+      const otherCitizen = await Invoice.issueForRequest(await createQuotedRequest({ status: 'completed', completedDate: new Date() }));
+
+      const result = await billingService.applyBulkDiscounts();
+
+      expect(result).toEqual({ count: 2, amount: -200, citizens: 1 });
+      for (const invoice of invoices) {
+        const saved = await Invoice.findById(invoice._id);
+        expect(saved.total).toBe(900);
+        expect(saved.adjustments[0].code).toBe('bulk-discount');
+      }
+      expect((await Invoice.findById(otherCitizen._id)).total).toBe(1000);
+    });
+  });
+});
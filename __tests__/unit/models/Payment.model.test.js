@@ -0,0 +1,66 @@
+/**
+ * Payment Model Unit Tests
+ * Tests for ledger state transitions and per-request summaries
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../../../src/models/Payment.model');
+
+describe('Payment Model', () => {
+  const requestId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  const createPayment = (overrides = {}) =>
+    Payment.create({ requestId, userId, provider: 'fake', amount: 500, ...overrides });
+
+  describe('transition', () => {
+    test('should move through authorize and capture with timestamps', async () => {
+      const payment = await createPayment();
+
+      payment.transition('authorized').transition('captured');
+      await payment.save();
+
+      expect(payment.status).toBe('captured');
+      expect(payment.authorizedAt).toBeInstanceOf(Date);
+      expect(payment.capturedAt).toBeInstanceOf(Date);
+      expect(payment.events.map(event => event.status)).toEqual(['authorized', 'captured']);
+    });
+
+    test('should record the failure reason', async () => {
+      const payment = await createPayment();
+
+      payment.transition('failed', 'Card declined');
+
+      expect(payment.failureReason).toBe('Card declined');
+      expect(payment.failedAt).toBeInstanceOf(Date);
+    });
+
+    test('should reject transitions the ledger does not allow', async () => {
+      const payment = await createPayment({ status: 'captured' });
+
+      expect(payment.canTransition('failed')).toBe(false);
+      expect(() => payment.transition('cancelled')).toThrow('Cannot move payment from captured to cancelled');
+    });
+  });
+
+  describe('getLedgerSummary', () => {
+    test('should count captured payments net of refunds', async () => {
+      await createPayment({ amount: 300, status: 'captured', refundedAmount: 50 });
+      await createPayment({ amount: 200, status: 'authorized' });
+      await createPayment({ amount: 500, status: 'failed' });
+
+      const summary = await Payment.getLedgerSummary(requestId);
+
+      expect(summary.payments).toHaveLength(3);
+      expect(summary.netPaid).toBe(250);
+      expect(summary.lastStatus).toBe('failed');
+      expect(summary.hasOpenPayment).toBe(true);
+    });
+
+    test('should report an empty ledger', async () => {
+      const summary = await Payment.getLedgerSummary(new mongoose.Types.ObjectId());
+
+      expect(summary).toMatchObject({ netPaid: 0, lastStatus: null, hasOpenPayment: false });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Payment Reminder Unit Tests
+ * Tests for due-soon and overdue reminders and their de-duplication
+ */
+
+const mongoose = require('mongoose');
+const PaymentReminder = require('../../../src/models/PaymentReminder.model');
+const Invoice = require('../../../src/models/Invoice.model');
+const BillingConfig = require('../../../src/models/BillingConfig.model');
+const WasteRequest = require('../../../src/models/WasteRequest.model');
+const notificationService = require('../../../src/services/notification.service');
+const { sendPaymentReminders } = require('../../../src/services/reminder.service');
+const { createTestWasteRequest } = require('../../helpers/testHelpers');
+
+// Mock notification service
+jest.mock('../../../src/services/notification.service', () => ({
+  notifyPaymentReminder: jest.fn().mockResolvedValue({ success: true, method: 'in-app' })
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Payment Reminders', () => {
+  let config;
+  let invoice;
+
+  beforeEach(async () => {
+    notificationService.notifyPaymentReminder.mockClear();
+    config = await BillingConfig.getConfig();
+
+    const request = new WasteRequest(
+      createTestWasteRequest(new mongoose.Types.ObjectId(), { wasteType: 'bulky', quantity: '1 item', status: 'completed' })
+    );
+    request.applyQuote(config.quote(request.wasteType, request.quantity));
+    await request.save();
+    invoice = await Invoice.issueForRequest(request);
+    invoice.dueDate = new Date(Date.now() + DAY_MS);
+    await invoice.save();
+  });
+
+  test('should remind once when the due date is within the configured days', async () => {
+    const first = await sendPaymentReminders();
+    const second = await sendPaymentReminders();
+
+    expect(first).toEqual({ sent: 1, failed: 0 });
+    expect(second).toEqual({ sent: 0, failed: 0 });
+    expect(notificationService.notifyPaymentReminder).toHaveBeenCalledTimes(1);
+    expect(notificationService.notifyPaymentReminder.mock.calls[0][0]).toMatchObject({
+      kind: 'due-soon',
+      amountDue: 500,
+      invoiceNumber: invoice.invoiceNumber
+    });
+  });
+
+  test('should send an overdue reminder after the due date', async () => {
+    await sendPaymentReminders();
+    await sendPaymentReminders(new Date(Date.now() + 2 * DAY_MS));
+
+    const reminders = await PaymentReminder.find({ invoiceId: invoice._id }).sort({ createdAt: 1 });
+    expect(reminders.map(reminder => reminder.kind)).toEqual(['due-soon', 'overdue']);
+    expect(reminders.every(reminder => reminder.status === 'sent')).toBe(true);
+  });
+
+  test('should retry reminders that failed to send', async () => {
+    notificationService.notifyPaymentReminder.mockResolvedValueOnce({ success: false, error: 'Unreachable' });
+
+    const first = await sendPaymentReminders();
+    const second = await sendPaymentReminders();
+
+    expect(first).toEqual({ sent: 0, failed: 1 });
+    expect(second).toEqual({ sent: 1, failed: 0 });
+    const reminder = await PaymentReminder.findOne({ invoiceId: invoice._id });
+    expect(reminder.attempts).toBe(2);
+  });
+
+  test('should send nothing when reminders are switched off', async () => {
+    await config.updateConfig({ reporting: { sendPaymentReminders: false } });
+
+    const result = await sendPaymentReminders();
+
+    expect(result).toEqual({ sent: 0, failed: 0 });
+    expect(notificationService.notifyPaymentReminder).not.toHaveBeenCalled();
+  });
+});
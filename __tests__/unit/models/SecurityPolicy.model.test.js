@@ -0,0 +1,80 @@
+/**
+ * SecurityPolicy Model Unit Tests
+ * Tests for password rules, expiry, session limits and audited updates
+ */
+
+const mongoose = require('mongoose');
+const SecurityPolicy = require('../../../src/models/SecurityPolicy.model');
+
+describe('SecurityPolicy Model', () => {
+  let policy;
+
+  beforeEach(async () => {
+    policy = await SecurityPolicy.getPolicy();
+  });
+
+  describe('getPolicy', () => {
+    test('should create the singleton with defaults', async () => {
+      expect(policy._id).toBe('security-policy');
+      expect(policy.password.minLength).toBe(8);
+      expect(policy.lockout.maxFailedAttempts).toBe(5);
+      expect(await SecurityPolicy.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('validatePassword', () => {
+    test('should accept a password meeting the defaults', () => {
+      expect(policy.validatePassword('password123')).toEqual([]);
+    });
+
+    test('should list every unmet rule', async () => {
+      await policy.updatePolicy({ password: { requireUppercase: true, requireSymbol: true } });
+
+      const errors = policy.validatePassword('short');
+
+      expect(errors).toEqual([
+        'Password must be at least 8 characters long',
+        'Password must contain an uppercase letter',
+        'Password must contain a number',
+        'Password must contain a symbol'
+      ]);
+    });
+  });
+
+  describe('isPasswordExpired', () => {
+    test('should never expire when expiryDays is 0', () => {
+      expect(policy.isPasswordExpired(new Date('2000-01-01'))).toBe(false);
+    });
+
+    test('should expire passwords older than expiryDays', async () => {
+      await policy.updatePolicy({ password: { expiryDays: 90 } });
+
+      expect(policy.isPasswordExpired(new Date(Date.now() - 91 * 86400000))).toBe(true);
+      expect(policy.isPasswordExpired(new Date(Date.now() - 10 * 86400000))).toBe(false);
+    });
+  });
+
+  describe('updatePolicy', () => {
+    test('should merge partial sections and record changes', async () => {
+      const adminId = new mongoose.Types.ObjectId();
+
+      await policy.updatePolicy({ sessions: { maxConcurrent: { admin: 1 } } }, adminId);
+
+      const saved = await SecurityPolicy.getPolicy();
+      expect(saved.getMaxSessions('admin')).toBe(1);
+      expect(saved.getMaxSessions('citizen')).toBe(5);
+      expect(saved.lastModified.by.toString()).toBe(adminId.toString());
+      expect(saved.lastModified.changes[0].field).toBe('sessions.maxConcurrent.admin');
+    });
+
+    test('should ignore unknown fields', async () => {
+      await policy.updatePolicy({ password: { bogus: true }, lastModified: { by: null } });
+
+      expect(policy.lastModified.changes).toHaveLength(0);
+    });
+
+    test('should reject out-of-range values', async () => {
+      await expect(policy.updatePolicy({ password: { minLength: 2 } })).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Wallet Model Unit Tests
+ * Tests for the citizen credit ledger and recycling incentives
+ */
+
+const mongoose = require('mongoose');
+const Wallet = require('../../../src/models/Wallet.model');
+const WalletTransaction = require('../../../src/models/WalletTransaction.model');
+const BillingConfig = require('../../../src/models/BillingConfig.model');
+const WasteRequest = require('../../../src/models/WasteRequest.model');
+const Invoice = require('../../../src/models/Invoice.model');
+const Payment = require('../../../src/models/Payment.model');
+const walletService = require('../../../src/services/wallet.service');
+const { createTestWasteRequest } = require('../../helpers/testHelpers');
+
+describe('Wallet Model', () => {
+  let userId;
+
+  beforeEach(() => {
+    userId = new mongoose.Types.ObjectId();
+  });
+
+  describe('credit and debit', () => {
+    test('should keep the balance and history in step', async () => {
+      await Wallet.credit(userId, 120, { type: 'recycling-incentive' });
+      const { wallet, transaction } = await Wallet.debit(userId, 20, { type: 'invoice-offset' });
+
+      expect(wallet.balance).toBe(100);
+      expect(wallet.totalCredited).toBe(120);
+      expect(wallet.totalDebited).toBe(20);
+      expect(transaction.amount).toBe(-20);
+      expect(transaction.balanceAfter).toBe(100);
+    });
+
+    test('should refuse to overdraw', async () => {
+      await Wallet.credit(userId, 50, { type: 'recycling-incentive' });
+
+      const result = await Wallet.debit(userId, 80, { type: 'invoice-offset' });
+
+      expect(result).toBeNull();
+      expect((await Wallet.getForUser(userId)).balance).toBe(50);
+    });
+  });
+
+  describe('recycling incentives', () => {
+    let config;
+
+    beforeEach(async () => {
+      config = await BillingConfig.getConfig();
+      await config.updateConfig({ wasteTypeRates: { recyclable: { incentive: 20 } } });
+      config = await BillingConfig.getConfig();
+    });
+
+    const completeRecyclable = async (overrides = {}) => {
+      const request = new WasteRequest(
+        createTestWasteRequest(userId, { wasteType: 'recyclable', quantity: '1 bag', ...overrides })
+      );
+      request.applyQuote(config.quote(request.wasteType, request.quantity, request.actualWeightKg || 0));
+      await request.complete();
+      return request;
+    };
+
+    test('should credit the incentive once per collection', async () => {
+      const request = await completeRecyclable({ actualWeightKg: 12.5 });
+
+      const first = await walletService.creditRecyclingIncentive(request);
+      const second = await walletService.creditRecyclingIncentive(request);
+
+      expect(first.amount).toBe(250);
+      expect(first.weightKg).toBe(12.5);
+      expect(second).toBeNull();
+      expect((await Wallet.getForUser(userId)).balance).toBe(250);
+    });
+
+    test('should credit at the rate of the configuration version the request was quoted under', async () => {
+      const request = await completeRecyclable({ actualWeightKg: 10 });
+      await config.updateConfig({ wasteTypeRates: { recyclable: { incentive: 50 } } });
+
+      const transaction = await walletService.creditRecyclingIncentive(request);
+
+      expect(transaction.rate).toBe(20);
+      expect(transaction.amount).toBe(200);
+    });
+
+    test('should not credit collections without a recorded weight', async () => {
+      const request = await completeRecyclable();
+
+      expect(await walletService.creditRecyclingIncentive(request)).toBeNull();
+      expect(await WalletTransaction.countDocuments({ userId })).toBe(0);
+    });
+
+    test('should spend credit on open invoices and settle the request', async () => {
+      const billed = await WasteRequest.create(
+        createTestWasteRequest(userId, { wasteType: 'bulky', quantity: '1 item', status: 'completed' })
+      );
+      billed.applyQuote(config.quote(billed.wasteType, billed.quantity));
+      await billed.save();
+      const invoice = await Invoice.issueForRequest(billed);
+
+      await walletService.creditRecyclingIncentive(await completeRecyclable({ actualWeightKg: 30 }));
+
+      const payment = await Payment.findOne({ requestId: billed._id });
+      expect(payment.provider).toBe('wallet');
+      expect(payment.status).toBe('captured');
+      expect(payment.amount).toBe(invoice.total);
+      expect((await WasteRequest.findById(billed._id)).paymentStatus).toBe('paid');
+      expect((await Invoice.findById(invoice._id)).status).toBe('paid');
+      expect((await Wallet.getForUser(userId)).balance).toBe(600 - invoice.total);
+    });
+  });
+});
@@ -153,6 +153,32 @@ describe('WasteRequest Model', () => {
       expect(request.address.coordinates.lng).toBe(requestData.address.coordinates.lng);
     });
 
+    test('should store the coordinates as a GeoJSON point', async () => {
+      const request = await WasteRequest.create(createTestWasteRequest(testUser._id));
+
+      expect(request.toObject().address.point).toEqual({ type: 'Point', coordinates: [79.8612, 6.9271] });
+    });
+
+    test('should move the GeoJSON point when coordinates are updated', async () => {
+      const request = await WasteRequest.create(createTestWasteRequest(testUser._id));
+
+      await WasteRequest.updateOne(
+        { _id: request._id },
+        { $set: { 'address.coordinates': { lat: 7.2906, lng: 80.6337 } } }
+      );
+
+      const updated = await WasteRequest.findById(request._id);
+      expect(updated.toObject().address.point.coordinates).toEqual([80.6337, 7.2906]);
+    });
+
+    test('should leave out the GeoJSON point without coordinates', async () => {
+      const requestData = createTestWasteRequest(testUser._id);
+      delete requestData.address.coordinates;
+      const request = await WasteRequest.create(requestData);
+
+      expect(request.toObject().address.point).toBeUndefined();
+    });
+
     test('should require street in address', async () => {
       const requestData = createTestWasteRequest(testUser._id);
       delete requestData.address.street;
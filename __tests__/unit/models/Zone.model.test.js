@@ -0,0 +1,122 @@
+/**
+ * Zone Model Unit Tests
+ * Tests for zone boundaries and the automatic zone assignment of bins, requests and users
+ */
+
+const mongoose = require('mongoose');
+const Zone = require('../../../src/models/Zone.model');
+const SmartBin = require('../../../src/models/SmartBin.model');
+const WasteRequest = require('../../../src/models/WasteRequest.model');
+const { createTestSmartBin, createTestWasteRequest } = require('../../helpers/testHelpers');
+
+// Square of [lng, lat] positions around a point
+const squareAround = (lng, lat, size = 0.01) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [lng - size, lat - size],
+    [lng + size, lat - size],
+    [lng + size, lat + size],
+    [lng - size, lat + size],
+    [lng - size, lat - size]
+  ]]
+});
+
+// The test helpers place bins and requests at these coordinates
+const COLOMBO = { lat: 6.9271, lng: 79.8612 };
+const KANDY = { lat: 7.2906, lng: 80.6337 };
+
+describe('Zone Model', () => {
+  describe('Schema Validation', () => {
+    test('should accept a closed polygon', async () => {
+      const zone = new Zone({ name: 'Colombo', boundary: squareAround(COLOMBO.lng, COLOMBO.lat) });
+
+      await expect(zone.validate()).resolves.toBeUndefined();
+    });
+
+    test('should reject a ring that does not close', async () => {
+      const boundary = squareAround(COLOMBO.lng, COLOMBO.lat);
+      boundary.coordinates[0].pop();
+      const zone = new Zone({ name: 'Colombo', boundary });
+
+      await expect(zone.validate()).rejects.toThrow('Boundary must be a closed GeoJSON polygon');
+    });
+  });
+
+  describe('zone assignment', () => {
+    test('should assign a new bin to the zone it stands in', async () => {
+      const zone = await Zone.create({ name: 'Colombo', boundary: squareAround(COLOMBO.lng, COLOMBO.lat) });
+
+      const inside = await SmartBin.create(createTestSmartBin({ binId: 'BIN-IN' }));
+      const outside = await SmartBin.create(createTestSmartBin({
+        binId: 'BIN-OUT',
+        location: { address: 'Kandy', coordinates: KANDY }
+      }));
+
+      expect(inside.zoneId).toEqual(zone._id);
+      expect(outside.zoneId).toBeUndefined();
+    });
+
+    test('should follow the coordinates through updates', async () => {
+      await Zone.create({ name: 'Colombo', boundary: squareAround(COLOMBO.lng, COLOMBO.lat) });
+      const kandy = await Zone.create({ name: 'Kandy', boundary: squareAround(KANDY.lng, KANDY.lat) });
+      const request = await WasteRequest.create(createTestWasteRequest());
+
+      const moved = await WasteRequest.findByIdAndUpdate(
+        request._id,
+        { 'address.coordinates': KANDY },
+        { new: true }
+      );
+
+      expect(moved.zoneId).toEqual(kandy._id);
+    });
+
+    test('should let the oldest zone win where zones overlap', async () => {
+      const first = await Zone.create({ name: 'Colombo', boundary: squareAround(COLOMBO.lng, COLOMBO.lat) });
+      await Zone.create({ name: 'Colombo Wide', boundary: squareAround(COLOMBO.lng, COLOMBO.lat, 0.05) });
+
+      const bin = await SmartBin.create(createTestSmartBin());
+
+      expect(bin.zoneId).toEqual(first._id);
+    });
+
+    test('should ignore inactive zones', async () => {
+      await Zone.create({ name: 'Colombo', boundary: squareAround(COLOMBO.lng, COLOMBO.lat), active: false });
+
+      const bin = await SmartBin.create(createTestSmartBin());
+
+      expect(bin.zoneId).toBeUndefined();
+    });
+  });
+
+  describe('reassignDocuments', () => {
+    test('should assign existing documents when a zone is created and release them when it moves', async () => {
+      const bin = await SmartBin.create(createTestSmartBin());
+      await WasteRequest.create(createTestWasteRequest(new mongoose.Types.ObjectId()));
+
+      const zone = await Zone.create({ name: 'Colombo', boundary: squareAround(COLOMBO.lng, COLOMBO.lat) });
+      const assigned = await Zone.reassignDocuments(zone);
+
+      expect(assigned).toEqual({ bins: 1, requests: 1, users: 0 });
+      expect((await SmartBin.findById(bin._id)).zoneId).toEqual(zone._id);
+
+      zone.boundary = squareAround(KANDY.lng, KANDY.lat);
+      await zone.save();
+      const afterMove = await Zone.reassignDocuments(zone);
+
+      expect(afterMove).toEqual({ bins: 0, requests: 0, users: 0 });
+      expect((await SmartBin.findById(bin._id)).zoneId).toBeUndefined();
+    });
+
+    test('should hand documents to the zone underneath when a zone is deleted', async () => {
+      const inner = await Zone.create({ name: 'Colombo', boundary: squareAround(COLOMBO.lng, COLOMBO.lat) });
+      const outer = await Zone.create({ name: 'Western', boundary: squareAround(COLOMBO.lng, COLOMBO.lat, 0.5) });
+      const bin = await SmartBin.create(createTestSmartBin());
+      expect(bin.zoneId).toEqual(inner._id);
+
+      await inner.deleteOne();
+      await Zone.reassignDocuments(inner);
+
+      expect((await SmartBin.findById(bin._id)).zoneId).toEqual(outer._id);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Payment Report Service Unit Tests
+ * Tests for revenue, tax and receivables aging aggregations and the CSV export
+ */
+
+const mongoose = require('mongoose');
+const WasteRequest = require('../../../src/models/WasteRequest.model');
+const Invoice = require('../../../src/models/Invoice.model');
+const Payment = require('../../../src/models/Payment.model');
+const BillingConfig = require('../../../src/models/BillingConfig.model');
+const Zone = require('../../../src/models/Zone.model');
+const { getPaymentReport, getAgingReport, paymentReportToCsv } = require('../../../src/services/report.service');
+const { createTestWasteRequest } = require('../../helpers/testHelpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Payment Report Service', () => {
+  let config;
+
+  // Completed bulky request (500 before tax) priced with the current configuration
+  const createCompletedRequest = async (overrides = {}) => {
+    const request = new WasteRequest(
+      createTestWasteRequest(new mongoose.Types.ObjectId(), {
+        wasteType: 'bulky',
+        quantity: '1 item',
+        status: 'completed',
+        completedDate: new Date(),
+        ...overrides
+      })
+    );
+    request.applyQuote(config.quote(request.wasteType, request.quantity));
+    return request.save();
+  };
+
+  beforeEach(async () => {
+    config = await BillingConfig.getConfig();
+    await config.updateConfig({ taxConfiguration: { enabled: true, vatRate: 10, serviceTax: 5 } });
+  });
+
+  describe('getAgingReport', () => {
+    test('should age unpaid invoices from issue and uninvoiced requests from completion', async () => {
+      const invoiced = await createCompletedRequest();
+      const invoice = await Invoice.issueForRequest(invoiced);
+      invoice.issuedAt = new Date(Date.now() - 45 * DAY_MS);
+      invoice.dueDate = new Date(Date.now() - 38 * DAY_MS);
+      await invoice.save();
+
+      const uninvoiced = await createCompletedRequest({ completedDate: new Date(Date.now() - 5 * DAY_MS) });
+      await Payment.create({
+        requestId: uninvoiced._id,
+        userId: uninvoiced.userId,
+        provider: 'manual',
+        amount: 75,
+        status: 'captured'
+      });
+
+      const aging = await getAgingReport();
+
+      expect(aging.buckets).toEqual([
+        { bucket: '0-30', count: 1, amount: 500 },
+        { bucket: '31-60', count: 1, amount: 575 },
+        { bucket: '61-90', count: 0, amount: 0 },
+        { bucket: '90+', count: 0, amount: 0 }
+      ]);
+      expect(aging.total).toEqual({ count: 2, amount: 1075 });
+      expect(aging.overdue).toEqual({ count: 1, amount: 575 });
+    });
+
+    test('should leave out paid and voided invoices', async () => {
+      const request = await createCompletedRequest({ paymentStatus: 'paid' });
+      const invoice = await Invoice.issueForRequest(request);
+      await invoice.markPaid();
+
+      const aging = await getAgingReport();
+
+      expect(aging.total).toEqual({ count: 0, amount: 0 });
+    });
+  });
+
+  describe('getPaymentReport', () => {
+    test('should break revenue down by month, waste type and area with taxes', async () => {
+      const paid = await createCompletedRequest({ address: { street: '1 Main St', city: 'Kandy' } });
+      paid.paymentStatus = 'paid';
+      await paid.save();
+      await createCompletedRequest();
+
+      const report = await getPaymentReport();
+      const month = new Date().toISOString().slice(0, 7);
+
+      expect(report.summary.totalRevenue).toBe(1150);
+      expect(report.summary.paidRequests).toBe(1);
+      expect(report.revenue.byMonth).toEqual([
+        { month, requests: 2, revenue: 1150, paid: 575, outstanding: 575 }
+      ]);
+      expect(report.revenue.byArea.map(row => row.area).sort()).toEqual(['Colombo', 'Kandy']);
+      expect(report.revenueByWasteType).toEqual({ bulky: 1150 });
+      expect(report.taxes.vat).toEqual({ requests: 2, billed: 100, collected: 50 });
+      expect(report.taxes.serviceTax).toEqual({ requests: 2, billed: 50, collected: 25 });
+    });
+
+    test('should only count requests completed in the period', async () => {
+      await createCompletedRequest({ completedDate: new Date(Date.now() - 60 * DAY_MS) });
+
+      const report = await getPaymentReport({ dateFilter: { $gte: new Date(Date.now() - 30 * DAY_MS) } });
+
+      expect(report.summary.totalRequests).toBe(0);
+      expect(report.revenue.byMonth).toEqual([]);
+    });
+
+    test('should only count requests in the zone asked for', async () => {
+      const zone = await Zone.create({
+        name: 'Colombo',
+        boundary: {
+          type: 'Polygon',
+          coordinates: [[[79.85, 6.92], [79.87, 6.92], [79.87, 6.94], [79.85, 6.94], [79.85, 6.92]]]
+        }
+      });
+      await createCompletedRequest();
+      await createCompletedRequest({
+        address: { street: '1 Main St', city: 'Kandy', coordinates: { lat: 7.2906, lng: 80.6337 } }
+      });
+
+      const report = await getPaymentReport({ zoneId: zone._id });
+
+      expect(report.summary.totalRequests).toBe(1);
+      expect(report.revenue.byArea.map(row => row.area)).toEqual(['Colombo']);
+      expect(report.aging.total).toEqual({ count: 1, amount: 575 });
+    });
+  });
+
+  describe('paymentReportToCsv', () => {
+    test('should export every section as section,group,count,amount rows', async () => {
+      await createCompletedRequest({ address: { street: '1 Main St', city: 'Galle, South' } });
+
+      const csv = paymentReportToCsv(await getPaymentReport());
+      const lines = csv.trim().split('\r\n');
+
+      expect(lines[0]).toBe('section,group,count,amount');
+      expect(lines).toContain('revenue-by-area,"Galle, South",1,575');
+      expect(lines).toContain('tax,vat-billed,1,50');
+      expect(lines).toContain('aging,0-30,1,575');
+    });
+  });
+});
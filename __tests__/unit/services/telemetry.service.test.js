@@ -0,0 +1,149 @@
+/**
+ * Telemetry Service Unit Tests
+ * Tests for gateway batch ingestion: validation, ordering and per-item results
+ */
+
+const Device = require('../../../src/models/Device.model');
+const SmartBin = require('../../../src/models/SmartBin.model');
+const FillLevelReading = require('../../../src/models/FillLevelReading.model');
+const { ingestTelemetryBatch } = require('../../../src/services/telemetry.service');
+const { createTestSmartBin, createTestDevice } = require('../../helpers/testHelpers');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+describe('Telemetry Service', () => {
+  let bin;
+  let device;
+
+  beforeEach(async () => {
+    bin = await SmartBin.create(createTestSmartBin({ binId: 'BIN-TEL-1', fillLevel: 10, lastUpdated: minutesAgo(120) }));
+    device = await Device.create(createTestDevice({
+      deviceId: 'DEV-TEL-1',
+      binId: bin._id,
+      status: 'offline',
+      lastSignal: minutesAgo(120)
+    }));
+  });
+
+  describe('ingestTelemetryBatch', () => {
+    test('should apply readings in timestamp order whatever order they arrive in', async () => {
+      const result = await ingestTelemetryBatch([
+        { deviceId: 'DEV-TEL-1', timestamp: minutesAgo(10), fillLevel: 95, batteryLevel: 70 },
+        { deviceId: 'DEV-TEL-1', timestamp: minutesAgo(30), fillLevel: 60, batteryLevel: 72 },
+        { deviceId: 'DEV-TEL-1', timestamp: minutesAgo(20), errorCodes: ['LOW_SIGNAL'] }
+      ]);
+
+      expect(result).toMatchObject({ received: 3, applied: 3, rejected: 0 });
+      expect(result.results.map(item => item.status)).toEqual(['applied', 'applied', 'applied']);
+
+      const updatedBin = await SmartBin.findById(bin._id);
+      expect(updatedBin.fillLevel).toBe(95);
+      expect(updatedBin.status).toBe('full');
+
+      const updatedDevice = await Device.findById(device._id);
+      expect(updatedDevice.batteryLevel).toBe(70);
+      expect(updatedDevice.status).toBe('active');
+      expect(updatedDevice.lastSignal.getTime()).toBeGreaterThan(minutesAgo(11).getTime());
+      expect(updatedDevice.errorLog.map(entry => entry.errorCode)).toEqual(['LOW_SIGNAL']);
+
+      expect(await FillLevelReading.countDocuments({ binId: bin._id })).toBe(2);
+    });
+
+    test('should report each invalid reading and apply the rest', async () => {
+      await Device.create(createTestDevice({ deviceId: 'DEV-TEL-OLD', status: 'decommissioned' }));
+      await Device.create(createTestDevice({ deviceId: 'DEV-TEL-LOOSE' }));
+
+      const result = await ingestTelemetryBatch([
+        { deviceId: 'DEV-TEL-1', timestamp: minutesAgo(5), fillLevel: 40 },
+        { deviceId: 'DEV-TEL-1', timestamp: minutesAgo(5), fillLevel: 140 },
+        { deviceId: 'DEV-TEL-1' },
+        { deviceId: 'DEV-TEL-1', timestamp: new Date(Date.now() + 60 * 60 * 1000), fillLevel: 40 },
+        { deviceId: 'DEV-UNKNOWN', timestamp: minutesAgo(5), fillLevel: 40 },
+        { deviceId: 'DEV-TEL-OLD', timestamp: minutesAgo(5), batteryLevel: 50 },
+        { deviceId: 'DEV-TEL-LOOSE', timestamp: minutesAgo(5), fillLevel: 40 },
+        { deviceId: 'DEV-TEL-1', timestamp: minutesAgo(5), errorCodes: 'E1' },
+        null
+      ]);
+
+      expect(result).toMatchObject({ received: 9, applied: 1, rejected: 8 });
+      expect(result.results.map(item => item.error)).toEqual([
+        undefined,
+        'Fill level must be between 0 and 100',
+        'Timestamp is required',
+        'Timestamp is in the future',
+        'Device not found',
+        'Device has been decommissioned',
+        'Device is not installed in a bin',
+        'Error codes must be an array of strings',
+        'Reading must be an object'
+      ]);
+      expect(result.results[4]).toMatchObject({ index: 4, deviceId: 'DEV-UNKNOWN', status: 'rejected', statusCode: 404 });
+      expect(result.results.map(item => item.statusCode)).toEqual([undefined, 400, 400, 400, 404, 409, 409, 400, 400]);
+
+      const updatedBin = await SmartBin.findById(bin._id);
+      expect(updatedBin.fillLevel).toBe(40);
+    });
+
+    test('should only let a gateway report for the devices assigned to it', async () => {
+      const gateway = await Device.create(createTestDevice({ deviceId: 'GW-TEL-1', deviceType: 'gateway' }));
+      const otherBin = await SmartBin.create(createTestSmartBin({ binId: 'BIN-TEL-2', fillLevel: 10 }));
+      await Device.create(createTestDevice({ deviceId: 'DEV-TEL-2', binId: otherBin._id }));
+      device.gatewayId = gateway._id;
+      await device.save();
+
+      const result = await ingestTelemetryBatch([
+        { deviceId: 'DEV-TEL-1', timestamp: minutesAgo(5), fillLevel: 40 },
+        { deviceId: 'DEV-TEL-2', timestamp: minutesAgo(5), fillLevel: 99 },
+        { deviceId: 'GW-TEL-1', timestamp: minutesAgo(5), batteryLevel: 60 }
+      ], { gateway });
+
+      expect(result.results.map(item => item.status)).toEqual(['applied', 'rejected', 'applied']);
+      expect(result.results[1]).toMatchObject({
+        statusCode: 403,
+        error: 'This gateway is not allowed to report for this device'
+      });
+      expect((await SmartBin.findById(otherBin._id)).fillLevel).toBe(10);
+      expect((await Device.findById(gateway._id)).batteryLevel).toBe(60);
+    });
+
+    test('should forecast every updated bin from a single history query', async () => {
+      const otherBin = await SmartBin.create(createTestSmartBin({ binId: 'BIN-TEL-3', fillLevel: 10, lastUpdated: minutesAgo(120) }));
+      await Device.create(createTestDevice({ deviceId: 'DEV-TEL-3', binId: otherBin._id }));
+      await FillLevelReading.insertMany([
+        { binId: bin._id, timestamp: minutesAgo(600), fillLevel: 10 },
+        { binId: otherBin._id, timestamp: minutesAgo(600), fillLevel: 20 }
+      ]);
+      const aggregate = jest.spyOn(FillLevelReading, 'aggregate');
+
+      const result = await ingestTelemetryBatch([
+        { deviceId: 'DEV-TEL-1', timestamp: minutesAgo(0), fillLevel: 30 },
+        { deviceId: 'DEV-TEL-3', timestamp: minutesAgo(0), fillLevel: 50 }
+      ]);
+
+      expect(result.applied).toBe(2);
+      expect(aggregate).toHaveBeenCalledTimes(1);
+      aggregate.mockRestore();
+      // 20 and 30 points over 10 hours
+      expect((await SmartBin.findById(bin._id)).fillRate).toBe(2);
+      expect((await SmartBin.findById(otherBin._id)).fillRate).toBe(3);
+    });
+
+    test('should keep readings older than the bin in the history only', async () => {
+      await bin.updateFillLevel(30);
+
+      const result = await ingestTelemetryBatch([
+        { deviceId: 'DEV-TEL-1', timestamp: minutesAgo(60), fillLevel: 80, batteryLevel: 20 }
+      ]);
+
+      expect(result.applied).toBe(1);
+
+      const updatedBin = await SmartBin.findById(bin._id);
+      expect(updatedBin.fillLevel).toBe(30);
+      expect(await FillLevelReading.countDocuments({ binId: bin._id, fillLevel: 80 })).toBe(1);
+
+      // The device itself had not been heard from since, so it does take the battery level
+      const updatedDevice = await Device.findById(device._id);
+      expect(updatedDevice.batteryLevel).toBe(20);
+    });
+  });
+});
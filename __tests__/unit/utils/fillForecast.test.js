@@ -0,0 +1,70 @@
+/**
+ * Fill Forecast Unit Tests
+ * Tests for learning fill rates from readings and predicting when bins fill up
+ */
+
+const { computeFillRates, predictCrossing, forecastBin } = require('../../../src/utils/fillForecast');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Monday 2 March 2026, midnight UTC
+const MONDAY = new Date(Date.UTC(2026, 2, 2));
+const at = (hours) => new Date(MONDAY.getTime() + hours * HOUR_MS);
+
+describe('Fill Forecast', () => {
+  describe('computeFillRates', () => {
+    test('should learn a rate per weekday and skip emptying', () => {
+      const rates = computeFillRates([
+        { timestamp: at(0), fillLevel: 10 },
+        { timestamp: at(10), fillLevel: 30 }, // Monday: 2 per hour
+        { timestamp: at(24), fillLevel: 0 }, // emptied
+        { timestamp: at(34), fillLevel: 50 } // Tuesday: 5 per hour
+      ]);
+
+      expect(rates.byWeekday[1]).toBe(2);
+      expect(rates.byWeekday[2]).toBe(5);
+      expect(rates.byWeekday[3]).toBeNull();
+      expect(rates.overall).toBe(3.5);
+    });
+
+    test('should return null without any filling', () => {
+      expect(computeFillRates([{ timestamp: at(0), fillLevel: 40 }])).toBeNull();
+    });
+  });
+
+  describe('predictCrossing', () => {
+    const rates = { overall: 1, byWeekday: [null, 2, 0, null, null, null, null] };
+
+    test('should fill at the rate of each weekday', () => {
+      // 40% at Monday 18:00: +12 by midnight, nothing on Tuesday, then 1 per hour
+      const reachedAt = predictCrossing({ fillLevel: 40, at: at(18) }, rates, 70);
+
+      expect(reachedAt).toEqual(at(48 + 18));
+    });
+
+    test('should return the reading time when the level is already reached', () => {
+      expect(predictCrossing({ fillLevel: 95, at: at(5) }, null, 90)).toEqual(at(5));
+    });
+
+    test('should give up beyond the horizon', () => {
+      const slow = { overall: 0.01, byWeekday: Array(7).fill(null) };
+
+      expect(predictCrossing({ fillLevel: 10, at: at(0) }, slow, 90)).toBeNull();
+    });
+  });
+
+  describe('forecastBin', () => {
+    test('should predict both the collection and the full level', () => {
+      const readings = [
+        { timestamp: at(0), fillLevel: 10 },
+        { timestamp: at(20), fillLevel: 30 }
+      ];
+
+      const forecast = forecastBin({ fillLevel: 30, at: at(20) }, readings);
+
+      expect(forecast.fillRate).toBe(1);
+      expect(forecast.predictedCollectionAt).toEqual(at(60));
+      expect(forecast.predictedFullAt).toEqual(at(80));
+    });
+  });
+});
@@ -1,71 +1,11 @@
 /**
  * Helper Utilities Unit Tests
- * Tests for cost calculation and other utility functions
+ * Tests for coordinate generation and other utility functions
  */
 
-const { calculateCost, generateRandomCoordinates, sanitizeSensitiveData } = require('../../../src/utils/helpers');
+const { generateRandomCoordinates, sanitizeSensitiveData } = require('../../../src/utils/helpers');
 
 describe('Helper Utilities', () => {
-  describe('calculateCost', () => {
-    test('should calculate 0 for household waste', () => {
-      const cost = calculateCost('household', '3 bags');
-      expect(cost).toBe(0);
-    });
-
-    test('should calculate 0 for recyclable waste', () => {
-      const cost = calculateCost('recyclable', '5 bags');
-      expect(cost).toBe(0);
-    });
-
-    test('should calculate 0 for e-waste', () => {
-      const cost = calculateCost('e-waste', '2 items');
-      expect(cost).toBe(0);
-    });
-
-    test('should calculate cost for bulky waste', () => {
-      const cost = calculateCost('bulky', '2 items');
-      expect(cost).toBe(1000); // 500 per item * 2
-    });
-
-    test('should handle single bulky item', () => {
-      const cost = calculateCost('bulky', '1 item');
-      expect(cost).toBe(500);
-    });
-
-    test('should handle multiple bulky items', () => {
-      const cost = calculateCost('bulky', '5 items');
-      expect(cost).toBe(2500);
-    });
-
-    test('should parse numeric quantity from string', () => {
-      const cost1 = calculateCost('bulky', '3 big items');
-      const cost2 = calculateCost('bulky', '10');
-      
-      expect(cost1).toBe(1500);
-      expect(cost2).toBe(5000);
-    });
-
-    test('should return default for invalid waste type', () => {
-      const cost = calculateCost('invalid', '2 items');
-      expect(cost).toBe(0);
-    });
-
-    test('should handle zero quantity', () => {
-      const cost = calculateCost('bulky', '0 items');
-      expect(cost).toBe(0);
-    });
-
-    test('should handle negative quantity gracefully', () => {
-      const cost = calculateCost('bulky', '-2 items');
-      expect(cost).toBe(-1000); // Will parse as negative number
-    });
-
-    test('should handle non-numeric quantity', () => {
-      const cost = calculateCost('bulky', 'many items');
-      expect(cost).toBe(500); // parseInt returns NaN, falls back to 1
-    });
-  });
-
   describe('generateRandomCoordinates', () => {
     test('should generate coordinates near center', () => {
       const center = { lat: 6.9271, lng: 79.8612 };
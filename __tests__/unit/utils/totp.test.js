@@ -0,0 +1,69 @@
+/**
+ * TOTP Utility Unit Tests
+ * Tests against the RFC 6238 reference values
+ */
+
+const totp = require('../../../src/utils/totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Utilities', () => {
+  describe('generateCode', () => {
+    test.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037']
+    ])('should match the RFC 6238 value at %i seconds', (seconds, expected) => {
+      expect(totp.generateCode(RFC_SECRET, totp.getStep(seconds * 1000))).toBe(expected);
+    });
+  });
+
+  describe('verifyCode', () => {
+    test('should return the matched step for the current code', () => {
+      const secret = totp.generateSecret();
+      const step = totp.getStep();
+
+      expect(totp.verifyCode(secret, totp.generateCode(secret, step))).toBe(step);
+    });
+
+    test('should accept one step of clock drift', () => {
+      const secret = totp.generateSecret();
+      const previous = totp.getStep() - 1;
+
+      expect(totp.verifyCode(secret, totp.generateCode(secret, previous))).toBe(previous);
+    });
+
+    test('should reject codes outside the window', () => {
+      const secret = totp.generateSecret();
+
+      expect(totp.verifyCode(secret, totp.generateCode(secret, totp.getStep() - 3))).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      const secret = totp.generateSecret();
+
+      expect(totp.verifyCode(secret, 'abcdef')).toBeNull();
+      expect(totp.verifyCode(secret, undefined)).toBeNull();
+    });
+  });
+
+  describe('base32', () => {
+    test('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 255, 128, 7]);
+      expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    test('should include the secret and issuer', () => {
+      const uri = totp.buildOtpauthUri('JBSWY3DPEHPK3PXP', 'john@example.com', 'Smart Waste');
+
+      expect(uri.startsWith('otpauth://totp/Smart%20Waste%3Ajohn%40example.com?')).toBe(true);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=Smart+Waste');
+    });
+  });
+});
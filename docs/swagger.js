@@ -43,7 +43,26 @@ const swaggerDefinition = {
       description: 'System Administrator operations - User management, reports, system health'
     }
   ],
+  security: [
+    {
+      bearerAuth: []
+    }
+  ],
   components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Access token returned by /api/auth/login or /api/auth/signup'
+      },
+      deviceKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Device-Key',
+        description: 'Device API key returned when the device is registered (telemetry routes only)'
+      }
+    },
     schemas: {
       User: {
         type: 'object',
@@ -87,9 +106,23 @@ const swaggerDefinition = {
                   lat: { type: 'number' },
                   lng: { type: 'number' }
                 }
+              },
+              point: {
+                type: 'object',
+                readOnly: true,
+                description: 'GeoJSON Point [lng, lat] derived from coordinates',
+                properties: {
+                  type: { type: 'string', example: 'Point' },
+                  coordinates: { type: 'array', items: { type: 'number' } }
+                }
               }
             }
           },
+          zoneId: {
+            type: 'string',
+            readOnly: true,
+            description: 'Zone the address lies in, assigned from the coordinates'
+          },
           createdAt: {
             type: 'string',
             format: 'date-time'
@@ -130,9 +163,23 @@ const swaggerDefinition = {
                   lat: { type: 'number', example: 6.9271 },
                   lng: { type: 'number', example: 79.8612 }
                 }
+              },
+              point: {
+                type: 'object',
+                readOnly: true,
+                description: 'GeoJSON Point [lng, lat] derived from coordinates',
+                properties: {
+                  type: { type: 'string', example: 'Point' },
+                  coordinates: { type: 'array', items: { type: 'number' } }
+                }
               }
             }
           },
+          zoneId: {
+            type: 'string',
+            readOnly: true,
+            description: 'Zone the address lies in, assigned from the coordinates'
+          },
           preferredDate: {
             type: 'string',
             format: 'date'
@@ -148,7 +195,7 @@ const swaggerDefinition = {
           },
           paymentStatus: {
             type: 'string',
-            enum: ['not-required', 'pending', 'paid', 'failed'],
+            enum: ['not-required', 'pending', 'paid', 'failed', 'refunded', 'disputed'],
             example: 'not-required'
           },
           createdAt: {
@@ -176,9 +223,23 @@ const swaggerDefinition = {
                   lat: { type: 'number' },
                   lng: { type: 'number' }
                 }
+              },
+              point: {
+                type: 'object',
+                readOnly: true,
+                description: 'GeoJSON Point [lng, lat] derived from coordinates',
+                properties: {
+                  type: { type: 'string', example: 'Point' },
+                  coordinates: { type: 'array', items: { type: 'number' } }
+                }
               }
             }
           },
+          zoneId: {
+            type: 'string',
+            readOnly: true,
+            description: 'Zone the bin lies in, assigned from the coordinates'
+          },
           fillLevel: {
             type: 'number',
             minimum: 0,
@@ -203,6 +264,77 @@ const swaggerDefinition = {
             type: 'string',
             enum: ['red', 'yellow', 'green'],
             example: 'yellow'
+          },
+          fillRate: {
+            type: 'number',
+            readOnly: true,
+            description: 'Average fill rate in percentage points per hour, learnt from the reading history',
+            example: 0.85
+          },
+          predictedCollectionAt: {
+            type: 'string',
+            format: 'date-time',
+            readOnly: true,
+            description: 'Forecast time of reaching 70% (null beyond 30 days or without history)'
+          },
+          predictedFullAt: {
+            type: 'string',
+            format: 'date-time',
+            readOnly: true,
+            description: 'Forecast time of reaching 90% (null beyond 30 days or without history)'
+          }
+        }
+      },
+      Zone: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          name: {
+            type: 'string',
+            example: 'Colombo North'
+          },
+          description: { type: 'string' },
+          boundary: {
+            type: 'object',
+            description: 'GeoJSON Polygon or MultiPolygon, positions as [lng, lat]',
+            properties: {
+              type: { type: 'string', enum: ['Polygon', 'MultiPolygon'] },
+              coordinates: {
+                type: 'array',
+                items: { type: 'array', items: { type: 'array', items: { type: 'number' } } },
+                example: [[[79.84, 6.93], [79.88, 6.93], [79.88, 6.97], [79.84, 6.97], [79.84, 6.93]]]
+              }
+            }
+          },
+          coordinators: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Coordinator user IDs'
+          },
+          depot: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              address: { type: 'string' },
+              coordinates: {
+                type: 'object',
+                properties: {
+                  lat: { type: 'number' },
+                  lng: { type: 'number' }
+                }
+              }
+            }
+          },
+          collectionDays: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+            }
+          },
+          active: {
+            type: 'boolean',
+            example: true
           }
         }
       },
@@ -285,9 +417,13 @@ const swaggerDefinition = {
           },
           deviceType: {
             type: 'string',
-            enum: ['rfid', 'qr-code', 'sensor']
+            enum: ['rfid', 'qr-code', 'sensor', 'gateway']
           },
           binId: { type: 'string' },
+          gatewayId: {
+            type: 'string',
+            description: 'Gateway allowed to forward the device\'s readings'
+          },
           status: {
             type: 'string',
             enum: ['active', 'offline', 'decommissioned']
@@ -0,0 +1,92 @@
+/**
+ * Migrate stored locations to GeoJSON Points
+ * Fills location.point (bins) and address.point (requests, users) from the existing
+ * { lat, lng } coordinates, drops the old 2dsphere index on the lat/lng pair and builds
+ * the new indexes. Safe to run more than once.
+ * Run with: node migrate-geojson-locations.js [--dry-run]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const SmartBin = require('./src/models/SmartBin.model');
+const WasteRequest = require('./src/models/WasteRequest.model');
+const User = require('./src/models/User.model');
+const { toGeoPoint } = require('./src/utils/geo');
+
+const BATCH_SIZE = 1000;
+const LEGACY_INDEX = 'location.coordinates_2dsphere';
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Set or clear <parent>.point on every document of a model, in bulk batches
+async function migrateModel(Model, parent) {
+  const counts = { updated: 0, cleared: 0 };
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await Model.collection.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  const cursor = Model.collection.find({}, { projection: { [`${parent}.coordinates`]: 1, [`${parent}.point`]: 1 } });
+
+  for await (const doc of cursor) {
+    const point = toGeoPoint(doc[parent]?.coordinates);
+
+    if (point) {
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { [`${parent}.point`]: point } } } });
+      counts.updated++;
+    } else if (doc[parent]?.point) {
+      // Missing or out-of-range coordinates cannot be indexed
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $unset: { [`${parent}.point`]: 1 } } } });
+      counts.cleared++;
+    }
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return counts;
+}
+
+async function migrateGeoJsonLocations() {
+  try {
+    // Connect to database
+    console.log('Connecting to database...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/waste-management');
+    console.log(`✅ Connected to database${dryRun ? ' (dry run, nothing is written)' : ''}\n`);
+
+    for (const [Model, parent] of [[SmartBin, 'location'], [WasteRequest, 'address'], [User, 'address']]) {
+      const { updated, cleared } = await migrateModel(Model, parent);
+      console.log(`  ✅ ${Model.modelName}: ${updated} points set, ${cleared} cleared`);
+    }
+
+    // The lat/lng pair was indexed as a legacy coordinate pair with lat as x
+    const binIndexes = await SmartBin.collection.indexes();
+    if (binIndexes.some(index => index.name === LEGACY_INDEX)) {
+      if (!dryRun) await SmartBin.collection.dropIndex(LEGACY_INDEX);
+      console.log(`\n✅ Dropped legacy index ${LEGACY_INDEX}`);
+    }
+
+    if (!dryRun) {
+      await Promise.all([SmartBin.createIndexes(), WasteRequest.createIndexes(), User.createIndexes()]);
+      console.log('✅ 2dsphere indexes built');
+    }
+
+    console.log('\n✅ Migration complete!');
+
+  } catch (error) {
+    console.error('\n❌ ERROR:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed');
+  }
+}
+
+// Run the migration
+migrateGeoJsonLocations();
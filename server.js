@@ -25,9 +25,10 @@ app.use(cors({
   credentials: true
 }));
 
-// Body parser
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parser (payment webhooks also keep the raw body for signature checks)
+const { keepRawBody } = require('./src/middleware/rawBody');
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Make Socket.IO accessible to routes/controllers
 app.set('io', io);
@@ -53,20 +54,28 @@ const technicianRoutes = require("./src/routes/technician.routes");
 const adminRoutes = require("./src/routes/admin.routes");
 const issueRoutes = require("./src/routes/issue.routes");
 const logsRoutes = require("./src/routes/logs.routes");
+const paymentRoutes = require("./src/routes/payment.routes");
+
+// Authentication (signup/login stay public inside the auth router)
+const { authenticate } = require("./src/middleware/auth");
+// Bins and devices also accept device API keys, for sensor telemetry
+const { authenticateUserOrDevice } = require("./src/middleware/deviceAuth");
 
 // Mount routes
 app.use("/api/auth", authRoutes);
-app.use("/api/users", userRoutes);
-app.use("/api/bins", binRoutes);
-app.use("/api/devices", deviceRoutes);
-app.use("/api/work-orders", workOrderRoutes);
-app.use("/api/citizen", citizenRoutes);
-app.use("/api/coordinator", coordinatorRoutes);
-app.use("/api/crew", crewRoutes);
-app.use("/api/technician", technicianRoutes);
-app.use("/api/admin", adminRoutes);
-app.use("/api/issues", issueRoutes);
+app.use("/api/users", authenticate, userRoutes);
+app.use("/api/bins", authenticateUserOrDevice, binRoutes);
+app.use("/api/devices", authenticateUserOrDevice, deviceRoutes);
+app.use("/api/work-orders", authenticate, workOrderRoutes);
+app.use("/api/citizen", authenticate, citizenRoutes);
+app.use("/api/coordinator", authenticate, coordinatorRoutes);
+app.use("/api/crew", authenticate, crewRoutes);
+app.use("/api/technician", authenticate, technicianRoutes);
+app.use("/api/admin", authenticate, adminRoutes);
+app.use("/api/issues", authenticate, issueRoutes);
 app.use("/logs", logsRoutes);
+// Gateway webhooks are public; each delivery is checked against the provider's signature
+app.use("/api/payments", paymentRoutes);
 
 // ========================================
 // SWAGGER DOCUMENTATION
@@ -130,6 +139,7 @@ app.get("/", (req, res) => {
       technician: "/api/technician",
       admin: "/api/admin",
       issues: "/api/issues",
+      payments: "/api/payments",
     },
     timestamp: new Date().toISOString(),
   });
@@ -187,6 +197,14 @@ connectDB()
   .then(() => {
     const PORT = process.env.PORT || 5000;
 
+    // Late fees and bulk discounts
+    require("./src/services/billing.service").startBillingJob();
+
+    // Expire bin telemetry history as set in the privacy settings
+    require("./src/models/FillLevelReading.model")
+      .syncRetention()
+      .catch((error) => console.error("Error applying telemetry retention:", error));
+
     server.listen(PORT, () => {
       console.log("");
       console.log("╔════════════════════════════════════════════╗");
@@ -6,9 +6,30 @@ const WorkOrder = require('../models/WorkOrder.model');
 const Device = require('../models/Device.model');
 const PrivacySettings = require("../models/PrivacySettings.model");
 const SecurityLog = require("../models/SecurityLog.model");
+const Session = require("../models/Session.model");
+const SecurityPolicy = require("../models/SecurityPolicy.model");
 const BillingConfig = require("../models/BillingConfig.model");
+const BillingConfigVersion = require("../models/BillingConfigVersion.model");
+const Invoice = require("../models/Invoice.model");
+const Payment = require("../models/Payment.model");
+const PaymentEvent = require("../models/PaymentEvent.model");
+const PaymentReminder = require("../models/PaymentReminder.model");
+const Zone = require("../models/Zone.model");
+const FillLevelReading = require("../models/FillLevelReading.model");
 const { successResponse, errorResponse } = require("../utils/response");
 const { buildPaginationResponse } = require("../middleware/queryBuilder");
+const { setSecurityContext } = require("../middleware/securityLogger");
+const {
+  capturePayment,
+  cancelPayment,
+  refundPayment,
+  processPaymentEvent,
+} = require("../services/payment.service");
+const { runBillingJob } = require("../services/billing.service");
+const {
+  getPaymentReport,
+  paymentReportToCsv,
+} = require("../services/report.service");
 const mongoose = require("mongoose");
 
 /**
@@ -52,28 +73,48 @@ exports.getUsers = async (req, res) => {
  */
 exports.createUser = async (req, res) => {
   try {
-    const { name, email, phone, role, address, status } = req.body;
+    const { name, email, phone, password, role, address, status } = req.body;
 
-    if (!name || !email || !phone || !role) {
+    if (!name || !email || !phone || !password || !role) {
       return errorResponse(
         res,
-        "Missing required fields (name, email, phone, role)",
+        "Missing required fields (name, email, phone, password, role)",
         400
       );
     }
 
+    const policy = await SecurityPolicy.getPolicy();
+    const passwordErrors = policy.validatePassword(password);
+    if (passwordErrors.length > 0) {
+      return errorResponse(res, passwordErrors.join(", "), 400, passwordErrors);
+    }
+
+    if (await User.exists({ email })) {
+      return errorResponse(res, "Email already registered", 409);
+    }
+
     const user = await User.create({
       name,
       email,
       phone,
+      password,
       role,
       address: address || {},
       status: status || "active",
     });
 
-    return successResponse(res, "User created successfully", user, 201);
+    setSecurityContext(res, { targetUserId: user._id });
+
+    const userData = user.toObject();
+    delete userData.password;
+
+    return successResponse(res, "User created successfully", userData, 201);
   } catch (error) {
     console.error("Error creating user:", error);
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return errorResponse(res, messages.join(", "), 400);
+    }
     return errorResponse(res, error.message, 500);
   }
 };
@@ -92,6 +133,10 @@ exports.updateUserRole = async (req, res) => {
       return errorResponse(res, "User not found", 404);
     }
 
+    setSecurityContext(res, {
+      details: { previousRole: user.role, previousStatus: user.status },
+    });
+
     if (role) {
       const validRoles = ["citizen", "coordinator", "technician", "admin"];
       if (!validRoles.includes(role)) {
@@ -110,6 +155,10 @@ exports.updateUserRole = async (req, res) => {
 
     await user.save();
 
+    if (!user.canSignIn()) {
+      await Session.revokeAllForUser(user._id, "account-disabled");
+    }
+
     return successResponse(res, "User updated successfully", {
       userId: user._id,
       name: user.name,
@@ -135,9 +184,12 @@ exports.deleteUser = async (req, res) => {
       return errorResponse(res, "User not found", 404);
     }
 
+    setSecurityContext(res, { details: { email: user.email, role: user.role } });
+
     // Soft delete: set status to inactive
     user.status = "inactive";
     await user.save();
+    await Session.revokeAllForUser(user._id, "account-disabled");
 
     return successResponse(res, "User deactivated successfully", {
       userId: user._id,
@@ -149,6 +201,53 @@ exports.deleteUser = async (req, res) => {
   }
 };
 
+/**
+ * Unlock a user locked out by failed logins
+ * POST /api/admin/users/:id/unlock
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return errorResponse(res, "User not found", 404);
+    }
+
+    const wasLocked = user.isLocked();
+    user.resetLoginAttempts();
+    await user.save();
+
+    await SecurityLog.logEvent({
+      eventType: "account-unlocked",
+      userId: req.user.id,
+      targetUserId: user._id,
+      ipAddress: req.ip || "system",
+      userAgent: "admin-action",
+      success: true,
+      severity: "medium",
+      details: {
+        wasLocked,
+        timestamp: new Date(),
+      },
+    });
+
+    return successResponse(res, `User ${user.name} has been unlocked`, {
+      userId: user._id,
+      wasLocked,
+    });
+  } catch (error) {
+    console.error("Error unlocking user:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// Reports can be narrowed to one zone with ?zoneId=; null without one, undefined if it does not exist
+const findReportZone = async (zoneId) => {
+  if (!zoneId) return null;
+  if (!mongoose.isValidObjectId(zoneId)) return undefined;
+  return (await Zone.findById(zoneId).select("name")) || undefined;
+};
+
 /**
  * Get collection reports
  * GET /api/admin/reports/collections
@@ -157,12 +256,20 @@ exports.getCollectionReports = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
+    const zone = await findReportZone(req.query.zoneId);
+    if (zone === undefined) {
+      return errorResponse(res, "Zone not found", 404);
+    }
+
     const dateFilter = {};
     if (startDate) dateFilter.$gte = new Date(startDate);
     if (endDate) dateFilter.$lte = new Date(endDate);
 
     const hasDateFilter = Object.keys(dateFilter).length > 0;
-    const dateQuery = hasDateFilter ? { createdAt: dateFilter } : {};
+    const dateQuery = {
+      ...(hasDateFilter && { createdAt: dateFilter }),
+      ...(zone && { zoneId: zone._id }),
+    };
 
     // Total collections
     const totalCollections = await WasteRequest.countDocuments({
@@ -222,6 +329,7 @@ exports.getCollectionReports = async (req, res) => {
         startDate: startDate || "All time",
         endDate: endDate || "Present",
       },
+      zone: zone ? zone.name : "All zones",
       totalCollections,
       totalRequests,
       completionRate: `${completionRate}%`,
@@ -531,6 +639,10 @@ exports.exportData = async (req, res) => {
       }, 0),
     };
 
+    setSecurityContext(res, {
+      details: { recordCount: data.exportMetadata.recordCount },
+    });
+
     return successResponse(res, "Data exported successfully", data);
   } catch (error) {
     console.error("Error exporting data:", error);
@@ -617,16 +729,17 @@ exports.getPrivacySettings = async (req, res) => {
  */
 exports.updatePrivacySettings = async (req, res) => {
   try {
-    const { adminId } = req.query;
+    const adminId = req.user.id;
     const updates = req.body;
 
-    if (!adminId) {
-      return errorResponse(res, "Admin ID is required", 400);
-    }
-
     const settings = await PrivacySettings.getSettings();
     await settings.updateSettings(updates, adminId);
 
+    // Bin telemetry history expires with the retention period
+    if (updates.dataRetention !== undefined) {
+      await FillLevelReading.syncRetention();
+    }
+
     return successResponse(
       res,
       "Privacy settings updated successfully",
@@ -707,42 +820,30 @@ exports.getSecurityLogs = async (req, res) => {
 };
 
 /**
- * Get active sessions (simulated - would need session management)
+ * Get active (unrevoked, unexpired) sessions
  * GET /api/admin/security/sessions
  */
 exports.getActiveSessions = async (req, res) => {
   try {
-    // Get recent successful logins in last 24 hours
-    const recentLogins = await SecurityLog.find({
-      eventType: "login-success",
-      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
-    })
+    const sessions = await Session.findActive()
       .populate("userId", "name email role")
-      .sort({ createdAt: -1 })
+      .sort({ lastUsedAt: -1 })
       .limit(100);
 
-    // Group by user
-    const sessionsMap = new Map();
-
-    recentLogins.forEach((log) => {
-      if (log.userId) {
-        const key = log.userId._id.toString();
-        if (!sessionsMap.has(key)) {
-          sessionsMap.set(key, {
-            userId: log.userId._id,
-            userName: log.userId.name,
-            userEmail: log.userId.email,
-            userRole: log.userId.role,
-            lastLoginAt: log.createdAt,
-            ipAddress: log.ipAddress,
-            deviceInfo: log.deviceInfo,
-            sessionId: log.sessionId,
-          });
-        }
-      }
-    });
-
-    const activeSessions = Array.from(sessionsMap.values());
+    const activeSessions = sessions
+      .filter((session) => session.userId)
+      .map((session) => ({
+        sessionId: session._id,
+        userId: session.userId._id,
+        userName: session.userId.name,
+        userEmail: session.userId.email,
+        userRole: session.userId.role,
+        lastLoginAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+      }));
 
     return successResponse(res, "Active sessions retrieved", activeSessions);
   } catch (error) {
@@ -752,7 +853,7 @@ exports.getActiveSessions = async (req, res) => {
 };
 
 /**
- * Force logout a user (placeholder - would need session management)
+ * Force logout a user by revoking all of their sessions
  * POST /api/admin/security/force-logout/:userId
  */
 exports.forceLogout = async (req, res) => {
@@ -769,6 +870,8 @@ exports.forceLogout = async (req, res) => {
       return errorResponse(res, "User not found", 404);
     }
 
+    const revokedSessions = await Session.revokeAllForUser(userId, "forced-logout");
+
     // Log the forced logout
     await SecurityLog.logEvent({
       eventType: "logout",
@@ -780,7 +883,8 @@ exports.forceLogout = async (req, res) => {
       severity: "high",
       details: {
         forced: true,
-        byAdmin: req.query.adminId || "unknown",
+        byAdmin: req.user.id,
+        revokedSessions,
         timestamp: new Date(),
       },
     });
@@ -788,6 +892,7 @@ exports.forceLogout = async (req, res) => {
     return successResponse(res, `User ${user.name} has been logged out`, {
       userId: user._id,
       userName: user.name,
+      revokedSessions,
       loggedOutAt: new Date(),
     });
   } catch (error) {
@@ -797,16 +902,49 @@ exports.forceLogout = async (req, res) => {
 };
 
 /**
- * Update security policies (stored in privacy settings)
+ * Build the combined security policy view
+ */
+const buildSecurityPolicyView = (settings, policy) => ({
+  auditLogging: settings.auditLogging,
+  compliance: settings.compliance,
+  password: policy.password,
+  sessions: policy.sessions,
+  lockout: policy.lockout,
+  twoFactor: policy.twoFactor,
+  lastModified: policy.lastModified,
+});
+
+/**
+ * Get security policies
+ * GET /api/admin/security/policies
+ */
+exports.getSecurityPolicies = async (req, res) => {
+  try {
+    const [settings, policy] = await Promise.all([
+      PrivacySettings.getSettings(),
+      SecurityPolicy.getPolicy(),
+    ]);
+
+    return successResponse(res, "Security policies retrieved", buildSecurityPolicyView(settings, policy));
+  } catch (error) {
+    console.error("Error fetching security policies:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Update security policies
+ * Audit logging and compliance live in privacy settings; password, session,
+ * lockout and two-factor rules live in the security policy
  * PUT /api/admin/security/policies
  */
 exports.updateSecurityPolicies = async (req, res) => {
   try {
-    const { adminId } = req.query;
+    const adminId = req.user.id;
     const { policies } = req.body;
 
-    if (!adminId) {
-      return errorResponse(res, "Admin ID is required", 400);
+    if (!policies || typeof policies !== "object") {
+      return errorResponse(res, "Policies are required", 400);
     }
 
     const settings = await PrivacySettings.getSettings();
@@ -829,11 +967,19 @@ exports.updateSecurityPolicies = async (req, res) => {
       at: new Date(),
     };
 
+    const { password, sessions, lockout, twoFactor } = policies;
+    const policy = await SecurityPolicy.getPolicy();
+
+    // Policy is saved first so an invalid value leaves privacy settings untouched
+    await policy.updatePolicy({ password, sessions, lockout, twoFactor }, adminId);
     await settings.save();
 
-    return successResponse(res, "Security policies updated", settings);
+    return successResponse(res, "Security policies updated", buildSecurityPolicyView(settings, policy));
   } catch (error) {
     console.error("Error updating security policies:", error);
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return errorResponse(res, error.message, 400);
+    }
     return errorResponse(res, error.message, 500);
   }
 };
@@ -842,6 +988,45 @@ exports.updateSecurityPolicies = async (req, res) => {
 // BILLING CONFIGURATION
 // ============================================
 
+// Billing config without the gateway credentials
+const buildBillingConfigView = (config) => {
+  const configObj = config.toObject();
+  if (configObj.paymentGateway) {
+    delete configObj.paymentGateway.apiKey;
+    delete configObj.paymentGateway.secretKey;
+    delete configObj.paymentGateway.webhookSecret;
+  }
+  return configObj;
+};
+
+// active: in force now; scheduled: starts later; superseded: replaced by a later version
+const buildBillingVersionView = (version, activeVersion) => ({
+  ...version.toObject(),
+  status:
+    version.version === activeVersion
+      ? "active"
+      : version.effectiveFrom > new Date()
+        ? "scheduled"
+        : "superseded",
+});
+
+// Parse an optional effectiveFrom; a minute of leeway lets clients send "now"
+const parseEffectiveFrom = (value) => {
+  if (value === undefined || value === null || value === "") return { date: undefined };
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return { error: "Invalid effectiveFrom date" };
+  if (date.getTime() < Date.now() - 60 * 1000) {
+    return { error: "effectiveFrom cannot be in the past" };
+  }
+  return { date };
+};
+
+const parseVersionNumber = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
 /**
  * Get billing configuration
  * GET /api/admin/billing/config
@@ -850,15 +1035,7 @@ exports.getBillingConfig = async (req, res) => {
   try {
     const config = await BillingConfig.getConfig();
 
-    // Remove sensitive fields from response
-    const configObj = config.toObject();
-    if (configObj.paymentGateway) {
-      delete configObj.paymentGateway.apiKey;
-      delete configObj.paymentGateway.secretKey;
-      delete configObj.paymentGateway.webhookSecret;
-    }
-
-    return successResponse(res, "Billing configuration retrieved", configObj);
+    return successResponse(res, "Billing configuration retrieved", buildBillingConfigView(config));
   } catch (error) {
     console.error("Error fetching billing config:", error);
     return errorResponse(res, error.message, 500);
@@ -867,31 +1044,185 @@ exports.getBillingConfig = async (req, res) => {
 
 /**
  * Update billing configuration
+ * Saves the change as a new version; effectiveFrom schedules it for a later date
  * PUT /api/admin/billing/config
  */
 exports.updateBillingConfig = async (req, res) => {
   try {
-    const { adminId } = req.query;
-    const updates = req.body;
+    const adminId = req.user.id;
+    const { effectiveFrom, note, ...updates } = req.body;
 
-    if (!adminId) {
-      return errorResponse(res, "Admin ID is required", 400);
+    const parsed = parseEffectiveFrom(effectiveFrom);
+    if (parsed.error) {
+      return errorResponse(res, parsed.error, 400);
     }
 
     const config = await BillingConfig.getConfig();
-    await config.updateConfig(updates, adminId);
+    const version = await config.updateConfig(updates, adminId, { effectiveFrom: parsed.date, note });
+    const scheduled = Boolean(version) && version.effectiveFrom > new Date();
 
-    // Remove sensitive fields from response
-    const configObj = config.toObject();
-    if (configObj.paymentGateway) {
-      delete configObj.paymentGateway.apiKey;
-      delete configObj.paymentGateway.secretKey;
-      delete configObj.paymentGateway.webhookSecret;
+    return successResponse(
+      res,
+      scheduled ? "Billing configuration change scheduled" : "Billing configuration updated",
+      {
+        ...buildBillingConfigView(config),
+        change: version && {
+          version: version.version,
+          effectiveFrom: version.effectiveFrom,
+          scheduled,
+          changes: version.changes,
+        },
+      }
+    );
+  } catch (error) {
+    console.error("Error updating billing config:", error);
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return errorResponse(res, error.message, 400);
     }
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get billing configuration versions (without their settings), newest first
+ * GET /api/admin/billing/config/versions
+ */
+exports.getBillingConfigVersions = async (req, res) => {
+  try {
+    const { page, limit, sort } = req.dbOptions;
+    const skip = (page - 1) * limit;
+
+    const sortOrder = Object.keys(sort).length > 0 ? sort : { version: -1 };
 
-    return successResponse(res, "Billing configuration updated", configObj);
+    const [config, versions, total] = await Promise.all([
+      BillingConfig.getConfig(),
+      BillingConfigVersion.find(req.dbQuery)
+        .select("-settings")
+        .populate("createdBy", "name email")
+        .sort(sortOrder)
+        .skip(skip)
+        .limit(limit),
+      BillingConfigVersion.countDocuments(req.dbQuery),
+    ]);
+
+    const pagination = buildPaginationResponse(page, limit, total);
+
+    return successResponse(
+      res,
+      "Billing configuration versions retrieved",
+      versions.map((version) => buildBillingVersionView(version, config.activeVersion)),
+      200,
+      pagination
+    );
   } catch (error) {
-    console.error("Error updating billing config:", error);
+    console.error("Error fetching billing config versions:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Compare two billing configuration versions
+ * GET /api/admin/billing/config/versions/diff?from=&to= (to defaults to the active version)
+ */
+exports.diffBillingConfigVersions = async (req, res) => {
+  try {
+    const config = await BillingConfig.getConfig();
+    const from = parseVersionNumber(req.query.from);
+    const to = req.query.to === undefined ? config.activeVersion : parseVersionNumber(req.query.to);
+
+    if (!from || !to) {
+      return errorResponse(res, "from and to must be version numbers", 400);
+    }
+
+    const diff = await BillingConfig.diffVersions(from, to);
+    if (!diff) {
+      return errorResponse(res, "Billing configuration version not found", 404);
+    }
+
+    return successResponse(res, "Billing configuration versions compared", diff);
+  } catch (error) {
+    console.error("Error comparing billing config versions:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get one billing configuration version with its settings
+ * GET /api/admin/billing/config/versions/:version
+ */
+exports.getBillingConfigVersion = async (req, res) => {
+  try {
+    const versionNumber = parseVersionNumber(req.params.version);
+    if (!versionNumber) {
+      return errorResponse(res, "Invalid version number", 400);
+    }
+
+    const [config, version] = await Promise.all([
+      BillingConfig.getConfig(),
+      BillingConfigVersion.findOne({ version: versionNumber }).populate("createdBy", "name email"),
+    ]);
+
+    if (!version) {
+      return errorResponse(res, "Billing configuration version not found", 404);
+    }
+
+    return successResponse(
+      res,
+      "Billing configuration version retrieved",
+      buildBillingVersionView(version, config.activeVersion)
+    );
+  } catch (error) {
+    console.error("Error fetching billing config version:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Restore the settings of an earlier version as a new version (now, or from effectiveFrom)
+ * POST /api/admin/billing/config/versions/:version/rollback
+ */
+exports.rollbackBillingConfig = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { effectiveFrom, note } = req.body;
+
+    const versionNumber = parseVersionNumber(req.params.version);
+    if (!versionNumber) {
+      return errorResponse(res, "Invalid version number", 400);
+    }
+
+    const parsed = parseEffectiveFrom(effectiveFrom);
+    if (parsed.error) {
+      return errorResponse(res, parsed.error, 400);
+    }
+
+    const config = await BillingConfig.getConfig();
+    const version = await config.rollbackConfig(versionNumber, adminId, { effectiveFrom: parsed.date, note });
+
+    if (version === undefined) {
+      return errorResponse(res, "Billing configuration version not found", 404);
+    }
+    if (version === null) {
+      return errorResponse(res, `The settings of version ${versionNumber} are already in force at that date`, 409);
+    }
+
+    const scheduled = version.effectiveFrom > new Date();
+    return successResponse(
+      res,
+      scheduled ? "Billing configuration rollback scheduled" : "Billing configuration rolled back",
+      {
+        ...buildBillingConfigView(config),
+        change: {
+          version: version.version,
+          effectiveFrom: version.effectiveFrom,
+          scheduled,
+          rolledBackTo: version.rolledBackTo,
+          changes: version.changes,
+        },
+      }
+    );
+  } catch (error) {
+    console.error("Error rolling back billing config:", error);
     return errorResponse(res, error.message, 500);
   }
 };
@@ -902,7 +1233,13 @@ exports.updateBillingConfig = async (req, res) => {
  */
 exports.getPaymentReports = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, asOf, format } = req.query;
+
+    const zone = await findReportZone(req.query.zoneId);
+    if (zone === undefined) {
+      return errorResponse(res, "Zone not found", 404);
+    }
+    const zoneId = zone ? zone._id : undefined;
 
     // Build date filter
     const dateFilter = {};
@@ -912,77 +1249,52 @@ exports.getPaymentReports = async (req, res) => {
     if (endDate) {
       dateFilter.$lte = new Date(endDate);
     }
+    const agingDate = asOf ? new Date(asOf) : new Date();
 
-    const query =
-      Object.keys(dateFilter).length > 0 ? { completedDate: dateFilter } : {};
-
-    // Get completed requests with payment info
-    const requests = await WasteRequest.find({
-      ...query,
-      status: "completed",
-    }).select("wasteType estimatedCost actualCost paymentStatus completedDate");
-
-    // Calculate statistics
-    const totalRevenue = requests.reduce(
-      (sum, req) => sum + (req.actualCost || req.estimatedCost || 0),
-      0
-    );
-    const paidCount = requests.filter((r) => r.paymentStatus === "paid").length;
-    const pendingCount = requests.filter(
-      (r) => r.paymentStatus === "pending"
-    ).length;
-    const notRequiredCount = requests.filter(
-      (r) => r.paymentStatus === "not-required"
-    ).length;
-
-    // Revenue by waste type
-    const revenueByType = {};
-    requests.forEach((req) => {
-      if (!revenueByType[req.wasteType]) {
-        revenueByType[req.wasteType] = 0;
-      }
-      revenueByType[req.wasteType] += req.actualCost || req.estimatedCost || 0;
-    });
+    if ([dateFilter.$gte, dateFilter.$lte, agingDate].some((date) => date && isNaN(date.getTime()))) {
+      return errorResponse(res, "Invalid date", 400);
+    }
 
-    // Outstanding payments
-    const outstandingRequests = await WasteRequest.find({
-      paymentStatus: "pending",
-      completedDate: { $exists: true },
-    })
-      .populate("userId", "name email phone")
-      .select(
-        "trackingId wasteType estimatedCost actualCost completedDate userId"
-      )
-      .limit(50);
+    const [sections, outstandingRequests] = await Promise.all([
+      getPaymentReport({ dateFilter, asOf: agingDate, zoneId }),
+      // Oldest unpaid requests, for follow-up; the aging section has the full totals
+      WasteRequest.find({
+        paymentStatus: "pending",
+        completedDate: { $exists: true },
+        ...(zoneId && { zoneId }),
+      })
+        .populate("userId", "name email phone")
+        .select(
+          "trackingId wasteType estimatedCost actualCost completedDate userId"
+        )
+        .sort({ completedDate: 1 })
+        .limit(50),
+    ]);
 
     const report = {
       period: {
         startDate: startDate || "All time",
         endDate: endDate || "Now",
       },
-      summary: {
-        totalRevenue,
-        totalRequests: requests.length,
-        paidRequests: paidCount,
-        pendingRequests: pendingCount,
-        notRequiredRequests: notRequiredCount,
-        paymentSuccessRate:
-          requests.length > 0
-            ? ((paidCount / (paidCount + pendingCount)) * 100).toFixed(2)
-            : 0,
-      },
-      revenueByWasteType: revenueByType,
+      zone: zone ? zone.name : "All zones",
+      ...sections,
       outstandingPayments: {
-        count: outstandingRequests.length,
-        totalAmount: outstandingRequests.reduce(
-          (sum, req) => sum + (req.actualCost || req.estimatedCost || 0),
-          0
-        ),
+        count: sections.aging.total.count,
+        totalAmount: sections.aging.total.amount,
         requests: outstandingRequests,
       },
       generatedAt: new Date(),
     };
 
+    if (format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="payment-report-${report.generatedAt.toISOString().slice(0, 10)}.csv"`
+      );
+      return res.status(200).send(paymentReportToCsv(report));
+    }
+
     return successResponse(res, "Payment report generated", report);
   } catch (error) {
     console.error("Error generating payment report:", error);
@@ -990,3 +1302,505 @@ exports.getPaymentReports = async (req, res) => {
   }
 };
 
+/**
+ * Run the billing job now (late fees and bulk discounts)
+ * POST /api/admin/billing/run
+ */
+exports.runBillingJob = async (req, res) => {
+  try {
+    const result = await runBillingJob();
+
+    return successResponse(res, "Billing job completed", result);
+  } catch (error) {
+    console.error("Error running billing job:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get invoices with filtering
+ * GET /api/admin/invoices
+ */
+exports.getInvoices = async (req, res) => {
+  try {
+    const { page, limit, sort } = req.dbOptions;
+    const skip = (page - 1) * limit;
+
+    const sortOrder = Object.keys(sort).length > 0 ? sort : { issuedAt: -1 };
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(req.dbQuery)
+        .populate("userId", "name email")
+        .populate("requestId", "trackingId wasteType status")
+        .sort(sortOrder)
+        .skip(skip)
+        .limit(limit),
+      Invoice.countDocuments(req.dbQuery),
+    ]);
+
+    const pagination = buildPaginationResponse(page, limit, total);
+
+    return successResponse(res, "Invoices retrieved", invoices, 200, pagination);
+  } catch (error) {
+    console.error("Error fetching invoices:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get the payment reminders sent for an invoice
+ * GET /api/admin/invoices/:id/reminders
+ */
+exports.getInvoiceReminders = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id).select("invoiceNumber status dueDate total");
+
+    if (!invoice) {
+      return errorResponse(res, "Invoice not found", 404);
+    }
+
+    const reminders = await PaymentReminder.find({ invoiceId: invoice._id }).sort({ createdAt: 1 });
+
+    return successResponse(res, "Invoice reminders retrieved", { invoice, reminders });
+  } catch (error) {
+    console.error("Error fetching invoice reminders:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Void an invoice
+ * PUT /api/admin/invoices/:id/void
+ */
+exports.voidInvoice = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return errorResponse(res, "A reason is required to void an invoice", 400);
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return errorResponse(res, "Invoice not found", 404);
+    }
+
+    if (invoice.status === "void") {
+      return errorResponse(res, "Invoice is already void", 400);
+    }
+
+    await invoice.void(req.user.id, reason);
+
+    return successResponse(res, "Invoice voided", invoice);
+  } catch (error) {
+    console.error("Error voiding invoice:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Reissue an invoice under a new number from the request's current cost breakdown
+ * The original is voided (if it is not already) and linked to its replacement
+ * POST /api/admin/invoices/:id/reissue
+ */
+exports.reissueInvoice = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return errorResponse(res, "Invoice not found", 404);
+    }
+
+    if (invoice.replacedBy) {
+      return errorResponse(res, "Invoice has already been reissued", 400);
+    }
+
+    const request = await WasteRequest.findById(invoice.requestId);
+
+    if (!request) {
+      return errorResponse(res, "Request for this invoice no longer exists", 404);
+    }
+
+    // Voids the original (if it is not already) and links it to the replacement
+    const replacement = await Invoice.issueForRequest(request, {
+      replaces: invoice,
+      voidedBy: req.user.id,
+      voidReason: reason,
+    });
+
+    if (!replacement) {
+      return errorResponse(res, "Request has nothing left to invoice", 400);
+    }
+
+    return successResponse(
+      res,
+      "Invoice reissued",
+      { voided: invoice, invoice: replacement },
+      201
+    );
+  } catch (error) {
+    console.error("Error reissuing invoice:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get payments with filtering
+ * GET /api/admin/payments
+ */
+exports.getPayments = async (req, res) => {
+  try {
+    const { page, limit, sort } = req.dbOptions;
+    const skip = (page - 1) * limit;
+
+    const sortOrder = Object.keys(sort).length > 0 ? sort : { createdAt: -1 };
+
+    const [payments, total] = await Promise.all([
+      Payment.find(req.dbQuery)
+        .populate("userId", "name email")
+        .populate("requestId", "trackingId wasteType status")
+        .sort(sortOrder)
+        .skip(skip)
+        .limit(limit),
+      Payment.countDocuments(req.dbQuery),
+    ]);
+
+    const pagination = buildPaginationResponse(page, limit, total);
+
+    return successResponse(res, "Payments retrieved", payments, 200, pagination);
+  } catch (error) {
+    console.error("Error fetching payments:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Capture an authorized payment
+ * POST /api/admin/payments/:id/capture
+ */
+exports.capturePayment = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return errorResponse(res, "Payment not found", 404);
+    }
+
+    if (payment.status !== "authorized") {
+      return errorResponse(res, `Only authorized payments can be captured (payment is ${payment.status})`, 409);
+    }
+
+    await capturePayment(payment);
+
+    if (payment.status === "failed") {
+      return errorResponse(res, `Capture failed: ${payment.failureReason}`, 402);
+    }
+
+    return successResponse(res, "Payment captured", payment);
+  } catch (error) {
+    console.error("Error capturing payment:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Refund a captured payment in full or in part
+ * POST /api/admin/payments/:id/refund
+ */
+exports.refundPayment = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (!reason) {
+      return errorResponse(res, "A reason is required to refund a payment", 400);
+    }
+
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return errorResponse(res, "Payment not found", 404);
+    }
+
+    if (payment.refundableAmount <= 0) {
+      return errorResponse(res, `Nothing left to refund on this ${payment.status} payment`, 409);
+    }
+
+    if (amount !== undefined && !(Number(amount) > 0 && Number(amount) <= payment.refundableAmount)) {
+      return errorResponse(res, `Refund amount must be between 0.01 and ${payment.refundableAmount}`, 400);
+    }
+
+    const refund = await refundPayment(payment, {
+      amount: amount !== undefined ? Number(amount) : undefined,
+      reason,
+      createdBy: req.user.id,
+    });
+
+    if (refund.status === "failed") {
+      return errorResponse(res, `Refund failed: ${refund.failureReason}`, 402);
+    }
+
+    return successResponse(
+      res,
+      refund.status === "pending" ? "Refund requested; awaiting the gateway" : "Payment refunded",
+      { refund, payment }
+    );
+  } catch (error) {
+    console.error("Error refunding payment:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Cancel a payment that has not been captured
+ * POST /api/admin/payments/:id/cancel
+ */
+exports.cancelPayment = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return errorResponse(res, "Payment not found", 404);
+    }
+
+    if (!payment.canTransition("cancelled")) {
+      return errorResponse(res, `A ${payment.status} payment cannot be cancelled`, 409);
+    }
+
+    await cancelPayment(payment);
+
+    return successResponse(res, "Payment cancelled", payment);
+  } catch (error) {
+    console.error("Error cancelling payment:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get received payment gateway webhook events
+ * GET /api/admin/payments/events
+ */
+exports.getPaymentEvents = async (req, res) => {
+  try {
+    const { page, limit, sort } = req.dbOptions;
+    const skip = (page - 1) * limit;
+
+    const sortOrder = Object.keys(sort).length > 0 ? sort : { createdAt: -1 };
+
+    const [events, total] = await Promise.all([
+      PaymentEvent.find(req.dbQuery)
+        .sort(sortOrder)
+        .skip(skip)
+        .limit(limit),
+      PaymentEvent.countDocuments(req.dbQuery),
+    ]);
+
+    const pagination = buildPaginationResponse(page, limit, total);
+
+    return successResponse(res, "Payment events retrieved", events, 200, pagination);
+  } catch (error) {
+    console.error("Error fetching payment events:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Apply a stored webhook event again (e.g. after fixing the payment it could not be matched to)
+ * POST /api/admin/payments/events/:id/replay
+ */
+exports.replayPaymentEvent = async (req, res) => {
+  try {
+    const event = await PaymentEvent.findById(req.params.id);
+
+    if (!event) {
+      return errorResponse(res, "Payment event not found", 404);
+    }
+
+    const previousStatus = event.status;
+    event.replayedAt = new Date();
+    event.replayedBy = req.user.id;
+
+    await processPaymentEvent(event);
+
+    return successResponse(res, "Payment event replayed", { previousStatus, event });
+  } catch (error) {
+    console.error("Error replaying payment event:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// ============================================
+// ZONES
+// ============================================
+
+const ZONE_FIELDS = ["name", "description", "boundary", "coordinators", "depot", "collectionDays", "active"];
+
+const pickZoneFields = (body) =>
+  Object.fromEntries(ZONE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+// Zone coordinators must be existing coordinator accounts; returns the ids that are not
+const findInvalidCoordinators = async (coordinatorIds) => {
+  if (!Array.isArray(coordinatorIds)) return [];
+
+  const ids = coordinatorIds.map(String);
+  const validIds = ids.filter((id) => mongoose.isValidObjectId(id));
+  const coordinators = await User.find({ _id: { $in: validIds }, role: "coordinator" }).select("_id");
+  const found = new Set(coordinators.map((user) => user._id.toString()));
+
+  return ids.filter((id) => !found.has(id));
+};
+
+// Errors raised while saving a zone that come from the request rather than the server
+const zoneErrorResponse = (res, error) => {
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return errorResponse(res, error.message, 400);
+  }
+  if (error.code === 11000) {
+    return errorResponse(res, "Zone name already exists", 409);
+  }
+  // MongoDB rejects boundaries it cannot index, e.g. self-intersecting polygons
+  if (error.code === 16755) {
+    return errorResponse(res, "Boundary is not a valid polygon", 400);
+  }
+  return errorResponse(res, error.message, 500);
+};
+
+/**
+ * Get all zones with filtering
+ * GET /api/admin/zones
+ */
+exports.getZones = async (req, res) => {
+  try {
+    const { page, limit, sort } = req.dbOptions;
+    const skip = (page - 1) * limit;
+
+    const sortOrder = Object.keys(sort).length > 0 ? sort : { name: 1 };
+
+    const [zones, total] = await Promise.all([
+      Zone.find(req.dbQuery)
+        .sort(sortOrder)
+        .skip(skip)
+        .limit(limit)
+        .populate("coordinators", "name email phone"),
+      Zone.countDocuments(req.dbQuery),
+    ]);
+
+    const pagination = buildPaginationResponse(page, limit, total);
+
+    return successResponse(res, "Zones retrieved successfully", zones, 200, pagination);
+  } catch (error) {
+    console.error("Error fetching zones:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get a zone with the number of bins, requests and users assigned to it
+ * GET /api/admin/zones/:id
+ */
+exports.getZone = async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.id).populate("coordinators", "name email phone");
+
+    if (!zone) {
+      return errorResponse(res, "Zone not found", 404);
+    }
+
+    const assigned = await Zone.countAssigned(zone._id);
+
+    return successResponse(res, "Zone retrieved", { zone, assigned });
+  } catch (error) {
+    console.error("Error fetching zone:", error);
+    if (error.name === "CastError") {
+      return errorResponse(res, error.message, 400);
+    }
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Create a zone and assign the bins, requests and users inside it
+ * POST /api/admin/zones
+ */
+exports.createZone = async (req, res) => {
+  try {
+    const fields = pickZoneFields(req.body);
+
+    if (!fields.name || !fields.boundary) {
+      return errorResponse(res, "Missing required fields (name, boundary)", 400);
+    }
+
+    const invalidCoordinators = await findInvalidCoordinators(fields.coordinators);
+    if (invalidCoordinators.length > 0) {
+      return errorResponse(res, "Coordinators must be coordinator accounts", 400, invalidCoordinators);
+    }
+
+    const zone = await Zone.create({ ...fields, createdBy: req.user.id });
+    const assigned = await Zone.reassignDocuments(zone);
+
+    return successResponse(res, "Zone created successfully", { zone, assigned }, 201);
+  } catch (error) {
+    console.error("Error creating zone:", error);
+    return zoneErrorResponse(res, error);
+  }
+};
+
+/**
+ * Update a zone; assignments are redone when its boundary or active flag changes
+ * PUT /api/admin/zones/:id
+ */
+exports.updateZone = async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.id);
+
+    if (!zone) {
+      return errorResponse(res, "Zone not found", 404);
+    }
+
+    const fields = pickZoneFields(req.body);
+
+    const invalidCoordinators = await findInvalidCoordinators(fields.coordinators);
+    if (invalidCoordinators.length > 0) {
+      return errorResponse(res, "Coordinators must be coordinator accounts", 400, invalidCoordinators);
+    }
+
+    zone.set(fields);
+    const reassign = zone.isModified("boundary") || zone.isModified("active");
+    await zone.save();
+
+    const assigned = reassign ? await Zone.reassignDocuments(zone) : await Zone.countAssigned(zone._id);
+
+    return successResponse(res, "Zone updated successfully", { zone, assigned, reassigned: reassign });
+  } catch (error) {
+    console.error("Error updating zone:", error);
+    return zoneErrorResponse(res, error);
+  }
+};
+
+/**
+ * Delete a zone; its bins, requests and users move to any other zone they lie in
+ * DELETE /api/admin/zones/:id
+ */
+exports.deleteZone = async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.id);
+
+    if (!zone) {
+      return errorResponse(res, "Zone not found", 404);
+    }
+
+    const released = await Zone.countAssigned(zone._id);
+    await zone.deleteOne();
+    await Zone.reassignDocuments(zone);
+
+    return successResponse(res, "Zone deleted successfully", { zone, released });
+  } catch (error) {
+    console.error("Error deleting zone:", error);
+    if (error.name === "CastError") {
+      return errorResponse(res, error.message, 400);
+    }
+    return errorResponse(res, error.message, 500);
+  }
+};
@@ -1,6 +1,166 @@
 const User = require('../models/User.model');
+const Session = require('../models/Session.model');
+const SecurityPolicy = require('../models/SecurityPolicy.model');
 const { successResponse, errorResponse } = require('../utils/response');
-const { generateToken } = require('../utils/jwt');
+const { generateToken, generateChallengeToken, verifyChallengeToken } = require('../utils/jwt');
+const totp = require('../utils/totp');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/mail.service');
+const { sendPhoneVerificationCode } = require('../services/sms.service');
+const { logSecurityEvent, setSecurityContext } = require('../middleware/securityLogger');
+
+/**
+ * Open a session for the user and issue its token pair
+ * Older sessions beyond the role's concurrent session limit are revoked
+ * @returns {Object} { token, refreshToken }
+ */
+const startSession = async (user, req, policy) => {
+  const activePolicy = policy || await SecurityPolicy.getPolicy();
+
+  const { session, refreshToken } = await Session.createForUser(user._id, {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    maxSessions: activePolicy.getMaxSessions(user.role)
+  });
+
+  const token = generateToken(user._id, user.email, user.role, session._id.toString());
+
+  return { token, refreshToken };
+};
+
+/**
+ * Account lockout thresholds from the security policy
+ */
+const getLockoutConfig = (policy) => ({
+  maxAttempts: policy.lockout.maxFailedAttempts,
+  windowMinutes: policy.lockout.windowMinutes,
+  lockMinutes: policy.lockout.lockMinutes
+});
+
+/**
+ * Finish a login once every required factor has been checked:
+ * clear lockout state, open a session and respond with the token pair
+ */
+const completeLogin = async (user, req, res, policy, method) => {
+  // Update last login and clear any failed attempts
+  user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save();
+  
+  // Open a session and issue access + refresh tokens
+  const { token, refreshToken } = await startSession(user, req, policy);
+  
+  // Recorded as login-success by the logLoginAttempt route middleware
+  setSecurityContext(res, { userId: user._id, details: { method } });
+  
+  // Return user data without password
+  const userData = {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    address: user.address,
+    status: user.status,
+    lastLogin: user.lastLogin
+  };
+  
+  return successResponse(
+    res,
+    {
+      token,
+      refreshToken,
+      user: userData,
+      // Role requires 2FA but the user has not enrolled: only /api/auth/2fa/* will accept the token
+      twoFactorSetupRequired: policy.isTwoFactorRequired(user.role) && !user.twoFactor?.enabled
+    },
+    'Login successful'
+  );
+};
+
+/**
+ * Handle a wrong password or second factor: count it towards the lockout
+ * and lock the account once over the limit (the attempt itself is logged by
+ * the logLoginAttempt route middleware)
+ */
+const rejectCredentials = async (user, req, res, policy, reason, message) => {
+  const lockout = getLockoutConfig(policy);
+  const locked = await user.registerFailedLogin(lockout);
+  setSecurityContext(res, { userId: user._id, failureReason: reason });
+  
+  if (locked) {
+    await logSecurityEvent('account-locked', req, {
+      userId: user._id,
+      success: false,
+      failureReason: 'Too many failed login attempts',
+      severity: 'high',
+      details: { lockUntil: user.lockUntil, maxAttempts: lockout.maxAttempts, timestamp: new Date() }
+    });
+    return errorResponse(res, `Too many failed attempts. Account locked for ${lockout.lockMinutes} minute(s).`, 423);
+  }
+  
+  return errorResponse(res, message, 401);
+};
+
+// Two-factor fields excluded from queries by default
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+/**
+ * Check a TOTP code or a recovery code for a user loaded with TWO_FACTOR_SECRETS
+ * Marks the code as used on the document; the caller saves it
+ * @returns {String|null} 'totp' or 'recovery-code', or null when neither is valid
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code);
+    // A code stays valid for its whole window but is only accepted once
+    if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+      return null;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+  
+  if (recoveryCode && user.useRecoveryCode(recoveryCode)) {
+    return 'recovery-code';
+  }
+  
+  return null;
+};
+
+/**
+ * Email a fresh verification link to the user
+ */
+const sendEmailVerification = async (user) => {
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS, 10) || 24;
+  const token = user.createEmailVerificationToken(expiresInHours);
+  await user.save();
+  return sendVerificationEmail(user, token, expiresInHours);
+};
+
+/**
+ * Text a fresh verification code to the user
+ */
+const sendPhoneVerification = async (user) => {
+  const expiresInMinutes = parseInt(process.env.PHONE_OTP_EXPIRES_MINUTES, 10) || 10;
+  const code = user.createPhoneOtp(expiresInMinutes);
+  await user.save();
+  return sendPhoneVerificationCode(user, code, expiresInMinutes);
+};
+
+/**
+ * Seconds until another verification message may be sent (0 when allowed)
+ */
+const resendCooldownRemaining = (lastSentAt) => {
+  if (!lastSentAt) return 0;
+  const cooldownSeconds = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 60;
+  return Math.max(0, Math.ceil((lastSentAt.getTime() + cooldownSeconds * 1000 - Date.now()) / 1000));
+};
+
+const verificationStatus = (user) => ({
+  emailVerified: Boolean(user.emailVerifiedAt),
+  phoneVerified: Boolean(user.phoneVerifiedAt),
+  status: user.status
+});
 
 /**
  * User signup
@@ -15,9 +175,11 @@ exports.signup = async (req, res) => {
       return errorResponse(res, 'Missing required fields: name, email, phone, password', 400);
     }
     
-    // Validate password length
-    if (password.length < 6) {
-      return errorResponse(res, 'Password must be at least 6 characters long', 400);
+    // Validate password against the security policy
+    const policy = await SecurityPolicy.getPolicy();
+    const passwordErrors = policy.validatePassword(password);
+    if (passwordErrors.length > 0) {
+      return errorResponse(res, passwordErrors.join(', '), 400, passwordErrors);
     }
     
     // Check if user already exists
@@ -34,11 +196,19 @@ exports.signup = async (req, res) => {
       password,
       role: 'citizen', // Default to citizen
       address: address || {},
-      status: 'active'
+      // Limited access until email and phone are confirmed
+      status: 'pending-verification'
     });
     
-    // Generate JWT token
-    const token = generateToken(user._id, user.email, user.role);
+    // Recorded as user-created by the logUserCreated route middleware
+    setSecurityContext(res, { userId: user._id, targetUserId: user._id });
+    
+    // A delivery failure must not fail the signup; the user can ask for a resend
+    await sendEmailVerification(user).catch(error => console.error('Verification email failed:', error));
+    await sendPhoneVerification(user).catch(error => console.error('Verification SMS failed:', error));
+    
+    // Open a session and issue access + refresh tokens
+    const { token, refreshToken } = await startSession(user, req, policy);
     
     // Return user data without password
     const userData = {
@@ -49,6 +219,8 @@ exports.signup = async (req, res) => {
       role: user.role,
       address: user.address,
       status: user.status,
+      emailVerified: false,
+      phoneVerified: false,
       createdAt: user.createdAt
     };
     
@@ -56,6 +228,7 @@ exports.signup = async (req, res) => {
       res,
       {
         token,
+        refreshToken,
         user: userData
       },
       'User registered successfully',
@@ -96,51 +269,584 @@ exports.login = async (req, res) => {
     const user = await User.findOne({ email }).select('+password');
     
     if (!user) {
+      setSecurityContext(res, { failureReason: 'Unknown email' });
       return errorResponse(res, 'Invalid email or password', 401);
     }
     
+    // Reject while a lockout is in effect, without checking the password
+    if (user.isLocked()) {
+      setSecurityContext(res, { userId: user._id, failureReason: 'Account locked' });
+      const minutesLeft = Math.ceil((user.lockUntil - Date.now()) / 60000);
+      return errorResponse(res, `Account is temporarily locked. Try again in ${minutesLeft} minute(s).`, 423);
+    }
+    
     // Check if user is active
-    if (user.status !== 'active') {
+    if (!user.canSignIn()) {
+      setSecurityContext(res, { userId: user._id, failureReason: `Account ${user.status}` });
       return errorResponse(res, 'Account is inactive or suspended', 403);
     }
     
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     
+    const policy = await SecurityPolicy.getPolicy();
+    
     if (!isPasswordValid) {
-      return errorResponse(res, 'Invalid email or password', 401);
+      return rejectCredentials(user, req, res, policy, 'Invalid password', 'Invalid email or password');
+    }
+    
+    // Expired passwords must be replaced through the reset flow before signing in
+    if (policy.isPasswordExpired(user.passwordChangedAt || user.createdAt)) {
+      setSecurityContext(res, { userId: user._id, failureReason: 'Password expired' });
+      return errorResponse(res, 'Password has expired. Use forgot password to set a new one.', 403);
+    }
+    
+    // Second factor: hand back a short-lived challenge instead of tokens
+    if (user.twoFactor?.enabled) {
+      // Not a completed login yet; /login/2fa records the outcome
+      setSecurityContext(res, { skip: true });
+      return successResponse(
+        res,
+        {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id)
+        },
+        'Two-factor authentication required'
+      );
+    }
+    
+    return completeLogin(user, req, res, policy, 'password');
+  } catch (error) {
+    console.error('Login error:', error);
+    return errorResponse(res, 'Login failed. Please try again.', 500);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/auth/refresh
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return errorResponse(res, 'Refresh token is required', 400);
+    }
+    
+    const session = await Session.findByRefreshToken(refreshToken);
+    
+    if (!session) {
+      // A rotated-out token being replayed means it leaked: end that session
+      const reused = await Session.findByPreviousToken(refreshToken);
+      if (reused && !reused.revokedAt) {
+        await reused.revoke('token-reuse');
+      }
+      return errorResponse(res, 'Invalid refresh token', 401);
+    }
+    
+    if (!session.isActive) {
+      return errorResponse(res, 'Session has expired or been revoked', 401);
+    }
+    
+    const policy = await SecurityPolicy.getPolicy();
+    if (session.isIdle(policy.sessions.idleTimeoutMinutes)) {
+      await session.revoke('idle-timeout');
+      return errorResponse(res, 'Session expired due to inactivity', 401);
     }
     
-    // Update last login
-    user.lastLogin = new Date();
+    const user = await User.findById(session.userId);
+    
+    if (!user || !user.canSignIn()) {
+      await session.revoke('account-disabled');
+      return errorResponse(res, 'Account is inactive or suspended', 401);
+    }
+    
+    // Rotate: the presented refresh token is now spent
+    const newRefreshToken = await session.rotate();
+    const token = generateToken(user._id, user.email, user.role, session._id.toString());
+    
+    return successResponse(res, 'Token refreshed successfully', {
+      token,
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    return errorResponse(res, 'Token refresh failed. Please log in again.', 500);
+  }
+};
+
+/**
+ * Logout (revokes the current session, or all sessions with allDevices)
+ * POST /api/auth/logout
+ */
+exports.logout = async (req, res) => {
+  try {
+    const { allDevices } = req.body;
+    
+    let revokedCount = 1;
+    if (allDevices) {
+      revokedCount = await Session.revokeAllForUser(req.user.id, 'logout');
+    } else {
+      await req.authSession.revoke('logout');
+    }
+    
+    return successResponse(res, 'Logged out successfully', { revokedSessions: revokedCount });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return errorResponse(res, 'Logout failed. Please try again.', 500);
+  }
+};
+
+/**
+ * Request a password reset email
+ * POST /api/auth/forgot-password
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return errorResponse(res, 'Email is required', 400);
+    }
+    
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    const genericMessage = 'If an account exists for this email, a password reset link has been sent';
+    
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    
+    if (!user || !user.canSignIn()) {
+      return successResponse(res, genericMessage);
+    }
+    
+    const expiresInMinutes = parseInt(process.env.RESET_TOKEN_EXPIRES_MINUTES, 10) || 30;
+    const resetToken = user.createPasswordResetToken(expiresInMinutes);
     await user.save();
     
-    // Generate JWT token
-    const token = generateToken(user._id, user.email, user.role);
+    await sendPasswordResetEmail(user, resetToken, expiresInMinutes);
     
-    // Return user data without password
-    const userData = {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      phone: user.phone,
-      role: user.role,
-      address: user.address,
-      status: user.status,
-      lastLogin: user.lastLogin
-    };
+    await logSecurityEvent('password-reset', req, {
+      userId: user._id,
+      severity: 'medium',
+      details: { stage: 'requested', timestamp: new Date() }
+    });
     
-    return successResponse(
-      res,
-      {
-        token,
-        user: userData
-      },
-      'Login successful'
-    );
+    return successResponse(res, genericMessage);
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Forgot password error:', error);
+    return errorResponse(res, 'Could not process password reset request. Please try again.', 500);
+  }
+};
+
+/**
+ * Reset password with a one-time token
+ * POST /api/auth/reset-password
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      return errorResponse(res, 'Token and password are required', 400);
+    }
+    
+    const policy = await SecurityPolicy.getPolicy();
+    const passwordErrors = policy.validatePassword(password);
+    if (passwordErrors.length > 0) {
+      return errorResponse(res, passwordErrors.join(', '), 400, passwordErrors);
+    }
+    
+    const user = await User.findByPasswordResetToken(token);
+    
+    if (!user) {
+      return errorResponse(res, 'Reset token is invalid or has expired', 400);
+    }
+    
+    if (await user.isPasswordReused(password, policy.password.historyCount)) {
+      return errorResponse(res, 'New password must not match your current or recent passwords', 400);
+    }
+    
+    // Consumes the token, so it cannot be used twice
+    await user.setPassword(password, policy.password.historyCount);
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'password-change');
+    
+    await logSecurityEvent('password-reset', req, {
+      userId: user._id,
+      severity: 'medium',
+      details: { stage: 'completed', revokedSessions, timestamp: new Date() }
+    });
+    
+    return successResponse(res, 'Password has been reset. Please log in with your new password.');
+  } catch (error) {
+    console.error('Reset password error:', error);
+    return errorResponse(res, 'Password reset failed. Please try again.', 500);
+  }
+};
+
+/**
+ * Change password for the authenticated user
+ * PUT /api/auth/password
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return errorResponse(res, 'Current password and new password are required', 400);
+    }
+    
+    const policy = await SecurityPolicy.getPolicy();
+    const passwordErrors = policy.validatePassword(newPassword);
+    if (passwordErrors.length > 0) {
+      return errorResponse(res, passwordErrors.join(', '), 400, passwordErrors);
+    }
+    
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
+    
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    
+    if (!isPasswordValid) {
+      return errorResponse(res, 'Current password is incorrect', 401);
+    }
+    
+    if (await user.isPasswordReused(newPassword, policy.password.historyCount)) {
+      return errorResponse(res, 'New password must not match your current or recent passwords', 400);
+    }
+    
+    await user.setPassword(newPassword, policy.password.historyCount);
+    
+    // End every session (including this one) and hand the caller a fresh pair
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'password-change');
+    const { token, refreshToken } = await startSession(user, req, policy);
+    
+    // Recorded as password-change by the logPasswordChange route middleware
+    setSecurityContext(res, { details: { revokedSessions } });
+    
+    return successResponse(res, 'Password changed successfully', { token, refreshToken });
+  } catch (error) {
+    console.error('Change password error:', error);
+    return errorResponse(res, 'Password change failed. Please try again.', 500);
+  }
+};
+
+/**
+ * Complete a two-factor login with a TOTP or recovery code
+ * POST /api/auth/login/2fa
+ */
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return errorResponse(res, 'Challenge token and a code or recovery code are required', 400);
+    }
+    
+    const invalidChallenge = 'Two-factor challenge is invalid or has expired. Please log in again.';
+    
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return errorResponse(res, invalidChallenge, 401);
+    }
+    
+    const user = await User.findById(decoded.id)
+      .select(TWO_FACTOR_SECRETS);
+    
+    if (!user || !user.canSignIn() || !user.twoFactor?.enabled) {
+      return errorResponse(res, invalidChallenge, 401);
+    }
+    
+    if (user.isLocked()) {
+      setSecurityContext(res, { userId: user._id, failureReason: 'Account locked' });
+      return errorResponse(res, 'Account is temporarily locked. Please try again later.', 423);
+    }
+    
+    const policy = await SecurityPolicy.getPolicy();
+    const method = verifySecondFactor(user, { code, recoveryCode });
+    
+    if (!method) {
+      return rejectCredentials(user, req, res, policy, 'Invalid two-factor code', 'Invalid two-factor code');
+    }
+    
+    return completeLogin(user, req, res, policy, method);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
     return errorResponse(res, 'Login failed. Please try again.', 500);
   }
 };
 
+/**
+ * Start two-factor enrollment: generate a secret and otpauth URI
+ * POST /api/auth/2fa/setup
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+    
+    if (user.twoFactor?.enabled) {
+      return errorResponse(res, 'Two-factor authentication is already enabled', 409);
+    }
+    
+    // Not active until confirmed with a code in /2fa/verify
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    
+    return successResponse(res, 'Scan the QR code with your authenticator app, then verify a code', {
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    return errorResponse(res, 'Two-factor setup failed. Please try again.', 500);
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * POST /api/auth/2fa/verify
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return errorResponse(res, 'Code is required', 400);
+    }
+    
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRETS);
+    
+    if (user.twoFactor.enabled) {
+      return errorResponse(res, 'Two-factor authentication is already enabled', 409);
+    }
+    
+    if (!user.twoFactor.pendingSecret) {
+      return errorResponse(res, 'Start two-factor setup first', 400);
+    }
+    
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+    
+    if (step === null) {
+      return errorResponse(res, 'Invalid two-factor code', 400);
+    }
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    
+    await logSecurityEvent('two-factor-enabled', req, {
+      severity: 'medium',
+      details: { timestamp: new Date() }
+    });
+    
+    return successResponse(res, 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they are shown only once.', {
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    return errorResponse(res, 'Could not enable two-factor authentication. Please try again.', 500);
+  }
+};
+
+/**
+ * Turn off two-factor authentication (password and a code required)
+ * POST /api/auth/2fa/disable
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    
+    if (!password || (!code && !recoveryCode)) {
+      return errorResponse(res, 'Password and a code or recovery code are required', 400);
+    }
+    
+    const policy = await SecurityPolicy.getPolicy();
+    
+    if (policy.isTwoFactorRequired(req.user.role)) {
+      return errorResponse(res, 'Two-factor authentication is mandatory for your role', 403);
+    }
+    
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_SECRETS}`);
+    
+    if (!user.twoFactor.enabled) {
+      return errorResponse(res, 'Two-factor authentication is not enabled', 400);
+    }
+    
+    if (!(await user.comparePassword(password)) || !verifySecondFactor(user, { code, recoveryCode })) {
+      return errorResponse(res, 'Invalid password or two-factor code', 401);
+    }
+    
+    user.twoFactor = { enabled: false };
+    await user.save();
+    
+    await logSecurityEvent('two-factor-disabled', req, {
+      severity: 'high',
+      details: { timestamp: new Date() }
+    });
+    
+    return successResponse(res, 'Two-factor authentication disabled');
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    return errorResponse(res, 'Could not disable two-factor authentication. Please try again.', 500);
+  }
+};
+
+/**
+ * Replace all recovery codes (a current TOTP code is required)
+ * POST /api/auth/2fa/recovery-codes
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return errorResponse(res, 'Code is required', 400);
+    }
+    
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRETS);
+    
+    if (!user.twoFactor.enabled) {
+      return errorResponse(res, 'Two-factor authentication is not enabled', 400);
+    }
+    
+    if (!verifySecondFactor(user, { code })) {
+      return errorResponse(res, 'Invalid two-factor code', 401);
+    }
+    
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    
+    return successResponse(res, 'Recovery codes regenerated. Previous codes no longer work.', {
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    return errorResponse(res, 'Could not regenerate recovery codes. Please try again.', 500);
+  }
+};
+
+/**
+ * Confirm an email address from the verification link
+ * POST /api/auth/verify-email
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return errorResponse(res, 'Verification token is required', 400);
+    }
+    
+    const user = await User.findByEmailVerificationToken(token);
+    
+    if (!user) {
+      return errorResponse(res, 'Verification link is invalid or has expired', 400);
+    }
+    
+    user.markEmailVerified();
+    await user.save();
+    
+    return successResponse(res, 'Email verified successfully', verificationStatus(user));
+  } catch (error) {
+    console.error('Email verification error:', error);
+    return errorResponse(res, 'Email verification failed. Please try again.', 500);
+  }
+};
+
+/**
+ * Send a new email verification link
+ * POST /api/auth/verify-email/resend
+ */
+exports.resendEmailVerification = async (req, res) => {
+  try {
+    const user = req.user;
+    
+    if (user.emailVerifiedAt) {
+      return errorResponse(res, 'Email is already verified', 400);
+    }
+    
+    const retryAfter = resendCooldownRemaining(user.emailVerification?.lastSentAt);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return errorResponse(res, `Please wait ${retryAfter} seconds before requesting another email`, 429);
+    }
+    
+    await sendEmailVerification(user);
+    
+    return successResponse(res, 'Verification email sent');
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    return errorResponse(res, 'Could not send verification email. Please try again.', 500);
+  }
+};
+
+/**
+ * Confirm the phone number with the SMS code
+ * POST /api/auth/verify-phone
+ */
+exports.verifyPhone = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return errorResponse(res, 'Code is required', 400);
+    }
+    
+    const user = await User.findById(req.user.id)
+      .select('+phoneVerification.codeHash +phoneVerification.expiresAt +phoneVerification.attempts');
+    
+    if (user.phoneVerifiedAt) {
+      return errorResponse(res, 'Phone number is already verified', 400);
+    }
+    
+    const result = user.checkPhoneOtp(code);
+    await user.save();
+    
+    if (result === 'expired') {
+      return errorResponse(res, 'Verification code has expired. Please request a new one.', 400);
+    }
+    if (result === 'too-many-attempts') {
+      return errorResponse(res, 'Too many incorrect codes. Please request a new one.', 429);
+    }
+    if (result === 'invalid') {
+      return errorResponse(res, 'Invalid verification code', 400);
+    }
+    
+    return successResponse(res, 'Phone number verified successfully', verificationStatus(user));
+  } catch (error) {
+    console.error('Phone verification error:', error);
+    return errorResponse(res, 'Phone verification failed. Please try again.', 500);
+  }
+};
+
+/**
+ * Send a new phone verification code
+ * POST /api/auth/verify-phone/resend
+ */
+exports.resendPhoneVerification = async (req, res) => {
+  try {
+    const user = req.user;
+    
+    if (user.phoneVerifiedAt) {
+      return errorResponse(res, 'Phone number is already verified', 400);
+    }
+    
+    const retryAfter = resendCooldownRemaining(user.phoneVerification?.lastSentAt);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return errorResponse(res, `Please wait ${retryAfter} seconds before requesting another code`, 429);
+    }
+    
+    await sendPhoneVerification(user);
+    
+    return successResponse(res, 'Verification code sent');
+  } catch (error) {
+    console.error('Resend verification code error:', error);
+    return errorResponse(res, 'Could not send verification code. Please try again.', 500);
+  }
+};
@@ -1,4 +1,6 @@
+const mongoose = require("mongoose");
 const SmartBin = require("../models/SmartBin.model");
+const FillLevelReading = require("../models/FillLevelReading.model");
 const { successResponse, errorResponse } = require("../utils/response");
 const { buildPaginationResponse } = require("../middleware/queryBuilder");
 
@@ -226,7 +228,7 @@ exports.updateBin = async (req, res) => {
  */
 exports.updateFillLevel = async (req, res) => {
   try {
-    const { fillLevel } = req.body;
+    const { fillLevel, batteryLevel, temperature } = req.body;
 
     if (fillLevel === undefined || fillLevel === null) {
       return errorResponse(res, "Fill level is required", 400);
@@ -236,14 +238,27 @@ exports.updateFillLevel = async (req, res) => {
       return errorResponse(res, "Fill level must be between 0 and 100", 400);
     }
 
+    if (batteryLevel != null && !(batteryLevel >= 0 && batteryLevel <= 100)) {
+      return errorResponse(res, "Battery level must be between 0 and 100", 400);
+    }
+
+    if (temperature != null && !Number.isFinite(Number(temperature))) {
+      return errorResponse(res, "Temperature must be a number", 400);
+    }
+
     const bin = await SmartBin.findById(req.params.id);
 
     if (!bin) {
       return errorResponse(res, "Bin not found", 404);
     }
 
-    // Use the model method to update fill level (auto-updates status)
-    await bin.updateFillLevel(fillLevel);
+    // Use the model method to update fill level (auto-updates status and records the reading)
+    await bin.updateFillLevel(fillLevel, {
+      deviceId: req.device ? req.device._id : undefined,
+      batteryLevel,
+      temperature,
+      source: req.device ? "sensor" : "manual",
+    });
 
     await bin.populate("deviceId", "deviceId status batteryLevel");
 
@@ -267,6 +282,83 @@ exports.updateFillLevel = async (req, res) => {
   }
 };
 
+const HISTORY_UNITS = { m: "minute", h: "hour", d: "day" };
+const HISTORY_UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const MAX_HISTORY_BUCKETS = 1000;
+const DEFAULT_HISTORY_DAYS = 7;
+
+// min/max/avg of one measurement in a history bucket, null when no reading had it
+const bucketStats = (row, field) => {
+  const avg = row[`${field}Avg`];
+  if (avg === null || avg === undefined) return null;
+  return {
+    min: row[`${field}Min`],
+    max: row[`${field}Max`],
+    avg: Math.round(avg * 10) / 10,
+  };
+};
+
+/**
+ * Get fill-level history of a bin, downsampled to min/max/avg per interval
+ * GET /api/bins/:id/history?from=&to=&interval=
+ */
+exports.getFillLevelHistory = async (req, res) => {
+  try {
+    const { interval = "1h" } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return errorResponse(res, "Invalid bin ID", 400);
+    }
+
+    const match = /^(\d+)([mhd])$/.exec(interval);
+    if (!match || Number(match[1]) < 1) {
+      return errorResponse(res, "Interval must be a number of minutes, hours or days (e.g. 15m, 1h, 1d)", 400);
+    }
+    const binSize = Number(match[1]);
+    const unit = HISTORY_UNITS[match[2]];
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - DEFAULT_HISTORY_DAYS * HISTORY_UNIT_MS.day);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return errorResponse(res, "Invalid date", 400);
+    }
+    if (from > to) {
+      return errorResponse(res, "from must be before to", 400);
+    }
+    if ((to - from) / (binSize * HISTORY_UNIT_MS[unit]) > MAX_HISTORY_BUCKETS) {
+      return errorResponse(res, `Interval too short for the range (at most ${MAX_HISTORY_BUCKETS} buckets)`, 400);
+    }
+
+    if (!(await SmartBin.exists({ _id: req.params.id }))) {
+      return errorResponse(res, "Bin not found", 404);
+    }
+
+    const rows = await FillLevelReading.getHistory(req.params.id, { from, to, unit, binSize });
+
+    const history = {
+      binId: req.params.id,
+      from,
+      to,
+      interval,
+      buckets: rows.map((row) => ({
+        timestamp: row._id,
+        readings: row.readings,
+        fillLevel: bucketStats(row, "fillLevel"),
+        batteryLevel: bucketStats(row, "batteryLevel"),
+        temperature: bucketStats(row, "temperature"),
+      })),
+    };
+
+    return successResponse(res, "Fill level history retrieved successfully", history);
+  } catch (error) {
+    console.error("Error fetching fill level history:", error);
+    return errorResponse(res, "Failed to retrieve fill level history", 500);
+  }
+};
+
 /**
  * Empty bin (set fill level to 0)
  * PUT /api/bins/:id/empty
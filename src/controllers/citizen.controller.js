@@ -1,8 +1,16 @@
 const WasteRequest = require('../models/WasteRequest.model');
 const SmartBin = require('../models/SmartBin.model');
+const BillingConfig = require('../models/BillingConfig.model');
+const Invoice = require('../models/Invoice.model');
+const Payment = require('../models/Payment.model');
+const Wallet = require('../models/Wallet.model');
+const WalletTransaction = require('../models/WalletTransaction.model');
 const { successResponse, errorResponse } = require('../utils/response');
-const { calculateCost } = require('../utils/helpers');
 const { buildPaginationResponse } = require('../middleware/queryBuilder');
+const { toGeoPoint } = require('../utils/geo');
+const { renderInvoiceHtml } = require('../services/invoice.service');
+const { processPayment, getAmountDue, refundRequest, getGateway } = require('../services/payment.service');
+const { applyEarlyPaymentDiscount } = require('../services/billing.service');
 
 /**
  * Create waste pickup request
@@ -10,10 +18,16 @@ const { buildPaginationResponse } = require('../middleware/queryBuilder');
  */
 exports.createRequest = async (req, res) => {
   try {
-    const { userId, wasteType, quantity, address, preferredDate, description } = req.body;
+    const { wasteType, quantity, address, preferredDate, description } = req.body;
+    const userId = req.user.id;
+    
+    // Self-registered citizens must confirm their email and phone first
+    if (req.user.status === 'pending-verification') {
+      return errorResponse(res, 'Please verify your email address and phone number before creating requests', 403);
+    }
     
     // Validate required fields
-    if (!userId || !wasteType || !quantity || !address || !preferredDate) {
+    if (!wasteType || !quantity || !address || !preferredDate) {
       return errorResponse(res, 'Missing required fields', 400);
     }
     
@@ -31,29 +45,30 @@ exports.createRequest = async (req, res) => {
       return errorResponse(res, 'Preferred date cannot be more than 90 days in the future', 400);
     }
     
-    // Calculate estimated cost
-    const estimatedCost = calculateCost(wasteType, quantity);
-    const paymentStatus = estimatedCost > 0 ? 'pending' : 'not-required';
+    // Quote from the live billing configuration
+    const billingConfig = await BillingConfig.getConfig();
+    const quote = billingConfig.quote(wasteType, quantity);
     
     // Create request
-    const request = await WasteRequest.create({
+    const request = new WasteRequest({
       userId,
       wasteType,
       quantity,
       address,
       preferredDate: preferred,
       description,
-      estimatedCost,
-      paymentStatus,
       status: 'pending'
     });
+    request.applyQuote(quote);
+    await request.save();
     
     return successResponse(res, 'Request created successfully', {
       trackingId: request.trackingId,
       requestId: request._id,
       status: request.status,
       estimatedCost: request.estimatedCost,
-      paymentRequired: paymentStatus !== 'not-required',
+      costBreakdown: request.costBreakdown,
+      paymentRequired: request.paymentStatus !== 'not-required',
       preferredDate: request.preferredDate
     }, 201);
     
@@ -66,21 +81,12 @@ exports.createRequest = async (req, res) => {
 /**
  * Get user's requests with OData filtering
  * GET /api/citizen/requests
- * NOTE: In production, userId should come from authenticated session/JWT token
- * For MVP, we accept it as query parameter (X-User-ID header would be better)
+ * Always scoped to the authenticated user
  */
 exports.getRequests = async (req, res) => {
   try {
-    // TODO: In production, get userId from req.user (after authentication middleware)
-    // const userId = req.user?.id;
-    const userId = req.query.userId || req.headers['x-user-id'];
-    
-    if (!userId) {
-      return errorResponse(res, 'User ID is required (provide via query param or X-User-ID header)', 400);
-    }
-    
-    // Add userId to query (from OData middleware)
-    req.dbQuery.userId = userId;
+    // Scope query to the caller (overrides any userId filter)
+    req.dbQuery.userId = req.user.id;
     
     const { page, limit, sort, select } = req.dbOptions;
     const skip = (page - 1) * limit;
@@ -225,12 +231,12 @@ exports.trackRequest = async (req, res) => {
 };
 
 /**
- * Update payment status
+ * Pay for a request through the configured payment gateway
  * PUT /api/citizen/requests/:id/payment
  */
 exports.updatePayment = async (req, res) => {
   try {
-    const { amount, paymentMethod } = req.body;
+    const { amount, paymentMethod, paymentToken } = req.body;
     
     if (!amount || amount <= 0) {
       return errorResponse(res, 'Valid payment amount is required', 400);
@@ -250,25 +256,55 @@ exports.updatePayment = async (req, res) => {
       return errorResponse(res, 'Payment not required for this request', 400);
     }
     
-    // Validate amount meets minimum estimated cost
-    if (amount < request.estimatedCost) {
+    // Paying an invoice well before its due date earns the early-payment discount; it is only
+    // taken off here to quote the amount, and kept on the invoice once the payment is captured
+    const invoice = await Invoice.findOpenForRequest(request._id);
+    const earlyPaymentDiscount = await applyEarlyPaymentDiscount(invoice, new Date(), { save: false });
+    
+    // Validate amount covers what is still owed: the invoice total once invoiced, otherwise
+    // the final quote, or the estimate until the weight is recorded
+    const amountDue = getAmountDue(request, invoice);
+    const { netPaid } = await Payment.getLedgerSummary(request._id);
+    const outstanding = Math.round((amountDue - netPaid) * 100) / 100;
+    if (amount < outstanding) {
+      const basis = invoice ? `invoice ${invoice.invoiceNumber}` : `${request.actualCost != null ? 'actual' : 'estimated'} cost`;
       return errorResponse(
         res, 
-        `Payment amount must be at least ${request.estimatedCost} (estimated cost)`, 
+        `Payment amount must be at least ${outstanding} (${basis})`, 
         400
       );
     }
     
-    request.actualCost = amount;
-    request.paymentStatus = 'paid';
-    await request.save();
+    // Nothing is charged for manual payments (cash, transfers): they stay authorized
+    // until an admin confirms the money arrived and captures them
+    const settings = await BillingConfig.getGatewaySettings();
+    const capture = getGateway(settings.provider).name !== 'manual';
     
-    return successResponse(res, 'Payment recorded successfully', {
+    const { payment, nextAction } = await processPayment(request, {
+      amount,
+      method: paymentMethod,
+      paymentToken,
+      capture
+    });
+    
+    if (payment.status === 'failed') {
+      return errorResponse(res, `Payment failed: ${payment.failureReason}`, 402);
+    }
+    
+    const captured = payment.status === 'captured';
+    
+    return successResponse(res, captured ? 'Payment recorded successfully' : 'Payment started; awaiting confirmation', {
       trackingId: request.trackingId,
       paymentStatus: request.paymentStatus,
-      amount: request.actualCost,
-      paymentMethod
-    });
+      paymentId: payment._id,
+      paymentState: payment.status,
+      gatewayReference: payment.gatewayReference,
+      amount: payment.amount,
+      amountDue,
+      earlyPaymentDiscount,
+      paymentMethod: payment.method,
+      nextAction
+    }, captured ? 200 : 202);
     
   } catch (error) {
     console.error('Error updating payment:', error);
@@ -282,48 +318,56 @@ exports.updatePayment = async (req, res) => {
  */
 exports.getNearbyBins = async (req, res) => {
   try {
-    const { lat, lng, radius = 20000000, binType } = req.query;
+    const { lat, lng, radius = 2000, binType } = req.query;
     
     if (!lat || !lng) {
       return errorResponse(res, 'Latitude and longitude required', 400);
     }
     
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const maxDistance = parseInt(radius);
+    const origin = toGeoPoint({ lat: parseFloat(lat), lng: parseFloat(lng) });
+    const maxDistance = parseFloat(radius);
     
-    if (isNaN(latitude) || isNaN(longitude)) {
+    if (!origin) {
       return errorResponse(res, 'Invalid coordinates', 400);
     }
+    if (isNaN(maxDistance) || maxDistance <= 0) {
+      return errorResponse(res, 'Radius must be a positive number of meters', 400);
+    }
     
     // Build query
-    const query = {
-      "location.coordinates": {
-        $near: {
-          $geometry: {
-            type: "Point",
-            coordinates: [longitude, latitude],
-          },
-          // $maxDistance: maxDistance
-        },
-      },
-      status: "active",
-    };
+    const query = { status: 'active' };
     
     // Add bin type filter if provided
     if (binType) {
       query.binType = binType;
     }
     
-    const bins = await SmartBin.find(query).limit(20);
+    // Nearest first, within the radius, with the distance in meters
+    const results = await SmartBin.aggregate([
+      {
+        $geoNear: {
+          near: origin,
+          key: 'location.point',
+          distanceField: 'distance',
+          maxDistance,
+          query,
+          spherical: true
+        }
+      },
+      { $limit: 20 }
+    ]);
     
     // Add distance and status info
-    const binsWithMetadata = bins.map(bin => ({
-      ...bin.toObject(),
-      fillStatusColor: bin.fillStatusColor,
-      fillStatusLabel: bin.fillStatusLabel,
-      needsCollection: bin.needsCollection
-    }));
+    const binsWithMetadata = results.map(result => {
+      const bin = SmartBin.hydrate(result);
+      return {
+        ...bin.toObject(),
+        distance: Math.round(result.distance),
+        fillStatusColor: bin.fillStatusColor,
+        fillStatusLabel: bin.fillStatusLabel,
+        needsCollection: bin.needsCollection
+      };
+    });
     
     return successResponse(res, 'Nearby bins retrieved', binsWithMetadata);
     
@@ -366,13 +410,32 @@ exports.cancelRequest = async (req, res) => {
       }
     }
     
+    // Money paid is refunded, less the cancellation fee when cancelling close to collection
+    const billingConfig = await BillingConfig.getConfig();
+    const feeWindow = billingConfig.getCancellationFee(request.scheduledDate || request.preferredDate);
+    const refund = await refundRequest(request, {
+      feePercentage: feeWindow ? feeWindow.feePercentage : 0,
+      reason: reason || 'Request cancelled',
+      createdBy: request.userId
+    });
+    
     request.status = 'cancelled';
     request.notes = reason || 'Cancelled by user';
+    if (refund.fee > 0) request.cancellationFee = refund.fee;
     await request.save();
     
     return successResponse(res, 'Request cancelled successfully', {
       trackingId: request.trackingId,
-      status: request.status
+      status: request.status,
+      paymentStatus: request.paymentStatus,
+      refund: {
+        paid: refund.paid,
+        cancellationFee: refund.fee,
+        feeWindow,
+        refunded: refund.refunded,
+        failed: refund.failed,
+        refunds: refund.refunds
+      }
     });
     
   } catch (error) {
@@ -381,3 +444,151 @@ exports.cancelRequest = async (req, res) => {
   }
 };
 
+/**
+ * Get the authenticated user's invoices
+ * GET /api/citizen/invoices
+ */
+exports.getInvoices = async (req, res) => {
+  try {
+    // Scope query to the caller (overrides any userId filter)
+    req.dbQuery.userId = req.user.id;
+    
+    const { page, limit, sort } = req.dbOptions;
+    const skip = (page - 1) * limit;
+    
+    const [invoices, total] = await Promise.all([
+      Invoice
+        .find(req.dbQuery)
+        .sort(Object.keys(sort).length > 0 ? sort : { issuedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('requestId', 'trackingId wasteType quantity'),
+      Invoice.countDocuments(req.dbQuery)
+    ]);
+    
+    const pagination = buildPaginationResponse(page, limit, total);
+    
+    return successResponse(res, 'Invoices retrieved successfully', invoices, 200, pagination);
+    
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get invoice by ID
+ * GET /api/citizen/invoices/:id
+ */
+exports.getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await Invoice
+      .findById(req.params.id)
+      .populate('requestId', 'trackingId wasteType quantity address completedDate');
+    
+    if (!invoice) {
+      return errorResponse(res, 'Invoice not found', 404);
+    }
+    
+    return successResponse(res, 'Invoice retrieved', invoice);
+    
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Download invoice as a printable HTML document
+ * GET /api/citizen/invoices/:id/download
+ */
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice
+      .findById(req.params.id)
+      .populate('requestId', 'trackingId wasteType quantity')
+      .populate('userId', 'name email');
+    
+    if (!invoice) {
+      return errorResponse(res, 'Invoice not found', 404);
+    }
+    
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.html"`);
+    return res.status(200).send(renderInvoiceHtml(invoice));
+    
+  } catch (error) {
+    console.error('Error downloading invoice:', error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get the payment ledger of a request
+ * GET /api/citizen/requests/:id/payments
+ */
+exports.getRequestPayments = async (req, res) => {
+  try {
+    const request = await WasteRequest.findById(req.params.id).select('trackingId estimatedCost actualCost paymentStatus');
+    
+    if (!request) {
+      return errorResponse(res, 'Request not found', 404);
+    }
+    
+    const { payments, netPaid } = await Payment.getLedgerSummary(request._id);
+    const invoice = await Invoice.findOpenForRequest(request._id);
+    
+    return successResponse(res, 'Payments retrieved', {
+      trackingId: request.trackingId,
+      paymentStatus: request.paymentStatus,
+      amountDue: getAmountDue(request, invoice),
+      netPaid,
+      payments
+    });
+    
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get the authenticated user's wallet balance and transaction history
+ * GET /api/citizen/wallet
+ */
+exports.getWallet = async (req, res) => {
+  try {
+    const wallet = await Wallet.getForUser(req.user.id);
+    
+    // Scope query to the caller (overrides any userId filter)
+    req.dbQuery.userId = req.user.id;
+    
+    const { page, limit, sort } = req.dbOptions;
+    const skip = (page - 1) * limit;
+    
+    const [transactions, total] = await Promise.all([
+      WalletTransaction
+        .find(req.dbQuery)
+        .sort(Object.keys(sort).length > 0 ? sort : { createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('requestId', 'trackingId wasteType')
+        .populate('invoiceId', 'invoiceNumber'),
+      WalletTransaction.countDocuments(req.dbQuery)
+    ]);
+    
+    const pagination = buildPaginationResponse(page, limit, total);
+    
+    return successResponse(res, 'Wallet retrieved', {
+      balance: wallet.balance,
+      currency: wallet.currency,
+      totalCredited: wallet.totalCredited,
+      totalDebited: wallet.totalDebited,
+      transactions
+    }, 200, pagination);
+    
+  } catch (error) {
+    console.error('Error fetching wallet:', error);
+    return errorResponse(res, error.message, 500);
+  }
+};
@@ -3,9 +3,13 @@ const SmartBin = require('../models/SmartBin.model');
 const Route = require('../models/Route.model');
 const User = require("../models/User.model");
 const CrewProfile = require("../models/CrewProfile.model");
+const BillingConfig = require("../models/BillingConfig.model");
 const { successResponse, errorResponse } = require("../utils/response");
 const { buildPaginationResponse } = require("../middleware/queryBuilder");
 const { optimizeRoute } = require("../services/routeOptimizer.service");
+const { issueInvoiceOnCompletion } = require("../services/invoice.service");
+const { syncRequestPaymentStatus, refundRequest } = require("../services/payment.service");
+const { creditRecyclingIncentive } = require("../services/wallet.service");
 
 /**
  * Get coordinator dashboard
@@ -121,13 +125,16 @@ exports.getPendingRequests = async (req, res) => {
     const { page, limit } = req.dbOptions;
     const skip = (page - 1) * limit;
 
+    // Only the zone filter applies; the status is always pending
+    const filter = { ...req.dbQuery, status: "pending" };
+
     const [requests, total] = await Promise.all([
-      WasteRequest.find({ status: "pending" })
+      WasteRequest.find(filter)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .populate("userId", "name email phone address"),
-      WasteRequest.countDocuments({ status: "pending" }),
+      WasteRequest.countDocuments(filter),
     ]);
 
     const pagination = buildPaginationResponse(page, limit, total);
@@ -195,12 +202,24 @@ exports.rejectRequest = async (req, res) => {
       return errorResponse(res, "Only pending requests can be rejected", 400);
     }
 
+    // Anything the citizen already paid goes back in full
+    const refund = await refundRequest(request, {
+      reason: `Request rejected: ${reason}`,
+      createdBy: req.user.id,
+    });
+
     await request.reject(reason);
 
     return successResponse(res, "Request rejected", {
       trackingId: request.trackingId,
       status: request.status,
       reason: request.rejectionReason,
+      paymentStatus: request.paymentStatus,
+      refund: {
+        refunded: refund.refunded,
+        failed: refund.failed,
+        refunds: refund.refunds,
+      },
     });
   } catch (error) {
     console.error("Error rejecting request:", error);
@@ -218,17 +237,27 @@ exports.optimizeRouteHandler = async (req, res) => {
       fillLevelThreshold = 90,
       includePendingRequests = true,
       includeApprovedRequests = true,
+      includePredicted = true,
       startLocation,
       maxStops = 50,
-      coordinatorId,
       routeName,
     } = req.body;
+    const coordinatorId = req.user.id;
+
+    const scheduledDate = req.body.scheduledDate ? new Date(req.body.scheduledDate) : new Date();
+    if (isNaN(scheduledDate.getTime())) {
+      return errorResponse(res, "Invalid scheduled date", 400);
+    }
 
-    // Get bins above threshold
+    // Get bins above threshold, and those forecast to be full by the scheduled date
+    const binFilters = [{ fillLevel: { $gte: fillLevelThreshold } }];
+    if (includePredicted) {
+      binFilters.push({ predictedFullAt: { $lte: scheduledDate } });
+    }
     const bins = await SmartBin.find({
-      status: "active",
-      fillLevel: { $gte: fillLevelThreshold },
-    }).select("binId location fillLevel binType status");
+      status: { $in: ["active", "full"] },
+      $or: binFilters,
+    }).select("binId location fillLevel binType status predictedFullAt");
 
     // Get approved requests
     let requests = [];
@@ -243,6 +272,7 @@ exports.optimizeRouteHandler = async (req, res) => {
       fillLevelThreshold,
       startLocation: startLocation || { lat: 6.9271, lng: 79.8612 },
       maxStops,
+      predictedFullBy: includePredicted ? scheduledDate : null,
     });
 
     // Generate route name if not provided
@@ -253,11 +283,11 @@ exports.optimizeRouteHandler = async (req, res) => {
     // Create and save the optimized route
     const route = await Route.create({
       routeName: generatedRouteName,
-      coordinatorId: coordinatorId || null,
+      coordinatorId,
       stops: optimized.stops,
       totalDistance: optimized.totalDistance,
       estimatedDuration: optimized.estimatedDuration,
-      scheduledDate: new Date(),
+      scheduledDate,
       status: "draft",
     });
 
@@ -286,29 +316,22 @@ exports.createRoute = async (req, res) => {
   try {
     const {
       routeName,
-      coordinatorId,
       stops = [],
       scheduledDate,
       totalDistance,
       estimatedDuration,
       status = "draft",
     } = req.body;
+    const coordinatorId = req.user.id;
 
     // Validate route name is provided
     if (!routeName || routeName.trim().length === 0) {
       return errorResponse(res, "Route name is required", 400);
     }
 
-    // For draft routes, allow empty stops and optional coordinatorId
-    // For other statuses, require coordinatorId and at least one stop
+    // For draft routes, allow empty stops
+    // For other statuses, require at least one stop
     if (status !== "draft") {
-      if (!coordinatorId) {
-        return errorResponse(
-          res,
-          "Coordinator ID is required for non-draft routes",
-          400
-        );
-      }
       if (!stops || stops.length === 0) {
         return errorResponse(
           res,
@@ -320,7 +343,7 @@ exports.createRoute = async (req, res) => {
 
     const route = await Route.create({
       routeName: routeName.trim(),
-      coordinatorId: coordinatorId || null,
+      coordinatorId,
       stops: stops || [],
       scheduledDate: scheduledDate || new Date(),
       totalDistance: totalDistance || 0,
@@ -535,13 +558,18 @@ exports.updateRouteStatus = async (req, res) => {
 exports.updateStopStatus = async (req, res) => {
   try {
     const { stopIndex } = req.params;
-    const { status } = req.body;
+    const { status, actualWeightKg } = req.body;
 
     const validStatuses = ["pending", "completed", "skipped"];
     if (!validStatuses.includes(status)) {
       return errorResponse(res, "Invalid status", 400);
     }
 
+    const hasWeight = actualWeightKg !== undefined && actualWeightKg !== null;
+    if (hasWeight && !(Number(actualWeightKg) > 0)) {
+      return errorResponse(res, "actualWeightKg must be a positive number", 400);
+    }
+
     const route = await Route.findById(req.params.id);
 
     if (!route) {
@@ -553,6 +581,14 @@ exports.updateStopStatus = async (req, res) => {
       return errorResponse(res, "Invalid stop index", 400);
     }
 
+    if (hasWeight && (status !== "completed" || route.stops[index].stopType !== "request")) {
+      return errorResponse(
+        res,
+        "actualWeightKg can only be recorded when completing a request stop",
+        400
+      );
+    }
+
     route.updateStopStatus(index, status);
     await route.save();
 
@@ -565,12 +601,23 @@ exports.updateStopStatus = async (req, res) => {
     }
 
     // If stop is a request and completed, update request status
+    // A recorded weight re-quotes the request against the billing configuration version it was created under
+    // and, for recyclables, earns the citizen the per-kg incentive
+    let request = null;
+    let incentive = null;
     if (status === "completed" && route.stops[index].stopType === "request") {
-      const request = await WasteRequest.findById(
-        route.stops[index].referenceId
-      );
+      request = await WasteRequest.findById(route.stops[index].referenceId);
       if (request) {
+        const billingConfig = await BillingConfig.getConfigForRequest(request);
+        if (hasWeight) {
+          request.applyQuote(
+            billingConfig.quote(request.wasteType, request.quantity, Number(actualWeightKg))
+          );
+          await syncRequestPaymentStatus(request);
+        }
         await request.complete();
+        incentive = await creditRecyclingIncentive(request, billingConfig);
+        await issueInvoiceOnCompletion(request);
       }
     }
 
@@ -579,6 +626,12 @@ exports.updateStopStatus = async (req, res) => {
       stopIndex: index,
       stopStatus: status,
       routeCompletion: route.completionPercentage,
+      ...(request && hasWeight && {
+        actualWeightKg: request.actualWeightKg,
+        actualCost: request.actualCost,
+        costBreakdown: request.costBreakdown,
+      }),
+      ...(incentive && { incentiveCredited: incentive.amount }),
     });
   } catch (error) {
     console.error("Error updating stop status:", error);
@@ -5,6 +5,8 @@ const SmartBin = require('../models/SmartBin.model');
 const WasteRequest = require('../models/WasteRequest.model');
 const { successResponse, errorResponse } = require('../utils/response');
 const { buildPaginationResponse } = require('../middleware/queryBuilder');
+const { issueInvoiceOnCompletion } = require('../services/invoice.service');
+const { creditRecyclingIncentive } = require('../services/wallet.service');
 
 /**
  * Get crew dashboard with statistics and current assignments
@@ -12,11 +14,7 @@ const { buildPaginationResponse } = require('../middleware/queryBuilder');
  */
 exports.getCrewDashboard = async (req, res) => {
   try {
-    const { crewId } = req.query;
-    
-    if (!crewId) {
-      return errorResponse(res, 'Crew ID is required', 400);
-    }
+    const crewId = req.user.id;
     
     // Get crew user details
     const crew = await User.findById(crewId).select('-password');
@@ -95,11 +93,7 @@ exports.getCrewDashboard = async (req, res) => {
  */
 exports.getActiveRoute = async (req, res) => {
   try {
-    const { crewId } = req.query;
-    
-    if (!crewId) {
-      return errorResponse(res, 'Crew ID is required', 400);
-    }
+    const crewId = req.user.id;
     
     const activeRoute = await Route.findOne({ 
       crewId, 
@@ -137,11 +131,7 @@ exports.getActiveRoute = async (req, res) => {
  */
 exports.getMyRoutes = async (req, res) => {
   try {
-    const { crewId } = req.query;
-    
-    if (!crewId) {
-      return errorResponse(res, 'Crew ID is required', 400);
-    }
+    const crewId = req.user.id;
     
     const { page, limit, sort } = req.dbOptions;
     const skip = (page - 1) * limit;
@@ -317,10 +307,12 @@ exports.updateStopStatus = async (req, res) => {
     // If it's a waste request, update its status
     const stop = route.stops[stopIdx];
     if (stop.stopType === "request" && status === "completed") {
-      await WasteRequest.findByIdAndUpdate(stop.referenceId, {
-        status: "completed",
-        completedDate: new Date(),
-      });
+      const request = await WasteRequest.findById(stop.referenceId);
+      if (request) {
+        await request.complete();
+        await creditRecyclingIncentive(request);
+        await issueInvoiceOnCompletion(request);
+      }
     }
 
     // If it's a bin and completed, empty the bin
@@ -350,10 +342,10 @@ exports.updateStopStatus = async (req, res) => {
  */
 exports.reportIssue = async (req, res) => {
   try {
-    const { crewId, routeId, issueType, description, location, stopIndex } = req.body;
+    const { routeId, issueType, description, location, stopIndex } = req.body;
     
-    if (!crewId || !issueType || !description) {
-      return errorResponse(res, 'Crew ID, issue type, and description are required', 400);
+    if (!issueType || !description) {
+      return errorResponse(res, 'Issue type and description are required', 400);
     }
     
     // For now, we'll store issues as notes in the route
@@ -364,6 +356,10 @@ exports.reportIssue = async (req, res) => {
       return errorResponse(res, 'Route not found', 404);
     }
     
+    if (!route.crewId || route.crewId.toString() !== req.user.id) {
+      return errorResponse(res, 'You can only report issues on routes assigned to you', 403);
+    }
+    
     // Add issue to route notes
     const issueNote = `[ISSUE REPORTED] ${new Date().toISOString()}\nType: ${issueType}\nDescription: ${description}\nLocation: ${location || 'Not specified'}`;
     route.notes = route.notes ? `${route.notes}\n\n${issueNote}` : issueNote;
@@ -395,11 +391,7 @@ exports.reportIssue = async (req, res) => {
  */
 exports.getProfile = async (req, res) => {
   try {
-    const { crewId } = req.query;
-    
-    if (!crewId) {
-      return errorResponse(res, 'Crew ID is required', 400);
-    }
+    const crewId = req.user.id;
     
     const user = await User.findById(crewId).select('-password');
     
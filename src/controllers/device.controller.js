@@ -1,7 +1,13 @@
+const mongoose = require("mongoose");
 const Device = require("../models/Device.model");
 const SmartBin = require("../models/SmartBin.model");
 const { successResponse, errorResponse } = require("../utils/response");
 const { buildPaginationResponse } = require("../middleware/queryBuilder");
+const { ingestTelemetryBatch, MAX_BATCH_SIZE } = require("../services/telemetry.service");
+
+// Gateways are devices registered with deviceType "gateway"
+const gatewayExists = async (gatewayId) =>
+  mongoose.isValidObjectId(gatewayId) && Boolean(await Device.exists({ _id: gatewayId, deviceType: "gateway" }));
 
 /**
  * Get all devices with filtering and pagination
@@ -93,6 +99,7 @@ exports.createDevice = async (req, res) => {
       deviceId,
       deviceType,
       binId,
+      gatewayId,
       status,
       batteryLevel,
       firmwareVersion,
@@ -121,17 +128,24 @@ exports.createDevice = async (req, res) => {
       }
     }
 
-    // Create new device
-    const device = await Device.create({
+    if (gatewayId && !(await gatewayExists(gatewayId))) {
+      return errorResponse(res, "Gateway not found", 404);
+    }
+
+    // Create new device with its telemetry API key
+    const device = new Device({
       deviceId,
       deviceType,
       binId: binId || null,
+      gatewayId: gatewayId || null,
       status: status || "active",
       batteryLevel: batteryLevel || null,
       firmwareVersion: firmwareVersion || null,
       installationDate: new Date(),
       lastSignal: new Date(),
     });
+    const apiKey = device.issueApiKey();
+    await device.save();
 
     // Populate the created device
     await device.populate("binId", "binId location status");
@@ -141,6 +155,8 @@ exports.createDevice = async (req, res) => {
       daysSinceLastSignal: device.daysSinceLastSignal,
       batteryStatus: device.batteryStatus,
       isOnline: device.isOnline,
+      // Shown only once; the device sends it in the X-Device-Key header
+      apiKey,
     };
 
     return successResponse(res, deviceData, "Device created successfully", 201);
@@ -173,6 +189,11 @@ exports.updateDevice = async (req, res) => {
     delete updates.installationDate;
     delete updates.errorLog;
     delete updates.maintenanceHistory;
+    // API keys change only through the issue and revoke endpoints
+    delete updates.apiKeyHash;
+    delete updates.apiKeyPrefix;
+    delete updates.apiKeyIssuedAt;
+    delete updates.apiKeyRevokedAt;
 
     // Validate bin exists if binId provided
     if (updates.binId) {
@@ -182,6 +203,10 @@ exports.updateDevice = async (req, res) => {
       }
     }
 
+    if (updates.gatewayId && !(await gatewayExists(updates.gatewayId))) {
+      return errorResponse(res, "Gateway not found", 404);
+    }
+
     if (Object.keys(updates).length === 0) {
       return errorResponse(res, "No valid fields provided for update", 400);
     }
@@ -234,6 +259,10 @@ exports.updateSignal = async (req, res) => {
       return errorResponse(res, "Device not found", 404);
     }
 
+    if (device.status === "decommissioned") {
+      return errorResponse(res, "Device has been decommissioned", 409);
+    }
+
     // Use the model method to update signal
     await device.updateSignal(batteryLevel);
 
@@ -280,6 +309,10 @@ exports.addError = async (req, res) => {
       return errorResponse(res, "Device not found", 404);
     }
 
+    if (device.status === "decommissioned") {
+      return errorResponse(res, "Device has been decommissioned", 409);
+    }
+
     // Use the model method to add error
     await device.addError(errorCode, description, severity || "medium");
 
@@ -308,18 +341,54 @@ exports.addError = async (req, res) => {
   }
 };
 
+/**
+ * Apply a batch of telemetry readings forwarded by a gateway
+ * POST /api/devices/telemetry/batch
+ * Responds 207 with per-item results when some readings were rejected
+ */
+exports.ingestTelemetryBatch = async (req, res) => {
+  try {
+    const readings = Array.isArray(req.body) ? req.body : req.body?.readings;
+
+    if (!Array.isArray(readings) || readings.length === 0) {
+      return errorResponse(res, "Readings must be a non-empty array", 400);
+    }
+
+    if (readings.length > MAX_BATCH_SIZE) {
+      return errorResponse(res, `A batch may hold at most ${MAX_BATCH_SIZE} readings`, 400);
+    }
+
+    // Gateways may only report for the devices assigned to them
+    const result = await ingestTelemetryBatch(readings, { gateway: req.device });
+
+    if (result.rejected === 0) {
+      return successResponse(res, "Telemetry batch applied", result);
+    }
+
+    const message = result.applied > 0
+      ? "Telemetry batch partially applied"
+      : "No readings in the telemetry batch were applied";
+
+    return successResponse(res, message, result, 207);
+  } catch (error) {
+    console.error("Error ingesting telemetry batch:", error);
+    return errorResponse(res, "Failed to ingest telemetry batch", 500);
+  }
+};
+
 /**
  * Add maintenance record to device
  * POST /api/devices/:id/maintenance
  */
 exports.addMaintenance = async (req, res) => {
   try {
-    const { action, technicianId, notes, workOrderId } = req.body;
+    const { action, notes, workOrderId } = req.body;
+    const technicianId = req.user.id;
 
-    if (!action || !technicianId || !notes) {
+    if (!action || !notes) {
       return errorResponse(
         res,
-        "Missing required fields: action, technicianId, notes",
+        "Missing required fields: action, notes",
         400
       );
     }
@@ -353,6 +422,77 @@ exports.addMaintenance = async (req, res) => {
   }
 };
 
+/**
+ * Issue a new API key for a device (the previous key stops working)
+ * POST /api/devices/:id/api-key
+ */
+exports.rotateApiKey = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return errorResponse(res, "Device not found", 404);
+    }
+
+    if (device.status === "decommissioned") {
+      return errorResponse(res, "Decommissioned devices cannot be issued an API key", 400);
+    }
+
+    const apiKey = device.issueApiKey();
+    await device.save();
+
+    return successResponse(res, "Device API key issued. It is shown only once.", {
+      deviceId: device.deviceId,
+      apiKey,
+      apiKeyPrefix: device.apiKeyPrefix,
+      apiKeyIssuedAt: device.apiKeyIssuedAt,
+    });
+  } catch (error) {
+    console.error("Error issuing device API key:", error);
+
+    if (error.kind === "ObjectId") {
+      return errorResponse(res, "Invalid device ID", 400);
+    }
+
+    return errorResponse(res, "Failed to issue device API key", 500);
+  }
+};
+
+/**
+ * Revoke a device's API key
+ * DELETE /api/devices/:id/api-key
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return errorResponse(res, "Device not found", 404);
+    }
+
+    if (device.apiKeyStatus !== "active") {
+      return errorResponse(res, "Device has no active API key", 400);
+    }
+
+    device.revokeApiKey();
+    await device.save();
+
+    return successResponse(res, "Device API key revoked", {
+      deviceId: device.deviceId,
+      apiKeyStatus: device.apiKeyStatus,
+      apiKeyRevokedAt: device.apiKeyRevokedAt,
+    });
+  } catch (error) {
+    console.error("Error revoking device API key:", error);
+
+    if (error.kind === "ObjectId") {
+      return errorResponse(res, "Invalid device ID", 400);
+    }
+
+    return errorResponse(res, "Failed to revoke device API key", 500);
+  }
+};
+
 /**
  * Decommission device
  * PUT /api/devices/:id/decommission
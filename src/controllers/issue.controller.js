@@ -10,10 +10,11 @@ const { buildPaginationResponse } = require('../middleware/queryBuilder');
  */
 exports.createIssue = async (req, res) => {
   try {
-    const { crewId, routeId, issueType, description, location, stopIndex, priority } = req.body;
+    const { routeId, issueType, description, location, stopIndex, priority } = req.body;
+    const crewId = req.user.id;
     
-    if (!crewId || !issueType || !description) {
-      return errorResponse(res, 'Crew ID, issue type, and description are required', 400);
+    if (!issueType || !description) {
+      return errorResponse(res, 'Issue type and description are required', 400);
     }
     
     // Verify crew exists
@@ -28,6 +29,9 @@ exports.createIssue = async (req, res) => {
       if (!route) {
         return errorResponse(res, 'Route not found', 404);
       }
+      if (!route.crewId || route.crewId.toString() !== crewId) {
+        return errorResponse(res, 'You can only report issues on routes assigned to you', 403);
+      }
     }
     
     // Auto-assign priority based on issue type
@@ -140,7 +144,8 @@ exports.getIssueById = async (req, res) => {
  */
 exports.updateIssueStatus = async (req, res) => {
   try {
-    const { status, resolvedBy, resolution } = req.body;
+    const { status, resolution } = req.body;
+    const resolvedBy = req.user.id;
     
     if (!status) {
       return errorResponse(res, 'Status is required', 400);
@@ -225,10 +230,11 @@ exports.updateIssuePriority = async (req, res) => {
  */
 exports.addComment = async (req, res) => {
   try {
-    const { userId, comment } = req.body;
+    const { comment } = req.body;
+    const userId = req.user.id;
     
-    if (!userId || !comment) {
-      return errorResponse(res, 'User ID and comment are required', 400);
+    if (!comment) {
+      return errorResponse(res, 'Comment is required', 400);
     }
     
     if (comment.length > 500) {
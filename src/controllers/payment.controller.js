@@ -0,0 +1,65 @@
+const PaymentEvent = require("../models/PaymentEvent.model");
+const BillingConfig = require("../models/BillingConfig.model");
+const paymentService = require("../services/payment.service");
+const { successResponse, errorResponse } = require("../utils/response");
+
+/**
+ * Receive a payment gateway webhook
+ * POST /api/payments/webhooks/:provider
+ * Public: the delivery is authenticated by the provider's signature
+ */
+exports.handleWebhook = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const gateway = paymentService.getWebhookGateway(provider);
+
+    if (!gateway) {
+      return errorResponse(res, "Unknown payment provider", 404);
+    }
+
+    const settings = await BillingConfig.getGatewaySettings();
+    const body = req.body || {};
+
+    const verified = await gateway.verifyWebhook({
+      headers: req.headers,
+      rawBody: req.rawBody,
+      body,
+      settings,
+    });
+    if (!verified) {
+      return errorResponse(res, "Invalid webhook signature", 400);
+    }
+
+    const parsed = gateway.parseWebhookEvent(body);
+    if (!parsed.eventId) {
+      return errorResponse(res, "Webhook payload has no event id", 400);
+    }
+
+    const { event, duplicate } = await PaymentEvent.record(provider, parsed, body);
+
+    // Already handled: acknowledge so the provider stops retrying
+    if (duplicate) {
+      return successResponse(res, "Event already processed", {
+        eventId: event.eventId,
+        status: event.status,
+        duplicate: true,
+      });
+    }
+
+    await paymentService.processPaymentEvent(event);
+
+    // A failed event gets a non-2xx so the provider delivers it again
+    if (event.status === "failed") {
+      return errorResponse(res, "Event could not be processed", 500);
+    }
+
+    return successResponse(res, "Event processed", {
+      eventId: event.eventId,
+      status: event.status,
+      duplicate: false,
+    });
+  } catch (error) {
+    console.error("Error handling payment webhook:", error);
+    return errorResponse(res, error.message, 500);
+  }
+};
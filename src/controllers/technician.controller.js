@@ -76,16 +76,12 @@ exports.getWorkOrderDetails = async (req, res) => {
 };
 
 /**
- * Assign work order to technician (self-assign or coordinator assign)
+ * Self-assign work order to the authenticated technician
  * PUT /api/technician/work-orders/:id/assign
  */
 exports.assignWorkOrder = async (req, res) => {
   try {
-    const { technicianId } = req.body;
-    
-    if (!technicianId) {
-      return errorResponse(res, 'Technician ID is required', 400);
-    }
+    const technicianId = req.user.id;
     
     const workOrder = await WorkOrder.findById(req.params.id);
     
@@ -267,7 +263,7 @@ exports.registerDevice = async (req, res) => {
       return errorResponse(res, 'Device ID already registered', 400);
     }
     
-    const device = await Device.create({
+    const device = new Device({
       deviceId,
       deviceType,
       binId: binId || null,
@@ -275,8 +271,11 @@ exports.registerDevice = async (req, res) => {
       installationDate: new Date(),
       lastSignal: new Date()
     });
+    // Raw key is returned once; the device sends it in the X-Device-Key header
+    const apiKey = device.issueApiKey();
+    await device.save();
     
-    return successResponse(res, 'Device registered successfully', device, 201);
+    return successResponse(res, 'Device registered successfully', { ...device.toObject(), apiKey }, 201);
     
   } catch (error) {
     console.error('Error registering device:', error);
@@ -1,4 +1,5 @@
 const User = require("../models/User.model");
+const SecurityPolicy = require("../models/SecurityPolicy.model");
 const { successResponse, errorResponse } = require("../utils/response");
 const { buildPaginationResponse } = require("../middleware/queryBuilder");
 
@@ -73,13 +74,11 @@ exports.createUser = async (req, res) => {
       );
     }
 
-    // Validate password length
-    if (password.length < 6) {
-      return errorResponse(
-        res,
-        "Password must be at least 6 characters long",
-        400
-      );
+    // Validate password against the security policy
+    const policy = await SecurityPolicy.getPolicy();
+    const passwordErrors = policy.validatePassword(password);
+    if (passwordErrors.length > 0) {
+      return errorResponse(res, passwordErrors.join(", "), 400, passwordErrors);
     }
 
     // Check if user already exists
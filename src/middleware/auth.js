@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const User = require('../models/User.model');
+const Session = require('../models/Session.model');
+const SecurityPolicy = require('../models/SecurityPolicy.model');
+const { verifyToken } = require('../utils/jwt');
+const { errorResponse } = require('../utils/response');
+
+/**
+ * Authentication middleware
+ * Verifies the Bearer token and attaches the caller to req.user
+ *
+ * Usage: app.use('/api/resource', authenticate, resourceRoutes)
+ */
+
+/**
+ * Extract the Bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {String|null} Raw token or null if not present
+ */
+const extractToken = (req) => {
+  const header = req.headers?.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+
+  return token.trim();
+};
+
+/**
+ * Build the access token check
+ * Responds 401 for missing, expired, invalid or revoked tokens, and 403 when the
+ * caller's role requires two-factor authentication they have not enabled yet
+ * (unless allowTwoFactorSetup is set, for the enrollment routes themselves)
+ */
+const createAuthenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
+  try {
+    const token = extractToken(req);
+
+    if (!token) {
+      return errorResponse(res, 'Authentication required', 401);
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return errorResponse(res, 'Token expired', 401);
+      }
+      return errorResponse(res, 'Invalid token', 401);
+    }
+
+    // Access tokens are bound to a session so they die with it
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+    if (!session || !session.isActive || session.userId.toString() !== decoded.id) {
+      return errorResponse(res, 'Session has been revoked', 401);
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+    if (session.isIdle(policy.sessions.idleTimeoutMinutes)) {
+      await session.revoke('idle-timeout');
+      return errorResponse(res, 'Session expired due to inactivity', 401);
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return errorResponse(res, 'User belonging to this token no longer exists', 401);
+    }
+
+    if (!user.canSignIn()) {
+      return errorResponse(res, 'Account is inactive or suspended', 401);
+    }
+
+    if (!allowTwoFactorSetup && policy.isTwoFactorRequired(user.role) && !user.twoFactor?.enabled) {
+      return errorResponse(res, 'Two-factor authentication must be enabled for your role. Set it up at /api/auth/2fa/setup', 403);
+    }
+
+    // Mongoose exposes `id` as the string form of `_id`
+    req.user = user;
+    req.token = decoded;
+    req.authSession = session;
+    await session.touch();
+
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return errorResponse(res, 'Authentication failed', 500);
+  }
+};
+
+const authenticate = createAuthenticate();
+
+/**
+ * Same as authenticate, but lets users who still have to enroll in two-factor
+ * authentication through (2FA setup, logout)
+ */
+const authenticateForTwoFactorSetup = createAuthenticate({ allowTwoFactorSetup: true });
+
+/**
+ * Restrict a route to the given roles
+ * Must run after authenticate; responds 403 for any other role
+ *
+ * Usage: router.put('/users/:id/role', authorize('admin'), handler)
+ * @param {...String} roles - Allowed User.role values
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return errorResponse(res, 'Authentication required', 401);
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return errorResponse(res, 'You do not have permission to perform this action', 403);
+  }
+
+  next();
+};
+
+/**
+ * Restrict a route to the owner of the addressed document
+ * Loads Model by req.params[param] and compares doc[ownerField] with req.user.id.
+ * The loaded document is not reused; handlers still fetch (and populate) their own copy.
+ *
+ * @param {mongoose.Model} Model - Model holding the owner reference
+ * @param {String} ownerField - Path of the owning user id (e.g. 'userId', 'crewId')
+ * @param {Object} options
+ * @param {String} options.param - Route param holding the document id (default 'id')
+ * @param {String[]} options.bypassRoles - Roles allowed regardless of ownership (default ['admin'])
+ */
+const authorizeOwnership = (Model, ownerField, options = {}) => {
+  const { param = 'id', bypassRoles = ['admin'] } = options;
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return errorResponse(res, 'Authentication required', 401);
+      }
+
+      if (bypassRoles.includes(req.user.role)) {
+        return next();
+      }
+
+      const id = req.params[param];
+      const doc = mongoose.isValidObjectId(id)
+        ? await Model.findById(id).select(ownerField).lean()
+        : null;
+
+      if (!doc) {
+        return errorResponse(res, `${Model.modelName} not found`, 404);
+      }
+
+      const ownerId = doc[ownerField] ? doc[ownerField].toString() : null;
+
+      if (ownerId !== req.user.id) {
+        return errorResponse(res, 'You do not have access to this resource', 403);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Ownership check error:', error);
+      return errorResponse(res, 'Authorization failed', 500);
+    }
+  };
+};
+
+/**
+ * Restrict a route whose path names a user id to that user
+ * @param {String} param - Route param holding the user id
+ * @param {String[]} bypassRoles - Roles allowed to act on other users (default ['admin'])
+ */
+const authorizeSelf = (param, bypassRoles = ['admin']) => (req, res, next) => {
+  if (!req.user) {
+    return errorResponse(res, 'Authentication required', 401);
+  }
+
+  if (!bypassRoles.includes(req.user.role) && req.params[param] !== req.user.id) {
+    return errorResponse(res, 'You do not have access to this resource', 403);
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  authenticateForTwoFactorSetup,
+  authorize,
+  authorizeOwnership,
+  authorizeSelf,
+  extractToken
+};
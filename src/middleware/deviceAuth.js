@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Device = require('../models/Device.model');
+const { authenticate, authorize } = require('./auth');
+const { errorResponse } = require('../utils/response');
+
+/**
+ * Device authentication for telemetry
+ * Sensors send their API key in the X-Device-Key header instead of a user token.
+ * Keys are issued when the device is registered and can be rotated or revoked
+ * at /api/devices/:id/api-key.
+ */
+
+/**
+ * Extract a device API key from the X-Device-Key header
+ * @returns {String|null} Raw key or null when absent
+ */
+const extractDeviceKey = (req) => {
+  const key = req.headers['x-device-key'];
+  return typeof key === 'string' && key.length > 0 ? key : null;
+};
+
+/**
+ * Resolve the device for the presented key and attach it as req.device
+ * Responds 401 for unknown or revoked keys and 403 for decommissioned devices
+ */
+const authenticateDevice = async (req, res, next) => {
+  try {
+    const apiKey = extractDeviceKey(req);
+
+    if (!apiKey) {
+      return errorResponse(res, 'Device API key required', 401);
+    }
+
+    const device = await Device.findByApiKey(apiKey);
+
+    if (!device) {
+      return errorResponse(res, 'Invalid or revoked device API key', 401);
+    }
+
+    if (device.status === 'decommissioned') {
+      return errorResponse(res, 'Device has been decommissioned', 403);
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Device authentication error:', error);
+    return errorResponse(res, 'Authentication failed', 500);
+  }
+};
+
+/**
+ * Router-level guard accepting either a device key or a user token
+ * Requests carrying X-Device-Key are authenticated as a device (req.device);
+ * all others go through the regular user authentication (req.user).
+ */
+const authenticateUserOrDevice = (req, res, next) => {
+  if (extractDeviceKey(req)) {
+    return authenticateDevice(req, res, next);
+  }
+  return authenticate(req, res, next);
+};
+
+/**
+ * Restrict a telemetry route to the device it concerns, or to users with the given roles
+ * A device may only report for itself ('device') or for the bin it is installed in ('bin').
+ *
+ * Usage: router.put('/:id/signal', authorizeTelemetry('device', ['technician', 'admin']), handler)
+ * @param {String} scope - 'device' when req.params[param] is a Device id, 'bin' for a SmartBin id
+ * @param {String[]} roles - User roles allowed to call the route with a user token
+ * @param {Object} options
+ * @param {String} options.param - Route param holding the id (default 'id')
+ */
+const authorizeTelemetry = (scope, roles, options = {}) => {
+  const { param = 'id' } = options;
+  const authorizeUser = authorize(...roles);
+
+  return (req, res, next) => {
+    if (!req.device) {
+      return authorizeUser(req, res, next);
+    }
+
+    const id = req.params[param];
+    const boundId = scope === 'bin' ? req.device.binId : req.device._id;
+
+    if (!boundId || !mongoose.isValidObjectId(id) || boundId.toString() !== id) {
+      return errorResponse(res, 'This device is not allowed to report for this resource', 403);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Restrict a route to gateway devices, or to users with the given roles
+ * Gateways report on behalf of the devices behind them, so they are not tied to one resource.
+ *
+ * Usage: router.post('/telemetry/batch', authorizeGateway(['technician', 'admin']), handler)
+ * @param {String[]} roles - User roles allowed to call the route with a user token
+ */
+const authorizeGateway = (roles) => {
+  const authorizeUser = authorize(...roles);
+
+  return (req, res, next) => {
+    if (!req.device) {
+      return authorizeUser(req, res, next);
+    }
+
+    if (req.device.deviceType !== 'gateway') {
+      return errorResponse(res, 'Only gateway devices may submit telemetry batches', 403);
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  authenticateDevice,
+  authenticateUserOrDevice,
+  authorizeGateway,
+  authorizeTelemetry,
+  extractDeviceKey
+};
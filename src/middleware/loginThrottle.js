@@ -0,0 +1,40 @@
+const SecurityLog = require('../models/SecurityLog.model');
+const { errorResponse } = require('../utils/response');
+
+/**
+ * Per-IP login throttling
+ * Counts recent login-failed events from the caller's IP (see auth.controller.login)
+ * and answers 429 once the limit is reached, regardless of which accounts were tried.
+ *
+ * Configuration:
+ * - LOGIN_IP_MAX_FAILED_ATTEMPTS (default 20)
+ * - LOGIN_IP_WINDOW_MINUTES (default 15)
+ */
+const loginThrottle = async (req, res, next) => {
+  try {
+    const maxAttempts = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS, 10) || 20;
+    const windowMinutes = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+    const ipAddress = req.ip || req.connection?.remoteAddress || 'unknown';
+    const windowStart = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+    const failedAttempts = await SecurityLog.countDocuments({
+      eventType: 'login-failed',
+      ipAddress,
+      createdAt: { $gte: windowStart }
+    });
+
+    if (failedAttempts >= maxAttempts) {
+      res.set('Retry-After', String(windowMinutes * 60));
+      return errorResponse(res, 'Too many failed login attempts. Please try again later.', 429);
+    }
+  } catch (error) {
+    // Never block logins because the throttle check itself failed
+    console.error('Login throttle check failed:', error);
+  }
+
+  next();
+};
+
+module.exports = {
+  loginThrottle
+};
@@ -0,0 +1,19 @@
+/**
+ * Raw body capture for payment webhooks
+ * Gateways sign the exact bytes they send, so signatures have to be checked against
+ * the body before JSON parsing. Used as the `verify` option of the body parsers;
+ * only webhook deliveries keep a copy.
+ */
+
+const WEBHOOK_PATH = '/api/payments/webhooks/';
+
+/**
+ * Body parser verify hook: keep the raw body on req.rawBody for webhook routes
+ */
+const keepRawBody = (req, res, buf) => {
+  if ((req.originalUrl || req.url).startsWith(WEBHOOK_PATH)) {
+    req.rawBody = buf.toString('utf8');
+  }
+};
+
+module.exports = { keepRawBody };
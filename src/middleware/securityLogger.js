@@ -4,6 +4,9 @@ const SecurityLog = require('../models/SecurityLog.model');
  * Security logging middleware
  * Logs authentication and security-related events
  * NO AUTHENTICATION REQUIRED - just logging
+ *
+ * The route middlewares below record the outcome after the handler has
+ * responded (success = status below 400), with the actor taken from req.user.
  */
 
 /**
@@ -13,7 +16,7 @@ const logSecurityEvent = async (eventType, req, additionalData = {}) => {
   try {
     const logData = {
       eventType,
-      userId: additionalData.userId || req.body?.userId || req.query?.userId || null,
+      userId: additionalData.userId || req.user?.id || null,
       targetUserId: additionalData.targetUserId || null,
       ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
       userAgent: req.get('user-agent') || 'unknown',
@@ -21,7 +24,7 @@ const logSecurityEvent = async (eventType, req, additionalData = {}) => {
       failureReason: additionalData.failureReason || null,
       severity: additionalData.severity || 'low',
       details: additionalData.details || {},
-      sessionId: req.sessionID || null
+      sessionId: req.token?.sid || null
     };
 
     // Parse device info from user agent
@@ -73,99 +76,205 @@ function parseDevice(userAgent) {
 }
 
 /**
- * Middleware to log login attempts
- * Call this in your login route after authentication
- */
-const logLoginAttempt = (success = true, failureReason = null) => {
-  return async (req, res, next) => {
-    await logSecurityEvent(
-      success ? 'login-success' : 'login-failed',
-      req,
-      {
-        success,
-        failureReason,
-        severity: success ? 'low' : 'medium',
-        details: {
-          email: req.body?.email,
-          timestamp: new Date()
-        }
-      }
-    );
-    next();
+ * Attach details for the security event recorded after this request
+ * Handlers use it to pass what only they know, e.g. the user a login was for
+ * or the role before a change. Later calls are merged into earlier ones.
+ * @param {Object} res - Express response object
+ * @param {Object} context - { userId, targetUserId, failureReason, skip, details }
+ */
+const setSecurityContext = (res, context) => {
+  const current = res.locals.securityContext || {};
+  res.locals.securityContext = {
+    ...current,
+    ...context,
+    details: { ...current.details, ...context.details }
   };
 };
 
 /**
- * Middleware to log logout events
+ * Run `callback(outcome)` once the handler has sent its response, so the
+ * recorded outcome is the real one rather than a guess made up front
+ * outcome: { success, statusCode, message, context }
  */
-const logLogout = async (req, res, next) => {
-  await logSecurityEvent('logout', req, {
-    severity: 'low',
-    details: {
-      timestamp: new Date()
+const onResponseFinished = (res, callback) => {
+  // Capture the JSON body once, so failures can record the handler's error message
+  if (!res.locals.securityResponseCaptured) {
+    res.locals.securityResponseCaptured = true;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.securityResponseBody = body;
+      return json(body);
+    };
+  }
+
+  res.once('finish', async () => {
+    const body = res.locals.securityResponseBody;
+    try {
+      await callback({
+        success: res.statusCode < 400,
+        statusCode: res.statusCode,
+        message: typeof body?.message === 'string' ? body.message : null,
+        context: res.locals.securityContext || {}
+      });
+    } catch (error) {
+      console.error('Failed to record security outcome:', error);
     }
   });
-  next();
 };
 
 /**
- * Middleware to log password changes
+ * Build a middleware that records `eventType` after the handler finishes
+ * @param {String} eventType - SecurityLog event type
+ * @param {Function} describe - (req, outcome) => extra logSecurityEvent data
  */
-const logPasswordChange = async (req, res, next) => {
-  await logSecurityEvent('password-change', req, {
-    severity: 'medium',
-    details: {
-      timestamp: new Date()
-    }
+const logOutcome = (eventType, describe = () => ({})) => (req, res, next) => {
+  onResponseFinished(res, async (outcome) => {
+    const { context } = outcome;
+    if (context.skip) return;
+
+    const extra = describe(req, outcome);
+    await logSecurityEvent(eventType, req, {
+      ...extra,
+      userId: context.userId || extra.userId,
+      targetUserId: context.targetUserId || extra.targetUserId,
+      success: outcome.success,
+      failureReason: outcome.success ? null : context.failureReason || outcome.message,
+      details: {
+        ...extra.details,
+        ...context.details,
+        statusCode: outcome.statusCode,
+        timestamp: new Date()
+      }
+    });
   });
   next();
 };
 
 /**
- * Middleware to log role changes
+ * Flag users with many failed logins or logins from many IPs
+ * Expects the login-failed/login-success event for this request to be recorded already.
  */
-const logRoleChange = async (req, res, next) => {
-  await logSecurityEvent('role-change', req, {
-    targetUserId: req.params.id || req.body.userId,
-    severity: 'high',
-    details: {
-      newRole: req.body.role,
-      timestamp: new Date()
-    }
-  });
-  next();
+const flagSuspiciousActivity = async (req, userId) => {
+  const ipAddress = req.ip || req.connection?.remoteAddress;
+  const activity = await SecurityLog.checkSuspiciousActivity(userId, ipAddress);
+
+  if (activity.suspicious) {
+    await logSecurityEvent('suspicious-activity', req, {
+      userId,
+      success: false,
+      severity: 'high',
+      failureReason: 'Multiple failed attempts or IP changes detected',
+      details: {
+        failedAttempts: activity.failedAttempts,
+        ipCount: activity.ipCount,
+        timestamp: new Date()
+      }
+    });
+  }
 };
 
 /**
- * Middleware to log data exports
+ * Middleware to log login attempts
+ * Records login-success or login-failed from the handler's response; the handler
+ * names the user with setSecurityContext({ userId }) and may set `skip` when no
+ * login was attempted yet (e.g. a two-factor challenge was issued).
+ * Failed attempts are then checked for suspicious patterns.
  */
-const logDataExport = async (req, res, next) => {
-  await logSecurityEvent('data-export', req, {
-    severity: 'medium',
-    details: {
-      exportType: req.query.type || 'unknown',
-      format: req.query.format || 'unknown',
-      timestamp: new Date()
+const logLoginAttempt = (req, res, next) => {
+  onResponseFinished(res, async ({ success, message, context }) => {
+    if (context.skip) return;
+
+    await logSecurityEvent(success ? 'login-success' : 'login-failed', req, {
+      userId: context.userId,
+      success,
+      failureReason: success ? null : context.failureReason || message,
+      severity: success ? 'low' : 'medium',
+      details: {
+        email: req.body?.email,
+        ...context.details,
+        timestamp: new Date()
+      }
+    });
+
+    if (!success && context.userId) {
+      await flagSuspiciousActivity(req, context.userId);
     }
   });
   next();
 };
 
+/**
+ * Middleware to log logout events
+ */
+const logLogout = logOutcome('logout', (req) => ({
+  severity: 'low',
+  details: { allDevices: Boolean(req.body?.allDevices) }
+}));
+
+/**
+ * Middleware to log password changes
+ */
+const logPasswordChange = logOutcome('password-change', () => ({
+  severity: 'medium'
+}));
+
+/**
+ * Middleware to log new accounts (signup and admin-created users)
+ * The handler names the new user with setSecurityContext({ targetUserId })
+ */
+const logUserCreated = logOutcome('user-created', (req) => ({
+  severity: req.user ? 'medium' : 'low',
+  details: {
+    email: req.body?.email,
+    role: req.body?.role || 'citizen',
+    selfRegistered: !req.user
+  }
+}));
+
+/**
+ * Middleware to log role and status changes
+ */
+const logRoleChange = logOutcome('role-change', (req) => ({
+  targetUserId: req.params.id || req.body.userId,
+  severity: 'high',
+  details: {
+    newRole: req.body.role,
+    newStatus: req.body.status
+  }
+}));
+
+/**
+ * Middleware to log user deactivation
+ */
+const logUserDeleted = logOutcome('user-deleted', (req) => ({
+  targetUserId: req.params.id,
+  severity: 'high'
+}));
+
+/**
+ * Middleware to log data exports
+ */
+const logDataExport = logOutcome('data-export', (req) => ({
+  severity: 'medium',
+  details: {
+    exportType: req.query.type || 'unknown',
+    format: req.query.format || 'json'
+  }
+}));
+
 /**
  * Middleware to log settings changes
  */
-const logSettingsChange = async (req, res, next) => {
-  await logSecurityEvent('settings-change', req, {
-    severity: 'medium',
-    details: {
-      settingsType: req.path.includes('privacy') ? 'privacy' : 
-                    req.path.includes('billing') ? 'billing' : 
-                    req.path.includes('security') ? 'security' : 'general',
-      timestamp: new Date()
-    }
-  });
-  next();
-};
+const logSettingsChange = logOutcome('settings-change', (req) => ({
+  severity: 'medium',
+  details: {
+    settingsType: req.path.includes('privacy') ? 'privacy' :
+                  req.path.includes('billing') ? 'billing' :
+                  req.path.includes('security') ? 'security' :
+                  req.path.includes('zones') ? 'zones' : 'general',
+    fields: Object.keys(req.body?.policies || req.body || {})
+  }
+}));
 
 /**
  * Middleware to log suspicious activity
@@ -183,42 +292,30 @@ const logSuspiciousActivity = async (req, reason) => {
 };
 
 /**
- * Check for suspicious activity and log if detected
+ * Check the authenticated user for suspicious activity after the handler finishes
+ * (use logLoginAttempt on login routes, where there is no authenticated user yet)
  */
-const checkSuspiciousActivity = async (req, res, next) => {
-  try {
-    const userId = req.body?.userId || req.query?.userId;
-    const ipAddress = req.ip || req.connection.remoteAddress;
-
+const checkSuspiciousActivity = (req, res, next) => {
+  onResponseFinished(res, async ({ context }) => {
+    const userId = req.user?.id || context.userId;
     if (userId) {
-      const suspicious = await SecurityLog.checkSuspiciousActivity(userId, ipAddress);
-      
-      if (suspicious.suspicious) {
-        await logSuspiciousActivity(req, `Multiple failed attempts or IP changes detected`);
-        
-        // Optionally, you could block the request here
-        // return res.status(429).json({ 
-        //   success: false, 
-        //   message: 'Too many failed attempts. Please try again later.' 
-        // });
-      }
+      await flagSuspiciousActivity(req, userId);
     }
-  } catch (error) {
-    console.error('Error checking suspicious activity:', error);
-  }
-  
+  });
   next();
 };
 
 module.exports = {
   logSecurityEvent,
+  setSecurityContext,
   logLoginAttempt,
   logLogout,
   logPasswordChange,
+  logUserCreated,
   logRoleChange,
+  logUserDeleted,
   logDataExport,
   logSettingsChange,
   logSuspiciousActivity,
   checkSuspiciousActivity
 };
-
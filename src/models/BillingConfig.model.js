@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const BillingConfigVersion = require('./BillingConfigVersion.model');
 
 const billingConfigSchema = new mongoose.Schema(
   {
@@ -26,7 +27,7 @@ const billingConfigSchema = new mongoose.Schema(
       bulky: {
         baseFee: {
           type: Number,
-          default: 500
+          default: 0
         },
         perItem: {
           type: Number,
@@ -183,6 +184,27 @@ const billingConfigSchema = new mongoose.Schema(
         description: 'Current invoice sequence number'
       }
     },
+    // Fee kept from what was paid when a citizen cancels close to collection
+    cancellation: {
+      // e.g. [{ hoursBeforeCollection: 48, feePercentage: 10 }, { hoursBeforeCollection: 24, feePercentage: 25 }]:
+      // the tightest window that still covers the cancellation applies; none means a full refund
+      feeWindows: [
+        {
+          _id: false,
+          hoursBeforeCollection: {
+            type: Number,
+            required: true,
+            min: 0
+          },
+          feePercentage: {
+            type: Number,
+            required: true,
+            min: 0,
+            max: 100
+          }
+        }
+      ]
+    },
     discounts: {
       bulkDiscount: {
         enabled: {
@@ -232,6 +254,8 @@ const billingConfigSchema = new mongoose.Schema(
         default: 2
       }
     },
+    // Number of the BillingConfigVersion these settings come from; history lives in the versions
+    activeVersion: Number,
     lastModified: {
       by: {
         type: mongoose.Schema.Types.ObjectId,
@@ -240,18 +264,7 @@ const billingConfigSchema = new mongoose.Schema(
       at: {
         type: Date,
         default: Date.now
-      },
-      changes: [
-        {
-          field: String,
-          oldValue: mongoose.Schema.Types.Mixed,
-          newValue: mongoose.Schema.Types.Mixed,
-          timestamp: {
-            type: Date,
-            default: Date.now
-          }
-        }
-      ]
+      }
     }
   },
   {
@@ -260,111 +273,353 @@ const billingConfigSchema = new mongoose.Schema(
   }
 );
 
+// Sections copied into each version. Credentials and the invoice counter change in place.
+const VERSIONED_SECTIONS = ['wasteTypeRates', 'taxConfiguration', 'paymentGateway', 'paymentMethods', 'billing', 'discounts', 'cancellation', 'reporting'];
+const CREDENTIAL_PATHS = ['paymentGateway.apiKey', 'paymentGateway.secretKey', 'paymentGateway.webhookSecret'];
+const UNVERSIONED_PATHS = [...CREDENTIAL_PATHS, 'billing.invoiceSequence'];
+
+// Nested objects become dotted paths; arrays are kept whole
+const flattenObject = (obj, prefix = '') => {
+  const flattened = {};
+  Object.keys(obj).forEach(key => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key]) && !(obj[key] instanceof Date)) {
+      Object.assign(flattened, flattenObject(obj[key], fullKey));
+    } else {
+      flattened[fullKey] = obj[key];
+    }
+  });
+  return flattened;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Versioned settings of a config document, as stored in BillingConfigVersion.settings
+const snapshotOf = (config) => {
+  const object = config.toObject();
+  const settings = {};
+  VERSIONED_SECTIONS.forEach(section => {
+    if (object[section] !== undefined) settings[section] = object[section];
+  });
+  UNVERSIONED_PATHS.forEach(path => {
+    const [section, key] = path.split('.');
+    if (settings[section]) delete settings[section][key];
+  });
+  return settings;
+};
+
+// Field-by-field differences between two sets of versioned settings
+const diffSettings = (from = {}, to = {}) => {
+  const flatFrom = flattenObject(from);
+  const flatTo = flattenObject(to);
+  return [...new Set([...Object.keys(flatFrom), ...Object.keys(flatTo)])]
+    .filter(field => !sameValue(flatFrom[field], flatTo[field]))
+    .sort()
+    .map(field => ({ field, oldValue: flatFrom[field], newValue: flatTo[field] }));
+};
+
+// Versioned settings as dotted paths, ready for set() or $set
+const settingsPaths = (settings) => {
+  const flatSettings = flattenObject(settings);
+  UNVERSIONED_PATHS.forEach(path => delete flatSettings[path]);
+  return flatSettings;
+};
+
+// Copy versioned settings onto a config document path by path (does not save)
+const applySettings = (config, settings) => {
+  Object.entries(settingsPaths(settings)).forEach(([path, value]) => config.set(path, value));
+  return config;
+};
+
 // Static method to get or create billing config
+// Versions whose effectiveFrom has passed are applied first, so callers always see the settings in force
 billingConfigSchema.statics.getConfig = async function () {
   let config = await this.findById('billing-config');
   if (!config) {
     config = await this.create({ _id: 'billing-config' });
   }
-  return config;
+  return config.activateDueVersion();
 };
 
-// Method to calculate cost for a waste request
-billingConfigSchema.methods.calculateCost = function (wasteType, quantity, weight = 0) {
-  const rates = this.wasteTypeRates[wasteType];
-  if (!rates) return 0;
-  
-  let cost = rates.baseFee || 0;
-  
-  // Parse quantity to extract numbers
-  const quantityNum = parseInt(quantity) || 1;
-  
-  if (rates.perItem) {
-    cost += rates.perItem * quantityNum;
-  }
-  
-  if (rates.perKg && weight > 0) {
-    cost += rates.perKg * weight;
-  }
-  
-  if (rates.perBag) {
-    cost += rates.perBag * quantityNum;
-  }
-  
-  // Apply minimum charge
-  if (rates.minimumCharge && cost < rates.minimumCharge) {
-    cost = rates.minimumCharge;
-  }
-  
-  // Apply overall minimum and maximum
-  if (cost < this.billing.minimumCharge) {
-    cost = this.billing.minimumCharge;
+// Method to bring the stored settings in line with the version in force now
+// The first call records the current settings as version 1, covering everything before versioning
+billingConfigSchema.methods.activateDueVersion = async function () {
+  if (!this.activeVersion && !(await BillingConfigVersion.exists({}))) {
+    try {
+      await BillingConfigVersion.create({
+        version: 1,
+        effectiveFrom: new Date(0),
+        settings: snapshotOf(this),
+        note: 'Initial configuration'
+      });
+    } catch (error) {
+      // Another caller recorded it first
+      if (error.code !== 11000) throw error;
+    }
   }
-  
-  if (cost > this.billing.maximumCharge) {
-    cost = this.billing.maximumCharge;
+
+  const due = await BillingConfigVersion.findEffectiveAt(new Date());
+  if (!due || due.version === this.activeVersion) return this;
+
+  // Only one caller moves the stored settings from this version to the next
+  const activated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, activeVersion: this.activeVersion ?? null },
+    {
+      $set: {
+        ...settingsPaths(due.settings),
+        activeVersion: due.version,
+        'lastModified.by': due.createdBy,
+        'lastModified.at': due.effectiveFrom
+      }
+    },
+    { new: true }
+  );
+  return activated || this.constructor.findById(this._id);
+};
+
+// Static method to get the settings a request is priced with: the version it was quoted under,
+// or for requests quoted before versioning, the version in force when it was created.
+// The result may be a read-only copy of an older version; never save it.
+billingConfigSchema.statics.getConfigForRequest = async function (request) {
+  const config = await this.getConfig();
+  const configVersion = request.costBreakdown?.configVersion;
+  const version = configVersion
+    ? await BillingConfigVersion.findOne({ version: configVersion })
+    : await BillingConfigVersion.findEffectiveAt(request.createdAt || new Date());
+
+  if (!version || version.version === config.activeVersion) return config;
+
+  const copy = applySettings(this.hydrate(config.toObject()), version.settings);
+  copy.activeVersion = version.version;
+  return copy;
+};
+
+// Static method to list the differences between two versions
+// Returns null when either version does not exist
+billingConfigSchema.statics.diffVersions = async function (fromVersion, toVersion) {
+  const [from, to] = await Promise.all([
+    BillingConfigVersion.findOne({ version: fromVersion }),
+    BillingConfigVersion.findOne({ version: toVersion })
+  ]);
+  if (!from || !to) return null;
+
+  return { from: from.version, to: to.version, changes: diffSettings(from.settings, to.settings) };
+};
+
+// Static method to get payment gateway settings including credentials (server-side use only)
+billingConfigSchema.statics.getGatewaySettings = async function () {
+  await this.getConfig();
+  const config = await this.findById('billing-config').select(
+    '+paymentGateway.apiKey +paymentGateway.secretKey +paymentGateway.webhookSecret'
+  );
+  return config.toObject().paymentGateway;
+};
+
+// Round to cents
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Free-text quantities ("3 bags", "2 large items") are priced on the first number; default 1
+const parseUnits = (quantity) => {
+  const match = String(quantity ?? '').match(/\d+/);
+  return match ? parseInt(match[0], 10) : 1;
+};
+
+// Method to quote a waste request with an itemised breakdown
+// Without a weight the per-kg charge is left out (estimate); with one the quote is final (actual).
+// `discounts` is a list of { code, description, percentage } applied to the subtotal before tax.
+billingConfigSchema.methods.quote = function (wasteType, quantity, weightKg = 0, { discounts = [] } = {}) {
+  const rates = this.wasteTypeRates[wasteType] || {};
+  const units = parseUnits(quantity);
+  const weight = Number(weightKg) > 0 ? Number(weightKg) : 0;
+  const lines = [];
+
+  const addLine = (code, description, lineQuantity, unitPrice) => {
+    if (!unitPrice || !lineQuantity) return;
+    lines.push({ code, description, quantity: lineQuantity, unitPrice, amount: roundAmount(lineQuantity * unitPrice) });
+  };
+
+  addLine('base-fee', 'Base fee', 1, rates.baseFee);
+  addLine('per-item', 'Items', units, rates.perItem);
+  addLine('per-bag', 'Bags', units, rates.perBag);
+  addLine('per-kg', 'Weight (kg)', weight, rates.perKg);
+
+  const charges = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  // Minimum and maximum charges show up as adjustment lines so the breakdown still adds up
+  const minimum = Math.max(rates.minimumCharge || 0, this.billing.minimumCharge || 0);
+  const maximum = this.billing.maximumCharge;
+  let subtotal = charges;
+
+  if (this.wasteTypeRates[wasteType] && subtotal < minimum) {
+    addLine('minimum-charge', 'Minimum charge adjustment', 1, roundAmount(minimum - subtotal));
+    subtotal = minimum;
+  } else if (maximum && subtotal > maximum) {
+    addLine('maximum-charge', 'Maximum charge adjustment', 1, roundAmount(maximum - subtotal));
+    subtotal = maximum;
   }
-  
-  // Apply taxes if enabled
+
+  const appliedDiscounts = discounts
+    .filter(discount => discount.percentage > 0)
+    .map(discount => ({
+      code: discount.code,
+      description: discount.description,
+      percentage: discount.percentage,
+      amount: roundAmount(subtotal * (Math.min(discount.percentage, 100) / 100))
+    }));
+  const discountTotal = roundAmount(
+    Math.min(subtotal, appliedDiscounts.reduce((sum, discount) => sum + discount.amount, 0))
+  );
+  const taxable = roundAmount(subtotal - discountTotal);
+
+  const taxes = [];
   if (this.taxConfiguration.enabled) {
-    const vatAmount = cost * (this.taxConfiguration.vatRate / 100);
-    const serviceTaxAmount = cost * (this.taxConfiguration.serviceTax / 100);
-    cost += vatAmount + serviceTaxAmount;
+    const addTax = (code, description, rate) => {
+      if (!rate) return;
+      taxes.push({ code, description, rate, amount: roundAmount(taxable * (rate / 100)) });
+    };
+    addTax('vat', 'VAT', this.taxConfiguration.vatRate);
+    addTax('service-tax', 'Service tax', this.taxConfiguration.serviceTax);
   }
-  
-  return Math.round(cost);
+  const taxTotal = roundAmount(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+  return {
+    basis: weight > 0 ? 'actual' : 'estimate',
+    currency: this.paymentGateway?.currency || 'LKR',
+    units,
+    weightKg: weight || undefined,
+    lines,
+    subtotal,
+    discounts: appliedDiscounts,
+    discountTotal,
+    taxes,
+    taxTotal,
+    total: roundAmount(taxable + taxTotal),
+    configVersion: this.activeVersion,
+    quotedAt: new Date()
+  };
+};
+
+// Method to find the cancellation fee window for a collection due at collectionDate
+// Returns { hoursBeforeCollection, feePercentage }, or null when cancelling is free
+billingConfigSchema.methods.getCancellationFee = function (collectionDate, now = new Date()) {
+  const windows = this.cancellation?.feeWindows || [];
+  if (!collectionDate || windows.length === 0) return null;
+
+  const hoursLeft = (new Date(collectionDate).getTime() - now.getTime()) / (60 * 60 * 1000);
+  const matching = windows
+    .filter(window => hoursLeft <= window.hoursBeforeCollection)
+    .sort((a, b) => a.hoursBeforeCollection - b.hoursBeforeCollection);
+
+  return matching.length > 0
+    ? { hoursBeforeCollection: matching[0].hoursBeforeCollection, feePercentage: matching[0].feePercentage }
+    : null;
+};
+
+// Method to calculate cost for a waste request (total of quote(), rounded to whole LKR)
+billingConfigSchema.methods.calculateCost = function (wasteType, quantity, weight = 0) {
+  return Math.round(this.quote(wasteType, quantity, weight).total);
 };
 
+const formatInvoiceNumber = (prefix, sequence) => `${prefix}-${String(sequence).padStart(6, '0')}`;
+
 // Method to generate next invoice number
+// Only advances this in-memory copy; use allocateInvoiceNumber() when issuing invoices
 billingConfigSchema.methods.getNextInvoiceNumber = function () {
-  const invoiceNumber = `${this.billing.invoicePrefix}-${String(this.billing.invoiceSequence).padStart(6, '0')}`;
+  const invoiceNumber = formatInvoiceNumber(this.billing.invoicePrefix, this.billing.invoiceSequence);
   this.billing.invoiceSequence += 1;
   return invoiceNumber;
 };
 
-// Method to update config with audit trail
-billingConfigSchema.methods.updateConfig = function (updates, userId) {
-  const changes = [];
-  
-  const flattenObject = (obj, prefix = '') => {
-    const flattened = {};
-    Object.keys(obj).forEach(key => {
-      const fullKey = prefix ? `${prefix}.${key}` : key;
-      if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key])) {
-        Object.assign(flattened, flattenObject(obj[key], fullKey));
-      } else {
-        flattened[fullKey] = obj[key];
-      }
-    });
-    return flattened;
-  };
-  
+// Static method to allocate the next invoice number
+// A single $inc on the stored sequence, so concurrent callers never receive the same number
+billingConfigSchema.statics.allocateInvoiceNumber = async function () {
+  await this.getConfig();
+  const previous = await this.findOneAndUpdate(
+    { _id: 'billing-config' },
+    { $inc: { 'billing.invoiceSequence': 1 } },
+    { new: false }
+  ).select('billing.invoicePrefix billing.invoiceSequence');
+
+  return formatInvoiceNumber(previous.billing.invoicePrefix, previous.billing.invoiceSequence);
+};
+
+// Store settings as a new version from effectiveFrom (now when missing or past), based on the
+// version in force at that date, and apply them straight away when they start now.
+// Versions already scheduled for later dates are left as they are.
+const createVersion = async (config, buildSettings, { effectiveFrom, userId, note, rolledBackTo }) => {
+  const now = new Date();
+  const startsAt = effectiveFrom && new Date(effectiveFrom) > now ? new Date(effectiveFrom) : now;
+  const base = await BillingConfigVersion.findEffectiveAt(startsAt);
+  const baseSettings = base ? base.settings : snapshotOf(config);
+
+  // Work on a scratch copy so the new settings are cast and validated before anything is stored
+  const draft = applySettings(config.constructor.hydrate(config.toObject()), baseSettings);
+  buildSettings(draft);
+  await draft.validate();
+
+  const settings = snapshotOf(draft);
+  const changes = diffSettings(baseSettings, settings);
+  if (changes.length === 0) return null;
+
+  const version = await BillingConfigVersion.createNext({
+    effectiveFrom: startsAt,
+    settings,
+    changes,
+    basedOn: base?.version,
+    rolledBackTo,
+    note,
+    createdBy: userId
+  });
+
+  if (startsAt <= now) {
+    applySettings(config, settings);
+    config.activeVersion = version.version;
+    config.lastModified = { by: userId, at: now };
+    await config.save();
+  }
+
+  return version;
+};
+
+// Method to update config as a new version
+// options.effectiveFrom schedules the change; credentials apply at once and are not versioned.
+// Resolves to the new BillingConfigVersion, or null when nothing changed.
+billingConfigSchema.methods.updateConfig = async function (updates, userId, { effectiveFrom, note } = {}) {
   const flatUpdates = flattenObject(updates);
-  const flatCurrent = flattenObject(this.toObject());
-  
-  Object.keys(flatUpdates).forEach(key => {
-    if (flatCurrent[key] !== flatUpdates[key]) {
-      changes.push({
-        field: key,
-        oldValue: flatCurrent[key],
-        newValue: flatUpdates[key],
-        timestamp: new Date()
-      });
+
+  const credentials = CREDENTIAL_PATHS.filter(path => flatUpdates[path] !== undefined);
+  if (credentials.length > 0) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: Object.fromEntries(credentials.map(path => [path, flatUpdates[path]])) }
+    );
+  }
+
+  // Only versioned settings go further; the invoice sequence only moves through allocateInvoiceNumber()
+  Object.keys(flatUpdates).forEach(path => {
+    if (UNVERSIONED_PATHS.includes(path) || !VERSIONED_SECTIONS.includes(path.split('.')[0])) {
+      delete flatUpdates[path];
     }
   });
-  
-  // Apply updates
-  Object.assign(this, updates);
-  
-  if (changes.length > 0) {
-    this.lastModified = {
-      by: userId,
-      at: new Date(),
-      changes: [...(this.lastModified?.changes || []), ...changes]
-    };
-  }
-  
-  return this.save();
+
+  // Apply updates path by path so partial sections keep their other values
+  return createVersion(this, draft => {
+    Object.keys(flatUpdates).forEach(path => draft.set(path, flatUpdates[path]));
+  }, { effectiveFrom, userId, note });
+};
+
+// Method to bring back the settings of an earlier version as a new version
+// Resolves to the new BillingConfigVersion, null when nothing changed, or undefined for an unknown version
+billingConfigSchema.methods.rollbackConfig = async function (versionNumber, userId, { effectiveFrom, note } = {}) {
+  const target = await BillingConfigVersion.findOne({ version: versionNumber });
+  if (!target) return undefined;
+
+  return createVersion(this, draft => applySettings(draft, target.settings), {
+    effectiveFrom,
+    userId,
+    note: note || `Rollback to version ${target.version}`,
+    rolledBackTo: target.version
+  });
 };
 
 module.exports = mongoose.model('BillingConfig', billingConfigSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const billingConfigVersionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Pricing applies from this date; versions dated later than now are scheduled
+    effectiveFrom: {
+      type: Date,
+      required: true
+    },
+    // Versioned sections of BillingConfig as they stand in this version (no credentials)
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    // Fields that differ from the version this one was based on
+    changes: [
+      {
+        _id: false,
+        field: String,
+        oldValue: mongoose.Schema.Types.Mixed,
+        newValue: mongoose.Schema.Types.Mixed
+      }
+    ],
+    basedOn: Number,
+    rolledBackTo: Number,
+    note: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+billingConfigVersionSchema.index({ version: 1 }, { unique: true });
+billingConfigVersionSchema.index({ effectiveFrom: -1, version: -1 });
+
+// Static method to find the version in force at a date (latest effectiveFrom, then highest number)
+billingConfigVersionSchema.statics.findEffectiveAt = function (date = new Date()) {
+  return this.findOne({ effectiveFrom: { $lte: date } }).sort({ effectiveFrom: -1, version: -1 });
+};
+
+// Static method to store a new version under the next number
+// Two writers racing for the same number retry with the one after
+billingConfigVersionSchema.statics.createNext = async function (fields) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const latest = await this.findOne().sort({ version: -1 }).select('version');
+    try {
+      return await this.create({ ...fields, version: latest ? latest.version + 1 : 1 });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Could not allocate a billing configuration version');
+};
+
+module.exports = mongoose.model('BillingConfigVersion', billingConfigVersionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { hashToken } = require('../utils/jwt');
 
 const deviceSchema = new mongoose.Schema(
   {
@@ -9,13 +11,19 @@ const deviceSchema = new mongoose.Schema(
     },
     deviceType: {
       type: String,
-      enum: ["rfid", "qr-code", "sensor"],
+      // gateway: LoRa/NB-IoT gateway forwarding the readings of other devices
+      enum: ["rfid", "qr-code", "sensor", "gateway"],
       required: [true, "Device type is required"],
     },
     binId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "SmartBin",
     },
+    // Gateway allowed to forward this device's readings in telemetry batches
+    gatewayId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Device",
+    },
     status: {
       type: String,
       enum: ["active", "offline", "decommissioned", "error"],
@@ -32,6 +40,15 @@ const deviceSchema = new mongoose.Schema(
       max: 100,
     },
     firmwareVersion: String,
+    // Telemetry API key; only the SHA-256 hash is stored
+    apiKeyHash: {
+      type: String,
+      select: false,
+    },
+    // First characters of the key, to tell keys apart in the UI and logs
+    apiKeyPrefix: String,
+    apiKeyIssuedAt: Date,
+    apiKeyRevokedAt: Date,
     errorLog: [
       {
         timestamp: {
@@ -75,7 +92,9 @@ const deviceSchema = new mongoose.Schema(
 // Indexes (deviceId already indexed via unique: true)
 deviceSchema.index({ status: 1 });
 deviceSchema.index({ binId: 1 });
+deviceSchema.index({ gatewayId: 1 });
 deviceSchema.index({ deviceType: 1, status: 1 });
+deviceSchema.index({ apiKeyHash: 1 }, { unique: true, sparse: true });
 
 // Virtual for days since last signal
 deviceSchema.virtual('daysSinceLastSignal').get(function() {
@@ -100,6 +119,12 @@ deviceSchema.virtual('isOnline').get(function() {
   return hoursSinceSignal < 2; // Consider online if signal within 2 hours
 });
 
+// Virtual for API key state
+deviceSchema.virtual('apiKeyStatus').get(function() {
+  if (!this.apiKeyIssuedAt) return 'none';
+  return this.apiKeyRevokedAt ? 'revoked' : 'active';
+});
+
 // Method to update signal
 deviceSchema.methods.updateSignal = function(batteryLevel = null) {
   this.lastSignal = new Date();
@@ -151,9 +176,36 @@ deviceSchema.methods.addMaintenance = function(action, technicianId, notes, work
 deviceSchema.methods.decommission = function() {
   this.status = 'decommissioned';
   this.binId = null;
+  this.revokeApiKey();
   return this.save();
 };
 
+// Method to issue (or rotate) the telemetry API key; returns the raw key once
+// The previous key stops working immediately; the caller saves the document
+deviceSchema.methods.issueApiKey = function() {
+  const apiKey = `dev_${crypto.randomBytes(32).toString('hex')}`;
+
+  this.apiKeyHash = hashToken(apiKey);
+  this.apiKeyPrefix = apiKey.slice(0, 12);
+  this.apiKeyIssuedAt = new Date();
+  this.apiKeyRevokedAt = undefined;
+
+  return apiKey;
+};
+
+// Method to revoke the telemetry API key; the caller saves the document
+deviceSchema.methods.revokeApiKey = function() {
+  this.apiKeyHash = undefined;
+  if (this.apiKeyIssuedAt && !this.apiKeyRevokedAt) {
+    this.apiKeyRevokedAt = new Date();
+  }
+};
+
+// Static method to find the device holding a raw API key
+deviceSchema.statics.findByApiKey = function(apiKey) {
+  return this.findOne({ apiKeyHash: hashToken(apiKey) });
+};
+
 // Method to reactivate device
 deviceSchema.methods.reactivate = function(binId = null) {
   if (this.status === 'decommissioned') {
@@ -166,9 +218,15 @@ deviceSchema.methods.reactivate = function(binId = null) {
   return this.save();
 };
 
+// Never expose the API key hash, even when it was loaded or just issued
+const hideApiKeyHash = (doc, ret) => {
+  delete ret.apiKeyHash;
+  return ret;
+};
+
 // Enable virtuals in JSON
-deviceSchema.set('toJSON', { virtuals: true });
-deviceSchema.set('toObject', { virtuals: true });
+deviceSchema.set('toJSON', { virtuals: true, transform: hideApiKeyHash });
+deviceSchema.set('toObject', { virtuals: true, transform: hideApiKeyHash });
 
 module.exports = mongoose.model('Device', deviceSchema);
 
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const PrivacySettings = require('./PrivacySettings.model');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// One fill-level reading of a bin, kept in a MongoDB time-series collection
+const fillLevelReadingSchema = new mongoose.Schema(
+  {
+    timestamp: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    binId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SmartBin',
+      required: true
+    },
+    deviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device'
+    },
+    fillLevel: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    },
+    batteryLevel: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    // Degrees Celsius
+    temperature: Number,
+    // sensor: reported by the bin's device, manual: entered by staff, collection: bin emptied
+    source: {
+      type: String,
+      enum: ['sensor', 'manual', 'collection'],
+      default: 'sensor'
+    }
+  },
+  {
+    timeseries: {
+      timeField: 'timestamp',
+      metaField: 'binId',
+      granularity: 'minutes'
+    },
+    versionKey: false
+  }
+);
+
+fillLevelReadingSchema.index({ binId: 1, timestamp: -1 });
+
+// Static method to get readings of a bin downsampled to buckets of binSize units
+// (unit: minute, hour or day), with the min, max and average of each measurement
+fillLevelReadingSchema.statics.getHistory = function (binId, { from, to, unit, binSize }) {
+  const stats = (field) => ({
+    [`${field}Min`]: { $min: `$${field}` },
+    [`${field}Max`]: { $max: `$${field}` },
+    [`${field}Avg`]: { $avg: `$${field}` }
+  });
+
+  return this.aggregate([
+    { $match: { binId: new mongoose.Types.ObjectId(binId), timestamp: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$timestamp', unit, binSize } },
+        readings: { $sum: 1 },
+        ...stats('fillLevel'),
+        ...stats('batteryLevel'),
+        ...stats('temperature')
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+// Static method to apply PrivacySettings.dataRetention: with autoDelete on, MongoDB expires
+// readings older than the retention period; otherwise they are kept
+fillLevelReadingSchema.statics.syncRetention = async function () {
+  const { dataRetention } = await PrivacySettings.getSettings();
+
+  await this.createCollection();
+  await this.db.db.command({
+    collMod: this.collection.collectionName,
+    expireAfterSeconds: dataRetention.autoDelete ? dataRetention.days * DAY_SECONDS : 'off'
+  });
+
+  return dataRetention;
+};
+
+module.exports = mongoose.model('FillLevelReading', fillLevelReadingSchema);
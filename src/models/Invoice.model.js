@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+
+// Adjustments made after issue; fees add to the total, discounts take from it
+const ADJUSTMENT_TYPES = {
+  'late-fee': 1,
+  'early-payment': -1,
+  'bulk-discount': -1
+};
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: [true, 'Invoice number is required'],
+      unique: true
+    },
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WasteRequest',
+      required: [true, 'Request ID is required']
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    status: {
+      type: String,
+      enum: ['issued', 'paid', 'void'],
+      default: 'issued'
+    },
+    currency: {
+      type: String,
+      default: 'LKR'
+    },
+    lineItems: [
+      {
+        _id: false,
+        code: String,
+        description: String,
+        quantity: Number,
+        unitPrice: Number,
+        amount: Number
+      }
+    ],
+    discountLines: [
+      {
+        _id: false,
+        code: String,
+        description: String,
+        percentage: Number,
+        amount: Number
+      }
+    ],
+    taxLines: [
+      {
+        _id: false,
+        code: String,
+        description: String,
+        rate: Number,
+        amount: Number
+      }
+    ],
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    discountTotal: {
+      type: Number,
+      default: 0
+    },
+    taxTotal: {
+      type: Number,
+      default: 0
+    },
+    // Late fees and discounts applied by billing after issue, each at most once per invoice
+    adjustments: [
+      {
+        _id: false,
+        code: {
+          type: String,
+          enum: Object.keys(ADJUSTMENT_TYPES)
+        },
+        description: String,
+        percentage: Number,
+        // Signed: positive for fees, negative for discounts
+        amount: Number,
+        // Billing month the adjustment belongs to (bulk discounts), e.g. 2026-10
+        period: String,
+        appliedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    adjustmentTotal: {
+      type: Number,
+      default: 0
+    },
+    // Amount due: charges after discounts and taxes, plus adjustments
+    total: {
+      type: Number,
+      required: true
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    dueDate: {
+      type: Date,
+      required: true
+    },
+    paidAt: Date,
+    voidedAt: Date,
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    voidReason: String,
+    // Reissue chain: a voided invoice points at its replacement and vice versa
+    replaces: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes (invoiceNumber already indexed via unique: true)
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+invoiceSchema.index({ requestId: 1, status: 1 });
+// At most one open invoice per request, so concurrent completions cannot both issue one
+invoiceSchema.index(
+  { requestId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['issued', 'paid'] } } }
+);
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ 'adjustments.code': 1, 'adjustments.appliedAt': -1 });
+
+// Virtual for overdue state
+invoiceSchema.virtual('isOverdue').get(function () {
+  return this.status === 'issued' && this.dueDate < new Date();
+});
+
+invoiceSchema.set('toJSON', { virtuals: true });
+invoiceSchema.set('toObject', { virtuals: true });
+
+// Static method to find the current (not voided) invoice of a request
+invoiceSchema.statics.findOpenForRequest = function (requestId) {
+  return this.findOne({ requestId, status: { $ne: 'void' } });
+};
+
+// Static method to issue an invoice for a request from its stored cost breakdown
+// Returns the existing invoice if one is open (unless reissuing), or null when nothing is chargeable.
+// When reissuing, the replaced invoice is voided (by voidedBy, for voidReason) just before the
+// replacement is created, as only one invoice per request may be open at a time.
+invoiceSchema.statics.issueForRequest = async function (request, { replaces, voidedBy, voidReason } = {}) {
+  if (!replaces) {
+    const existing = await this.findOpenForRequest(request._id);
+    if (existing) return existing;
+  }
+
+  const BillingConfig = mongoose.model('BillingConfig');
+  const config = await BillingConfig.getConfig();
+
+  // Requests created before itemised quotes only carry a single amount
+  let breakdown = request.costBreakdown?.basis ? request.costBreakdown : null;
+  if (!breakdown) {
+    const amount = request.actualCost ?? request.estimatedCost ?? 0;
+    breakdown = {
+      currency: config.paymentGateway?.currency || 'LKR',
+      lines: [{ code: 'service', description: `${request.wasteType} collection`, quantity: 1, unitPrice: amount, amount }],
+      subtotal: amount,
+      total: amount
+    };
+  }
+
+  if (!(breakdown.total > 0)) return null;
+
+  const invoiceNumber = await BillingConfig.allocateInvoiceNumber();
+  const issuedAt = new Date();
+  const dueDate = new Date(issuedAt.getTime() + config.billing.paymentDueDays * 24 * 60 * 60 * 1000);
+  const paid = request.paymentStatus === 'paid';
+  const _id = new mongoose.Types.ObjectId();
+
+  if (replaces?.status === 'void') {
+    replaces.replacedBy = _id;
+    await replaces.save();
+  } else if (replaces) {
+    await replaces.void(voidedBy, voidReason || `Reissued as ${invoiceNumber}`, _id);
+  }
+
+  const invoice = {
+    _id,
+    invoiceNumber,
+    requestId: request._id,
+    userId: request.userId,
+    status: paid ? 'paid' : 'issued',
+    currency: breakdown.currency,
+    lineItems: breakdown.lines,
+    discountLines: breakdown.discounts || [],
+    taxLines: breakdown.taxes || [],
+    subtotal: breakdown.subtotal,
+    discountTotal: breakdown.discountTotal || 0,
+    taxTotal: breakdown.taxTotal || 0,
+    total: breakdown.total,
+    issuedAt,
+    dueDate,
+    paidAt: paid ? issuedAt : undefined,
+    replaces: replaces?._id
+  };
+
+  try {
+    return await this.create(invoice);
+  } catch (error) {
+    // The request was invoiced concurrently; the number allocated here goes unused
+    if (error.code !== 11000 || replaces) throw error;
+    return this.findOpenForRequest(request._id);
+  }
+};
+
+// Method to check whether an adjustment has already been applied
+invoiceSchema.methods.hasAdjustment = function (code) {
+  return this.adjustments.some(adjustment => adjustment.code === code);
+};
+
+// Method to add a late fee or discount as a percentage of the invoiced charges (does not save)
+// Returns the adjustment, or null when this kind was already applied
+invoiceSchema.methods.addAdjustment = function ({ code, description, percentage, period }) {
+  if (!ADJUSTMENT_TYPES[code]) {
+    throw new Error(`Unknown invoice adjustment ${code}`);
+  }
+  if (this.hasAdjustment(code)) return null;
+
+  const charges = this.total - (this.adjustmentTotal || 0);
+  const amount = ADJUSTMENT_TYPES[code] * Math.round(charges * percentage) / 100;
+
+  this.adjustments.push({ code, description, percentage, amount, period, appliedAt: new Date() });
+  this.adjustmentTotal = Math.round(((this.adjustmentTotal || 0) + amount) * 100) / 100;
+  this.total = Math.round((charges + this.adjustmentTotal) * 100) / 100;
+
+  return this.adjustments[this.adjustments.length - 1];
+};
+
+// Method to mark invoice as paid
+invoiceSchema.methods.markPaid = function (paidAt = new Date()) {
+  this.status = 'paid';
+  this.paidAt = paidAt;
+  return this.save();
+};
+
+// Method to void invoice
+invoiceSchema.methods.void = function (userId, reason, replacedBy) {
+  this.status = 'void';
+  this.voidedAt = new Date();
+  this.voidedBy = userId;
+  this.voidReason = reason;
+  if (replacedBy) this.replacedBy = replacedBy;
+  return this.save();
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+
+// Allowed ledger state changes; failed and cancelled payments are final
+// A captured payment can be disputed (chargeback) and return to captured if the dispute is won
+const TRANSITIONS = {
+  pending: ['authorized', 'captured', 'failed', 'cancelled'],
+  authorized: ['captured', 'failed', 'cancelled'],
+  captured: ['disputed'],
+  disputed: ['captured'],
+  failed: [],
+  cancelled: []
+};
+
+const paymentSchema = new mongoose.Schema(
+  {
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WasteRequest',
+      required: [true, 'Request ID is required']
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    provider: {
+      type: String,
+      // 'wallet' payments are paid from the citizen's recycling credit
+      enum: ['stripe', 'paypal', 'payhere', 'manual', 'fake', 'wallet'],
+      required: true
+    },
+    // As given by the payer, e.g. 'card', 'cash', 'bank-transfer'
+    method: {
+      type: String,
+      default: 'unspecified'
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be positive']
+    },
+    currency: {
+      type: String,
+      default: 'LKR'
+    },
+    status: {
+      type: String,
+      enum: Object.keys(TRANSITIONS),
+      default: 'pending'
+    },
+    // Transaction id at the provider (payment intent, authorization, order...)
+    gatewayReference: {
+      type: String,
+      index: true
+    },
+    // Provider-specific ids needed for later calls (e.g. PayPal capture id)
+    gatewayData: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    failureReason: String,
+    authorizedAt: Date,
+    capturedAt: Date,
+    failedAt: Date,
+    cancelledAt: Date,
+    disputedAt: Date,
+    refunds: [
+      {
+        amount: {
+          type: Number,
+          required: true,
+          min: 0.01
+        },
+        reason: String,
+        status: {
+          type: String,
+          enum: ['pending', 'succeeded', 'failed'],
+          default: 'pending'
+        },
+        gatewayReference: String,
+        failureReason: String,
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    // Sum of succeeded refunds
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    // State history, oldest first
+    events: [
+      {
+        _id: false,
+        status: String,
+        detail: String,
+        at: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for efficient queries (gatewayReference indexed in schema)
+paymentSchema.index({ requestId: 1, createdAt: -1 });
+paymentSchema.index({ userId: 1, createdAt: -1 });
+paymentSchema.index({ status: 1, createdAt: -1 });
+
+// Virtual for the amount still held after refunds
+paymentSchema.virtual('netAmount').get(function () {
+  return this.status === 'captured' ? this.amount - (this.refundedAmount || 0) : 0;
+});
+
+// Virtual for what can still be refunded (refunds awaiting the gateway are held back)
+paymentSchema.virtual('refundableAmount').get(function () {
+  const pending = (this.refunds || [])
+    .filter(refund => refund.status === 'pending')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(0, Math.round((this.netAmount - pending) * 100) / 100);
+});
+
+paymentSchema.set('toJSON', { virtuals: true });
+paymentSchema.set('toObject', { virtuals: true });
+
+// Static method to sum what has been collected for a request (captured minus refunded)
+paymentSchema.statics.getLedgerSummary = async function (requestId) {
+  const payments = await this.find({ requestId }).sort({ createdAt: 1 });
+  const netPaid = payments.reduce((sum, payment) => sum + payment.netAmount, 0);
+  const refunded = payments.reduce((sum, payment) => sum + (payment.refundedAmount || 0), 0);
+  const last = payments[payments.length - 1];
+
+  return {
+    payments,
+    netPaid: Math.round(netPaid * 100) / 100,
+    refunded: Math.round(refunded * 100) / 100,
+    lastStatus: last ? last.status : null,
+    hasOpenPayment: payments.some(payment => ['pending', 'authorized'].includes(payment.status)),
+    hasDispute: payments.some(payment => payment.status === 'disputed')
+  };
+};
+
+// Method to check whether the payment may move to a status
+paymentSchema.methods.canTransition = function (status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Method to record a refund reported by the gateway (does not save)
+// A refund already on record (same gateway reference) is only updated when it settles,
+// so provider notifications are safe to repeat
+paymentSchema.methods.recordRefund = function ({ amount, reason, gatewayReference, status = 'succeeded', failureReason, createdBy }) {
+  const existing = gatewayReference && this.refunds.find(refund => refund.gatewayReference === gatewayReference);
+
+  if (existing) {
+    if (existing.status !== 'pending' || status === 'pending') return this;
+    existing.status = status;
+  } else {
+    this.refunds.push({ amount, reason, status, gatewayReference, failureReason, createdBy });
+  }
+
+  const refundAmount = existing ? existing.amount : amount;
+  if (status === 'succeeded') {
+    this.refundedAmount = Math.round(((this.refundedAmount || 0) + refundAmount) * 100) / 100;
+  }
+  this.events.push({ status: this.status, detail: `Refund of ${refundAmount} ${status}`, at: new Date() });
+  return this;
+};
+
+// Method to move to a new status and record it (does not save)
+paymentSchema.methods.transition = function (status, detail) {
+  if (status === this.status) return this;
+  if (!this.canTransition(status)) {
+    throw new Error(`Cannot move payment from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  this[`${status}At`] = this[`${status}At`] || new Date();
+  if (status === 'failed') this.failureReason = detail;
+  this.events.push({ status, detail, at: new Date() });
+  return this;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ['stripe', 'paypal', 'payhere', 'fake'],
+      required: true
+    },
+    // Event id assigned by the provider; deliveries with the same id are duplicates
+    eventId: {
+      type: String,
+      required: [true, 'Event ID is required']
+    },
+    // Provider's own event name, e.g. payment_intent.succeeded
+    type: String,
+    // What the event means for the ledger
+    action: {
+      type: String,
+      enum: ['succeeded', 'failed', 'refunded', 'disputed', 'dispute-won', 'ignored']
+    },
+    gatewayReference: String,
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    status: {
+      type: String,
+      enum: ['received', 'processed', 'ignored', 'failed'],
+      default: 'received'
+    },
+    error: String,
+    // Normalised event as returned by the gateway adapter, used for replays
+    event: mongoose.Schema.Types.Mixed,
+    // Raw body as delivered, kept for audit
+    payload: mongoose.Schema.Types.Mixed,
+    receivedCount: {
+      type: Number,
+      default: 1
+    },
+    lastReceivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    processedAt: Date,
+    replayedAt: Date,
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ paymentId: 1, createdAt: -1 });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+
+// Static method to store a delivery once per provider event id
+// Returns { event, duplicate }; a redelivered event that previously failed is handed back for another attempt
+paymentEventSchema.statics.record = async function (provider, parsed, payload) {
+  const now = new Date();
+  const upsert = () => this.findOneAndUpdate(
+    { provider, eventId: parsed.eventId },
+    {
+      $setOnInsert: {
+        type: parsed.type,
+        action: parsed.action,
+        gatewayReference: parsed.gatewayReference,
+        event: parsed,
+        payload,
+        status: 'received'
+      },
+      $inc: { receivedCount: 1 },
+      $set: { lastReceivedAt: now }
+    },
+    { upsert: true, new: false, setDefaultsOnInsert: false }
+  );
+
+  let previous;
+  try {
+    previous = await upsert();
+  } catch (error) {
+    // Two deliveries raced on the insert; the loser is a plain update
+    if (error.code !== 11000) throw error;
+    previous = await upsert();
+  }
+
+  const event = await this.findOne({ provider, eventId: parsed.eventId });
+  return { event, duplicate: Boolean(previous) && previous.status !== 'failed' };
+};
+
+// Method to store the processing outcome
+paymentEventSchema.methods.markOutcome = function (status, { paymentId, error } = {}) {
+  this.status = status;
+  this.processedAt = new Date();
+  if (paymentId) this.paymentId = paymentId;
+  this.error = error;
+  return this.save();
+};
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
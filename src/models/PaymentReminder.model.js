@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const paymentReminderSchema = new mongoose.Schema(
+  {
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WasteRequest',
+      required: [true, 'Request ID is required']
+    },
+    // Unset for requests billed without an invoice
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    kind: {
+      type: String,
+      enum: ['due-soon', 'overdue'],
+      required: true
+    },
+    dueDate: {
+      type: Date,
+      required: true
+    },
+    amountDue: Number,
+    status: {
+      type: String,
+      enum: ['sending', 'sent', 'failed'],
+      default: 'sending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    method: String,
+    error: String,
+    sentAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One reminder of each kind per due date; a reissued invoice with a new due date starts over
+paymentReminderSchema.index({ requestId: 1, kind: 1, dueDate: 1 }, { unique: true });
+paymentReminderSchema.index({ invoiceId: 1, createdAt: -1 });
+
+// Static method to claim the right to send a reminder
+// Returns the reminder to send, or null when it was already sent (or is being sent by another run).
+// Failed reminders are claimed again, so they are retried on the next run.
+paymentReminderSchema.statics.claim = async function ({ requestId, invoiceId, userId, kind, dueDate, amountDue }) {
+  try {
+    return await this.findOneAndUpdate(
+      { requestId, kind, dueDate, status: 'failed' },
+      {
+        $setOnInsert: { userId },
+        $set: { invoiceId, amountDue, status: 'sending' },
+        $inc: { attempts: 1 }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Method to store the delivery outcome
+paymentReminderSchema.methods.markOutcome = function (result) {
+  this.status = result.success ? 'sent' : 'failed';
+  this.method = result.method;
+  this.error = result.success ? undefined : result.error;
+  if (result.success) this.sentAt = result.sentAt || new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('PaymentReminder', paymentReminderSchema);
@@ -18,7 +18,9 @@ const securityLogSchema = new mongoose.Schema(
         'data-export',
         'settings-change',
         'user-created',
-        'user-deleted'
+        'user-deleted',
+        'two-factor-enabled',
+        'two-factor-disabled'
       ],
       required: [true, 'Event type is required']
     },
@@ -148,7 +150,9 @@ securityLogSchema.virtual('displayMessage').get(function () {
     'data-export': 'Data exported',
     'settings-change': 'Settings changed',
     'user-created': 'New user created',
-    'user-deleted': 'User deleted'
+    'user-deleted': 'User deleted',
+    'two-factor-enabled': 'Two-factor authentication enabled',
+    'two-factor-disabled': 'Two-factor authentication disabled'
   };
   return messages[this.eventType] || this.eventType;
 });
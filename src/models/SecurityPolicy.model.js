@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+
+// Sections admins may change through updatePolicy
+const EDITABLE_SECTIONS = ['password', 'sessions', 'lockout', 'twoFactor'];
+
+const securityPolicySchema = new mongoose.Schema(
+  {
+    // Singleton pattern - only one document should exist
+    _id: {
+      type: String,
+      default: 'security-policy'
+    },
+    password: {
+      minLength: {
+        type: Number,
+        default: 8,
+        min: 6,
+        max: 128
+      },
+      requireUppercase: {
+        type: Boolean,
+        default: false
+      },
+      requireLowercase: {
+        type: Boolean,
+        default: false
+      },
+      requireNumber: {
+        type: Boolean,
+        default: true
+      },
+      requireSymbol: {
+        type: Boolean,
+        default: false
+      },
+      historyCount: {
+        type: Number,
+        default: 5,
+        min: 0,
+        max: 24,
+        description: 'Number of previous passwords that cannot be reused (0 = no history check)'
+      },
+      expiryDays: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 365,
+        description: 'Days before a password must be changed (0 = never expires)'
+      }
+    },
+    sessions: {
+      maxConcurrent: {
+        citizen: { type: Number, default: 5, min: 1 },
+        coordinator: { type: Number, default: 3, min: 1 },
+        technician: { type: Number, default: 3, min: 1 },
+        admin: { type: Number, default: 2, min: 1 },
+        crew: { type: Number, default: 2, min: 1 }
+      },
+      idleTimeoutMinutes: {
+        type: Number,
+        default: 60,
+        min: 0,
+        description: 'Revoke sessions unused for this long (0 = disabled)'
+      }
+    },
+    lockout: {
+      maxFailedAttempts: {
+        type: Number,
+        default: 5,
+        min: 1
+      },
+      windowMinutes: {
+        type: Number,
+        default: 15,
+        min: 1
+      },
+      lockMinutes: {
+        type: Number,
+        default: 30,
+        min: 1
+      }
+    },
+    twoFactor: {
+      // Roles that must enroll in TOTP before using the API
+      required: {
+        citizen: { type: Boolean, default: false },
+        coordinator: { type: Boolean, default: false },
+        technician: { type: Boolean, default: false },
+        admin: { type: Boolean, default: false },
+        crew: { type: Boolean, default: false }
+      }
+    },
+    lastModified: {
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      changes: [
+        {
+          field: String,
+          oldValue: mongoose.Schema.Types.Mixed,
+          newValue: mongoose.Schema.Types.Mixed,
+          timestamp: {
+            type: Date,
+            default: Date.now
+          }
+        }
+      ]
+    }
+  },
+  {
+    timestamps: true,
+    _id: false // Prevent auto-generation of _id
+  }
+);
+
+// Static method to get or create the policy
+securityPolicySchema.statics.getPolicy = async function () {
+  let policy = await this.findById('security-policy');
+  if (!policy) {
+    policy = await this.create({ _id: 'security-policy' });
+  }
+  return policy;
+};
+
+// Method to check a candidate password; returns a list of unmet rules (empty when valid)
+securityPolicySchema.methods.validatePassword = function (password) {
+  const rules = this.password;
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < rules.minLength) {
+    errors.push(`Password must be at least ${rules.minLength} characters long`);
+    if (typeof password !== 'string') return errors;
+  }
+  if (rules.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (rules.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (rules.requireNumber && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (rules.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  return errors;
+};
+
+// Method to check whether a password changed at `changedAt` has expired
+securityPolicySchema.methods.isPasswordExpired = function (changedAt) {
+  const { expiryDays } = this.password;
+  if (!expiryDays || !changedAt) return false;
+  return Date.now() - new Date(changedAt).getTime() > expiryDays * 24 * 60 * 60 * 1000;
+};
+
+// Method to get the concurrent session limit for a role
+securityPolicySchema.methods.getMaxSessions = function (role) {
+  return this.sessions.maxConcurrent[role] || 1;
+};
+
+// Method to check whether a role must use two-factor authentication
+securityPolicySchema.methods.isTwoFactorRequired = function (role) {
+  return Boolean(this.twoFactor?.required?.[role]);
+};
+
+// Method to update policy sections with audit trail
+// Accepts partial nested objects, e.g. { password: { minLength: 10 } }
+securityPolicySchema.methods.updatePolicy = function (updates, userId) {
+  const changes = [];
+
+  const flatten = (obj, prefix = '') =>
+    Object.keys(obj).reduce((flat, key) => {
+      const fullKey = prefix ? `${prefix}.${key}` : key;
+      if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key])) {
+        Object.assign(flat, flatten(obj[key], fullKey));
+      } else {
+        flat[fullKey] = obj[key];
+      }
+      return flat;
+    }, {});
+
+  const flatUpdates = flatten(updates);
+
+  // Unknown fields are ignored rather than silently recorded as changes
+  const editableKeys = Object.keys(flatUpdates).filter(key =>
+    EDITABLE_SECTIONS.includes(key.split('.')[0]) && this.schema.path(key)
+  );
+
+  editableKeys.forEach(key => {
+    const oldValue = this.get(key);
+    if (oldValue !== flatUpdates[key]) {
+      changes.push({
+        field: key,
+        oldValue,
+        newValue: flatUpdates[key],
+        timestamp: new Date()
+      });
+      this.set(key, flatUpdates[key]);
+    }
+  });
+
+  if (changes.length > 0) {
+    this.lastModified = {
+      by: userId,
+      at: new Date(),
+      changes: [...(this.lastModified?.changes || []), ...changes]
+    };
+  }
+
+  return this.save();
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
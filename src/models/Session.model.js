@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { generateRefreshToken, hashToken } = require('../utils/jwt');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    // Only the SHA-256 hash of the refresh token is stored
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Hash of the token this one replaced; presenting it again means the token leaked
+    previousTokenHash: {
+      type: String,
+      index: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'forced-logout',
+        'token-reuse',
+        'password-change',
+        'account-disabled',
+        'session-limit',
+        'idle-timeout',
+        null
+      ],
+      default: null
+    },
+    ipAddress: {
+      type: String
+    },
+    userAgent: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const refreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Virtual for active state
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to open a session; returns the raw refresh token once
+// With maxSessions, the least recently used sessions are revoked to stay within the limit
+sessionSchema.statics.createForUser = async function (userId, { ipAddress, userAgent, maxSessions } = {}) {
+  if (maxSessions) {
+    const open = await this.findActive({ userId }).sort({ lastUsedAt: -1 }).select('_id');
+    const excess = open.slice(maxSessions - 1).map(session => session._id);
+    if (excess.length > 0) {
+      await this.updateMany(
+        { _id: { $in: excess } },
+        { revokedAt: new Date(), revokedReason: 'session-limit' }
+      );
+    }
+  }
+
+  const refreshToken = generateRefreshToken();
+
+  const session = await this.create({
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+    ipAddress,
+    userAgent
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to look up a session by raw refresh token
+sessionSchema.statics.findByRefreshToken = function (refreshToken) {
+  return this.findOne({ refreshTokenHash: hashToken(refreshToken) });
+};
+
+// Static method to find the session a rotated-out token belonged to
+sessionSchema.statics.findByPreviousToken = function (refreshToken) {
+  return this.findOne({ previousTokenHash: hashToken(refreshToken) });
+};
+
+// Static method to revoke every open session of a user
+sessionSchema.statics.revokeAllForUser = async function (userId, reason = 'forced-logout') {
+  const result = await this.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to list open sessions
+sessionSchema.statics.findActive = function (filter = {}) {
+  return this.find({ ...filter, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Method to check whether the session has been unused for longer than the idle timeout
+sessionSchema.methods.isIdle = function (idleTimeoutMinutes) {
+  if (!idleTimeoutMinutes) return false;
+  return Date.now() - this.lastUsedAt.getTime() > idleTimeoutMinutes * 60 * 1000;
+};
+
+// Method to record activity; writes at most once a minute to keep request overhead low
+sessionSchema.methods.touch = async function () {
+  if (Date.now() - this.lastUsedAt.getTime() < 60 * 1000) return;
+  this.lastUsedAt = new Date();
+  await this.save();
+};
+
+// Method to rotate the refresh token; returns the new raw token
+sessionSchema.methods.rotate = async function () {
+  const refreshToken = generateRefreshToken();
+
+  this.previousTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = hashToken(refreshToken);
+  this.expiresAt = new Date(Date.now() + refreshTokenTtlMs());
+  this.lastUsedAt = new Date();
+  await this.save();
+
+  return refreshToken;
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function (reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { pointDefinition, geoPointPlugin, zonePlugin } = require('../utils/geo');
+const FillLevelReading = require('./FillLevelReading.model');
+const { forecastBin, LOOKBACK_DAYS } = require('../utils/fillForecast');
+
+// Readings a forecast is learnt from, newest first
+const MAX_FORECAST_READINGS = 2000;
 
 const smartBinSchema = new mongoose.Schema({
   binId: {
@@ -18,7 +24,9 @@ const smartBinSchema = new mongoose.Schema({
         type: Number, 
         required: [true, 'Longitude is required']
       }
-    }
+    },
+    // GeoJSON copy of coordinates for geospatial queries (kept in sync by geoPointPlugin)
+    point: pointDefinition
   },
   fillLevel: {
     type: Number,
@@ -53,18 +61,25 @@ const smartBinSchema = new mongoose.Schema({
   collectionCount: {
     type: Number,
     default: 0
-  }
+  },
+  // Fill-rate forecast, refreshed with every reading (see utils/fillForecast)
+  fillRate: Number, // percentage points per hour
+  predictedCollectionAt: Date, // reaches 70%
+  predictedFullAt: Date // reaches 90%
 }, {
   timestamps: true
 });
 
-// Create 2dsphere index for geospatial queries
-smartBinSchema.index({ 'location.coordinates': '2dsphere' });
+// GeoJSON point with a 2dsphere index for geospatial queries
+smartBinSchema.plugin(geoPointPlugin, { parent: 'location' });
+// Zone the bin stands in (zoneId), looked up whenever the point changes
+smartBinSchema.plugin(zonePlugin, { parent: 'location' });
 
 // Indexes for efficient queries
 smartBinSchema.index({ status: 1, fillLevel: -1 });
 smartBinSchema.index({ binType: 1, status: 1 });
 smartBinSchema.index({ fillLevel: -1 });
+smartBinSchema.index({ status: 1, predictedFullAt: 1 });
 
 // Virtual: Get fill status color
 smartBinSchema.virtual('fillStatusColor').get(function() {
@@ -90,8 +105,65 @@ smartBinSchema.virtual('isUrgent').get(function() {
   return this.fillLevel >= 90;
 });
 
-// Method to update fill level
-smartBinSchema.methods.updateFillLevel = function(level) {
+// Method to record a fill-level reading in the bin's history
+// reading: { deviceId, batteryLevel, temperature, source }
+smartBinSchema.methods.recordReading = function(reading = {}) {
+  return FillLevelReading.create({
+    timestamp: this.lastUpdated,
+    binId: this._id,
+    deviceId: reading.deviceId,
+    fillLevel: this.fillLevel,
+    batteryLevel: reading.batteryLevel,
+    temperature: reading.temperature,
+    source: reading.source
+  });
+};
+
+// Method to refresh the fill-rate forecast from the reading history and the current level
+smartBinSchema.methods.updateForecast = async function() {
+  await this.constructor.updateForecasts([this]);
+  return this;
+};
+
+// Static method to refresh the forecasts of several bins (not saved), loading the reading
+// history of all of them in one query
+smartBinSchema.statics.updateForecasts = async function(bins) {
+  if (bins.length === 0) return bins;
+
+  const windows = bins.map(bin => ({
+    binId: bin._id,
+    timestamp: {
+      $gte: new Date(bin.lastUpdated.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000),
+      $lt: bin.lastUpdated
+    }
+  }));
+  const histories = await FillLevelReading.aggregate([
+    { $match: { $or: windows } },
+    {
+      $group: {
+        _id: '$binId',
+        readings: {
+          $topN: {
+            n: MAX_FORECAST_READINGS,
+            sortBy: { timestamp: -1 },
+            output: { timestamp: '$timestamp', fillLevel: '$fillLevel' }
+          }
+        }
+      }
+    }
+  ]);
+  const historyOf = new Map(histories.map(history => [history._id.toString(), history.readings]));
+
+  for (const bin of bins) {
+    const history = historyOf.get(bin._id.toString()) || [];
+    const readings = [...history.reverse(), { timestamp: bin.lastUpdated, fillLevel: bin.fillLevel }];
+    Object.assign(bin, forecastBin({ fillLevel: bin.fillLevel, at: bin.lastUpdated }, readings));
+  }
+  return bins;
+};
+
+// Method to update fill level (the reading is kept in the fill-level history)
+smartBinSchema.methods.updateFillLevel = async function(level, reading = {}) {
   this.fillLevel = Math.max(0, Math.min(100, level));
   this.lastUpdated = new Date();
   
@@ -102,11 +174,14 @@ smartBinSchema.methods.updateFillLevel = function(level) {
     this.status = 'active';
   }
   
-  return this.save();
+  await this.updateForecast();
+  await this.save();
+  await this.recordReading(reading);
+  return this;
 };
 
 // Method to empty bin
-smartBinSchema.methods.empty = function() {
+smartBinSchema.methods.empty = async function() {
   this.fillLevel = 0;
   this.lastEmptied = new Date();
   this.lastUpdated = new Date();
@@ -114,7 +189,10 @@ smartBinSchema.methods.empty = function() {
   if (this.status === 'full') {
     this.status = 'active';
   }
-  return this.save();
+  await this.updateForecast();
+  await this.save();
+  await this.recordReading({ source: 'collection' });
+  return this;
 };
 
 // Method to set maintenance mode
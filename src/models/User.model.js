@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const { hashToken } = require("../utils/jwt");
+const { pointDefinition, geoPointPlugin, zonePlugin } = require("../utils/geo");
 
 const userSchema = new mongoose.Schema(
   {
@@ -40,13 +43,98 @@ const userSchema = new mongoose.Schema(
         lat: Number,
         lng: Number,
       },
+      // GeoJSON copy of coordinates for geospatial queries (kept in sync by geoPointPlugin)
+      point: pointDefinition,
     },
     status: {
       type: String,
-      enum: ["active", "inactive", "suspended"],
+      // pending-verification: self-registered citizen who has not confirmed email and phone yet
+      enum: ["active", "pending-verification", "inactive", "suspended"],
       default: "active",
     },
     lastLogin: Date,
+    // Brute-force protection
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: Date,
+    lockUntil: Date,
+    passwordChangedAt: Date,
+    // Hashes of previous passwords, newest first (see SecurityPolicy.password.historyCount)
+    passwordHistory: {
+      type: [String],
+      select: false,
+    },
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated at setup, promoted to `secret` once a code is verified
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Last accepted TOTP step, so a code cannot be replayed within its window
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      enabledAt: Date,
+    },
+    // Contact verification for self-registered citizens
+    emailVerifiedAt: Date,
+    phoneVerifiedAt: Date,
+    emailVerification: {
+      // SHA-256 hash of the link token
+      tokenHash: {
+        type: String,
+        select: false,
+      },
+      expiresAt: {
+        type: Date,
+        select: false,
+      },
+      lastSentAt: Date,
+    },
+    phoneVerification: {
+      // SHA-256 hash of the SMS code
+      codeHash: {
+        type: String,
+        select: false,
+      },
+      expiresAt: {
+        type: Date,
+        select: false,
+      },
+      // Wrong guesses against the current code
+      attempts: {
+        type: Number,
+        default: 0,
+        select: false,
+      },
+      lastSentAt: Date,
+    },
+    // One-time password reset token (stored hashed)
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -62,6 +150,11 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ role: 1, status: 1 });
 userSchema.index({ status: 1 });
 
+// GeoJSON point with a 2dsphere index for geospatial queries
+userSchema.plugin(geoPointPlugin, { parent: "address" });
+// Zone the address lies in (zoneId), looked up whenever the point changes
+userSchema.plugin(zonePlugin, { parent: "address" });
+
 // Virtual for display name
 userSchema.virtual("displayName").get(function () {
   return this.name || this.email;
@@ -72,6 +165,46 @@ userSchema.methods.isActive = function () {
   return this.status === "active";
 };
 
+// Method to check if the user may sign in (unverified citizens can, with limited access)
+userSchema.methods.canSignIn = function () {
+  return ["active", "pending-verification"].includes(this.status);
+};
+
+// Method to check if the account is temporarily locked
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Method to record a failed login; returns true when this failure locks the account
+userSchema.methods.registerFailedLogin = async function ({ maxAttempts, windowMinutes, lockMinutes }) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - windowMinutes * 60 * 1000);
+
+  // Failures outside the window no longer count
+  if (!this.lastFailedLoginAt || this.lastFailedLoginAt < windowStart) {
+    this.failedLoginAttempts = 0;
+  }
+
+  this.failedLoginAttempts += 1;
+  this.lastFailedLoginAt = now;
+
+  const locked = this.failedLoginAttempts >= maxAttempts;
+  if (locked) {
+    this.lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+    this.failedLoginAttempts = 0;
+  }
+
+  await this.save();
+  return locked;
+};
+
+// Method to clear lockout state (after a successful login or an admin unlock)
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
 // Method to update last login
 userSchema.methods.updateLastLogin = function () {
   this.lastLogin = new Date();
@@ -88,12 +221,156 @@ userSchema.pre("save", async function (next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Method to issue a password reset token; returns the raw token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function (expiresInMinutes = 30) {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetTokenHash = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Static method to find the user holding an unexpired reset token
+userSchema.statics.findByPasswordResetToken = function (resetToken) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(resetToken),
+    passwordResetExpires: { $gt: new Date() },
+  }).select("+password +passwordHistory +passwordResetTokenHash +passwordResetExpires");
+};
+
+// Method to check a candidate against the current and the last `historyCount` passwords
+// Requires the document to be loaded with +password +passwordHistory
+userSchema.methods.isPasswordReused = async function (candidatePassword, historyCount = 0) {
+  const hashes = [this.password, ...(this.passwordHistory || []).slice(0, historyCount)].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Method to set a new password and consume any pending reset token
+// The outgoing hash is kept in passwordHistory when historyCount > 0
+userSchema.methods.setPassword = function (newPassword, historyCount = 0) {
+  if (historyCount > 0 && this.password) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, historyCount);
+  }
+  this.password = newPassword;
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpires = undefined;
+  return this.save();
+};
+
+// Method to issue an email verification token; returns the raw token (only the hash is stored)
+userSchema.methods.createEmailVerificationToken = function (expiresInHours = 24) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerification.tokenHash = hashToken(token);
+  this.emailVerification.expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  this.emailVerification.lastSentAt = new Date();
+
+  return token;
+};
+
+// Static method to find the user holding an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function (token) {
+  return this.findOne({
+    "emailVerification.tokenHash": hashToken(token),
+    "emailVerification.expiresAt": { $gt: new Date() },
+  });
+};
+
+// Method to issue a 6 digit phone verification code; returns the raw code
+userSchema.methods.createPhoneOtp = function (expiresInMinutes = 10) {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+  this.phoneVerification.codeHash = hashToken(code);
+  this.phoneVerification.expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  this.phoneVerification.attempts = 0;
+  this.phoneVerification.lastSentAt = new Date();
+
+  return code;
+};
+
+// Method to check a phone verification code; requires +phoneVerification.codeHash
+// +phoneVerification.expiresAt +phoneVerification.attempts
+// Returns 'verified', 'invalid', 'expired' or 'too-many-attempts'; the caller saves the document
+userSchema.methods.checkPhoneOtp = function (code, maxAttempts = 5) {
+  const otp = this.phoneVerification;
+
+  if (!otp.codeHash || !otp.expiresAt || otp.expiresAt < new Date()) {
+    return "expired";
+  }
+  if (otp.attempts >= maxAttempts) {
+    return "too-many-attempts";
+  }
+  if (hashToken(String(code || "").trim()) !== otp.codeHash) {
+    otp.attempts += 1;
+    return "invalid";
+  }
+
+  this.markPhoneVerified();
+  return "verified";
+};
+
+// Method to mark the email address as verified
+userSchema.methods.markEmailVerified = function () {
+  this.emailVerifiedAt = new Date();
+  this.emailVerification.tokenHash = undefined;
+  this.emailVerification.expiresAt = undefined;
+  this.activateIfVerified();
+};
+
+// Method to mark the phone number as verified
+userSchema.methods.markPhoneVerified = function () {
+  this.phoneVerifiedAt = new Date();
+  this.phoneVerification.codeHash = undefined;
+  this.phoneVerification.expiresAt = undefined;
+  this.phoneVerification.attempts = 0;
+  this.activateIfVerified();
+};
+
+// Method to activate a pending account once both email and phone are verified
+userSchema.methods.activateIfVerified = function () {
+  if (this.status === "pending-verification" && this.emailVerifiedAt && this.phoneVerifiedAt) {
+    this.status = "active";
+  }
+};
+
+// Method to issue a fresh set of recovery codes; returns the raw codes (only hashes are stored)
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Method to consume a recovery code; requires +twoFactor.recoveryCodes
+userSchema.methods.useRecoveryCode = function (code) {
+  const hash = hashToken(String(code || "").trim().toLowerCase());
+  const codes = this.twoFactor.recoveryCodes || [];
+
+  if (!codes.includes(hash)) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes = codes.filter((stored) => stored !== hash);
+  return true;
+};
+
 // Method to compare password for login
 userSchema.methods.comparePassword = async function (candidatePassword) {
   try {
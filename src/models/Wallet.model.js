@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const WalletTransaction = require('./WalletTransaction.model');
+
+const walletSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      unique: true
+    },
+    balance: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'LKR'
+    },
+    totalCredited: {
+      type: Number,
+      default: 0
+    },
+    totalDebited: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Static method to get a citizen's wallet, creating an empty one on first use
+walletSchema.statics.getForUser = function (userId) {
+  return this.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to add credit and record it in the transaction history
+// entry: { type, description, requestId, invoiceId, paymentId, weightKg, rate }
+walletSchema.statics.credit = async function (userId, amount, entry) {
+  amount = roundAmount(amount);
+  const wallet = await this.findOneAndUpdate(
+    { userId },
+    { $inc: { balance: amount, totalCredited: amount } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  let transaction;
+  try {
+    transaction = await WalletTransaction.create({
+      ...entry,
+      userId,
+      amount,
+      balanceAfter: roundAmount(wallet.balance),
+      currency: wallet.currency
+    });
+  } catch (error) {
+    // Not recorded (e.g. the incentive was already credited): take the credit back
+    await this.updateOne({ userId }, { $inc: { balance: -amount, totalCredited: -amount } });
+    throw error;
+  }
+  return { wallet, transaction };
+};
+
+// Static method to spend credit; the balance check and deduction are one atomic update,
+// so concurrent debits can never overdraw. Returns null when the balance is too low.
+walletSchema.statics.debit = async function (userId, amount, entry) {
+  amount = roundAmount(amount);
+  const wallet = await this.findOneAndUpdate(
+    { userId, balance: { $gte: amount } },
+    { $inc: { balance: -amount, totalDebited: amount } },
+    { new: true }
+  );
+  if (!wallet) return null;
+
+  const transaction = await WalletTransaction.create({
+    ...entry,
+    userId,
+    amount: -amount,
+    balanceAfter: roundAmount(wallet.balance),
+    currency: wallet.currency
+  });
+  return { wallet, transaction };
+};
+
+module.exports = mongoose.model('Wallet', walletSchema);
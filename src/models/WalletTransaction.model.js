@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    type: {
+      type: String,
+      enum: ['recycling-incentive', 'invoice-offset', 'refund'],
+      required: true
+    },
+    // Signed: credits are positive, debits negative
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required']
+    },
+    balanceAfter: {
+      type: Number,
+      required: true
+    },
+    currency: {
+      type: String,
+      default: 'LKR'
+    },
+    description: String,
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WasteRequest'
+    },
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    // Recycling incentives: weight collected and rate per kg
+    weightKg: Number,
+    rate: Number
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+walletTransactionSchema.index({ type: 1, createdAt: -1 });
+// A collection earns its incentive once
+walletTransactionSchema.index(
+  { requestId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'recycling-incentive' } }
+);
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
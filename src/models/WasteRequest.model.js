@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { pointDefinition, geoPointPlugin, zonePlugin } = require('../utils/geo');
 
 const wasteRequestSchema = new mongoose.Schema({
   trackingId: {
@@ -31,7 +32,9 @@ const wasteRequestSchema = new mongoose.Schema({
     coordinates: {
       lat: Number,
       lng: Number
-    }
+    },
+    // GeoJSON copy of coordinates for geospatial queries (kept in sync by geoPointPlugin)
+    point: pointDefinition
   },
   preferredDate: {
     type: Date,
@@ -48,9 +51,53 @@ const wasteRequestSchema = new mongoose.Schema({
     default: 0
   },
   actualCost: Number,
+  // Weight recorded by the coordinator at collection
+  actualWeightKg: {
+    type: Number,
+    min: [0, 'Weight cannot be negative']
+  },
+  // Itemised quote from BillingConfig; basis becomes 'actual' once re-quoted with the weight
+  costBreakdown: {
+    basis: {
+      type: String,
+      enum: ['estimate', 'actual']
+    },
+    currency: String,
+    units: Number,
+    weightKg: Number,
+    lines: [{
+      _id: false,
+      code: String,
+      description: String,
+      quantity: Number,
+      unitPrice: Number,
+      amount: Number
+    }],
+    subtotal: Number,
+    discounts: [{
+      _id: false,
+      code: String,
+      description: String,
+      percentage: Number,
+      amount: Number
+    }],
+    discountTotal: Number,
+    taxes: [{
+      _id: false,
+      code: String,
+      description: String,
+      rate: Number,
+      amount: Number
+    }],
+    taxTotal: Number,
+    total: Number,
+    // BillingConfigVersion the quote was priced with; re-quotes keep using it
+    configVersion: Number,
+    quotedAt: Date
+  },
   paymentStatus: {
     type: String,
-    enum: ['not-required', 'pending', 'paid', 'failed'],
+    enum: ['not-required', 'pending', 'paid', 'failed', 'refunded', 'disputed'],
     default: 'not-required'
   },
   scheduledDate: Date,
@@ -60,6 +107,8 @@ const wasteRequestSchema = new mongoose.Schema({
     ref: 'Route'
   },
   rejectionReason: String,
+  // Kept from the payment when cancelled close to collection (the rest is refunded)
+  cancellationFee: Number,
   notes: String
 }, {
   timestamps: true
@@ -69,6 +118,12 @@ const wasteRequestSchema = new mongoose.Schema({
 wasteRequestSchema.index({ userId: 1, status: 1 });
 wasteRequestSchema.index({ status: 1, preferredDate: 1 });
 wasteRequestSchema.index({ createdAt: -1 });
+wasteRequestSchema.index({ status: 1, completedDate: -1 });
+
+// GeoJSON point with a 2dsphere index for geospatial queries
+wasteRequestSchema.plugin(geoPointPlugin, { parent: 'address' });
+// Zone the address lies in (zoneId), looked up whenever the point changes
+wasteRequestSchema.plugin(zonePlugin, { parent: 'address' });
 wasteRequestSchema.index({ routeId: 1 });
 
 // Virtual for days until preferred date
@@ -100,6 +155,24 @@ wasteRequestSchema.methods.schedule = function(date, routeId) {
   return this.save();
 };
 
+// Method to store a BillingConfig quote (does not save)
+// An estimate sets estimatedCost; an actual quote sets actualCost and the recorded weight
+wasteRequestSchema.methods.applyQuote = function(quote) {
+  this.costBreakdown = quote;
+  if (quote.basis === 'actual') {
+    this.actualCost = quote.total;
+    this.actualWeightKg = quote.weightKg;
+  } else {
+    this.estimatedCost = quote.total;
+  }
+
+  // Payment becomes due (or not) with the new amount, unless it has already been settled
+  if (this.paymentStatus === 'not-required' || this.paymentStatus === 'pending') {
+    this.paymentStatus = quote.total > 0 ? 'pending' : 'not-required';
+  }
+  return this;
+};
+
 // Method to complete request
 wasteRequestSchema.methods.complete = function() {
   this.status = 'completed';
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { pointDefinition, geoPointPlugin } = require('../utils/geo');
+const SmartBin = require('./SmartBin.model');
+const WasteRequest = require('./WasteRequest.model');
+const User = require('./User.model');
+
+const COLLECTION_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Models whose documents are assigned to a zone, with the point they are located by
+const ZONED_MODELS = [
+  { Model: SmartBin, pointPath: 'location.point', key: 'bins' },
+  { Model: WasteRequest, pointPath: 'address.point', key: 'requests' },
+  { Model: User, pointPath: 'address.point', key: 'users' }
+];
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length === 2 &&
+  position.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+// A linear ring has at least four positions and ends where it starts
+const isLinearRing = (ring) =>
+  Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] &&
+  ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isLinearRing);
+
+// Plain GeoJSON geometry of a zone's boundary, for $geoIntersects
+const geometryOf = (zone) => ({ type: zone.boundary.type, coordinates: zone.boundary.coordinates });
+
+const zoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    unique: true,
+    trim: true
+  },
+  description: String,
+  // GeoJSON Polygon or MultiPolygon, positions as [lng, lat]
+  boundary: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: [true, 'Boundary type is required']
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Boundary coordinates are required'],
+      validate: {
+        validator: function (coordinates) {
+          return this.boundary.type === 'MultiPolygon'
+            ? Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(isPolygon)
+            : isPolygon(coordinates);
+        },
+        message: 'Boundary must be a closed GeoJSON polygon of [lng, lat] positions'
+      }
+    }
+  },
+  coordinators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Where collection vehicles for the zone start and end their routes
+  depot: {
+    name: String,
+    address: String,
+    coordinates: {
+      lat: Number,
+      lng: Number
+    },
+    point: pointDefinition
+  },
+  collectionDays: [{
+    type: String,
+    enum: COLLECTION_DAYS
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+zoneSchema.plugin(geoPointPlugin, { parent: 'depot' });
+
+// Indexes
+zoneSchema.index({ boundary: '2dsphere' });
+zoneSchema.index({ active: 1, createdAt: 1 });
+zoneSchema.index({ coordinators: 1 });
+
+// Static method to find the zone a GeoJSON point lies in
+// Where active zones overlap, the oldest one wins
+zoneSchema.statics.findForPoint = function (point) {
+  return this.findOne({ active: true, boundary: { $geoIntersects: { $geometry: point } } })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('_id name');
+};
+
+// Static method to bring zone assignments in line after a zone was created, moved,
+// (de)activated or deleted. Documents of the zone and inside its boundary are released,
+// then every active zone, oldest first, takes the unassigned documents it contains.
+// Runs on the collections directly so timestamps and update hooks are left alone.
+zoneSchema.statics.reassignDocuments = async function (zone) {
+  const zones = await this.find({ active: true }).sort({ createdAt: 1, _id: 1 }).select('boundary');
+
+  for (const { Model, pointPath } of ZONED_MODELS) {
+    const release = [{ zoneId: zone._id }];
+    if (zones.some(active => active._id.equals(zone._id))) {
+      release.push({ [pointPath]: { $geoIntersects: { $geometry: geometryOf(zone) } } });
+    }
+    await Model.collection.updateMany({ $or: release }, { $unset: { zoneId: 1 } });
+
+    for (const active of zones) {
+      await Model.collection.updateMany(
+        { zoneId: null, [pointPath]: { $geoIntersects: { $geometry: geometryOf(active) } } },
+        { $set: { zoneId: active._id } }
+      );
+    }
+  }
+
+  return this.countAssigned(zone._id);
+};
+
+// Static method to count the bins, requests and users assigned to a zone
+zoneSchema.statics.countAssigned = async function (zoneId) {
+  const counts = await Promise.all(ZONED_MODELS.map(({ Model }) => Model.countDocuments({ zoneId })));
+  return Object.fromEntries(ZONED_MODELS.map(({ key }, index) => [key, counts[index]]));
+};
+
+module.exports = mongoose.model('Zone', zoneSchema);
@@ -2,6 +2,17 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
 const buildQuery = require('../middleware/queryBuilder');
+const { authorize } = require('../middleware/auth');
+const {
+  logUserCreated,
+  logRoleChange,
+  logUserDeleted,
+  logDataExport,
+  logSettingsChange
+} = require('../middleware/securityLogger');
+
+// Admin only
+router.use(authorize('admin'));
 
 /**
  * @swagger
@@ -83,6 +94,7 @@ const buildQuery = require('../middleware/queryBuilder');
  *               - name
  *               - email
  *               - phone
+ *               - password
  *               - role
  *             properties:
  *               name:
@@ -98,6 +110,11 @@ const buildQuery = require('../middleware/queryBuilder');
  *                 type: string
  *                 description: Contact phone number
  *                 example: "+94771234567"
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: Initial password (must satisfy the security policy)
+ *                 example: Welcome2024
  *               role:
  *                 type: string
  *                 enum: [citizen, coordinator, technician, admin]
@@ -159,7 +176,7 @@ const buildQuery = require('../middleware/queryBuilder');
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: "Missing required fields (name, email, phone, role)"
+ *                   example: "Missing required fields (name, email, phone, password, role)"
  *       500:
  *         description: Server error (e.g., duplicate email)
  *         content:
@@ -175,7 +192,7 @@ const buildQuery = require('../middleware/queryBuilder');
  *                   example: "email already exists"
  */
 router.get('/users', buildQuery(['role', 'status', 'email', 'name']), adminController.getUsers);
-router.post('/users', adminController.createUser);
+router.post('/users', logUserCreated, adminController.createUser);
 
 /**
  * @swagger
@@ -203,7 +220,7 @@ router.post('/users', adminController.createUser);
  *       200:
  *         description: User role updated
  */
-router.put('/users/:id/role', adminController.updateUserRole);
+router.put('/users/:id/role', logRoleChange, adminController.updateUserRole);
 
 /**
  * @swagger
@@ -221,7 +238,27 @@ router.put('/users/:id/role', adminController.updateUserRole);
  *       200:
  *         description: User deleted successfully
  */
-router.delete('/users/:id', adminController.deleteUser);
+router.delete('/users/:id', logUserDeleted, adminController.deleteUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user locked out by failed logins
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/unlock', adminController.unlockUser);
 
 /**
  * @swagger
@@ -240,9 +277,16 @@ router.delete('/users/:id', adminController.deleteUser);
  *         schema:
  *           type: string
  *           format: date
+ *       - in: query
+ *         name: zoneId
+ *         schema:
+ *           type: string
+ *         description: Only requests in this zone
  *     responses:
  *       200:
  *         description: Collection statistics retrieved
+ *       404:
+ *         description: Zone not found
  */
 router.get('/reports/collections', adminController.getCollectionReports);
 
@@ -326,7 +370,7 @@ router.get('/dashboard', adminController.getDashboard);
  *       200:
  *         description: Data exported successfully
  */
-router.get('/export', adminController.exportData);
+router.get('/export', logDataExport, adminController.exportData);
 
 // ============================================
 // PRIVACY SETTINGS ROUTES
@@ -346,13 +390,6 @@ router.get('/export', adminController.exportData);
  *     summary: Update privacy settings
  *     tags: [Admin]
  *     description: Update privacy and data protection settings
- *     parameters:
- *       - in: query
- *         name: adminId
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin user ID performing the update
  *     requestBody:
  *       required: true
  *       content:
@@ -367,6 +404,7 @@ router.get('/export', adminController.exportData);
  *                     type: boolean
  *               dataRetention:
  *                 type: object
+ *                 description: With autoDelete on, bin fill-level history older than days is deleted
  *                 properties:
  *                   days:
  *                     type: number
@@ -384,7 +422,7 @@ router.get('/export', adminController.exportData);
  *         description: Missing admin ID
  */
 router.get('/privacy-settings', adminController.getPrivacySettings);
-router.put('/privacy-settings', adminController.updatePrivacySettings);
+router.put('/privacy-settings', logSettingsChange, adminController.updatePrivacySettings);
 
 /**
  * @swagger
@@ -455,7 +493,7 @@ router.get('/security/logs', buildQuery(['eventType', 'userId', 'success', 'seve
  *   get:
  *     summary: Get active user sessions
  *     tags: [Admin]
- *     description: Retrieve list of active user sessions (based on recent logins)
+ *     description: Retrieve unrevoked, unexpired sessions
  *     responses:
  *       200:
  *         description: Active sessions retrieved successfully
@@ -468,7 +506,7 @@ router.get('/security/sessions', adminController.getActiveSessions);
  *   post:
  *     summary: Force logout a user
  *     tags: [Admin]
- *     description: Force logout a specific user (logs the action)
+ *     description: Revoke every session of a specific user (logs the action)
  *     parameters:
  *       - in: path
  *         name: userId
@@ -476,11 +514,6 @@ router.get('/security/sessions', adminController.getActiveSessions);
  *         schema:
  *           type: string
  *         description: User ID to force logout
- *       - in: query
- *         name: adminId
- *         schema:
- *           type: string
- *         description: Admin ID performing the action
  *     responses:
  *       200:
  *         description: User logged out successfully
@@ -492,17 +525,16 @@ router.post('/security/force-logout/:userId', adminController.forceLogout);
 /**
  * @swagger
  * /api/admin/security/policies:
+ *   get:
+ *     summary: Get security policies
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Security policies retrieved successfully
  *   put:
  *     summary: Update security policies
  *     tags: [Admin]
- *     description: Update system security policies
- *     parameters:
- *       - in: query
- *         name: adminId
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin user ID performing the update
+ *     description: Update password, session, lockout and two-factor policies plus audit logging/compliance settings. Sections are merged, so only changed fields need to be sent.
  *     requestBody:
  *       required: true
  *       content:
@@ -521,11 +553,60 @@ router.post('/security/force-logout/:userId', adminController.forceLogout);
  *                         enum: [off, basic, detailed, verbose]
  *                   compliance:
  *                     type: object
+ *                   password:
+ *                     type: object
+ *                     properties:
+ *                       minLength:
+ *                         type: integer
+ *                         example: 10
+ *                       requireUppercase:
+ *                         type: boolean
+ *                       requireLowercase:
+ *                         type: boolean
+ *                       requireNumber:
+ *                         type: boolean
+ *                       requireSymbol:
+ *                         type: boolean
+ *                       historyCount:
+ *                         type: integer
+ *                         description: Previous passwords that cannot be reused
+ *                       expiryDays:
+ *                         type: integer
+ *                         description: 0 = never expires
+ *                   sessions:
+ *                     type: object
+ *                     properties:
+ *                       maxConcurrent:
+ *                         type: object
+ *                         description: Concurrent session limit per role
+ *                         example: { citizen: 5, admin: 2 }
+ *                       idleTimeoutMinutes:
+ *                         type: integer
+ *                         description: 0 = disabled
+ *                   lockout:
+ *                     type: object
+ *                     properties:
+ *                       maxFailedAttempts:
+ *                         type: integer
+ *                       windowMinutes:
+ *                         type: integer
+ *                       lockMinutes:
+ *                         type: integer
+ *                   twoFactor:
+ *                     type: object
+ *                     properties:
+ *                       required:
+ *                         type: object
+ *                         description: Roles that must enroll in two-factor authentication before using the API
+ *                         example: { admin: true, coordinator: true }
  *     responses:
  *       200:
  *         description: Security policies updated successfully
+ *       400:
+ *         description: Invalid policy value
  */
-router.put('/security/policies', adminController.updateSecurityPolicies);
+router.get('/security/policies', adminController.getSecurityPolicies);
+router.put('/security/policies', logSettingsChange, adminController.updateSecurityPolicies);
 
 // ============================================
 // BILLING CONFIGURATION ROUTES
@@ -544,14 +625,10 @@ router.put('/security/policies', adminController.updateSecurityPolicies);
  *   put:
  *     summary: Update billing configuration
  *     tags: [Admin]
- *     description: Update billing rates and payment settings
- *     parameters:
- *       - in: query
- *         name: adminId
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin user ID performing the update
+ *     description: |
+ *       Update billing rates and payment settings. Each change is saved as a new version;
+ *       with effectiveFrom it is scheduled and takes effect on that date. Gateway credentials
+ *       apply at once and are not versioned.
  *     requestBody:
  *       required: true
  *       content:
@@ -559,6 +636,13 @@ router.put('/security/policies', adminController.updateSecurityPolicies);
  *           schema:
  *             type: object
  *             properties:
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the change takes effect (defaults to now; cannot be in the past)
+ *               note:
+ *                 type: string
+ *                 description: Reason for the change, kept with the version
  *               wasteTypeRates:
  *                 type: object
  *                 description: Rates for different waste types
@@ -569,20 +653,167 @@ router.put('/security/policies', adminController.updateSecurityPolicies);
  *                     type: boolean
  *                   vatRate:
  *                     type: number
+ *               cancellation:
+ *                 type: object
+ *                 properties:
+ *                   feeWindows:
+ *                     type: array
+ *                     description: Fee kept when a paid request is cancelled within hoursBeforeCollection of collection (tightest window applies)
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         hoursBeforeCollection:
+ *                           type: number
+ *                         feePercentage:
+ *                           type: number
  *               paymentGateway:
  *                 type: object
  *                 properties:
  *                   provider:
  *                     type: string
  *                     enum: [stripe, paypal, payhere, manual, none]
+ *                   apiKey:
+ *                     type: string
+ *                     description: PayPal client id or PayHere merchant id (never returned)
+ *                   secretKey:
+ *                     type: string
+ *                     description: Stripe secret key, PayPal client secret or PayHere merchant secret (never returned)
+ *                   webhookSecret:
+ *                     type: string
+ *                     description: Stripe webhook signing secret or PayPal webhook id (never returned)
+ *                   testMode:
+ *                     type: boolean
+ *                     description: Use the PayPal/PayHere sandbox
+ *                   currency:
+ *                     type: string
  *     responses:
  *       200:
- *         description: Billing configuration updated successfully
+ *         description: Billing configuration updated or change scheduled; change holds the new version (null when nothing changed)
  *       400:
- *         description: Missing admin ID
+ *         description: Invalid value or effectiveFrom
  */
 router.get('/billing/config', adminController.getBillingConfig);
-router.put('/billing/config', adminController.updateBillingConfig);
+router.put('/billing/config', logSettingsChange, adminController.updateBillingConfig);
+
+/**
+ * @swagger
+ * /api/admin/billing/config/versions:
+ *   get:
+ *     summary: List billing configuration versions
+ *     description: Newest first, without their settings; status is active, scheduled or superseded
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Versions retrieved successfully
+ */
+router.get('/billing/config/versions', buildQuery(['version', 'effectiveFrom', 'createdBy']), adminController.getBillingConfigVersions);
+
+/**
+ * @swagger
+ * /api/admin/billing/config/versions/diff:
+ *   get:
+ *     summary: Compare two billing configuration versions
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         description: Defaults to the active version
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Fields that differ, with their values in each version
+ *       400:
+ *         description: from or to is not a version number
+ *       404:
+ *         description: Version not found
+ */
+router.get('/billing/config/versions/diff', adminController.diffBillingConfigVersions);
+
+/**
+ * @swagger
+ * /api/admin/billing/config/versions/{version}:
+ *   get:
+ *     summary: Get a billing configuration version with its settings
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version retrieved successfully
+ *       404:
+ *         description: Version not found
+ */
+router.get('/billing/config/versions/:version', adminController.getBillingConfigVersion);
+
+/**
+ * @swagger
+ * /api/admin/billing/config/versions/{version}/rollback:
+ *   post:
+ *     summary: Roll the billing configuration back to an earlier version
+ *     description: Saves the settings of that version as a new version, in force now or from effectiveFrom
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rolled back or rollback scheduled
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: Those settings are already in force at that date
+ */
+router.post('/billing/config/versions/:version/rollback', logSettingsChange, adminController.rollbackBillingConfig);
+
+/**
+ * @swagger
+ * /api/admin/billing/run:
+ *   post:
+ *     summary: Run the billing job now
+ *     description: |
+ *       Adds the late fee to unpaid invoices past their due date, applies the bulk discount
+ *       to unpaid invoices of citizens over the monthly collection threshold, and sends due-soon
+ *       and overdue payment reminders. The job also runs on its own every
+ *       BILLING_JOB_INTERVAL_MINUTES; each adjustment and reminder is applied or sent once.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Counts and amounts of the late fees and bulk discounts applied
+ */
+router.post('/billing/run', adminController.runBillingJob);
 
 /**
  * @swagger
@@ -590,7 +821,10 @@ router.put('/billing/config', adminController.updateBillingConfig);
  *   get:
  *     summary: Get payment reports
  *     tags: [Admin]
- *     description: Generate payment and revenue reports
+ *     description: |
+ *       Generate payment and revenue reports: revenue of completed requests by month, waste type
+ *       and area; VAT and service tax billed and collected; discounts, late fees, refunds and
+ *       recycling credit; and accounts-receivable aging (0-30, 31-60, 61-90, 90+ days outstanding)
  *     parameters:
  *       - in: query
  *         name: startDate
@@ -604,11 +838,471 @@ router.put('/billing/config', adminController.updateBillingConfig);
  *           type: string
  *           format: date
  *         description: End date for report period
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to age receivables from (defaults to now)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: csv downloads the report as section,group,count,amount rows
+ *       - in: query
+ *         name: zoneId
+ *         schema:
+ *           type: string
+ *         description: Only requests, invoices, payments and citizens in this zone
  *     responses:
  *       200:
- *         description: Payment report generated successfully
+ *         description: Payment report generated successfully (JSON, or a CSV attachment)
+ *       400:
+ *         description: Invalid date
+ *       404:
+ *         description: Zone not found
  */
 router.get('/reports/payments', adminController.getPaymentReports);
 
+// ============================================
+// INVOICE ROUTES
+// ============================================
+
+/**
+ * @swagger
+ * /api/admin/invoices:
+ *   get:
+ *     summary: Get invoices with filtering
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [issued, paid, void]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ */
+router.get('/invoices', buildQuery(['status', 'userId', 'requestId', 'invoiceNumber', 'issuedAt', 'dueDate']), adminController.getInvoices);
+
+/**
+ * @swagger
+ * /api/admin/invoices/{id}/reminders:
+ *   get:
+ *     summary: Get the payment reminders sent for an invoice
+ *     description: Due-soon and overdue reminders, oldest first, with delivery status and attempts
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice reminders retrieved
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/invoices/:id/reminders', adminController.getInvoiceReminders);
+
+/**
+ * @swagger
+ * /api/admin/invoices/{id}/void:
+ *   put:
+ *     summary: Void an invoice
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invoice voided
+ *       400:
+ *         description: Missing reason or invoice already void
+ *       404:
+ *         description: Invoice not found
+ */
+router.put('/invoices/:id/void', adminController.voidInvoice);
+
+/**
+ * @swagger
+ * /api/admin/invoices/{id}/reissue:
+ *   post:
+ *     summary: Reissue an invoice
+ *     tags: [Admin]
+ *     description: Issues a new invoice with a new number from the request's current cost breakdown and voids the original
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Invoice reissued
+ *       400:
+ *         description: Invoice already reissued or nothing left to invoice
+ *       404:
+ *         description: Invoice not found
+ */
+router.post('/invoices/:id/reissue', adminController.reissueInvoice);
+
+// ============================================
+// PAYMENT ROUTES
+// ============================================
+
+/**
+ * @swagger
+ * /api/admin/payments:
+ *   get:
+ *     summary: Get the payment ledger with filtering
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, authorized, captured, disputed, failed, cancelled]
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [stripe, paypal, payhere, manual, fake]
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ */
+router.get('/payments', buildQuery(['status', 'provider', 'requestId', 'userId', 'gatewayReference', 'createdAt']), adminController.getPayments);
+
+/**
+ * @swagger
+ * /api/admin/payments/{id}/capture:
+ *   post:
+ *     summary: Capture an authorized payment
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment captured
+ *       402:
+ *         description: The gateway rejected the capture
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment is not authorized
+ */
+router.post('/payments/:id/capture', adminController.capturePayment);
+
+/**
+ * @swagger
+ * /api/admin/payments/{id}/cancel:
+ *   post:
+ *     summary: Cancel a pending or authorized payment
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment cancelled
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment has already been captured, failed or cancelled
+ */
+router.post('/payments/:id/cancel', adminController.cancelPayment);
+
+/**
+ * @swagger
+ * /api/admin/payments/{id}/refund:
+ *   post:
+ *     summary: Refund a captured payment in full or in part
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to everything still refundable
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment refunded, or refund pending at the gateway
+ *       400:
+ *         description: Missing reason or invalid amount
+ *       402:
+ *         description: The gateway rejected the refund
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Nothing left to refund
+ */
+router.post('/payments/:id/refund', adminController.refundPayment);
+
+/**
+ * @swagger
+ * /api/admin/payments/events:
+ *   get:
+ *     summary: Get received payment gateway webhook events
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [stripe, paypal, payhere, fake]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processed, ignored, failed]
+ *       - in: query
+ *         name: paymentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payment events retrieved successfully
+ */
+router.get('/payments/events', buildQuery(['provider', 'status', 'action', 'eventId', 'paymentId', 'gatewayReference', 'createdAt']), adminController.getPaymentEvents);
+
+/**
+ * @swagger
+ * /api/admin/payments/events/{id}/replay:
+ *   post:
+ *     summary: Apply a stored webhook event again
+ *     description: Re-runs the event against the ledger, e.g. after it failed or matched no payment
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event replayed; the new outcome is in the event status
+ *       404:
+ *         description: Payment event not found
+ */
+router.post('/payments/events/:id/replay', adminController.replayPaymentEvent);
+
+// ============================================
+// ZONE ROUTES
+// ============================================
+
+/**
+ * @swagger
+ * /api/admin/zones:
+ *   get:
+ *     summary: Get collection zones
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: coordinators
+ *         description: Zones a coordinator is assigned to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Zones retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Zone'
+ */
+router.get('/zones', buildQuery(['name', 'active', 'coordinators', 'collectionDays']), adminController.getZones);
+
+/**
+ * @swagger
+ * /api/admin/zones:
+ *   post:
+ *     summary: Create a collection zone
+ *     description: Bins, requests and users located inside the boundary are assigned to the new zone
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Zone'
+ *     responses:
+ *       201:
+ *         description: Zone created, with the number of bins, requests and users assigned
+ *       400:
+ *         description: Missing fields, invalid boundary or a coordinator that is not a coordinator account
+ *       409:
+ *         description: Zone name already exists
+ */
+router.post('/zones', logSettingsChange, adminController.createZone);
+
+/**
+ * @swagger
+ * /api/admin/zones/{id}:
+ *   get:
+ *     summary: Get a zone with the number of bins, requests and users assigned to it
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Zone retrieved
+ *       404:
+ *         description: Zone not found
+ */
+router.get('/zones/:id', adminController.getZone);
+
+/**
+ * @swagger
+ * /api/admin/zones/{id}:
+ *   put:
+ *     summary: Update a zone
+ *     description: Changing the boundary or the active flag reassigns bins, requests and users
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Zone'
+ *     responses:
+ *       200:
+ *         description: Zone updated
+ *       400:
+ *         description: Invalid boundary or coordinators
+ *       404:
+ *         description: Zone not found
+ *       409:
+ *         description: Zone name already exists
+ */
+router.put('/zones/:id', logSettingsChange, adminController.updateZone);
+
+/**
+ * @swagger
+ * /api/admin/zones/{id}:
+ *   delete:
+ *     summary: Delete a zone
+ *     description: Its bins, requests and users move to another zone covering them, if any
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Zone deleted, with the number of documents it held
+ *       404:
+ *         description: Zone not found
+ */
+router.delete('/zones/:id', logSettingsChange, adminController.deleteZone);
+
 module.exports = router;
 
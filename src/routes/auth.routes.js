@@ -1,6 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
+const { authenticate, authenticateForTwoFactorSetup } = require('../middleware/auth');
+const { loginThrottle } = require('../middleware/loginThrottle');
+const {
+  logLoginAttempt,
+  logLogout,
+  logPasswordChange,
+  logUserCreated
+} = require('../middleware/securityLogger');
 
 /**
  * @swagger
@@ -14,7 +22,9 @@ const authController = require('../controllers/auth.controller');
  * /api/auth/signup:
  *   post:
  *     summary: Register a new user
+ *     description: The account starts in `pending-verification`. A verification link is emailed and a code is sent by SMS; creating pickup requests is blocked until both are confirmed.
  *     tags: [Auth]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -74,6 +84,10 @@ const authController = require('../controllers/auth.controller');
  *                   properties:
  *                     token:
  *                       type: string
+ *                       description: Short-lived access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use token for POST /api/auth/refresh
  *                     user:
  *                       type: object
  *       400:
@@ -81,7 +95,7 @@ const authController = require('../controllers/auth.controller');
  *       409:
  *         description: Email already registered
  */
-router.post('/signup', authController.signup);
+router.post('/signup', logUserCreated, authController.signup);
 
 /**
  * @swagger
@@ -89,6 +103,7 @@ router.post('/signup', authController.signup);
  *   post:
  *     summary: Login user
  *     tags: [Auth]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -123,14 +138,400 @@ router.post('/signup', authController.signup);
  *                   properties:
  *                     token:
  *                       type: string
+ *                       description: Short-lived access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use token for POST /api/auth/refresh
  *                     user:
  *                       type: object
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       description: When true, no tokens are returned; send challengeToken with a code to /api/auth/login/2fa
+ *                     challengeToken:
+ *                       type: string
+ *                       description: Five-minute token for /api/auth/login/2fa
  *       401:
  *         description: Invalid credentials
  *       403:
- *         description: Account inactive or suspended
+ *         description: Account inactive or suspended, or password expired
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed login attempts from this IP
+ */
+router.post('/login', loginThrottle, logLoginAttempt, authController.login);
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     description: Second step of login for users with two-factor authentication enabled. Send either a TOTP code or an unused recovery code.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: a1b2c-d3e4f
+ *     responses:
+ *       200:
+ *         description: Login successful (same payload as /api/auth/login)
+ *       400:
+ *         description: Missing challenge token or code
+ *       401:
+ *         description: Invalid code, or challenge expired
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed login attempts from this IP
+ */
+router.post('/login/2fa', loginThrottle, logLoginAttempt, authController.loginTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: Refresh tokens rotate on every use. Replaying a spent refresh token revokes the whole session.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout and revoke the current session
+ *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allDevices:
+ *                 type: boolean
+ *                 description: Revoke every session of the user instead of only the current one
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/logout', authenticateForTwoFactorSetup, logLogout, authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds 200 so registered emails cannot be discovered. The emailed token is single-use and expires after RESET_TOKEN_EXPIRES_MINUTES (default 30).
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: john@example.com
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Email is required
+ */
+router.post('/forgot-password', authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with the emailed token
+ *     description: Revokes all existing sessions of the user.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Missing fields, weak password, or invalid/expired token
+ */
+router.post('/reset-password', authController.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change password for the authenticated user
+ *     description: Revokes all existing sessions and returns a new token pair for the caller.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Missing fields or invalid new password
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.put('/password', authenticate, logPasswordChange, authController.changePassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Confirms the email address using the token from the verification link. The account becomes active once both email and phone are verified.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired link
+ */
+router.post('/verify-email', authController.verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       429:
+ *         description: Requested too soon after the previous email (see Retry-After)
+ */
+router.post('/verify-email/resend', authenticate, authController.resendEmailVerification);
+
+/**
+ * @swagger
+ * /api/auth/verify-phone:
+ *   post:
+ *     summary: Verify phone number with the SMS code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Phone number verified
+ *       400:
+ *         description: Invalid or expired code, or phone already verified
+ *       429:
+ *         description: Too many incorrect codes; request a new one
+ */
+router.post('/verify-phone', authenticate, authController.verifyPhone);
+
+/**
+ * @swagger
+ * /api/auth/verify-phone/resend:
+ *   post:
+ *     summary: Resend the phone verification code
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *       400:
+ *         description: Phone already verified
+ *       429:
+ *         description: Requested too soon after the previous code (see Retry-After)
+ */
+router.post('/verify-phone/resend', authenticate, authController.resendPhoneVerification);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a TOTP secret. Show otpauthUri as a QR code, then confirm with /api/auth/2fa/verify. Available to users whose role requires two-factor authentication but who have not enrolled yet.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *       409:
+ *         description: Two-factor authentication already enabled
+ */
+router.post('/2fa/setup', authenticateForTwoFactorSetup, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     description: Returns ten single-use recovery codes. They are shown only once.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ *       409:
+ *         description: Two-factor authentication already enabled
+ */
+router.post('/2fa/verify', authenticateForTwoFactorSetup, authController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is mandatory for this role
+ */
+router.post('/2fa/disable', authenticate, authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Invalidates all previous recovery codes.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       401:
+ *         description: Invalid code
  */
-router.post('/login', authController.login);
+router.post('/2fa/recovery-codes', authenticate, authController.regenerateRecoveryCodes);
 
 module.exports = router;
 
@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const binController = require("../controllers/bin.controller");
 const buildQuery = require("../middleware/queryBuilder");
+const { authorize } = require("../middleware/auth");
+const { authorizeTelemetry } = require("../middleware/deviceAuth");
 
 /**
  * @swagger
@@ -35,6 +37,12 @@ const buildQuery = require("../middleware/queryBuilder");
  *           type: number
  *         description: Filter by fill level (use with comparison operators)
  *       - in: query
+ *         name: predictedFullAt
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter by forecast time of reaching 90% (e.g. predictedFullAt[lte]=2026-05-01)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -52,7 +60,8 @@ const buildQuery = require("../middleware/queryBuilder");
  */
 router.get(
   "/",
-  buildQuery(["status", "binType", "fillLevel", "location.area"]),
+  authorize("coordinator", "admin", "technician", "crew"),
+  buildQuery(["status", "binType", "fillLevel", "location.area", "predictedFullAt"]),
   binController.getAllBins
 );
 
@@ -75,7 +84,52 @@ router.get(
  *       404:
  *         description: Bin not found
  */
-router.get("/:id", binController.getBinById);
+router.get("/:id", authorize("coordinator", "admin", "technician", "crew"), binController.getBinById);
+
+/**
+ * @swagger
+ * /api/bins/{id}/history:
+ *   get:
+ *     summary: Get fill-level history of a bin
+ *     description: |
+ *       Readings downsampled to one bucket per interval, with the min, max and average fill level,
+ *       battery level and temperature in each. Readings older than the privacy retention period
+ *       are deleted when dataRetention.autoDelete is on.
+ *     tags: [Bins]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bin ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (default 7 days before to)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (default now)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           example: 1h
+ *         description: Bucket size in minutes, hours or days (e.g. 15m, 1h, 1d; default 1h)
+ *     responses:
+ *       200:
+ *         description: History retrieved successfully
+ *       400:
+ *         description: Invalid bin ID, dates or interval, or more than 1000 buckets
+ *       404:
+ *         description: Bin not found
+ */
+router.get("/:id/history", authorize("coordinator", "admin", "technician", "crew"), binController.getFillLevelHistory);
 
 /**
  * @swagger
@@ -147,7 +201,7 @@ router.get("/:id", binController.getBinById);
  *       409:
  *         description: Bin ID already exists
  */
-router.post("/", binController.createBin);
+router.post("/", authorize("coordinator", "admin"), binController.createBin);
 
 /**
  * @swagger
@@ -193,14 +247,18 @@ router.post("/", binController.createBin);
  *       404:
  *         description: Bin not found
  */
-router.put("/:id", binController.updateBin);
+router.put("/:id", authorize("coordinator", "admin"), binController.updateBin);
 
 /**
  * @swagger
  * /api/bins/{id}/fill-level:
  *   put:
  *     summary: Update bin fill level
+ *     description: Called by the bin's sensor with its X-Device-Key, or by a technician/admin.
  *     tags: [Bins]
+ *     security:
+ *       - deviceKey: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -222,15 +280,27 @@ router.put("/:id", binController.updateBin);
  *                 minimum: 0
  *                 maximum: 100
  *                 example: 75
+ *               batteryLevel:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: Sensor battery level, kept with the reading
+ *               temperature:
+ *                 type: number
+ *                 description: Temperature in degrees Celsius, kept with the reading
  *     responses:
  *       200:
- *         description: Fill level updated successfully
+ *         description: Fill level updated successfully; the reading is added to the bin's history
  *       400:
- *         description: Invalid fill level
+ *         description: Invalid fill level, battery level or temperature
+ *       401:
+ *         description: Missing, invalid or revoked device API key
+ *       403:
+ *         description: Device is not installed in this bin, or is decommissioned
  *       404:
  *         description: Bin not found
  */
-router.put("/:id/fill-level", binController.updateFillLevel);
+router.put("/:id/fill-level", authorizeTelemetry("bin", ["technician", "admin"]), binController.updateFillLevel);
 
 /**
  * @swagger
@@ -251,7 +321,7 @@ router.put("/:id/fill-level", binController.updateFillLevel);
  *       404:
  *         description: Bin not found
  */
-router.put("/:id/empty", binController.emptyBin);
+router.put("/:id/empty", authorize("crew", "coordinator", "admin"), binController.emptyBin);
 
 /**
  * @swagger
@@ -284,7 +354,7 @@ router.put("/:id/empty", binController.emptyBin);
  *       404:
  *         description: Bin not found
  */
-router.put("/:id/maintenance", binController.setMaintenance);
+router.put("/:id/maintenance", authorize("technician", "coordinator", "admin"), binController.setMaintenance);
 
 /**
  * @swagger
@@ -305,7 +375,7 @@ router.put("/:id/maintenance", binController.setMaintenance);
  *       404:
  *         description: Bin not found
  */
-router.delete("/:id", binController.deleteBin);
+router.delete("/:id", authorize("admin"), binController.deleteBin);
 
 module.exports = router;
 
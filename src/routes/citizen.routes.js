@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const citizenController = require('../controllers/citizen.controller');
 const buildQuery = require('../middleware/queryBuilder');
+const { authorize, authorizeOwnership } = require('../middleware/auth');
+const WasteRequest = require('../models/WasteRequest.model');
+const Invoice = require('../models/Invoice.model');
+
+// Citizens only; request-level routes are further limited to the request owner
+router.use(authorize('citizen'));
+const ownRequest = authorizeOwnership(WasteRequest, 'userId');
+const ownInvoice = authorizeOwnership(Invoice, 'userId');
 
 /**
  * @swagger
@@ -23,14 +31,11 @@ const buildQuery = require('../middleware/queryBuilder');
  *           schema:
  *             type: object
  *             required:
- *               - userId
  *               - wasteType
  *               - quantity
  *               - address
  *               - preferredDate
  *             properties:
- *               userId:
- *                 type: string
  *               wasteType:
  *                 type: string
  *                 enum: [household, bulky, e-waste, recyclable]
@@ -60,6 +65,8 @@ const buildQuery = require('../middleware/queryBuilder');
  *         description: Request created successfully
  *       400:
  *         description: Invalid input
+ *       403:
+ *         description: Email and phone number not verified yet
  */
 router.post('/requests', citizenController.createRequest);
 
@@ -67,15 +74,10 @@ router.post('/requests', citizenController.createRequest);
  * @swagger
  * /api/citizen/requests:
  *   get:
- *     summary: Get user's waste requests with filtering
+ *     summary: Get the authenticated user's waste requests with filtering
  *     tags: [Citizen]
  *     parameters:
  *       - in: query
- *         name: userId
- *         required: true
- *         schema:
- *           type: string
- *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -91,7 +93,7 @@ router.post('/requests', citizenController.createRequest);
  *       200:
  *         description: Requests retrieved successfully
  */
-router.get('/requests', buildQuery(['userId', 'status', 'wasteType', 'createdAt']), citizenController.getRequests);
+router.get('/requests', buildQuery(['status', 'wasteType', 'createdAt']), citizenController.getRequests);
 
 /**
  * @swagger
@@ -111,7 +113,7 @@ router.get('/requests', buildQuery(['userId', 'status', 'wasteType', 'createdAt'
  *       404:
  *         description: Request not found
  */
-router.get('/requests/:id', citizenController.getRequestById);
+router.get('/requests/:id', ownRequest, citizenController.getRequestById);
 
 /**
  * @swagger
@@ -131,14 +133,15 @@ router.get('/requests/:id', citizenController.getRequestById);
  *       404:
  *         description: Request not found
  */
-router.get('/requests/:id/track', citizenController.trackRequest);
+router.get('/requests/:id/track', ownRequest, citizenController.trackRequest);
 
 /**
  * @swagger
  * /api/citizen/requests/{id}/payment:
  *   put:
- *     summary: Record payment for request
+ *     summary: Pay for a request
  *     tags: [Citizen]
+ *     description: Charged through the payment gateway configured in billing settings and recorded in the payment ledger. The request's paymentStatus follows the ledger. Manual payments (provider manual or none) stay authorized until an admin captures them.
  *     parameters:
  *       - in: path
  *         name: id
@@ -158,17 +161,48 @@ router.get('/requests/:id/track', citizenController.trackRequest);
  *                 type: number
  *               paymentMethod:
  *                 type: string
+ *                 example: card
+ *               paymentToken:
+ *                 type: string
+ *                 description: Token from the gateway's client SDK (Stripe payment method id, approved PayPal order id)
+ *     responses:
+ *       200:
+ *         description: Payment captured
+ *       202:
+ *         description: Payment started; the payer must complete nextAction, the gateway will confirm later, or an admin has to confirm a manual payment
+ *       400:
+ *         description: Invalid amount, or nothing to pay
+ *       402:
+ *         description: Payment declined
+ */
+router.put('/requests/:id/payment', ownRequest, citizenController.updatePayment);
+
+/**
+ * @swagger
+ * /api/citizen/requests/{id}/payments:
+ *   get:
+ *     summary: Get the payment ledger of a request
+ *     tags: [Citizen]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Payment recorded successfully
+ *         description: Payments retrieved
  */
-router.put('/requests/:id/payment', citizenController.updatePayment);
+router.get('/requests/:id/payments', ownRequest, citizenController.getRequestPayments);
 
 /**
  * @swagger
  * /api/citizen/requests/{id}/cancel:
  *   put:
  *     summary: Cancel waste request
+ *     description: |
+ *       Payments already made are refunded. Cancelling close to the collection date keeps the
+ *       fee of the matching window in the billing configuration (cancellation.feeWindows).
  *     tags: [Citizen]
  *     parameters:
  *       - in: path
@@ -176,17 +210,125 @@ router.put('/requests/:id/payment', citizenController.updatePayment);
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Request cancelled successfully
+ *         description: Request cancelled; refund holds the amount paid, fee kept and refunds issued
  */
-router.put('/requests/:id/cancel', citizenController.cancelRequest);
+router.put('/requests/:id/cancel', ownRequest, citizenController.cancelRequest);
+
+/**
+ * @swagger
+ * /api/citizen/invoices:
+ *   get:
+ *     summary: Get the authenticated user's invoices
+ *     tags: [Citizen]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [issued, paid, void]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ */
+router.get('/invoices', buildQuery(['status', 'issuedAt', 'dueDate']), citizenController.getInvoices);
+
+/**
+ * @swagger
+ * /api/citizen/wallet:
+ *   get:
+ *     summary: Get the authenticated user's wallet balance and transaction history
+ *     description: |
+ *       Recyclable collections with a recorded weight earn the per-kg incentive from the billing
+ *       configuration. The balance is spent automatically on open invoices, oldest first.
+ *     tags: [Citizen]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [recycling-incentive, invoice-offset, refund]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Balance, totals and a page of transactions (newest first)
+ */
+router.get('/wallet', buildQuery(['type', 'createdAt']), citizenController.getWallet);
+
+/**
+ * @swagger
+ * /api/citizen/invoices/{id}:
+ *   get:
+ *     summary: Get invoice details with line items and taxes
+ *     tags: [Citizen]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/invoices/:id', ownInvoice, citizenController.getInvoiceById);
+
+/**
+ * @swagger
+ * /api/citizen/invoices/{id}/download:
+ *   get:
+ *     summary: Download invoice as a printable HTML document
+ *     tags: [Citizen]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice document
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/invoices/:id/download', ownInvoice, citizenController.downloadInvoice);
 
 /**
  * @swagger
  * /api/citizen/bins/nearby:
  *   get:
  *     summary: Find nearby smart bins
+ *     description: Up to 20 active bins within the radius, nearest first
  *     tags: [Citizen]
  *     parameters:
  *       - in: query
@@ -201,6 +343,7 @@ router.put('/requests/:id/cancel', citizenController.cancelRequest);
  *           type: number
  *       - in: query
  *         name: radius
+ *         description: Search radius in meters
  *         schema:
  *           type: number
  *           default: 2000
@@ -210,7 +353,9 @@ router.put('/requests/:id/cancel', citizenController.cancelRequest);
  *           type: string
  *     responses:
  *       200:
- *         description: Nearby bins retrieved
+ *         description: Nearby bins retrieved; each bin has its distance from the given point in meters
+ *       400:
+ *         description: Missing or invalid coordinates or radius
  */
 router.get('/bins/nearby', citizenController.getNearbyBins);
 
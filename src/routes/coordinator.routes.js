@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const coordinatorController = require('../controllers/coordinator.controller');
 const buildQuery = require('../middleware/queryBuilder');
+const { authorize } = require('../middleware/auth');
+
+// Coordinators, with admins allowed to act on their behalf
+router.use(authorize('coordinator', 'admin'));
 
 /**
  * @swagger
@@ -73,6 +77,17 @@ router.get('/dashboard', coordinatorController.getDashboard);
  *           type: string
  *         description: Filter by bin status
  *       - in: query
+ *         name: zoneId
+ *         schema:
+ *           type: string
+ *         description: Filter by zone (null for bins outside every zone)
+ *       - in: query
+ *         name: predictedFullAt
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter by forecast time of reaching 90% (e.g. predictedFullAt[lte]=2026-05-01)
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
@@ -81,7 +96,7 @@ router.get('/dashboard', coordinatorController.getDashboard);
  *       200:
  *         description: Bins retrieved successfully
  */
-router.get('/bins', buildQuery(['status', 'fillLevel', 'binType']), coordinatorController.getBins);
+router.get('/bins', buildQuery(['status', 'fillLevel', 'binType', 'zoneId', 'predictedFullAt']), coordinatorController.getBins);
 
 /**
  * @swagger
@@ -89,11 +104,17 @@ router.get('/bins', buildQuery(['status', 'fillLevel', 'binType']), coordinatorC
  *   get:
  *     summary: Get pending waste pickup requests
  *     tags: [Coordinator]
+ *     parameters:
+ *       - in: query
+ *         name: zoneId
+ *         schema:
+ *           type: string
+ *         description: Filter by the zone of the pickup address
  *     responses:
  *       200:
  *         description: Pending requests retrieved
  */
-router.get('/requests/pending', buildQuery(['status']), coordinatorController.getPendingRequests);
+router.get('/requests/pending', buildQuery(['status', 'zoneId']), coordinatorController.getPendingRequests);
 
 /**
  * @swagger
@@ -118,6 +139,7 @@ router.put('/requests/:id/approve', coordinatorController.approveRequest);
  * /api/coordinator/requests/{id}/reject:
  *   put:
  *     summary: Reject a waste request
+ *     description: Anything the citizen already paid is refunded in full
  *     tags: [Coordinator]
  *     parameters:
  *       - in: path
@@ -155,6 +177,14 @@ router.put('/requests/:id/reject', coordinatorController.rejectRequest);
  *               fillLevelThreshold:
  *                 type: number
  *                 default: 90
+ *               scheduledDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the route runs (default now)
+ *               includePredicted:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Also collect bins forecast to be full (90%) by the scheduled date
  *               includeApprovedRequests:
  *                 type: boolean
  *                 default: true
@@ -162,8 +192,10 @@ router.put('/requests/:id/reject', coordinatorController.rejectRequest);
  *                 type: number
  *                 default: 50
  *     responses:
- *       200:
+ *       201:
  *         description: Route optimized successfully
+ *       400:
+ *         description: Invalid scheduled date
  */
 router.post('/routes/optimize', coordinatorController.optimizeRouteHandler);
 
@@ -182,8 +214,6 @@ router.post('/routes/optimize', coordinatorController.optimizeRouteHandler);
  *             properties:
  *               routeName:
  *                 type: string
- *               coordinatorId:
- *                 type: string
  *               stops:
  *                 type: array
  *               totalDistance:
@@ -314,9 +344,14 @@ router.put('/routes/:id/status', coordinatorController.updateRouteStatus);
  *               status:
  *                 type: string
  *                 enum: [pending, completed, skipped]
+ *               actualWeightKg:
+ *                 type: number
+ *                 description: Weight collected; re-quotes the request with the billing configuration version it was created under (request stops being completed only)
  *     responses:
  *       200:
  *         description: Stop status updated
+ *       400:
+ *         description: Invalid status, stop index or weight
  */
 router.put('/routes/:id/stops/:stopIndex', coordinatorController.updateStopStatus);
 
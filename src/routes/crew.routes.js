@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const crewController = require('../controllers/crew.controller');
 const buildQuery = require('../middleware/queryBuilder');
+const { authorize, authorizeOwnership, authorizeSelf } = require('../middleware/auth');
+const Route = require('../models/Route.model');
+
+// Crew only; route-level routes are further limited to the assigned crew member
+router.use(authorize('crew'));
 
 /**
  * @swagger
@@ -16,13 +21,6 @@ const buildQuery = require('../middleware/queryBuilder');
  *   get:
  *     summary: Get crew dashboard with statistics and current assignments
  *     tags: [Crew]
- *     parameters:
- *       - in: query
- *         name: crewId
- *         required: true
- *         schema:
- *           type: string
- *         description: Crew member's user ID
  *     responses:
  *       200:
  *         description: Dashboard data retrieved successfully
@@ -112,8 +110,8 @@ const buildQuery = require('../middleware/queryBuilder');
  *                             format: date
  *                           completionPercentage:
  *                             type: integer
- *       400:
- *         description: Crew ID is required
+ *       401:
+ *         description: Authentication required
  *         content:
  *           application/json:
  *             schema:
@@ -124,7 +122,7 @@ const buildQuery = require('../middleware/queryBuilder');
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: "Crew ID is required"
+ *                   example: "Authentication required"
  *       404:
  *         description: Crew member not found
  *         content:
@@ -147,13 +145,6 @@ router.get('/dashboard', crewController.getCrewDashboard);
  *   get:
  *     summary: Get crew's active route
  *     tags: [Crew]
- *     parameters:
- *       - in: query
- *         name: crewId
- *         required: true
- *         schema:
- *           type: string
- *         description: Crew member's user ID
  *     responses:
  *       200:
  *         description: Active route retrieved successfully
@@ -246,8 +237,8 @@ router.get('/dashboard', crewController.getCrewDashboard);
  *                       type: integer
  *                     completionPercentage:
  *                       type: integer
- *       400:
- *         description: Crew ID is required
+ *       401:
+ *         description: Authentication required
  *         content:
  *           application/json:
  *             schema:
@@ -258,7 +249,7 @@ router.get('/dashboard', crewController.getCrewDashboard);
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: "Crew ID is required"
+ *                   example: "Authentication required"
  */
 router.get('/routes/active', crewController.getActiveRoute);
 
@@ -270,12 +261,6 @@ router.get('/routes/active', crewController.getActiveRoute);
  *     tags: [Crew]
  *     parameters:
  *       - in: query
- *         name: crewId
- *         required: true
- *         schema:
- *           type: string
- *         description: Crew member's user ID
- *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -405,8 +390,8 @@ router.get('/routes/active', crewController.getActiveRoute);
  *                     prevPage:
  *                       type: integer
  *                       nullable: true
- *       400:
- *         description: Missing crew ID
+ *       401:
+ *         description: Authentication required
  *         content:
  *           application/json:
  *             schema:
@@ -417,7 +402,7 @@ router.get('/routes/active', crewController.getActiveRoute);
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: "Crew ID is required"
+ *                   example: "Authentication required"
  *       500:
  *         description: Server error
  *         content:
@@ -574,7 +559,7 @@ router.get('/routes', buildQuery(['status', 'scheduledDate']), crewController.ge
  *                   type: string
  *                   example: "Internal server error"
  */
-router.get('/routes/:id', crewController.getRouteDetails);
+router.get('/routes/:id', authorizeOwnership(Route, 'crewId'), crewController.getRouteDetails);
 
 /**
  * @swagger
@@ -719,7 +704,7 @@ router.get('/routes/:id', crewController.getRouteDetails);
  *                   type: string
  *                   example: "Internal server error"
  */
-router.put('/routes/:routeId/stops/:stopIndex', crewController.updateStopStatus);
+router.put('/routes/:routeId/stops/:stopIndex', authorizeOwnership(Route, 'crewId', { param: 'routeId' }), crewController.updateStopStatus);
 
 /**
  * @swagger
@@ -736,13 +721,9 @@ router.put('/routes/:routeId/stops/:stopIndex', crewController.updateStopStatus)
  *           schema:
  *             type: object
  *             required:
- *               - crewId
  *               - issueType
  *               - description
  *             properties:
- *               crewId:
- *                 type: string
- *                 description: ID of the crew member reporting the issue
  *               routeId:
  *                 type: string
  *                 description: ID of the route where the issue occurred
@@ -768,7 +749,6 @@ router.put('/routes/:routeId/stops/:stopIndex', crewController.updateStopStatus)
  *             blocked_access:
  *               summary: Bin access blocked
  *               value:
- *                 crewId: "60f7b3b3b3b3b3b3b3b3b3b3"
  *                 routeId: "60f7b3b3b3b3b3b3b3b3b3b4"
  *                 issueType: "blocked-access"
  *                 description: "Construction vehicles blocking access to bin"
@@ -777,7 +757,6 @@ router.put('/routes/:routeId/stops/:stopIndex', crewController.updateStopStatus)
  *             vehicle_issue:
  *               summary: Vehicle breakdown
  *               value:
- *                 crewId: "60f7b3b3b3b3b3b3b3b3b3b3"
  *                 routeId: "60f7b3b3b3b3b3b3b3b3b3b4"
  *                 issueType: "vehicle-issue"
  *                 description: "Truck engine overheating, need assistance"
@@ -818,7 +797,7 @@ router.put('/routes/:routeId/stops/:stopIndex', crewController.updateStopStatus)
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: "Crew ID, issue type, and description are required"
+ *                   example: "Issue type and description are required"
  *       404:
  *         description: Route not found (if routeId provided)
  *         content:
@@ -854,13 +833,6 @@ router.post('/issues', crewController.reportIssue);
  *   get:
  *     summary: Get crew member profile with current route information
  *     tags: [Crew]
- *     parameters:
- *       - in: query
- *         name: crewId
- *         required: true
- *         schema:
- *           type: string
- *         description: Crew member's user ID
  *     responses:
  *       200:
  *         description: Profile retrieved successfully
@@ -942,8 +914,8 @@ router.post('/issues', crewController.reportIssue);
  *                           format: date
  *                         completionPercentage:
  *                           type: integer
- *       400:
- *         description: Missing crew ID
+ *       401:
+ *         description: Authentication required
  *         content:
  *           application/json:
  *             schema:
@@ -954,7 +926,7 @@ router.post('/issues', crewController.reportIssue);
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: "Crew ID is required"
+ *                   example: "Authentication required"
  *       404:
  *         description: Crew member not found
  *         content:
@@ -1094,7 +1066,7 @@ router.get('/profile', crewController.getProfile);
  *                   type: string
  *                   example: "Internal server error"
  */
-router.put('/profile/:crewId/availability', crewController.updateCrewAvailability);
+router.put('/profile/:crewId/availability', authorizeSelf('crewId'), crewController.updateCrewAvailability);
 
 module.exports = router;
 
@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const deviceController = require("../controllers/device.controller");
 const buildQuery = require("../middleware/queryBuilder");
+const { authorize } = require("../middleware/auth");
+const { authorizeTelemetry, authorizeGateway } = require("../middleware/deviceAuth");
 
 /**
  * @swagger
@@ -27,7 +29,7 @@ const buildQuery = require("../middleware/queryBuilder");
  *         name: deviceType
  *         schema:
  *           type: string
- *           enum: [rfid, qr-code, sensor]
+ *           enum: [rfid, qr-code, sensor, gateway]
  *         description: Filter by device type
  *       - in: query
  *         name: binId
@@ -35,6 +37,11 @@ const buildQuery = require("../middleware/queryBuilder");
  *           type: string
  *         description: Filter by associated bin ID
  *       - in: query
+ *         name: gatewayId
+ *         schema:
+ *           type: string
+ *         description: Filter by the gateway forwarding the device's readings
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -52,10 +59,89 @@ const buildQuery = require("../middleware/queryBuilder");
  */
 router.get(
   "/",
-  buildQuery(["status", "deviceType", "binId"]),
+  authorize("technician", "coordinator", "admin"),
+  buildQuery(["status", "deviceType", "binId", "gatewayId"]),
   deviceController.getAllDevices
 );
 
+/**
+ * @swagger
+ * /api/devices/telemetry/batch:
+ *   post:
+ *     summary: Submit a batch of telemetry readings from a gateway
+ *     description: |
+ *       Called by a LoRa/NB-IoT gateway with its X-Device-Key (device type `gateway`), or by a technician/admin.
+ *       A gateway may only report for itself and the devices assigned to it (`gatewayId`).
+ *       Each reading is validated on its own and the valid ones are applied in timestamp order: fill levels are
+ *       added to the bin's fill-level history, and the device's last signal and battery and the bin's fill level
+ *       are updated unless they already show a newer reading. Error codes are added to the device's error log.
+ *       The response holds one result per reading, in the order they were sent; rejected readings carry an
+ *       `error` and an HTTP-style `statusCode` (400 invalid, 403 not assigned to the gateway, 404 unknown device
+ *       or bin, 409 device decommissioned or not installed in a bin).
+ *     tags: [Devices]
+ *     security:
+ *       - deviceKey: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - readings
+ *             properties:
+ *               readings:
+ *                 type: array
+ *                 maxItems: 5000
+ *                 description: The readings; a bare array is accepted as well
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - deviceId
+ *                     - timestamp
+ *                   properties:
+ *                     deviceId:
+ *                       type: string
+ *                       description: Hardware ID of the reporting device
+ *                       example: DEV-001
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the reading was taken; at most 5 minutes ahead of the server clock
+ *                     fillLevel:
+ *                       type: number
+ *                       minimum: 0
+ *                       maximum: 100
+ *                       example: 64
+ *                     batteryLevel:
+ *                       type: number
+ *                       minimum: 0
+ *                       maximum: 100
+ *                       example: 81
+ *                     errorCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [LOW_SIGNAL]
+ *     responses:
+ *       200:
+ *         description: All readings applied
+ *       207:
+ *         description: Some or all readings were rejected; see `results` for the reason of each
+ *       400:
+ *         description: Readings missing, empty or more than 5000
+ *       401:
+ *         description: Missing, invalid or revoked device API key
+ *       403:
+ *         description: Key does not belong to a gateway, or the gateway is decommissioned
+ */
+router.post(
+  "/telemetry/batch",
+  authorizeGateway(["technician", "admin"]),
+  deviceController.ingestTelemetryBatch
+);
+
 /**
  * @swagger
  * /api/devices/{id}:
@@ -75,7 +161,7 @@ router.get(
  *       404:
  *         description: Device not found
  */
-router.get("/:id", deviceController.getDeviceById);
+router.get("/:id", authorize("technician", "coordinator", "admin"), deviceController.getDeviceById);
 
 /**
  * @swagger
@@ -99,13 +185,16 @@ router.get("/:id", deviceController.getDeviceById);
  *                 example: DEV-001
  *               deviceType:
  *                 type: string
- *                 enum: [rfid, qr-code, sensor]
+ *                 enum: [rfid, qr-code, sensor, gateway]
  *                 description: Type of IoT device
  *                 example: sensor
  *               binId:
  *                 type: string
  *                 description: Associated bin ID (optional)
  *                 example: 6543210abc123def456789
+ *               gatewayId:
+ *                 type: string
+ *                 description: Gateway allowed to forward the device's readings (optional)
  *               status:
  *                 type: string
  *                 enum: [active, offline, decommissioned, error]
@@ -123,15 +212,15 @@ router.get("/:id", deviceController.getDeviceById);
  *                 example: v1.2.3
  *     responses:
  *       201:
- *         description: Device created successfully
+ *         description: Device created successfully. The response includes the device's `apiKey`, shown only once.
  *       400:
  *         description: Invalid input or missing required fields
  *       404:
- *         description: Associated bin not found
+ *         description: Associated bin or gateway not found
  *       409:
  *         description: Device ID already exists
  */
-router.post("/", deviceController.createDevice);
+router.post("/", authorize("technician", "admin"), deviceController.createDevice);
 
 /**
  * @swagger
@@ -155,10 +244,13 @@ router.post("/", deviceController.createDevice);
  *             properties:
  *               deviceType:
  *                 type: string
- *                 enum: [rfid, qr-code, sensor]
+ *                 enum: [rfid, qr-code, sensor, gateway]
  *               binId:
  *                 type: string
  *                 description: Associated bin ID
+ *               gatewayId:
+ *                 type: string
+ *                 description: Gateway allowed to forward the device's readings
  *               status:
  *                 type: string
  *                 enum: [active, offline, decommissioned, error]
@@ -174,16 +266,20 @@ router.post("/", deviceController.createDevice);
  *       400:
  *         description: Invalid input
  *       404:
- *         description: Device not found
+ *         description: Device, bin or gateway not found
  */
-router.put("/:id", deviceController.updateDevice);
+router.put("/:id", authorize("technician", "admin"), deviceController.updateDevice);
 
 /**
  * @swagger
  * /api/devices/{id}/signal:
  *   put:
  *     summary: Update device signal (heartbeat)
+ *     description: Called by the device itself with its X-Device-Key, or by a technician/admin.
  *     tags: [Devices]
+ *     security:
+ *       - deviceKey: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -206,17 +302,27 @@ router.put("/:id", deviceController.updateDevice);
  *     responses:
  *       200:
  *         description: Device signal updated successfully
+ *       401:
+ *         description: Missing, invalid or revoked device API key
+ *       403:
+ *         description: Key belongs to another device, or the device is decommissioned
  *       404:
  *         description: Device not found
+ *       409:
+ *         description: Device has been decommissioned
  */
-router.put("/:id/signal", deviceController.updateSignal);
+router.put("/:id/signal", authorizeTelemetry("device", ["technician", "admin"]), deviceController.updateSignal);
 
 /**
  * @swagger
  * /api/devices/{id}/error:
  *   post:
  *     summary: Add error log to device
+ *     description: Called by the device itself with its X-Device-Key, or by a technician/admin.
  *     tags: [Devices]
+ *     security:
+ *       - deviceKey: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -252,10 +358,58 @@ router.put("/:id/signal", deviceController.updateSignal);
  *         description: Error logged successfully
  *       400:
  *         description: Missing required fields
+ *       401:
+ *         description: Missing, invalid or revoked device API key
+ *       403:
+ *         description: Key belongs to another device, or the device is decommissioned
  *       404:
  *         description: Device not found
+ *       409:
+ *         description: Device has been decommissioned
  */
-router.post("/:id/error", deviceController.addError);
+router.post("/:id/error", authorizeTelemetry("device", ["technician", "admin"]), deviceController.addError);
+
+/**
+ * @swagger
+ * /api/devices/{id}/api-key:
+ *   post:
+ *     summary: Issue a new API key for a device
+ *     description: Rotates the key; the previous key stops working immediately. The new key is shown only once.
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device ID
+ *     responses:
+ *       200:
+ *         description: API key issued
+ *       400:
+ *         description: Device is decommissioned
+ *       404:
+ *         description: Device not found
+ *   delete:
+ *     summary: Revoke a device's API key
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       400:
+ *         description: Device has no active API key
+ *       404:
+ *         description: Device not found
+ */
+router.post("/:id/api-key", authorize("technician", "admin"), deviceController.rotateApiKey);
+router.delete("/:id/api-key", authorize("technician", "admin"), deviceController.revokeApiKey);
 
 /**
  * @swagger
@@ -278,17 +432,12 @@ router.post("/:id/error", deviceController.addError);
  *             type: object
  *             required:
  *               - action
- *               - technicianId
  *               - notes
  *             properties:
  *               action:
  *                 type: string
  *                 description: Maintenance action performed
  *                 example: Battery replacement
- *               technicianId:
- *                 type: string
- *                 description: ID of technician who performed maintenance
- *                 example: 6543210abc123def456791
  *               notes:
  *                 type: string
  *                 description: Detailed maintenance notes
@@ -305,7 +454,7 @@ router.post("/:id/error", deviceController.addError);
  *       404:
  *         description: Device not found
  */
-router.post("/:id/maintenance", deviceController.addMaintenance);
+router.post("/:id/maintenance", authorize("technician", "admin"), deviceController.addMaintenance);
 
 /**
  * @swagger
@@ -328,7 +477,7 @@ router.post("/:id/maintenance", deviceController.addMaintenance);
  *       404:
  *         description: Device not found
  */
-router.put("/:id/decommission", deviceController.decommissionDevice);
+router.put("/:id/decommission", authorize("technician", "admin"), deviceController.decommissionDevice);
 
 /**
  * @swagger
@@ -361,7 +510,7 @@ router.put("/:id/decommission", deviceController.decommissionDevice);
  *       404:
  *         description: Device or bin not found
  */
-router.put("/:id/reactivate", deviceController.reactivateDevice);
+router.put("/:id/reactivate", authorize("technician", "admin"), deviceController.reactivateDevice);
 
 /**
  * @swagger
@@ -382,6 +531,6 @@ router.put("/:id/reactivate", deviceController.reactivateDevice);
  *       404:
  *         description: Device not found
  */
-router.delete("/:id", deviceController.deleteDevice);
+router.delete("/:id", authorize("admin"), deviceController.deleteDevice);
 
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const issueController = require('../controllers/issue.controller');
 const buildQuery = require('../middleware/queryBuilder');
+const { authorize } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -23,13 +24,9 @@ const buildQuery = require('../middleware/queryBuilder');
  *           schema:
  *             type: object
  *             required:
- *               - crewId
  *               - issueType
  *               - description
  *             properties:
- *               crewId:
- *                 type: string
- *                 description: ID of the crew member reporting the issue
  *               routeId:
  *                 type: string
  *                 description: ID of the route (optional)
@@ -57,7 +54,7 @@ const buildQuery = require('../middleware/queryBuilder');
  *       404:
  *         description: Crew member or route not found
  */
-router.post('/', issueController.createIssue);
+router.post('/', authorize('crew'), issueController.createIssue);
 
 /**
  * @swagger
@@ -99,7 +96,7 @@ router.post('/', issueController.createIssue);
  *                     byType:
  *                       type: object
  */
-router.get('/stats', issueController.getIssueStats);
+router.get('/stats', authorize('coordinator', 'admin'), issueController.getIssueStats);
 
 /**
  * @swagger
@@ -150,7 +147,7 @@ router.get('/stats', issueController.getIssueStats);
  *       200:
  *         description: Issues retrieved successfully
  */
-router.get('/', buildQuery(['status', 'issueType', 'priority']), issueController.getIssues);
+router.get('/', authorize('crew', 'coordinator', 'admin'), buildQuery(['status', 'issueType', 'priority']), issueController.getIssues);
 
 /**
  * @swagger
@@ -170,7 +167,7 @@ router.get('/', buildQuery(['status', 'issueType', 'priority']), issueController
  *       404:
  *         description: Issue not found
  */
-router.get('/:id', issueController.getIssueById);
+router.get('/:id', authorize('crew', 'coordinator', 'admin'), issueController.getIssueById);
 
 /**
  * @swagger
@@ -196,9 +193,6 @@ router.get('/:id', issueController.getIssueById);
  *               status:
  *                 type: string
  *                 enum: [reported, acknowledged, in-progress, resolved, closed]
- *               resolvedBy:
- *                 type: string
- *                 description: User ID (required when status is resolved)
  *               resolution:
  *                 type: string
  *                 maxLength: 500
@@ -211,7 +205,7 @@ router.get('/:id', issueController.getIssueById);
  *       404:
  *         description: Issue not found
  */
-router.put('/:id/status', issueController.updateIssueStatus);
+router.put('/:id/status', authorize('coordinator', 'admin'), issueController.updateIssueStatus);
 
 /**
  * @swagger
@@ -245,7 +239,7 @@ router.put('/:id/status', issueController.updateIssueStatus);
  *       404:
  *         description: Issue not found
  */
-router.put('/:id/priority', issueController.updateIssuePriority);
+router.put('/:id/priority', authorize('coordinator', 'admin'), issueController.updateIssuePriority);
 
 /**
  * @swagger
@@ -266,12 +260,8 @@ router.put('/:id/priority', issueController.updateIssuePriority);
  *           schema:
  *             type: object
  *             required:
- *               - userId
  *               - comment
  *             properties:
- *               userId:
- *                 type: string
- *                 description: ID of user adding the comment
  *               comment:
  *                 type: string
  *                 maxLength: 500
@@ -283,7 +273,7 @@ router.put('/:id/priority', issueController.updateIssuePriority);
  *       404:
  *         description: Issue or user not found
  */
-router.post('/:id/comments', issueController.addComment);
+router.post('/:id/comments', authorize('crew', 'coordinator', 'admin'), issueController.addComment);
 
 module.exports = router;
 
@@ -0,0 +1,52 @@
+const express = require("express");
+const router = express.Router();
+const paymentController = require("../controllers/payment.controller");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Payment gateway callbacks
+ */
+
+/**
+ * @swagger
+ * /api/payments/webhooks/{provider}:
+ *   post:
+ *     summary: Receive a payment gateway webhook
+ *     description: |
+ *       Public endpoint called by the payment gateway. The delivery is verified with the
+ *       provider's signature (Stripe-Signature, PayPal transmission headers, PayHere md5sig)
+ *       using the secrets in the billing configuration. Events are stored once per provider
+ *       event id; redeliveries are acknowledged without being applied again.
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [stripe, paypal, payhere]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event processed, ignored or already processed
+ *       400:
+ *         description: Invalid signature or payload
+ *       404:
+ *         description: Unknown provider
+ *       500:
+ *         description: Event could not be processed; the provider should retry
+ */
+router.post("/webhooks/:provider", paymentController.handleWebhook);
+
+module.exports = router;
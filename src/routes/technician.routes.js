@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const technicianController = require('../controllers/technician.controller');
 const buildQuery = require('../middleware/queryBuilder');
+const { authorize, authorizeOwnership } = require('../middleware/auth');
+const WorkOrder = require('../models/WorkOrder.model');
+
+// Technicians only; work order actions are further limited to the assigned technician
+router.use(authorize('technician'));
+const ownWorkOrder = authorizeOwnership(WorkOrder, 'technicianId');
 
 /**
  * @swagger
@@ -83,7 +89,7 @@ router.put('/work-orders/:id/assign', technicianController.assignWorkOrder);
  *       200:
  *         description: Work order started
  */
-router.put('/work-orders/:id/start', technicianController.startWorkOrder);
+router.put('/work-orders/:id/start', ownWorkOrder, technicianController.startWorkOrder);
 
 /**
  * @swagger
@@ -115,7 +121,7 @@ router.put('/work-orders/:id/start', technicianController.startWorkOrder);
  *       200:
  *         description: Work order resolved
  */
-router.put('/work-orders/:id/resolve', technicianController.resolveWorkOrder);
+router.put('/work-orders/:id/resolve', ownWorkOrder, technicianController.resolveWorkOrder);
 
 /**
  * @swagger
@@ -142,7 +148,7 @@ router.put('/work-orders/:id/resolve', technicianController.resolveWorkOrder);
  *       200:
  *         description: Work order escalated
  */
-router.put('/work-orders/:id/escalate', technicianController.escalateWorkOrder);
+router.put('/work-orders/:id/escalate', ownWorkOrder, technicianController.escalateWorkOrder);
 
 /**
  * @swagger
@@ -165,7 +171,7 @@ router.put('/work-orders/:id/escalate', technicianController.escalateWorkOrder);
  *                 type: string
  *     responses:
  *       201:
- *         description: Device registered
+ *         description: Device registered. The response includes the device's `apiKey`, shown only once.
  */
 router.post('/devices/register', technicianController.registerDevice);
 
@@ -2,6 +2,10 @@ const express = require("express");
 const router = express.Router();
 const userController = require("../controllers/user.controller");
 const buildQuery = require("../middleware/queryBuilder");
+const { authorize } = require("../middleware/auth");
+
+// Admin only
+router.use(authorize("admin"));
 
 /**
  * @swagger
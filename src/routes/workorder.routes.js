@@ -2,6 +2,11 @@ const express = require("express");
 const router = express.Router();
 const workOrderController = require("../controllers/workorder.controller");
 const buildQuery = require("../middleware/queryBuilder");
+const { authorize, authorizeOwnership } = require("../middleware/auth");
+const WorkOrder = require("../models/WorkOrder.model");
+
+// Progress updates are limited to the assigned technician (admins bypass)
+const ownWorkOrder = authorizeOwnership(WorkOrder, "technicianId");
 
 /**
  * @swagger
@@ -58,6 +63,7 @@ const buildQuery = require("../middleware/queryBuilder");
  */
 router.get(
   "/",
+  authorize("technician", "coordinator", "admin"),
   buildQuery(["status", "priority", "issueType", "technicianId"]),
   workOrderController.getAllWorkOrders
 );
@@ -81,7 +87,7 @@ router.get(
  *       404:
  *         description: Work order not found
  */
-router.get("/:id", workOrderController.getWorkOrderById);
+router.get("/:id", authorize("technician", "coordinator", "admin"), workOrderController.getWorkOrderById);
 
 /**
  * @swagger
@@ -134,7 +140,7 @@ router.get("/:id", workOrderController.getWorkOrderById);
  *       404:
  *         description: Device or bin not found
  */
-router.post("/", workOrderController.createWorkOrder);
+router.post("/", authorize("technician", "coordinator", "admin"), workOrderController.createWorkOrder);
 
 /**
  * @swagger
@@ -174,7 +180,7 @@ router.post("/", workOrderController.createWorkOrder);
  *       404:
  *         description: Work order not found
  */
-router.put("/:id", workOrderController.updateWorkOrder);
+router.put("/:id", authorize("coordinator", "admin"), workOrderController.updateWorkOrder);
 
 /**
  * @swagger
@@ -210,7 +216,7 @@ router.put("/:id", workOrderController.updateWorkOrder);
  *       404:
  *         description: Work order not found
  */
-router.put("/:id/assign", workOrderController.assignWorkOrder);
+router.put("/:id/assign", authorize("coordinator", "admin"), workOrderController.assignWorkOrder);
 
 /**
  * @swagger
@@ -233,7 +239,7 @@ router.put("/:id/assign", workOrderController.assignWorkOrder);
  *       404:
  *         description: Work order not found
  */
-router.put("/:id/start", workOrderController.startWorkOrder);
+router.put("/:id/start", authorize("technician", "admin"), ownWorkOrder, workOrderController.startWorkOrder);
 
 /**
  * @swagger
@@ -278,7 +284,7 @@ router.put("/:id/start", workOrderController.startWorkOrder);
  *       404:
  *         description: Work order not found
  */
-router.put("/:id/resolve", workOrderController.resolveWorkOrder);
+router.put("/:id/resolve", authorize("technician", "admin"), ownWorkOrder, workOrderController.resolveWorkOrder);
 
 /**
  * @swagger
@@ -314,7 +320,7 @@ router.put("/:id/resolve", workOrderController.resolveWorkOrder);
  *       404:
  *         description: Work order not found
  */
-router.put("/:id/escalate", workOrderController.escalateWorkOrder);
+router.put("/:id/escalate", authorize("technician", "admin"), ownWorkOrder, workOrderController.escalateWorkOrder);
 
 /**
  * @swagger
@@ -350,7 +356,7 @@ router.put("/:id/escalate", workOrderController.escalateWorkOrder);
  *       404:
  *         description: Work order not found
  */
-router.put("/:id/cancel", workOrderController.cancelWorkOrder);
+router.put("/:id/cancel", authorize("coordinator", "admin"), workOrderController.cancelWorkOrder);
 
 /**
  * @swagger
@@ -371,6 +377,6 @@ router.put("/:id/cancel", workOrderController.cancelWorkOrder);
  *       404:
  *         description: Work order not found
  */
-router.delete("/:id", workOrderController.deleteWorkOrder);
+router.delete("/:id", authorize("admin"), workOrderController.deleteWorkOrder);
 
 module.exports = router;
@@ -0,0 +1,182 @@
+/**
+ * Billing Service
+ * Applies the late fees and discounts configured in BillingConfig to invoices:
+ * - billing.lateFeePercentage: once, on invoices still unpaid after their due date
+ * - discounts.earlyPayment: when the citizen pays at least daysBeforeDue days before the due date
+ * - discounts.bulkDiscount: on the unpaid invoices of citizens with at least `threshold`
+ *   completed collections in a calendar month
+ * Every adjustment is a percentage of the invoiced charges and is kept on the invoice
+ * (Invoice.adjustments). Late fees and bulk discounts are applied by the billing job, which
+ * runs every BILLING_JOB_INTERVAL_MINUTES (default 60, 0 disables it) and also sends the
+ * payment reminders (see reminder.service).
+ */
+
+const Invoice = require('../models/Invoice.model');
+const WasteRequest = require('../models/WasteRequest.model');
+const BillingConfig = require('../models/BillingConfig.model');
+const { syncRequestPaymentStatus } = require('./payment.service');
+const { sendPaymentReminders } = require('./reminder.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Calendar month (UTC) containing `date`, shifted by `offset` months
+const monthOf = (date, offset = 0) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1));
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  const period = `${start.getUTCFullYear()}-${String(start.getUTCMonth() + 1).padStart(2, '0')}`;
+  return { start, end, period };
+};
+
+// Re-derive the request's payment status after its invoice total changed
+const syncRequestOf = async (invoice) => {
+  const request = await WasteRequest.findById(invoice.requestId);
+  if (request) {
+    await syncRequestPaymentStatus(request);
+    await request.save();
+  }
+};
+
+/**
+ * Apply the early-payment discount to an invoice being paid now, when eligible
+ * Not applied once a late fee has been charged. The payment service saves it once the
+ * payment is captured; callers quoting the amount due pass save: false.
+ * @param {Object} invoice - Open invoice of the request being paid (may be null)
+ * @param {Date} [now] - Payment time
+ * @param {Object} [options] - { save = true }
+ * @returns {Promise<Object|null>} The discount adjustment, or null when none applies
+ */
+exports.applyEarlyPaymentDiscount = async (invoice, now = new Date(), { save = true } = {}) => {
+  if (!invoice || invoice.status !== 'issued' || invoice.hasAdjustment('late-fee')) {
+    return null;
+  }
+
+  const config = await BillingConfig.getConfig();
+  const { enabled, daysBeforeDue, percentage } = config.discounts.earlyPayment;
+  if (!enabled || !(percentage > 0) || now > new Date(invoice.dueDate.getTime() - daysBeforeDue * DAY_MS)) {
+    return null;
+  }
+
+  const adjustment = invoice.addAdjustment({
+    code: 'early-payment',
+    description: `Early payment discount (${daysBeforeDue}+ days before due date)`,
+    percentage
+  });
+  if (adjustment && save) {
+    await invoice.save();
+  }
+  return adjustment;
+};
+
+/**
+ * Add the configured late fee to every unpaid invoice past its due date
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { count, amount }
+ */
+exports.applyLateFees = async (now = new Date()) => {
+  const config = await BillingConfig.getConfig();
+  const percentage = config.billing.lateFeePercentage;
+  const result = { count: 0, amount: 0 };
+  if (!(percentage > 0)) return result;
+
+  const invoices = await Invoice.find({
+    status: 'issued',
+    dueDate: { $lt: now },
+    'adjustments.code': { $ne: 'late-fee' }
+  });
+
+  for (const invoice of invoices) {
+    const adjustment = invoice.addAdjustment({
+      code: 'late-fee',
+      description: `Late payment fee (due ${invoice.dueDate.toISOString().slice(0, 10)})`,
+      percentage
+    });
+    if (!adjustment) continue;
+
+    await invoice.save();
+    await syncRequestOf(invoice);
+    result.count += 1;
+    result.amount = roundAmount(result.amount + adjustment.amount);
+  }
+
+  return result;
+};
+
+/**
+ * Discount the unpaid invoices of citizens who reached the monthly collection threshold
+ * Covers the current and the previous month, so collections late in a month still count
+ * after it ends. Invoices already paid when the threshold is reached keep their total.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { count, amount, citizens }
+ */
+exports.applyBulkDiscounts = async (now = new Date()) => {
+  const config = await BillingConfig.getConfig();
+  const { enabled, threshold, percentage } = config.discounts.bulkDiscount;
+  const result = { count: 0, amount: 0, citizens: 0 };
+  if (!enabled || !(percentage > 0)) return result;
+
+  for (const { start, end, period } of [monthOf(now, -1), monthOf(now)]) {
+    const qualifying = await WasteRequest.aggregate([
+      { $match: { status: 'completed', completedDate: { $gte: start, $lt: end } } },
+      { $group: { _id: '$userId', requestIds: { $push: '$_id' }, collections: { $sum: 1 } } },
+      { $match: { collections: { $gte: threshold } } }
+    ]);
+
+    for (const citizen of qualifying) {
+      const invoices = await Invoice.find({
+        userId: citizen._id,
+        requestId: { $in: citizen.requestIds },
+        status: 'issued',
+        'adjustments.code': { $ne: 'bulk-discount' }
+      });
+      if (invoices.length > 0) result.citizens += 1;
+
+      for (const invoice of invoices) {
+        const adjustment = invoice.addAdjustment({
+          code: 'bulk-discount',
+          description: `Bulk discount (${citizen.collections} collections in ${period})`,
+          percentage,
+          period
+        });
+        if (!adjustment) continue;
+
+        await invoice.save();
+        await syncRequestOf(invoice);
+        result.count += 1;
+        result.amount = roundAmount(result.amount + adjustment.amount);
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Run one billing cycle: late fees, bulk discounts, then reminders (which quote the adjusted totals)
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { lateFees, bulkDiscounts, reminders, ranAt }
+ */
+exports.runBillingJob = async (now = new Date()) => ({
+  lateFees: await exports.applyLateFees(now),
+  bulkDiscounts: await exports.applyBulkDiscounts(now),
+  reminders: await sendPaymentReminders(now),
+  ranAt: now
+});
+
+/**
+ * Start running the billing job on an interval
+ * @param {Number} [intervalMinutes] - Defaults to BILLING_JOB_INTERVAL_MINUTES or 60; 0 disables
+ * @returns {Object|null} Timer, or null when disabled
+ */
+exports.startBillingJob = (intervalMinutes = Number(process.env.BILLING_JOB_INTERVAL_MINUTES ?? 60)) => {
+  if (!(intervalMinutes > 0)) return null;
+
+  const run = () =>
+    exports.runBillingJob().catch((error) => console.error('Error running billing job:', error));
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+  return timer;
+};
@@ -0,0 +1,101 @@
+/**
+ * Fake gateway for tests and local development
+ * Keeps transactions in memory; the payment token picks the outcome:
+ * - fake_declined: authorization fails
+ * - fake_requires_action: authorization stays pending (e.g. 3-D Secure)
+ * - fake_capture_fails: authorization succeeds, capture fails
+ * - anything else: authorization succeeds
+ *
+ * Webhooks carry an X-Fake-Signature header: hex HMAC-SHA256 of the raw body with
+ * settings.webhookSecret. Body: { id, type, reference, amount, refundId, reason } where type is
+ * payment.succeeded, payment.failed, payment.refunded, payment.disputed or dispute.won.
+ */
+
+const crypto = require('crypto');
+
+const WEBHOOK_ACTIONS = {
+  'payment.succeeded': 'succeeded',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded',
+  'payment.disputed': 'disputed',
+  'dispute.won': 'dispute-won'
+};
+
+// Sign a webhook body the way the fake gateway does (for tests)
+const signWebhook = (rawBody, secret) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+const fakeGateway = {
+  name: 'fake',
+  transactions: new Map(),
+
+  authorize: async ({ amount, currency, paymentToken }) => {
+    const gatewayReference = `fake_${crypto.randomBytes(8).toString('hex')}`;
+    const transaction = { amount, currency, paymentToken, status: 'authorized', refunds: [] };
+    fakeGateway.transactions.set(gatewayReference, transaction);
+
+    if (paymentToken === 'fake_declined') {
+      transaction.status = 'failed';
+      return { status: 'failed', gatewayReference, failureReason: 'Card declined' };
+    }
+    if (paymentToken === 'fake_requires_action') {
+      transaction.status = 'pending';
+      return { status: 'pending', gatewayReference, nextAction: { type: 'redirect', url: 'https://fake.gateway/3ds' } };
+    }
+
+    return { status: 'authorized', gatewayReference };
+  },
+
+  capture: async ({ payment }) => {
+    const transaction = fakeGateway.transactions.get(payment.gatewayReference);
+    if (!transaction || transaction.paymentToken === 'fake_capture_fails') {
+      return { status: 'failed', failureReason: 'Capture rejected' };
+    }
+    transaction.status = 'captured';
+    return { status: 'captured' };
+  },
+
+  cancel: async ({ payment }) => {
+    const transaction = fakeGateway.transactions.get(payment.gatewayReference);
+    if (transaction) transaction.status = 'cancelled';
+    return { status: 'cancelled' };
+  },
+
+  refund: async ({ payment, amount }) => {
+    const transaction = fakeGateway.transactions.get(payment.gatewayReference);
+    if (!transaction || transaction.status !== 'captured') {
+      return { status: 'failed', failureReason: 'Nothing to refund' };
+    }
+    const gatewayReference = `fake_refund_${crypto.randomBytes(8).toString('hex')}`;
+    transaction.refunds.push({ amount, gatewayReference });
+    return { status: 'succeeded', gatewayReference };
+  },
+
+  verifyWebhook: async ({ headers, rawBody, settings }) => {
+    const signature = headers['x-fake-signature'];
+    if (!signature || !rawBody || !settings.webhookSecret) return false;
+
+    const expected = signWebhook(rawBody, settings.webhookSecret);
+    return signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  },
+
+  parseWebhookEvent: (body) => ({
+    eventId: body.id,
+    type: body.type,
+    action: WEBHOOK_ACTIONS[body.type] || 'ignored',
+    gatewayReference: body.reference,
+    failureReason: body.reason,
+    reason: body.reason,
+    refunds: body.type === 'payment.refunded'
+      ? [{ gatewayReference: body.refundId, amount: body.amount, status: 'succeeded' }]
+      : undefined
+  }),
+
+  signWebhook,
+
+  reset: () => {
+    fakeGateway.transactions.clear();
+  }
+};
+
+module.exports = fakeGateway;
@@ -0,0 +1,25 @@
+/**
+ * Manual gateway
+ * Cash, bank transfers and other payments recorded by hand. Nothing is charged;
+ * the ledger entry is the record. Also used when no provider is configured.
+ */
+
+const crypto = require('crypto');
+
+module.exports = {
+  name: 'manual',
+
+  authorize: async () => ({
+    status: 'authorized',
+    gatewayReference: `manual_${crypto.randomBytes(8).toString('hex')}`
+  }),
+
+  capture: async () => ({ status: 'captured' }),
+
+  cancel: async () => ({ status: 'cancelled' }),
+
+  refund: async () => ({
+    status: 'succeeded',
+    gatewayReference: `manual_refund_${crypto.randomBytes(8).toString('hex')}`
+  })
+};
@@ -0,0 +1,88 @@
+/**
+ * PayHere gateway (hosted checkout)
+ * PayHere takes the card details on its own checkout page, so authorize() returns
+ * the signed checkout fields for the client to post and the payment stays pending
+ * until PayHere reports the outcome to the notify URL.
+ * settings.apiKey is the merchant id, settings.secretKey the merchant secret;
+ * settings.testMode selects the sandbox. Notifications are signed with the merchant
+ * secret (md5sig), so settings.webhookSecret is not used.
+ */
+
+const crypto = require('crypto');
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex').toUpperCase();
+
+// PayHere status_code values
+const STATUS_ACTIONS = {
+  2: 'succeeded',
+  0: 'ignored', // pending
+  '-1': 'failed', // cancelled by the payer
+  '-2': 'failed',
+  '-3': 'disputed' // chargeback
+};
+
+const checkoutUrl = (settings) =>
+  settings.testMode ? 'https://sandbox.payhere.lk/pay/checkout' : 'https://www.payhere.lk/pay/checkout';
+
+module.exports = {
+  name: 'payhere',
+
+  authorize: async ({ amount, currency, reference, settings }) => {
+    if (!settings.apiKey || !settings.secretKey) {
+      throw new Error('PayHere merchant credentials are not configured');
+    }
+
+    const formattedAmount = amount.toFixed(2);
+    const hash = md5(`${settings.apiKey}${reference}${formattedAmount}${currency}${md5(settings.secretKey)}`);
+
+    return {
+      status: 'pending',
+      gatewayReference: reference,
+      nextAction: {
+        type: 'redirect-form',
+        url: checkoutUrl(settings),
+        fields: {
+          merchant_id: settings.apiKey,
+          order_id: reference,
+          amount: formattedAmount,
+          currency,
+          hash
+        }
+      }
+    };
+  },
+
+  // Outcomes arrive through the notify URL; there is nothing to call here
+  capture: async () => ({ status: 'pending' }),
+
+  cancel: async () => ({ status: 'cancelled' }),
+
+  refund: async () => ({
+    status: 'failed',
+    failureReason: 'PayHere refunds must be issued from the merchant portal'
+  }),
+
+  // md5sig = MD5(merchant_id + order_id + payhere_amount + payhere_currency + status_code + MD5(secret)), uppercase
+  verifyWebhook: async ({ body, settings }) => {
+    if (!settings.secretKey || !body.md5sig) return false;
+
+    const expected = md5(
+      `${body.merchant_id}${body.order_id}${body.payhere_amount}${body.payhere_currency}${body.status_code}${md5(settings.secretKey)}`
+    );
+    const signature = String(body.md5sig).toUpperCase();
+    return body.merchant_id === settings.apiKey &&
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  },
+
+  // PayHere sends no event id; a payment only reports each status once
+  parseWebhookEvent: (body) => ({
+    eventId: body.payment_id ? `${body.payment_id}:${body.status_code}` : undefined,
+    type: `status_code:${body.status_code}`,
+    action: STATUS_ACTIONS[body.status_code] || 'ignored',
+    gatewayReference: body.order_id,
+    paymentId: body.order_id,
+    gatewayData: { payherePaymentId: body.payment_id },
+    failureReason: body.status_code === '-1' ? 'Cancelled by payer' : body.status_message
+  })
+};
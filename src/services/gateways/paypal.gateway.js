@@ -0,0 +1,185 @@
+/**
+ * PayPal gateway (Orders v2 with intent AUTHORIZE)
+ * The payment token is the id of an order the payer has approved in the PayPal
+ * checkout. settings.apiKey is the client id, settings.secretKey the client secret;
+ * settings.testMode selects the sandbox. PayPal has no shared webhook secret: deliveries
+ * are checked with PayPal's verify-webhook-signature API, and settings.webhookSecret holds
+ * the webhook id.
+ */
+
+const apiBase = (settings) =>
+  settings.testMode ? 'https://api-m.sandbox.paypal.com' : 'https://api-m.paypal.com';
+
+const getAccessToken = async (settings) => {
+  if (!settings.apiKey || !settings.secretKey) {
+    throw new Error('PayPal client credentials are not configured');
+  }
+
+  const response = await fetch(`${apiBase(settings)}/v1/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${settings.apiKey}:${settings.secretKey}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: 'grant_type=client_credentials'
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    throw new Error(body.error_description || 'PayPal authentication failed');
+  }
+  return body.access_token;
+};
+
+const paypalRequest = async (settings, path, payload = {}) => {
+  const token = await getAccessToken(settings);
+  const response = await fetch(`${apiBase(settings)}${path}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+  const body = response.status === 204 ? {} : await response.json();
+
+  return { ok: response.ok, body };
+};
+
+const failure = (body, fallback) => ({
+  status: 'failed',
+  failureReason: body.details?.[0]?.description || body.message || fallback
+});
+
+module.exports = {
+  name: 'paypal',
+
+  authorize: async ({ paymentToken, settings }) => {
+    if (!paymentToken) {
+      return { status: 'failed', failureReason: 'An approved PayPal order id is required' };
+    }
+
+    const { ok, body } = await paypalRequest(settings, `/v2/checkout/orders/${paymentToken}/authorize`);
+    if (!ok) {
+      return { ...failure(body, 'PayPal authorization failed'), gatewayReference: paymentToken };
+    }
+
+    const authorization = body.purchase_units?.[0]?.payments?.authorizations?.[0];
+    if (!authorization || ['DENIED', 'VOIDED', 'EXPIRED'].includes(authorization.status)) {
+      return { status: 'failed', gatewayReference: paymentToken, failureReason: `Authorization ${authorization?.status || 'missing'}` };
+    }
+
+    return {
+      status: authorization.status === 'PENDING' ? 'pending' : 'authorized',
+      gatewayReference: authorization.id,
+      gatewayData: { orderId: paymentToken }
+    };
+  },
+
+  capture: async ({ payment, settings }) => {
+    const { ok, body } = await paypalRequest(
+      settings,
+      `/v2/payments/authorizations/${payment.gatewayReference}/capture`,
+      { final_capture: true }
+    );
+    if (!ok) return failure(body, 'PayPal capture failed');
+
+    return {
+      status: body.status === 'COMPLETED' ? 'captured' : body.status === 'PENDING' ? 'authorized' : 'failed',
+      gatewayData: { captureId: body.id },
+      failureReason: ['COMPLETED', 'PENDING'].includes(body.status) ? undefined : `Capture ${body.status}`
+    };
+  },
+
+  cancel: async ({ payment, settings }) => {
+    const { ok, body } = await paypalRequest(settings, `/v2/payments/authorizations/${payment.gatewayReference}/void`);
+    return ok ? { status: 'cancelled' } : failure(body, 'PayPal void failed');
+  },
+
+  refund: async ({ payment, amount, settings }) => {
+    const captureId = payment.gatewayData?.captureId;
+    if (!captureId) {
+      return { status: 'failed', failureReason: 'Payment has no PayPal capture to refund' };
+    }
+
+    const { ok, body } = await paypalRequest(settings, `/v2/payments/captures/${captureId}/refund`, {
+      amount: { value: amount.toFixed(2), currency_code: payment.currency }
+    });
+    if (!ok) return failure(body, 'PayPal refund failed');
+
+    return {
+      status: body.status === 'COMPLETED' ? 'succeeded' : body.status === 'PENDING' ? 'pending' : 'failed',
+      gatewayReference: body.id
+    };
+  },
+
+  verifyWebhook: async ({ headers, body, settings }) => {
+    if (!settings.webhookSecret || !headers['paypal-transmission-sig']) return false;
+
+    const { ok, body: result } = await paypalRequest(settings, '/v1/notifications/verify-webhook-signature', {
+      auth_algo: headers['paypal-auth-algo'],
+      cert_url: headers['paypal-cert-url'],
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      transmission_time: headers['paypal-transmission-time'],
+      webhook_id: settings.webhookSecret,
+      webhook_event: body
+    });
+
+    return ok && result.verification_status === 'SUCCESS';
+  },
+
+  parseWebhookEvent: (body) => {
+    const resource = body.resource || {};
+    const event = { eventId: body.id, type: body.event_type, action: 'ignored' };
+    // Refund resources link back to the capture they belong to
+    const linkedCaptureId = (resource.links || [])
+      .map(link => link.href.match(/\/captures\/([^/]+)$/))
+      .find(Boolean)?.[1];
+
+    switch (body.event_type) {
+      case 'PAYMENT.CAPTURE.COMPLETED':
+        return {
+          ...event,
+          action: 'succeeded',
+          gatewayReference: resource.supplementary_data?.related_ids?.authorization_id,
+          captureId: resource.id,
+          gatewayData: { captureId: resource.id }
+        };
+      case 'PAYMENT.CAPTURE.DENIED':
+        return {
+          ...event,
+          action: 'failed',
+          gatewayReference: resource.supplementary_data?.related_ids?.authorization_id,
+          captureId: resource.id,
+          failureReason: 'Capture denied by PayPal'
+        };
+      case 'PAYMENT.CAPTURE.REFUNDED':
+        return {
+          ...event,
+          action: 'refunded',
+          captureId: linkedCaptureId,
+          refunds: [{
+            gatewayReference: resource.id,
+            amount: Number(resource.amount?.value),
+            status: resource.status === 'COMPLETED' ? 'succeeded' : resource.status === 'PENDING' ? 'pending' : 'failed'
+          }]
+        };
+      case 'CUSTOMER.DISPUTE.CREATED':
+        return {
+          ...event,
+          action: 'disputed',
+          captureId: resource.disputed_transactions?.[0]?.seller_transaction_id,
+          reason: resource.reason
+        };
+      case 'CUSTOMER.DISPUTE.RESOLVED':
+        return {
+          ...event,
+          action: resource.dispute_outcome?.outcome_code === 'RESOLVED_SELLER_FAVOUR' ? 'dispute-won' : 'ignored',
+          captureId: resource.disputed_transactions?.[0]?.seller_transaction_id
+        };
+      default:
+        return event;
+    }
+  }
+};
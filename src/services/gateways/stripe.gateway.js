@@ -0,0 +1,173 @@
+/**
+ * Stripe gateway (Payment Intents API, manual capture)
+ * The payment token is a PaymentMethod id created client-side with Stripe.js.
+ * Uses settings.secretKey; test or live mode follows the key itself.
+ * Webhooks are signed with the endpoint's signing secret (settings.webhookSecret).
+ */
+
+const crypto = require('crypto');
+
+const API_BASE = 'https://api.stripe.com/v1';
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const toMinorUnits = (amount, currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase()) ? Math.round(amount) : Math.round(amount * 100);
+
+const fromMinorUnits = (amount, currency = '') =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase()) ? amount : amount / 100;
+
+const stripeRequest = async (settings, path, params = {}) => {
+  if (!settings.secretKey) {
+    throw new Error('Stripe secret key is not configured');
+  }
+
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${settings.secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams(params).toString()
+  });
+  const body = await response.json();
+
+  return { ok: response.ok, body };
+};
+
+// Map a PaymentIntent status onto the ledger states
+const fromIntent = (intent) => {
+  switch (intent.status) {
+    case 'requires_capture':
+      return { status: 'authorized', gatewayReference: intent.id };
+    case 'succeeded':
+      return { status: 'captured', gatewayReference: intent.id };
+    case 'requires_action':
+    case 'processing':
+      return {
+        status: 'pending',
+        gatewayReference: intent.id,
+        nextAction: intent.next_action ? { type: intent.next_action.type, clientSecret: intent.client_secret } : undefined
+      };
+    case 'canceled':
+      return { status: 'cancelled', gatewayReference: intent.id };
+    default:
+      return {
+        status: 'failed',
+        gatewayReference: intent.id,
+        failureReason: intent.last_payment_error?.message || `Payment ${intent.status}`
+      };
+  }
+};
+
+const fromError = (body, gatewayReference) => ({
+  status: 'failed',
+  gatewayReference: body.error?.payment_intent?.id || gatewayReference,
+  failureReason: body.error?.message || 'Stripe request failed'
+});
+
+module.exports = {
+  name: 'stripe',
+
+  authorize: async ({ amount, currency, paymentToken, reference, settings }) => {
+    if (!paymentToken) {
+      return { status: 'failed', failureReason: 'A Stripe payment method is required' };
+    }
+
+    const { ok, body } = await stripeRequest(settings, '/payment_intents', {
+      amount: toMinorUnits(amount, currency),
+      currency: currency.toLowerCase(),
+      payment_method: paymentToken,
+      capture_method: 'manual',
+      confirm: 'true',
+      'automatic_payment_methods[enabled]': 'true',
+      'automatic_payment_methods[allow_redirects]': 'never',
+      'metadata[reference]': reference
+    });
+
+    return ok ? fromIntent(body) : fromError(body);
+  },
+
+  capture: async ({ payment, settings }) => {
+    const { ok, body } = await stripeRequest(settings, `/payment_intents/${payment.gatewayReference}/capture`);
+    return ok ? fromIntent(body) : fromError(body, payment.gatewayReference);
+  },
+
+  cancel: async ({ payment, settings }) => {
+    const { ok, body } = await stripeRequest(settings, `/payment_intents/${payment.gatewayReference}/cancel`);
+    return ok ? fromIntent(body) : fromError(body, payment.gatewayReference);
+  },
+
+  refund: async ({ payment, amount, settings }) => {
+    const { ok, body } = await stripeRequest(settings, '/refunds', {
+      payment_intent: payment.gatewayReference,
+      amount: toMinorUnits(amount, payment.currency)
+    });
+
+    if (!ok) {
+      return { status: 'failed', failureReason: body.error?.message || 'Stripe refund failed' };
+    }
+    return {
+      status: body.status === 'succeeded' ? 'succeeded' : body.status === 'failed' ? 'failed' : 'pending',
+      gatewayReference: body.id
+    };
+  },
+
+  // Stripe-Signature: t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">[,v1=...]
+  verifyWebhook: async ({ headers, rawBody, settings }) => {
+    const header = headers['stripe-signature'];
+    if (!header || !rawBody || !settings.webhookSecret) return false;
+
+    const pairs = header.split(',').map(part => part.trim().split('='));
+    const timestamp = Number(pairs.find(([key]) => key === 't')?.[1]);
+    const signatures = pairs.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) return false;
+
+    const expected = crypto.createHmac('sha256', settings.webhookSecret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return signatures.some(signature =>
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    );
+  },
+
+  parseWebhookEvent: (body) => {
+    const object = body.data?.object || {};
+    const event = { eventId: body.id, type: body.type, action: 'ignored' };
+
+    switch (body.type) {
+      case 'payment_intent.succeeded':
+        return { ...event, action: 'succeeded', gatewayReference: object.id, paymentId: object.metadata?.reference };
+      case 'payment_intent.payment_failed':
+        return {
+          ...event,
+          action: 'failed',
+          gatewayReference: object.id,
+          paymentId: object.metadata?.reference,
+          failureReason: object.last_payment_error?.message
+        };
+      case 'charge.refunded':
+        return {
+          ...event,
+          action: 'refunded',
+          gatewayReference: object.payment_intent,
+          refunds: (object.refunds?.data || []).map(refund => ({
+            gatewayReference: refund.id,
+            amount: fromMinorUnits(refund.amount, refund.currency),
+            status: refund.status === 'succeeded' ? 'succeeded' : refund.status === 'failed' ? 'failed' : 'pending'
+          }))
+        };
+      case 'charge.dispute.created':
+        return { ...event, action: 'disputed', gatewayReference: object.payment_intent, reason: object.reason };
+      case 'charge.dispute.closed':
+        return {
+          ...event,
+          action: object.status === 'won' ? 'dispute-won' : 'ignored',
+          gatewayReference: object.payment_intent
+        };
+      default:
+        return event;
+    }
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Wallet gateway
+ * Payments made from a citizen's recycling credit (see wallet.service). They are
+ * recorded as captured when the credit is spent, so only refunds reach the gateway:
+ * a refund puts the credit back in the wallet.
+ */
+
+const Wallet = require('../../models/Wallet.model');
+
+module.exports = {
+  name: 'wallet',
+
+  authorize: async () => ({
+    status: 'failed',
+    failureReason: 'Wallet credit is applied to invoices automatically'
+  }),
+
+  capture: async () => ({ status: 'captured' }),
+
+  cancel: async () => ({ status: 'cancelled' }),
+
+  refund: async ({ payment, amount, reason }) => {
+    const { transaction } = await Wallet.credit(payment.userId, amount, {
+      type: 'refund',
+      description: reason ? `Refund: ${reason}` : 'Refund',
+      requestId: payment.requestId,
+      invoiceId: payment.invoiceId,
+      paymentId: payment._id
+    });
+    return { status: 'succeeded', gatewayReference: transaction._id.toString() };
+  }
+};
@@ -0,0 +1,114 @@
+/**
+ * Invoice Service
+ * Issues invoices for completed requests and renders them for download
+ */
+
+const Invoice = require('../models/Invoice.model');
+const BillingConfig = require('../models/BillingConfig.model');
+const { applyCredits } = require('./wallet.service');
+
+/**
+ * Issue the invoice for a request that has just been completed
+ * Skipped when reporting.autoGenerateInvoices is off or nothing is chargeable.
+ * Wallet credit the citizen holds is spent on the new invoice straight away.
+ * Failures are logged rather than thrown so completing the collection never fails on billing.
+ * @param {Object} request - Completed WasteRequest document
+ * @returns {Promise<Object|null>} Invoice, or null when none was issued
+ */
+exports.issueInvoiceOnCompletion = async (request) => {
+  try {
+    const config = await BillingConfig.getConfig();
+    if (!config.reporting.autoGenerateInvoices) {
+      return null;
+    }
+
+    const invoice = await Invoice.issueForRequest(request);
+    if (invoice && invoice.status === 'issued') {
+      await applyCredits(invoice.userId);
+    }
+    return invoice;
+  } catch (error) {
+    console.error(`Error issuing invoice for request ${request.trackingId}:`, error);
+    return null;
+  }
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+
+const formatAmount = (amount, currency) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * Render an invoice as a standalone, printable HTML document
+ * @param {Object} invoice - Invoice document (requestId and userId may be populated)
+ * @returns {String} HTML
+ */
+exports.renderInvoiceHtml = (invoice) => {
+  const { currency } = invoice;
+  const customer = invoice.userId?.name ? invoice.userId : null;
+  const request = invoice.requestId?.trackingId ? invoice.requestId : null;
+
+  const rows = [
+    ...invoice.lineItems.map(
+      (line) =>
+        `<tr><td>${escapeHtml(line.description)}</td><td>${line.quantity}</td>` +
+        `<td>${formatAmount(line.unitPrice, currency)}</td><td>${formatAmount(line.amount, currency)}</td></tr>`
+    ),
+    `<tr class="total"><td colspan="3">Subtotal</td><td>${formatAmount(invoice.subtotal, currency)}</td></tr>`,
+    ...invoice.discountLines.map(
+      (line) =>
+        `<tr><td colspan="3">${escapeHtml(line.description)} (${line.percentage}%)</td>` +
+        `<td>-${formatAmount(line.amount, currency)}</td></tr>`
+    ),
+    ...invoice.taxLines.map(
+      (line) =>
+        `<tr><td colspan="3">${escapeHtml(line.description)} (${line.rate}%)</td>` +
+        `<td>${formatAmount(line.amount, currency)}</td></tr>`
+    ),
+    ...(invoice.adjustments || []).map(
+      (adjustment) =>
+        `<tr><td colspan="3">${escapeHtml(adjustment.description)} (${adjustment.percentage}%)</td>` +
+        `<td>${adjustment.amount < 0 ? '-' : ''}${formatAmount(Math.abs(adjustment.amount), currency)}</td></tr>`
+    ),
+    `<tr class="total"><td colspan="3">Total</td><td>${formatAmount(invoice.total, currency)}</td></tr>`
+  ];
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; width: 100%; }
+td, th { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; }
+.total td { font-weight: bold; }
+.void { color: #c00; }
+</style>
+</head>
+<body>
+<h1>Invoice ${escapeHtml(invoice.invoiceNumber)}</h1>
+${invoice.status === 'void' ? `<p class="void">VOID: ${escapeHtml(invoice.voidReason)}</p>` : ''}
+<p>
+Issued: ${formatDate(invoice.issuedAt)}<br>
+Due: ${formatDate(invoice.dueDate)}<br>
+Status: ${escapeHtml(invoice.status)}${invoice.paidAt ? ` (paid ${formatDate(invoice.paidAt)})` : ''}
+</p>
+${customer ? `<p>Bill to: ${escapeHtml(customer.name)}<br>${escapeHtml(customer.email)}</p>` : ''}
+${request ? `<p>Request: ${escapeHtml(request.trackingId)} (${escapeHtml(request.wasteType)}, ${escapeHtml(request.quantity)})</p>` : ''}
+<table>
+<tr><th>Description</th><th>Quantity</th><th>Unit price</th><th>Amount</th></tr>
+${rows.join('\n')}
+</table>
+</body>
+</html>
+`;
+};
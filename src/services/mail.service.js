@@ -0,0 +1,141 @@
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport
+ *
+ * Built-in transports (select with MAIL_TRANSPORT):
+ * - console: prints the message to stdout (default)
+ * - file: writes each message as JSON to MAIL_OUTBOX_DIR (default ./mail-outbox)
+ * - memory: keeps messages in getTransport().messages (tests and local development)
+ *
+ * A real provider can be plugged in at startup with setTransport(), e.g. a
+ * wrapper around an SMTP client exposing `send(message)`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { accepted: [message.to] };
+  }
+};
+
+const fileTransport = {
+  name: 'file',
+  send: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+
+    return { accepted: [message.to], file };
+  }
+};
+
+const memoryTransport = {
+  name: 'memory',
+  messages: [],
+  send: async (message) => {
+    memoryTransport.messages.push(message);
+    return { accepted: [message.to] };
+  }
+};
+
+const builtInTransports = {
+  console: consoleTransport,
+  file: fileTransport,
+  memory: memoryTransport
+};
+
+let transport = null;
+
+/**
+ * Get the active transport (resolved lazily from MAIL_TRANSPORT)
+ * @returns {Object} Transport with a send(message) method
+ */
+exports.getTransport = () => {
+  if (!transport) {
+    transport = builtInTransports[process.env.MAIL_TRANSPORT] || consoleTransport;
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport
+ * @param {Object|String|null} customTransport - Object with async send(message), a built-in
+ *   transport name, or null to restore the default
+ */
+exports.setTransport = (customTransport) => {
+  if (typeof customTransport === 'string') {
+    customTransport = builtInTransports[customTransport];
+    if (!customTransport) {
+      throw new Error('Unknown mail transport');
+    }
+  }
+  if (customTransport && typeof customTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = customTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport result
+ */
+exports.sendMail = async (message) => {
+  const mail = {
+    from: process.env.MAIL_FROM || 'no-reply@smartwaste.local',
+    ...message,
+    sentAt: new Date()
+  };
+
+  return exports.getTransport().send(mail);
+};
+
+/**
+ * Send password reset instructions
+ * @param {Object} user - User document
+ * @param {String} resetToken - Raw (unhashed) reset token
+ * @param {Number} expiresInMinutes - Token lifetime for the message body
+ * @returns {Promise<Object>} Transport result
+ */
+exports.sendPasswordResetEmail = async (user, resetToken, expiresInMinutes) => {
+  const baseUrl = process.env.APP_URL || 'http://localhost:3000';
+  const link = `${baseUrl}/reset-password?token=${resetToken}`;
+
+  return exports.sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Use the link below to reset your password. It expires in ${expiresInMinutes} minutes and can only be used once.\n\n` +
+      `${link}\n\n` +
+      'If you did not request a password reset, you can ignore this email.'
+  });
+};
+
+/**
+ * Send an email address verification link
+ * @param {Object} user - User document
+ * @param {String} verificationToken - Raw (unhashed) verification token
+ * @param {Number} expiresInHours - Link lifetime for the message body
+ * @returns {Promise<Object>} Transport result
+ */
+exports.sendVerificationEmail = async (user, verificationToken, expiresInHours) => {
+  const baseUrl = process.env.APP_URL || 'http://localhost:3000';
+  const link = `${baseUrl}/verify-email?token=${verificationToken}`;
+
+  return exports.sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Confirm your email address to finish setting up your account. The link expires in ${expiresInHours} hours.\n\n` +
+      `${link}\n\n` +
+      'If you did not create an account, you can ignore this email.'
+  });
+};
@@ -151,3 +151,31 @@ exports.notifyDeviceOffline = async (device, technicianIds) => {
   );
 };
 
+
+/**
+ * Send payment reminder to a citizen
+ * @param {Object} reminder - { userId, kind ('due-soon' | 'overdue'), amountDue, currency, dueDate, trackingId, invoiceNumber }
+ * @returns {Promise<Object>} Notification result
+ */
+exports.notifyPaymentReminder = async (reminder) => {
+  const amount = `${reminder.currency || 'LKR'} ${Number(reminder.amountDue).toFixed(2)}`;
+  const dueDate = new Date(reminder.dueDate).toISOString().slice(0, 10);
+  const reference = reminder.invoiceNumber ? `invoice ${reminder.invoiceNumber}` : `request ${reminder.trackingId}`;
+  const messages = {
+    'due-soon': `Payment of ${amount} for ${reference} is due on ${dueDate}.`,
+    overdue: `Payment of ${amount} for ${reference} was due on ${dueDate} and is now overdue.`
+  };
+
+  return exports.sendNotification(
+    reminder.userId.toString(),
+    reminder.kind === 'overdue' ? 'Payment Overdue' : 'Payment Reminder',
+    messages[reminder.kind],
+    {
+      requestId: reminder.requestId,
+      invoiceId: reminder.invoiceId,
+      kind: reminder.kind,
+      amountDue: reminder.amountDue,
+      dueDate: reminder.dueDate
+    }
+  );
+};
@@ -0,0 +1,423 @@
+/**
+ * Payment Service
+ * Runs payments through the configured gateway and keeps the Payment ledger,
+ * WasteRequest.paymentStatus and the request's invoice in step.
+ *
+ * Gateways (see ./gateways) implement:
+ * - authorize({ amount, currency, method, paymentToken, reference, settings })
+ * - capture({ payment, settings })
+ * - cancel({ payment, settings })
+ * - refund({ payment, amount, reason, settings })
+ * each resolving to { status, gatewayReference, gatewayData, failureReason, nextAction }
+ * (all but status optional).
+ *
+ * The gateway follows BillingConfig.paymentGateway.provider; 'none' records payments
+ * manually. setGateway() overrides the choice, e.g. with the fake gateway in tests.
+ * Wallet payments (recycling credit) always go through the wallet gateway.
+ *
+ * Gateways that send webhooks also implement:
+ * - verifyWebhook({ headers, rawBody, body, settings }) resolving to true for a genuine delivery
+ * - parseWebhookEvent(body) returning { eventId, type, action, gatewayReference, paymentId,
+ *   captureId, gatewayData, refunds, failureReason, reason }, where action is one of
+ *   succeeded, failed, refunded, disputed, dispute-won or ignored
+ */
+
+const Payment = require('../models/Payment.model');
+const WasteRequest = require('../models/WasteRequest.model');
+const Invoice = require('../models/Invoice.model');
+const BillingConfig = require('../models/BillingConfig.model');
+const mongoose = require('mongoose');
+
+const builtInGateways = {
+  stripe: require('./gateways/stripe.gateway'),
+  paypal: require('./gateways/paypal.gateway'),
+  payhere: require('./gateways/payhere.gateway'),
+  manual: require('./gateways/manual.gateway'),
+  fake: require('./gateways/fake.gateway'),
+  wallet: require('./gateways/wallet.gateway')
+};
+
+let gatewayOverride = null;
+
+/**
+ * Get the gateway for a provider (or the override, when set)
+ * @param {String} provider - BillingConfig.paymentGateway.provider
+ * @returns {Object} Gateway adapter
+ */
+exports.getGateway = (provider) =>
+  provider === 'wallet' ? builtInGateways.wallet : gatewayOverride || builtInGateways[provider] || builtInGateways.manual;
+
+/**
+ * Override the configured gateway
+ * @param {Object|String|null} gateway - Adapter object, a built-in gateway name, or null to
+ *   follow the billing configuration again
+ */
+exports.setGateway = (gateway) => {
+  if (typeof gateway === 'string') {
+    gateway = builtInGateways[gateway];
+    if (!gateway) {
+      throw new Error('Unknown payment gateway');
+    }
+  }
+  if (gateway && ['authorize', 'capture', 'cancel', 'refund'].some(fn => typeof gateway[fn] !== 'function')) {
+    throw new Error('Payment gateway must implement authorize, capture, cancel and refund');
+  }
+  gatewayOverride = gateway;
+};
+
+// Copy a gateway result onto the ledger entry; statuses the entry cannot move to are ignored
+const applyResult = (payment, result) => {
+  if (result.gatewayReference) {
+    payment.gatewayReference = result.gatewayReference;
+  }
+  if (result.gatewayData) {
+    payment.gatewayData = { ...payment.gatewayData, ...result.gatewayData };
+    payment.markModified('gatewayData');
+  }
+  if (result.status && payment.canTransition(result.status)) {
+    payment.transition(result.status, result.failureReason);
+  }
+};
+
+/**
+ * Amount owed for a request: its invoice total (which includes late fees and discounts)
+ * once invoiced, otherwise the final quote, or the estimate until the weight is recorded
+ * @param {Object} request - WasteRequest document
+ * @param {Object} [invoice] - The request's open invoice, when already loaded
+ * @returns {Number} Amount due before payments
+ */
+exports.getAmountDue = (request, invoice) =>
+  invoice ? invoice.total : request.actualCost ?? request.estimatedCost ?? 0;
+
+/**
+ * Derive a request's paymentStatus from its ledger and update its invoice to match
+ * Does not save the request.
+ * @param {Object} request - WasteRequest document
+ * @returns {Promise<Object>} Ledger summary ({ payments, netPaid, lastStatus, hasOpenPayment })
+ */
+exports.syncRequestPaymentStatus = async (request) => {
+  const summary = await Payment.getLedgerSummary(request._id);
+  const invoice = await Invoice.findOpenForRequest(request._id);
+  const amountDue = exports.getAmountDue(request, invoice);
+
+  if (summary.hasDispute) {
+    request.paymentStatus = 'disputed';
+  } else if (summary.netPaid > 0 && summary.netPaid >= amountDue) {
+    request.paymentStatus = 'paid';
+  } else if (summary.refunded > 0) {
+    request.paymentStatus = 'refunded';
+  } else if (amountDue <= 0) {
+    request.paymentStatus = 'not-required';
+  } else if (summary.lastStatus === 'failed') {
+    request.paymentStatus = 'failed';
+  } else {
+    request.paymentStatus = 'pending';
+  }
+
+  if (invoice && request.paymentStatus === 'paid' && invoice.status === 'issued') {
+    await invoice.markPaid();
+  } else if (invoice && request.paymentStatus !== 'paid' && invoice.status === 'paid') {
+    invoice.status = 'issued';
+    invoice.paidAt = undefined;
+    await invoice.save();
+  }
+
+  return summary;
+};
+
+/**
+ * Keep the early-payment discount a captured payment earned
+ * Eligibility is judged by when the payment was started, and the discount is only saved when
+ * the ledger then covers the discounted total, so declined, short or uncaptured payments
+ * leave the invoice as it was.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object|null>} The discount adjustment, or null when none was applied
+ */
+const settleEarlyPaymentDiscount = async (payment) => {
+  if (payment.status !== 'captured' || !payment.invoiceId) return null;
+
+  // Required on use: the billing service requires this module
+  const { applyEarlyPaymentDiscount } = require('./billing.service');
+  const invoice = await Invoice.findById(payment.invoiceId);
+  const discount = await applyEarlyPaymentDiscount(invoice, payment.createdAt, { save: false });
+  if (!discount) return null;
+
+  const { netPaid } = await Payment.getLedgerSummary(payment.requestId);
+  if (netPaid < invoice.total) return null;
+
+  await invoice.save();
+  return discount;
+};
+
+/**
+ * Take a payment for a request: authorize, then capture unless told not to
+ * @param {Object} request - WasteRequest document
+ * @param {Object} options - { amount, method, paymentToken, capture = true }
+ * @returns {Promise<Object>} { payment, nextAction } - nextAction is set when the payer still has
+ *   to act (3-D Secure, hosted checkout)
+ */
+exports.processPayment = async (request, { amount, method, paymentToken, capture = true }) => {
+  const settings = await BillingConfig.getGatewaySettings();
+  const gateway = exports.getGateway(settings.provider);
+  const invoice = await Invoice.findOpenForRequest(request._id);
+
+  // Saved before calling out so the attempt is on record even if the gateway call dies
+  const payment = await Payment.create({
+    requestId: request._id,
+    userId: request.userId,
+    invoiceId: invoice?._id,
+    provider: gateway.name,
+    method,
+    amount,
+    currency: settings.currency || 'LKR',
+    events: [{ status: 'pending', detail: 'Payment started' }]
+  });
+
+  let result;
+  try {
+    result = await gateway.authorize({
+      amount,
+      currency: payment.currency,
+      method,
+      paymentToken,
+      reference: payment._id.toString(),
+      settings
+    });
+  } catch (error) {
+    console.error(`Payment gateway ${gateway.name} authorize failed:`, error);
+    result = { status: 'failed', failureReason: 'Payment gateway unavailable' };
+  }
+  applyResult(payment, result);
+
+  if (capture && payment.status === 'authorized') {
+    applyResult(payment, await gateway.capture({ payment, settings }));
+  }
+
+  await payment.save();
+  await settleEarlyPaymentDiscount(payment);
+  await exports.syncRequestPaymentStatus(request);
+  await request.save();
+
+  return { payment, nextAction: result.nextAction };
+};
+
+// Load the request behind a payment, re-derive its status and save it
+const syncRequestOf = async (payment) => {
+  const request = await WasteRequest.findById(payment.requestId);
+  if (request) {
+    await exports.syncRequestPaymentStatus(request);
+    await request.save();
+  }
+  return request;
+};
+
+/**
+ * Capture an authorized payment
+ * @param {Object} payment - Payment document in 'authorized' state
+ * @returns {Promise<Object>} Updated payment
+ */
+exports.capturePayment = async (payment) => {
+  const settings = await BillingConfig.getGatewaySettings();
+  const gateway = exports.getGateway(payment.provider);
+
+  applyResult(payment, await gateway.capture({ payment, settings }));
+  await payment.save();
+  await settleEarlyPaymentDiscount(payment);
+  await syncRequestOf(payment);
+
+  return payment;
+};
+
+/**
+ * Cancel (void) a payment that has not been captured
+ * @param {Object} payment - Payment document in 'pending' or 'authorized' state
+ * @returns {Promise<Object>} Updated payment
+ */
+exports.cancelPayment = async (payment) => {
+  const settings = await BillingConfig.getGatewaySettings();
+  const gateway = exports.getGateway(payment.provider);
+
+  applyResult(payment, await gateway.cancel({ payment, settings }));
+  await payment.save();
+  await syncRequestOf(payment);
+
+  return payment;
+};
+
+// Ask the gateway for a refund and record the outcome on the payment (saves the payment, not the request)
+const issueRefund = async (payment, amount, { reason, createdBy }, settings) => {
+  const gateway = exports.getGateway(payment.provider);
+
+  let result;
+  try {
+    result = await gateway.refund({ payment, amount, reason, settings });
+  } catch (error) {
+    console.error(`Payment gateway ${gateway.name} refund failed:`, error);
+    result = { status: 'failed', failureReason: 'Payment gateway unavailable' };
+  }
+
+  const status = ['succeeded', 'pending'].includes(result.status) ? result.status : 'failed';
+  payment.recordRefund({
+    amount,
+    reason,
+    status,
+    gatewayReference: result.gatewayReference,
+    failureReason: status === 'failed' ? result.failureReason || 'Refund failed' : undefined,
+    createdBy
+  });
+  await payment.save();
+
+  return payment.refunds[payment.refunds.length - 1];
+};
+
+/**
+ * Refund a captured payment in full or in part
+ * @param {Object} payment - Captured Payment document
+ * @param {Object} options - { amount (defaults to everything refundable), reason, createdBy }
+ * @returns {Promise<Object>} Refund entry; its status is succeeded, pending (awaiting the gateway) or failed
+ */
+exports.refundPayment = async (payment, { amount, reason, createdBy } = {}) => {
+  const refundAmount = Math.round((amount ?? payment.refundableAmount) * 100) / 100;
+  if (!(refundAmount > 0) || refundAmount > payment.refundableAmount) {
+    throw new Error(`Refund amount must be between 0.01 and ${payment.refundableAmount}`);
+  }
+
+  const settings = await BillingConfig.getGatewaySettings();
+  const refund = await issueRefund(payment, refundAmount, { reason, createdBy }, settings);
+  await syncRequestOf(payment);
+
+  return refund;
+};
+
+/**
+ * Give back what was paid for a request, less a fee, and void payments not yet captured
+ * Refunds the newest payments first. Updates the request's paymentStatus without saving it.
+ * @param {Object} request - WasteRequest document
+ * @param {Object} options - { feePercentage = 0, reason, createdBy }
+ * @returns {Promise<Object>} { paid, fee, refunded, refunds, failed } - refunded counts refunds
+ *   that succeeded or are pending at the gateway; failed is true if any refund was rejected
+ */
+exports.refundRequest = async (request, { feePercentage = 0, reason, createdBy } = {}) => {
+  const settings = await BillingConfig.getGatewaySettings();
+  const { payments } = await Payment.getLedgerSummary(request._id);
+
+  for (const payment of payments) {
+    if (['pending', 'authorized'].includes(payment.status)) {
+      applyResult(payment, await exports.getGateway(payment.provider).cancel({ payment, settings }));
+      await payment.save();
+    }
+  }
+
+  const paid = Math.round(payments.reduce((sum, payment) => sum + payment.refundableAmount, 0) * 100) / 100;
+  const fee = Math.round(paid * feePercentage) / 100;
+  let remaining = Math.round((paid - fee) * 100) / 100;
+  const refunds = [];
+
+  for (const payment of [...payments].reverse()) {
+    if (remaining < 0.01) break;
+    const amount = Math.min(payment.refundableAmount, remaining);
+    if (amount < 0.01) continue;
+
+    const refund = await issueRefund(payment, amount, { reason, createdBy }, settings);
+    refunds.push({ paymentId: payment._id, provider: payment.provider, ...refund.toObject() });
+    if (refund.status !== 'failed') {
+      remaining = Math.round((remaining - amount) * 100) / 100;
+    }
+  }
+
+  await exports.syncRequestPaymentStatus(request);
+
+  return {
+    paid,
+    fee,
+    refunded: Math.round((paid - fee - remaining) * 100) / 100,
+    refunds,
+    failed: refunds.some(refund => refund.status === 'failed')
+  };
+};
+
+/**
+ * Get the built-in gateway that receives webhooks for a provider
+ * @param {String} provider - Provider name from the webhook URL
+ * @returns {Object|null} Gateway adapter, or null when the provider sends no webhooks
+ */
+exports.getWebhookGateway = (provider) => {
+  const gateway = Object.prototype.hasOwnProperty.call(builtInGateways, provider) && builtInGateways[provider];
+  return gateway && typeof gateway.verifyWebhook === 'function' ? gateway : null;
+};
+
+// Find the ledger entry a webhook event is about
+const findPaymentForEvent = async (provider, event) => {
+  if (event.paymentId && mongoose.Types.ObjectId.isValid(event.paymentId)) {
+    const payment = await Payment.findOne({ _id: event.paymentId, provider });
+    if (payment) return payment;
+  }
+  if (event.gatewayReference) {
+    const payment = await Payment.findOne({ provider, gatewayReference: event.gatewayReference });
+    if (payment) return payment;
+  }
+  if (event.captureId) {
+    return Payment.findOne({ provider, 'gatewayData.captureId': event.captureId });
+  }
+  return null;
+};
+
+/**
+ * Apply a stored webhook event to the ledger, then to the request and its invoice
+ * Used for live deliveries and for replays; the outcome is saved on the event.
+ * @param {Object} paymentEvent - PaymentEvent document
+ * @returns {Promise<Object>} The event, marked processed, ignored or failed
+ */
+exports.processPaymentEvent = async (paymentEvent) => {
+  const event = paymentEvent.event || {};
+
+  try {
+    if (event.action === 'ignored') {
+      return await paymentEvent.markOutcome('ignored', { error: `Unhandled event type ${paymentEvent.type}` });
+    }
+
+    const payment = await findPaymentForEvent(paymentEvent.provider, event);
+    if (!payment) {
+      return await paymentEvent.markOutcome('ignored', { error: 'No matching payment' });
+    }
+
+    applyResult(payment, { gatewayData: event.gatewayData });
+
+    switch (event.action) {
+      case 'succeeded':
+        if (payment.canTransition('captured') && payment.status !== 'disputed') {
+          payment.transition('captured', `Confirmed by ${paymentEvent.provider} (${paymentEvent.eventId})`);
+        }
+        break;
+      case 'failed':
+        if (payment.canTransition('failed')) {
+          payment.transition('failed', event.failureReason || 'Reported failed by the gateway');
+        }
+        break;
+      case 'refunded':
+        (event.refunds || []).forEach(refund => {
+          payment.recordRefund({ ...refund, reason: refund.reason || `Refunded at ${paymentEvent.provider}` });
+        });
+        break;
+      case 'disputed':
+        if (payment.canTransition('disputed')) {
+          payment.transition('disputed', event.reason || 'Payment disputed');
+        }
+        break;
+      case 'dispute-won':
+        if (payment.status === 'disputed') {
+          payment.transition('captured', 'Dispute resolved in our favour');
+        }
+        break;
+    }
+
+    await payment.save();
+    await settleEarlyPaymentDiscount(payment);
+    await syncRequestOf(payment);
+
+    return await paymentEvent.markOutcome('processed', { paymentId: payment._id });
+  } catch (error) {
+    console.error(`Payment event ${paymentEvent.eventId} failed:`, error);
+    return paymentEvent.markOutcome('failed', { error: error.message });
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * Payment Reminder Service
+ * Reminds citizens of unpaid bills through the notification service, following
+ * BillingConfig.reporting: sendPaymentReminders switches reminders on, and a 'due-soon'
+ * reminder goes out reminderDaysBeforeDue days before the due date. An 'overdue' reminder
+ * follows once the due date has passed. Invoiced requests are due on the invoice due date;
+ * requests billed without an invoice are due billing.paymentDueDays after completion.
+ * Every reminder is recorded (PaymentReminder) so each is sent once per due date; runs come
+ * from the billing job.
+ */
+
+const Invoice = require('../models/Invoice.model');
+const Payment = require('../models/Payment.model');
+const WasteRequest = require('../models/WasteRequest.model');
+const PaymentReminder = require('../models/PaymentReminder.model');
+const BillingConfig = require('../models/BillingConfig.model');
+const { notifyPaymentReminder } = require('./notification.service');
+const { getAmountDue } = require('./payment.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Claim, send and record one reminder; returns the reminder or null when it was already sent
+const sendReminder = async (details) => {
+  const reminder = await PaymentReminder.claim(details);
+  if (!reminder) return null;
+
+  let result;
+  try {
+    result = await notifyPaymentReminder(details);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  return reminder.markOutcome(result);
+};
+
+// Which reminder a bill due on `dueDate` is owed at `now`, if any
+const reminderKind = (dueDate, now, daysBeforeDue) => {
+  if (dueDate <= now) return 'overdue';
+  if (dueDate.getTime() - now.getTime() <= daysBeforeDue * DAY_MS) return 'due-soon';
+  return null;
+};
+
+// Skip bills already reminded of, in one query rather than one failed claim each
+const remindedKeys = async (requestIds) => {
+  const reminders = await PaymentReminder.find(
+    { requestId: { $in: requestIds }, status: { $ne: 'failed' } },
+    'requestId kind dueDate'
+  );
+  return new Set(reminders.map(r => `${r.requestId}:${r.kind}:${r.dueDate.getTime()}`));
+};
+
+/**
+ * Send the reminders that are due
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { sent, failed }
+ */
+exports.sendPaymentReminders = async (now = new Date()) => {
+  const config = await BillingConfig.getConfig();
+  const result = { sent: 0, failed: 0 };
+  if (!config.reporting.sendPaymentReminders) return result;
+
+  const daysBeforeDue = config.reporting.reminderDaysBeforeDue;
+  const remindBy = new Date(now.getTime() + daysBeforeDue * DAY_MS);
+  const currency = config.paymentGateway?.currency || 'LKR';
+  const bills = [];
+
+  // Unpaid invoices due within the reminder window or overdue
+  const invoices = await Invoice.find({ status: 'issued', dueDate: { $lte: remindBy } })
+    .populate('requestId', 'trackingId');
+  for (const invoice of invoices) {
+    bills.push({
+      requestId: invoice.requestId?._id || invoice.requestId,
+      invoiceId: invoice._id,
+      userId: invoice.userId,
+      dueDate: invoice.dueDate,
+      amount: invoice.total,
+      currency: invoice.currency,
+      trackingId: invoice.requestId?.trackingId,
+      invoiceNumber: invoice.invoiceNumber
+    });
+  }
+
+  // Completed requests still owing but never invoiced (automatic invoices switched off)
+  const dueMs = config.billing.paymentDueDays * DAY_MS;
+  const uninvoiced = await WasteRequest.find({
+    status: 'completed',
+    paymentStatus: { $in: ['pending', 'failed'] },
+    completedDate: { $lte: new Date(remindBy.getTime() - dueMs) }
+  });
+  const invoicedIds = new Set(
+    (await Invoice.find({ requestId: { $in: uninvoiced.map(r => r._id) } }, 'requestId'))
+      .map(invoice => invoice.requestId.toString())
+  );
+  for (const request of uninvoiced) {
+    if (invoicedIds.has(request._id.toString())) continue;
+    bills.push({
+      requestId: request._id,
+      userId: request.userId,
+      dueDate: new Date(request.completedDate.getTime() + dueMs),
+      amount: getAmountDue(request),
+      currency,
+      trackingId: request.trackingId
+    });
+  }
+
+  const reminded = await remindedKeys(bills.map(bill => bill.requestId));
+
+  for (const { amount, ...bill } of bills) {
+    const kind = reminderKind(bill.dueDate, now, daysBeforeDue);
+    if (!kind || reminded.has(`${bill.requestId}:${kind}:${bill.dueDate.getTime()}`)) continue;
+
+    const { netPaid } = await Payment.getLedgerSummary(bill.requestId);
+    const amountDue = Math.round((amount - netPaid) * 100) / 100;
+    if (amountDue <= 0) continue;
+
+    const reminder = await sendReminder({ ...bill, kind, amountDue });
+    if (reminder) {
+      result[reminder.status === 'sent' ? 'sent' : 'failed'] += 1;
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,473 @@
+/**
+ * Payment Report Service
+ * Builds the admin payment report with aggregation pipelines, so the work stays in
+ * MongoDB however many requests there are:
+ * - revenue of completed requests by month, waste type and area (address.city)
+ * - VAT and service tax billed on completed requests and collected on paid ones
+ * - discounts (quote discounts and invoice adjustments), refunds and wallet credit
+ * - accounts-receivable aging: unpaid invoices by days since issue, plus completed
+ *   requests billed without an invoice by days since completion, net of captured payments
+ * Revenue is the request's final amount (actualCost, else estimatedCost); invoice
+ * adjustments are reported separately.
+ * Every section can be narrowed to one zone: requests by their own zoneId, invoices and
+ * payments by their request's, wallet activity by the citizen's.
+ */
+
+const WasteRequest = require('../models/WasteRequest.model');
+const Invoice = require('../models/Invoice.model');
+const Payment = require('../models/Payment.model');
+const Wallet = require('../models/Wallet.model');
+const WalletTransaction = require('../models/WalletTransaction.model');
+const User = require('../models/User.model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AGING_BUCKETS = ['0-30', '31-60', '61-90', '90+'];
+
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
+
+const hasDates = (dateFilter) => Object.keys(dateFilter || {}).length > 0;
+
+const requestAmount = { $ifNull: ['$actualCost', { $ifNull: ['$estimatedCost', 0] }] };
+
+// Stages keeping documents whose request or user (localField, looked up in Model) is in the zone
+const inZone = (zoneId, localField, Model) => zoneId ? [
+  {
+    $lookup: {
+      from: Model.collection.name,
+      let: { id: `$${localField}` },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$id'] }, zoneId } },
+        { $project: { _id: 1 } }
+      ],
+      as: 'zone'
+    }
+  },
+  { $match: { 'zone.0': { $exists: true } } }
+] : [];
+
+const amountWhen = (condition) => ({ $sum: { $cond: [condition, '$amount', 0] } });
+
+// Totals shared by every revenue breakdown
+const revenueGroup = (key) => ({
+  $group: {
+    _id: key,
+    requests: { $sum: 1 },
+    revenue: { $sum: '$amount' },
+    paid: amountWhen({ $eq: ['$paymentStatus', 'paid'] }),
+    outstanding: amountWhen({ $in: ['$paymentStatus', ['pending', 'failed']] })
+  }
+});
+
+const revenueRows = (rows, keyName) => rows.map(row => ({
+  [keyName]: row._id,
+  requests: row.requests,
+  revenue: roundAmount(row.revenue),
+  paid: roundAmount(row.paid),
+  outstanding: roundAmount(row.outstanding)
+}));
+
+/**
+ * Revenue, request counts, quote discounts and taxes of requests completed in the period
+ * @param {Object} dateFilter - Range on completedDate ({ $gte, $lte }), empty for all time
+ * @param {ObjectId} [zoneId] - Only requests in this zone
+ * @returns {Promise<Object>} { summary, byMonth, byWasteType, byArea, taxes }
+ */
+exports.getRevenueReport = async (dateFilter = {}, zoneId) => {
+  const [result] = await WasteRequest.aggregate([
+    {
+      $match: {
+        status: 'completed',
+        ...(hasDates(dateFilter) && { completedDate: dateFilter }),
+        ...(zoneId && { zoneId })
+      }
+    },
+    {
+      $project: {
+        wasteType: 1,
+        paymentStatus: 1,
+        completedDate: 1,
+        area: { $ifNull: ['$address.city', 'Unknown'] },
+        amount: requestAmount,
+        discountTotal: { $ifNull: ['$costBreakdown.discountTotal', 0] },
+        taxes: '$costBreakdown.taxes'
+      }
+    },
+    {
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              totalRevenue: { $sum: '$amount' },
+              totalRequests: { $sum: 1 },
+              paidRequests: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, 1, 0] } },
+              pendingRequests: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'pending'] }, 1, 0] } },
+              notRequiredRequests: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'not-required'] }, 1, 0] } },
+              discountedRequests: { $sum: { $cond: [{ $gt: ['$discountTotal', 0] }, 1, 0] } },
+              quoteDiscounts: { $sum: '$discountTotal' }
+            }
+          }
+        ],
+        byMonth: [
+          revenueGroup({ $dateToString: { format: '%Y-%m', date: '$completedDate' } }),
+          { $sort: { _id: 1 } }
+        ],
+        byWasteType: [revenueGroup('$wasteType'), { $sort: { revenue: -1 } }],
+        byArea: [revenueGroup('$area'), { $sort: { revenue: -1 } }],
+        // Taxes are billed on every completed request and collected once it is paid
+        taxes: [
+          { $unwind: '$taxes' },
+          {
+            $group: {
+              _id: '$taxes.code',
+              requests: { $sum: 1 },
+              billed: { $sum: '$taxes.amount' },
+              collected: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, '$taxes.amount', 0] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const summary = result.summary[0] || {};
+  const taxOf = (code) => {
+    const total = result.taxes.find(entry => entry._id === code);
+    return {
+      requests: total ? total.requests : 0,
+      billed: roundAmount(total?.billed),
+      collected: roundAmount(total?.collected)
+    };
+  };
+  const vat = taxOf('vat');
+  const serviceTax = taxOf('service-tax');
+
+  return {
+    summary: {
+      totalRevenue: roundAmount(summary.totalRevenue),
+      totalRequests: summary.totalRequests || 0,
+      paidRequests: summary.paidRequests || 0,
+      pendingRequests: summary.pendingRequests || 0,
+      notRequiredRequests: summary.notRequiredRequests || 0
+    },
+    quoteDiscounts: {
+      count: summary.discountedRequests || 0,
+      amount: roundAmount(summary.quoteDiscounts)
+    },
+    byMonth: revenueRows(result.byMonth, 'month'),
+    byWasteType: revenueRows(result.byWasteType, 'wasteType'),
+    byArea: revenueRows(result.byArea, 'area'),
+    taxes: {
+      vat,
+      serviceTax,
+      totalBilled: roundAmount(vat.billed + serviceTax.billed),
+      totalCollected: roundAmount(vat.collected + serviceTax.collected)
+    }
+  };
+};
+
+/**
+ * Accounts-receivable aging: what is still owed, by days outstanding
+ * @param {Date} asOf - Date to age from (default now)
+ * @param {ObjectId} [zoneId] - Only what is owed on requests in this zone
+ * @returns {Promise<Object>} { asOf, buckets: [{ bucket, count, amount }], total, overdue }
+ */
+exports.getAgingReport = async (asOf = new Date(), zoneId) => {
+  const rows = await Invoice.aggregate([
+    { $match: { status: 'issued', issuedAt: { $lte: asOf } } },
+    ...inZone(zoneId, 'requestId', WasteRequest),
+    { $project: { requestId: 1, amount: '$total', since: '$issuedAt', dueDate: 1 } },
+    // Completed requests billed without an invoice are owed from their completion date
+    {
+      $unionWith: {
+        coll: WasteRequest.collection.name,
+        pipeline: [
+          {
+            $match: {
+              status: 'completed',
+              paymentStatus: { $in: ['pending', 'failed'] },
+              completedDate: { $lte: asOf },
+              ...(zoneId && { zoneId })
+            }
+          },
+          {
+            $lookup: {
+              from: Invoice.collection.name,
+              let: { requestId: '$_id' },
+              pipeline: [
+                { $match: { $expr: { $eq: ['$requestId', '$$requestId'] }, status: { $ne: 'void' } } },
+                { $limit: 1 },
+                { $project: { _id: 1 } }
+              ],
+              as: 'invoice'
+            }
+          },
+          { $match: { invoice: { $size: 0 } } },
+          { $project: { requestId: '$_id', amount: requestAmount, since: '$completedDate' } }
+        ]
+      }
+    },
+    // Partial payments reduce what is owed
+    {
+      $lookup: {
+        from: Payment.collection.name,
+        let: { requestId: '$requestId' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$requestId', '$$requestId'] }, status: 'captured' } },
+          {
+            $group: {
+              _id: null,
+              paid: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } }
+            }
+          }
+        ],
+        as: 'payments'
+      }
+    },
+    {
+      $project: {
+        outstanding: {
+          $subtract: ['$amount', { $ifNull: [{ $arrayElemAt: ['$payments.paid', 0] }, 0] }]
+        },
+        ageDays: { $floor: { $divide: [{ $subtract: [asOf, '$since'] }, DAY_MS] } },
+        overdue: { $and: [{ $gt: ['$dueDate', null] }, { $lt: ['$dueDate', asOf] }] }
+      }
+    },
+    { $match: { outstanding: { $gt: 0 } } },
+    {
+      $group: {
+        _id: {
+          $switch: {
+            branches: [
+              { case: { $lte: ['$ageDays', 30] }, then: '0-30' },
+              { case: { $lte: ['$ageDays', 60] }, then: '31-60' },
+              { case: { $lte: ['$ageDays', 90] }, then: '61-90' }
+            ],
+            default: '90+'
+          }
+        },
+        count: { $sum: 1 },
+        amount: { $sum: '$outstanding' },
+        overdueCount: { $sum: { $cond: ['$overdue', 1, 0] } },
+        overdueAmount: { $sum: { $cond: ['$overdue', '$outstanding', 0] } }
+      }
+    }
+  ]);
+
+  const buckets = AGING_BUCKETS.map(bucket => {
+    const row = rows.find(entry => entry._id === bucket);
+    return { bucket, count: row ? row.count : 0, amount: roundAmount(row?.amount) };
+  });
+
+  return {
+    asOf,
+    buckets,
+    total: {
+      count: rows.reduce((sum, row) => sum + row.count, 0),
+      amount: roundAmount(rows.reduce((sum, row) => sum + row.amount, 0))
+    },
+    overdue: {
+      count: rows.reduce((sum, row) => sum + row.overdueCount, 0),
+      amount: roundAmount(rows.reduce((sum, row) => sum + row.overdueAmount, 0))
+    }
+  };
+};
+
+/**
+ * Late fees and discounts applied to invoices in the period, by adjustment code
+ * @param {Object} dateFilter - Range on appliedAt, empty for all time
+ * @param {ObjectId} [zoneId] - Only invoices for requests in this zone
+ * @returns {Promise<Object>} { lateFees, earlyPaymentDiscounts, bulkDiscounts, total }
+ */
+exports.getAdjustmentReport = async (dateFilter = {}, zoneId) => {
+  const totals = await Invoice.aggregate([
+    { $match: { status: { $ne: 'void' } } },
+    ...inZone(zoneId, 'requestId', WasteRequest),
+    { $unwind: '$adjustments' },
+    { $match: hasDates(dateFilter) ? { 'adjustments.appliedAt': dateFilter } : {} },
+    { $group: { _id: '$adjustments.code', count: { $sum: 1 }, amount: { $sum: '$adjustments.amount' } } }
+  ]);
+
+  const adjustmentOf = (code) => {
+    const total = totals.find(entry => entry._id === code);
+    return { count: total ? total.count : 0, amount: roundAmount(total?.amount) };
+  };
+
+  return {
+    lateFees: adjustmentOf('late-fee'),
+    earlyPaymentDiscounts: adjustmentOf('early-payment'),
+    bulkDiscounts: adjustmentOf('bulk-discount'),
+    total: roundAmount(totals.reduce((sum, entry) => sum + entry.amount, 0))
+  };
+};
+
+/**
+ * Recycling credit earned and spent in the period, and what citizens still hold
+ * @param {Object} dateFilter - Range on createdAt, empty for all time
+ * @param {ObjectId} [zoneId] - Only citizens living in this zone
+ * @returns {Promise<Object>} { incentivesCredited, creditsRedeemed, outstandingBalance }
+ */
+exports.getWalletReport = async (dateFilter = {}, zoneId) => {
+  const [totals, balances] = await Promise.all([
+    WalletTransaction.aggregate([
+      { $match: hasDates(dateFilter) ? { createdAt: dateFilter } : {} },
+      ...inZone(zoneId, 'userId', User),
+      { $group: { _id: '$type', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+    ]),
+    Wallet.aggregate([
+      ...inZone(zoneId, 'userId', User),
+      { $group: { _id: null, balance: { $sum: '$balance' } } }
+    ])
+  ]);
+
+  const walletOf = (type) => {
+    const total = totals.find(entry => entry._id === type);
+    return { count: total ? total.count : 0, amount: roundAmount(Math.abs(total?.amount || 0)) };
+  };
+
+  return {
+    incentivesCredited: walletOf('recycling-incentive'),
+    creditsRedeemed: walletOf('invoice-offset'),
+    outstandingBalance: roundAmount(balances[0]?.balance)
+  };
+};
+
+/**
+ * Refunds issued in the period by outcome, and fees kept on cancelled requests
+ * @param {Object} dateFilter - Range on the refund's createdAt, empty for all time
+ * @param {ObjectId} [zoneId] - Only payments and requests in this zone
+ * @returns {Promise<Object>} { succeeded, pending, failed, cancellationFees }
+ */
+exports.getRefundReport = async (dateFilter = {}, zoneId) => {
+  const [totals, cancellationFees] = await Promise.all([
+    Payment.aggregate([
+      { $match: { 'refunds.0': { $exists: true } } },
+      ...inZone(zoneId, 'requestId', WasteRequest),
+      { $unwind: '$refunds' },
+      { $match: hasDates(dateFilter) ? { 'refunds.createdAt': dateFilter } : {} },
+      { $group: { _id: '$refunds.status', count: { $sum: 1 }, amount: { $sum: '$refunds.amount' } } }
+    ]),
+    WasteRequest.aggregate([
+      {
+        $match: {
+          status: 'cancelled',
+          cancellationFee: { $gt: 0 },
+          ...(hasDates(dateFilter) && { updatedAt: dateFilter }),
+          ...(zoneId && { zoneId })
+        }
+      },
+      { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$cancellationFee' } } }
+    ])
+  ]);
+
+  const refundOf = (status) => {
+    const total = totals.find(entry => entry._id === status);
+    return { count: total ? total.count : 0, amount: roundAmount(total?.amount) };
+  };
+
+  return {
+    succeeded: refundOf('succeeded'),
+    pending: refundOf('pending'),
+    failed: refundOf('failed'),
+    cancellationFees: {
+      count: cancellationFees[0]?.count || 0,
+      amount: roundAmount(cancellationFees[0]?.amount)
+    }
+  };
+};
+
+/**
+ * Build the full payment report
+ * @param {Object} options - { dateFilter: { $gte, $lte } for the period, asOf for the aging,
+ *   zoneId to report on one zone only }
+ * @returns {Promise<Object>} Report sections (see the module comment)
+ */
+exports.getPaymentReport = async ({ dateFilter = {}, asOf = new Date(), zoneId } = {}) => {
+  const [revenue, aging, adjustments, wallet, refunds] = await Promise.all([
+    exports.getRevenueReport(dateFilter, zoneId),
+    exports.getAgingReport(asOf, zoneId),
+    exports.getAdjustmentReport(dateFilter, zoneId),
+    exports.getWalletReport(dateFilter, zoneId),
+    exports.getRefundReport(dateFilter, zoneId)
+  ]);
+
+  const { paidRequests, pendingRequests } = revenue.summary;
+
+  return {
+    summary: {
+      ...revenue.summary,
+      adjustmentTotal: adjustments.total,
+      paymentSuccessRate:
+        paidRequests + pendingRequests > 0
+          ? ((paidRequests / (paidRequests + pendingRequests)) * 100).toFixed(2)
+          : 0
+    },
+    revenueByWasteType: Object.fromEntries(revenue.byWasteType.map(row => [row.wasteType, row.revenue])),
+    revenue: {
+      byMonth: revenue.byMonth,
+      byWasteType: revenue.byWasteType,
+      byArea: revenue.byArea
+    },
+    taxes: revenue.taxes,
+    discounts: {
+      quote: revenue.quoteDiscounts,
+      earlyPayment: adjustments.earlyPaymentDiscounts,
+      bulk: adjustments.bulkDiscounts,
+      total: roundAmount(
+        revenue.quoteDiscounts.amount -
+        adjustments.earlyPaymentDiscounts.amount -
+        adjustments.bulkDiscounts.amount
+      )
+    },
+    adjustments: {
+      lateFees: adjustments.lateFees,
+      earlyPaymentDiscounts: adjustments.earlyPaymentDiscounts,
+      bulkDiscounts: adjustments.bulkDiscounts
+    },
+    wallet,
+    refunds,
+    aging
+  };
+};
+
+// Quote a CSV field when it holds a comma, quote or line break
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Flatten a payment report into CSV rows: section, group, count, amount
+ * @param {Object} report - Result of getPaymentReport()
+ * @returns {String} CSV text with a header row
+ */
+exports.paymentReportToCsv = (report) => {
+  const rows = [['section', 'group', 'count', 'amount']];
+  const add = (section, group, count, amount) => rows.push([section, group, count, amount]);
+
+  add('summary', 'revenue', report.summary.totalRequests, report.summary.totalRevenue);
+  report.revenue.byMonth.forEach(row => add('revenue-by-month', row.month, row.requests, row.revenue));
+  report.revenue.byWasteType.forEach(row => add('revenue-by-waste-type', row.wasteType, row.requests, row.revenue));
+  report.revenue.byArea.forEach(row => add('revenue-by-area', row.area, row.requests, row.revenue));
+
+  add('tax', 'vat-billed', report.taxes.vat.requests, report.taxes.vat.billed);
+  add('tax', 'vat-collected', '', report.taxes.vat.collected);
+  add('tax', 'service-tax-billed', report.taxes.serviceTax.requests, report.taxes.serviceTax.billed);
+  add('tax', 'service-tax-collected', '', report.taxes.serviceTax.collected);
+
+  add('discounts', 'quote', report.discounts.quote.count, report.discounts.quote.amount);
+  add('discounts', 'early-payment', report.discounts.earlyPayment.count, Math.abs(report.discounts.earlyPayment.amount));
+  add('discounts', 'bulk', report.discounts.bulk.count, Math.abs(report.discounts.bulk.amount));
+  add('adjustments', 'late-fees', report.adjustments.lateFees.count, report.adjustments.lateFees.amount);
+
+  ['succeeded', 'pending', 'failed'].forEach(status =>
+    add('refunds', status, report.refunds[status].count, report.refunds[status].amount)
+  );
+  add('refunds', 'cancellation-fees', report.refunds.cancellationFees.count, report.refunds.cancellationFees.amount);
+
+  report.aging.buckets.forEach(row => add('aging', row.bucket, row.count, row.amount));
+  add('aging', 'overdue', report.aging.overdue.count, report.aging.overdue.amount);
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
@@ -1,7 +1,7 @@
 /**
  * Route Optimizer Service
  * Mock route optimization algorithm for MVP
- * Prioritizes bins by fill level and sorts by proximity
+ * Prioritizes bins by fill level (or forecast to fill up by the route date) and sorts by proximity
  */
 
 const { calculateDistance, calculateRouteDuration } = require('../utils/helpers');
@@ -17,15 +17,22 @@ exports.optimizeRoute = (bins, requests, options = {}) => {
   const {
     fillLevelThreshold = 90,
     startLocation = { lat: 6.9271, lng: 79.8612 }, // Default: Colombo
-    maxStops = 50
+    maxStops = 50,
+    predictedFullBy = null // Date: also take bins forecast to be full by then
   } = options;
 
   const stops = [];
   
-  // Filter and add high-priority bins (above threshold)
+  // updateFillLevel marks bins at 90% or more as full, so those are collected too
+  const isCollectable = bin => ['active', 'full'].includes(bin.status);
+  const isPredictedFull = bin =>
+    Boolean(predictedFullBy && bin.predictedFullAt && new Date(bin.predictedFullAt) <= predictedFullBy);
+
+  // Filter and add high-priority bins (above threshold, or forecast to be full)
   const highPriorityBins = bins
-    .filter(bin => bin.fillLevel >= fillLevelThreshold && bin.status === 'active')
+    .filter(bin => isCollectable(bin) && (bin.fillLevel >= fillLevelThreshold || isPredictedFull(bin)))
     .sort((a, b) => b.fillLevel - a.fillLevel); // Sort by fill level descending
+  const predictedBins = highPriorityBins.filter(bin => bin.fillLevel < fillLevelThreshold);
   
   highPriorityBins.forEach(bin => {
     stops.push({
@@ -37,6 +44,7 @@ exports.optimizeRoute = (bins, requests, options = {}) => {
         lng: bin.location.coordinates.lng
       },
       fillLevel: bin.fillLevel,
+      predictedFullAt: bin.predictedFullAt,
       priority: bin.fillLevel >= 90 ? 'urgent' : 'high',
       status: 'pending'
     });
@@ -88,8 +96,10 @@ exports.optimizeRoute = (bins, requests, options = {}) => {
     estimatedDuration,
     metadata: {
       highPriorityBins: highPriorityBins.length,
+      predictedBins: predictedBins.length,
       requests: approvedRequests.length,
       fillLevelThreshold,
+      predictedFullBy,
       optimizationTimestamp: new Date()
     }
   };
@@ -0,0 +1,111 @@
+/**
+ * SMS Service
+ * Sends text messages through a pluggable transport
+ *
+ * Built-in transports (select with SMS_TRANSPORT):
+ * - console: prints the message to stdout (default)
+ * - file: writes each message as JSON to SMS_OUTBOX_DIR (default ./sms-outbox)
+ * - memory: keeps messages in getTransport().messages (tests and local development)
+ *
+ * A real provider can be plugged in at startup with setTransport(), e.g. a
+ * wrapper around a gateway client exposing `send(message)`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log(`📱 SMS to ${message.to}: ${message.text}`);
+    return { accepted: [message.to] };
+  }
+};
+
+const fileTransport = {
+  name: 'file',
+  send: async (message) => {
+    const dir = process.env.SMS_OUTBOX_DIR || path.join(process.cwd(), 'sms-outbox');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^0-9+]/g, '_')}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+
+    return { accepted: [message.to], file };
+  }
+};
+
+const memoryTransport = {
+  name: 'memory',
+  messages: [],
+  send: async (message) => {
+    memoryTransport.messages.push(message);
+    return { accepted: [message.to] };
+  }
+};
+
+const builtInTransports = {
+  console: consoleTransport,
+  file: fileTransport,
+  memory: memoryTransport
+};
+
+let transport = null;
+
+/**
+ * Get the active transport (resolved lazily from SMS_TRANSPORT)
+ * @returns {Object} Transport with a send(message) method
+ */
+exports.getTransport = () => {
+  if (!transport) {
+    transport = builtInTransports[process.env.SMS_TRANSPORT] || consoleTransport;
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport
+ * @param {Object|String|null} customTransport - Object with async send(message), a built-in
+ *   transport name, or null to restore the default
+ */
+exports.setTransport = (customTransport) => {
+  if (typeof customTransport === 'string') {
+    customTransport = builtInTransports[customTransport];
+    if (!customTransport) {
+      throw new Error('Unknown SMS transport');
+    }
+  }
+  if (customTransport && typeof customTransport.send !== 'function') {
+    throw new Error('SMS transport must implement send(message)');
+  }
+  transport = customTransport;
+};
+
+/**
+ * Send a text message
+ * @param {Object} message - { to, text }
+ * @returns {Promise<Object>} Transport result
+ */
+exports.sendSms = async (message) => {
+  const sms = {
+    from: process.env.SMS_FROM || 'SmartWaste',
+    ...message,
+    sentAt: new Date()
+  };
+
+  return exports.getTransport().send(sms);
+};
+
+/**
+ * Send a phone verification code
+ * @param {Object} user - User document
+ * @param {String} code - Raw one-time code
+ * @param {Number} expiresInMinutes - Code lifetime for the message body
+ * @returns {Promise<Object>} Transport result
+ */
+exports.sendPhoneVerificationCode = async (user, code, expiresInMinutes) => {
+  return exports.sendSms({
+    to: user.phone,
+    text: `Your Smart Waste verification code is ${code}. It expires in ${expiresInMinutes} minutes.`
+  });
+};
@@ -0,0 +1,243 @@
+/**
+ * Telemetry Service
+ * LoRa/NB-IoT gateways forward the readings of many devices in one batch. Every item is
+ * validated on its own; the valid ones are applied in timestamp order with bulk writes:
+ * fill levels go into the fill-level history, each device's lastSignal, battery and error
+ * log are brought up to date, and each bin takes the latest fill level it was sent. Readings
+ * older than what a device or bin already shows are kept in the history only.
+ */
+
+const Device = require('../models/Device.model');
+const SmartBin = require('../models/SmartBin.model');
+const FillLevelReading = require('../models/FillLevelReading.model');
+
+// Most items accepted in one batch
+exports.MAX_BATCH_SIZE = 5000;
+
+// How far ahead of the server clock a reading may be stamped
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Error log entries kept per device, as in Device.addError()
+const MAX_ERROR_LOG = 100;
+
+const isPercentage = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+
+/**
+ * Check the shape of one batch item
+ * @param {Object} item - { deviceId, timestamp, fillLevel, batteryLevel, errorCodes }
+ * @param {Date} now - Time the batch was received
+ * @returns {String|null} Why the item is invalid, or null
+ */
+const validateItem = (item, now) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return 'Reading must be an object';
+
+  const { deviceId, timestamp, fillLevel, batteryLevel, errorCodes } = item;
+
+  if (typeof deviceId !== 'string' || deviceId.trim() === '') return 'Device ID is required';
+  if (timestamp == null) return 'Timestamp is required';
+
+  const at = new Date(timestamp);
+  if (Number.isNaN(at.getTime())) return 'Invalid timestamp';
+  if (at.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) return 'Timestamp is in the future';
+
+  if (fillLevel != null && !isPercentage(fillLevel)) return 'Fill level must be between 0 and 100';
+  if (batteryLevel != null && !isPercentage(batteryLevel)) return 'Battery level must be between 0 and 100';
+
+  if (errorCodes != null && !(Array.isArray(errorCodes) &&
+    errorCodes.every(code => typeof code === 'string' && code.trim() !== ''))) {
+    return 'Error codes must be an array of strings';
+  }
+
+  return null;
+};
+
+/**
+ * Run bulk write operations, unordered
+ * @returns {Promise<Map>} Error message by index of each operation that failed
+ */
+const runBulkWrite = async (Model, operations) => {
+  const failed = new Map();
+  if (operations.length === 0) return failed;
+
+  try {
+    await Model.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    if (!Array.isArray(error.writeErrors)) throw error;
+    error.writeErrors.forEach(writeError => failed.set(writeError.index, writeError.errmsg || writeError.message));
+  }
+
+  return failed;
+};
+
+/**
+ * Apply a gateway batch of telemetry readings
+ * @param {Array} items - [{ deviceId, timestamp, fillLevel, batteryLevel, errorCodes }] where
+ *   deviceId is the device's hardware ID (Device.deviceId)
+ * @param {Object} [options] - { gateway }: the gateway Device sending the batch, which may only
+ *   report for itself and the devices assigned to it (Device.gatewayId); omitted for staff
+ * @returns {Promise<Object>} { received, applied, rejected, results: [{ index, deviceId, status, error, statusCode }] }
+ *   with one result per item, in the order the items were sent
+ */
+exports.ingestTelemetryBatch = async (items, { gateway } = {}) => {
+  const now = new Date();
+  const results = items.map((item, index) => ({
+    index,
+    deviceId: item && typeof item.deviceId === 'string' ? item.deviceId : null,
+    status: 'applied'
+  }));
+  const reject = (index, error, statusCode) => Object.assign(results[index], { status: 'rejected', error, statusCode });
+
+  // Shape of each item
+  let accepted = [];
+  items.forEach((item, index) => {
+    const error = validateItem(item, now);
+    if (error) return reject(index, error, 400);
+    accepted.push({ ...item, index, deviceId: item.deviceId.trim(), timestamp: new Date(item.timestamp) });
+  });
+
+  // Devices and the bins they are installed in
+  const devices = await Device.find({ deviceId: { $in: [...new Set(accepted.map(item => item.deviceId))] } })
+    .select('deviceId binId gatewayId status lastSignal');
+  const devicesById = new Map(devices.map(device => [device.deviceId, device]));
+
+  const binIds = devices.filter(device => device.binId).map(device => device.binId);
+  const bins = await SmartBin.find({ _id: { $in: binIds } });
+  const binsById = new Map(bins.map(bin => [bin._id.toString(), bin]));
+
+  const isAllowed = (device) =>
+    !gateway || device._id.equals(gateway._id) || Boolean(device.gatewayId && device.gatewayId.equals(gateway._id));
+
+  accepted = accepted.filter(item => {
+    const device = devicesById.get(item.deviceId);
+    let rejection = null;
+
+    if (!device) {
+      rejection = ['Device not found', 404];
+    } else if (!isAllowed(device)) {
+      rejection = ['This gateway is not allowed to report for this device', 403];
+    } else if (device.status === 'decommissioned') {
+      rejection = ['Device has been decommissioned', 409];
+    } else if (item.fillLevel != null && !device.binId) {
+      rejection = ['Device is not installed in a bin', 409];
+    } else if (item.fillLevel != null && !binsById.has(device.binId.toString())) {
+      rejection = ['Bin not found', 404];
+    }
+
+    if (rejection) reject(item.index, ...rejection);
+    return !rejection;
+  });
+
+  // Apply in timestamp order; items of the same moment keep the order they were sent in
+  accepted.sort((a, b) => a.timestamp - b.timestamp || a.index - b.index);
+
+  // Fill-level history
+  const fillItems = accepted.filter(item => item.fillLevel != null);
+  const readingErrors = await runBulkWrite(FillLevelReading, fillItems.map(item => {
+    const device = devicesById.get(item.deviceId);
+    return {
+      insertOne: {
+        document: {
+          timestamp: item.timestamp,
+          binId: device.binId,
+          deviceId: device._id,
+          fillLevel: item.fillLevel,
+          batteryLevel: item.batteryLevel,
+          source: 'sensor'
+        }
+      }
+    };
+  }));
+  readingErrors.forEach((error, position) => reject(fillItems[position].index, error, 500));
+  accepted = accepted.filter(item => results[item.index].status === 'applied');
+
+  // Devices: latest signal and battery, and the reported error codes
+  const byDevice = new Map();
+  accepted.forEach(item => {
+    if (!byDevice.has(item.deviceId)) byDevice.set(item.deviceId, []);
+    byDevice.get(item.deviceId).push(item);
+  });
+
+  const deviceGroups = [...byDevice.values()];
+  const deviceErrors = await runBulkWrite(Device, deviceGroups.map(group => {
+    const device = devicesById.get(group[0].deviceId);
+    const latest = group[group.length - 1];
+    const update = { $max: { lastSignal: latest.timestamp } };
+
+    if (!device.lastSignal || latest.timestamp > device.lastSignal) {
+      const set = {};
+      const withBattery = group.filter(item => item.batteryLevel != null).pop();
+      if (withBattery && (!device.lastSignal || withBattery.timestamp > device.lastSignal)) {
+        set.batteryLevel = withBattery.batteryLevel;
+      }
+      if (device.status === 'offline') set.status = 'active';
+      if (Object.keys(set).length > 0) update.$set = set;
+    }
+
+    const errorLog = group.flatMap(item => (item.errorCodes || []).map(errorCode => ({
+      timestamp: item.timestamp,
+      errorCode: errorCode.trim(),
+      description: 'Reported by gateway'
+    })));
+    if (errorLog.length > 0) {
+      update.$push = { errorLog: { $each: errorLog, $sort: { timestamp: 1 }, $slice: -MAX_ERROR_LOG } };
+    }
+
+    return { updateOne: { filter: { _id: device._id }, update } };
+  }));
+  deviceErrors.forEach((error, position) => deviceGroups[position].forEach(item => reject(item.index, error, 500)));
+
+  // Bins: the latest fill level, unless the bin already shows a newer one
+  const latestByBin = new Map();
+  accepted
+    .filter(item => item.fillLevel != null && results[item.index].status === 'applied')
+    .forEach(item => latestByBin.set(devicesById.get(item.deviceId).binId.toString(), item));
+
+  const binItems = [];
+  const updatedBins = [];
+  for (const [binId, item] of latestByBin) {
+    const bin = binsById.get(binId);
+    if (bin.lastUpdated && item.timestamp <= bin.lastUpdated) continue;
+
+    // Same status rules as SmartBin.updateFillLevel()
+    bin.fillLevel = item.fillLevel;
+    bin.lastUpdated = item.timestamp;
+    if (bin.fillLevel >= 90) {
+      bin.status = 'full';
+    } else if (bin.status === 'full') {
+      bin.status = 'active';
+    }
+
+    binItems.push(item);
+    updatedBins.push(bin);
+  }
+
+  // Forecasts of all updated bins from one history query
+  await SmartBin.updateForecasts(updatedBins);
+
+  const binOperations = updatedBins.map((bin, position) => ({
+    updateOne: {
+      filter: { _id: bin._id, $or: [{ lastUpdated: { $lt: binItems[position].timestamp } }, { lastUpdated: null }] },
+      update: {
+        $set: {
+          fillLevel: bin.fillLevel,
+          lastUpdated: bin.lastUpdated,
+          status: bin.status,
+          fillRate: bin.fillRate,
+          predictedCollectionAt: bin.predictedCollectionAt,
+          predictedFullAt: bin.predictedFullAt
+        }
+      }
+    }
+  }));
+  const binErrors = await runBulkWrite(SmartBin, binOperations);
+  binErrors.forEach((error, position) => reject(binItems[position].index, error, 500));
+
+  const rejected = results.filter(result => result.status === 'rejected').length;
+
+  return {
+    received: items.length,
+    applied: items.length - rejected,
+    rejected,
+    results
+  };
+};
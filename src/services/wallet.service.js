@@ -0,0 +1,113 @@
+/**
+ * Wallet Service
+ * Citizens earn credit for recyclables: BillingConfig.wasteTypeRates.recyclable.incentive
+ * per kg of recorded weight, once per collection. Credit is spent on their open invoices,
+ * oldest first. Spending goes into the payment ledger as a captured 'wallet' payment, so
+ * requests and invoices settle exactly as they do for any other payment.
+ */
+
+const Wallet = require('../models/Wallet.model');
+const Payment = require('../models/Payment.model');
+const Invoice = require('../models/Invoice.model');
+const WasteRequest = require('../models/WasteRequest.model');
+const WalletTransaction = require('../models/WalletTransaction.model');
+const BillingConfig = require('../models/BillingConfig.model');
+const { syncRequestPaymentStatus } = require('./payment.service');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Spend a citizen's wallet balance on their open invoices, oldest first
+ * @param {ObjectId} userId - Citizen
+ * @returns {Promise<Array>} Wallet payments made
+ */
+exports.applyCredits = async (userId) => {
+  const payments = [];
+  let wallet = await Wallet.findOne({ userId });
+  if (!wallet || wallet.balance <= 0) return payments;
+
+  const invoices = await Invoice.find({ userId, status: 'issued' }).sort({ issuedAt: 1 });
+
+  for (const invoice of invoices) {
+    const { netPaid } = await Payment.getLedgerSummary(invoice.requestId);
+    const amount = roundAmount(Math.min(wallet.balance, invoice.total - netPaid));
+    if (amount < 0.01) continue;
+
+    const debit = await Wallet.debit(userId, amount, {
+      type: 'invoice-offset',
+      description: `Applied to invoice ${invoice.invoiceNumber}`,
+      requestId: invoice.requestId,
+      invoiceId: invoice._id
+    });
+    // Spent concurrently; nothing left for this invoice
+    if (!debit) break;
+    wallet = debit.wallet;
+
+    const payment = new Payment({
+      requestId: invoice.requestId,
+      userId,
+      invoiceId: invoice._id,
+      provider: 'wallet',
+      method: 'wallet-credit',
+      amount,
+      currency: invoice.currency,
+      gatewayReference: debit.transaction._id.toString(),
+      events: [{ status: 'pending', detail: 'Paid from wallet credit' }]
+    });
+    payment.transition('captured', 'Paid from wallet credit');
+    await payment.save();
+
+    debit.transaction.paymentId = payment._id;
+    await debit.transaction.save();
+
+    const request = await WasteRequest.findById(invoice.requestId);
+    if (request) {
+      await syncRequestPaymentStatus(request);
+      await request.save();
+    }
+    payments.push(payment);
+
+    if (wallet.balance < 0.01) break;
+  }
+
+  return payments;
+};
+
+/**
+ * Credit the recycling incentive for a completed recyclable collection with a recorded weight
+ * Credits once per request, then spends the balance on open invoices. The rate comes from the
+ * billing configuration version the request is priced with, like its invoice. Failures are
+ * logged rather than thrown so completing the collection never fails on the wallet.
+ * @param {Object} request - Completed WasteRequest document
+ * @param {Object} [billingConfig] - BillingConfig.getConfigForRequest(request), when already loaded
+ * @returns {Promise<Object|null>} Wallet transaction, or null when nothing was credited
+ */
+exports.creditRecyclingIncentive = async (request, billingConfig) => {
+  try {
+    if (request.wasteType !== 'recyclable' || request.status !== 'completed' || !(request.actualWeightKg > 0)) {
+      return null;
+    }
+
+    const config = billingConfig || await BillingConfig.getConfigForRequest(request);
+    const rate = config.wasteTypeRates.recyclable.incentive;
+    const amount = roundAmount(request.actualWeightKg * rate);
+    if (!(amount > 0)) return null;
+
+    const existing = await WalletTransaction.findOne({ requestId: request._id, type: 'recycling-incentive' });
+    if (existing) return null;
+
+    const { transaction } = await Wallet.credit(request.userId, amount, {
+      type: 'recycling-incentive',
+      description: `Recycling incentive for ${request.trackingId} (${request.actualWeightKg} kg)`,
+      requestId: request._id,
+      weightKg: request.actualWeightKg,
+      rate
+    });
+
+    await exports.applyCredits(request.userId);
+    return transaction;
+  } catch (error) {
+    console.error(`Error crediting recycling incentive for request ${request.trackingId}:`, error);
+    return null;
+  }
+};
@@ -0,0 +1,105 @@
+/**
+ * Fill-level forecasting
+ * A bin's fill rate (percentage points per hour) is learnt from its reading history: every
+ * rise between two consecutive readings counts towards the weekday it started on, and drops
+ * (the bin was emptied) are skipped. Forecasts walk forward day by day at that weekday's rate,
+ * falling back to the overall rate on weekdays without history. Days run from midnight to
+ * midnight UTC, so forecasts do not depend on the server's time zone.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Readings within this many days make up the history a rate is learnt from
+exports.LOOKBACK_DAYS = 28;
+
+// Forecasts further out than this are not made
+exports.HORIZON_DAYS = 30;
+
+// Fill levels the forecast is made for: the bin needs collection, and is full
+exports.COLLECTION_LEVEL = 70;
+exports.FULL_LEVEL = 90;
+
+/**
+ * Learn fill rates from readings
+ * @param {Array} readings - [{ timestamp, fillLevel }] in time order
+ * @returns {Object|null} { overall, byWeekday: [7] } in % per hour (UTC weekdays, Sunday first, null
+ *   where a weekday has no history), or null when the readings show no filling at all
+ */
+exports.computeFillRates = (readings) => {
+  const rise = Array(7).fill(0);
+  const hours = Array(7).fill(0);
+
+  for (let i = 1; i < readings.length; i++) {
+    const previous = readings[i - 1];
+    const current = readings[i];
+    const elapsed = (new Date(current.timestamp) - new Date(previous.timestamp)) / HOUR_MS;
+
+    // Emptied in between, or two readings of the same moment
+    if (elapsed <= 0 || current.fillLevel < previous.fillLevel) continue;
+
+    const weekday = new Date(previous.timestamp).getUTCDay();
+    rise[weekday] += current.fillLevel - previous.fillLevel;
+    hours[weekday] += elapsed;
+  }
+
+  const totalHours = hours.reduce((sum, value) => sum + value, 0);
+  const totalRise = rise.reduce((sum, value) => sum + value, 0);
+  if (totalHours === 0 || totalRise === 0) return null;
+
+  return {
+    overall: totalRise / totalHours,
+    byWeekday: hours.map((value, weekday) => (value > 0 ? rise[weekday] / value : null))
+  };
+};
+
+/**
+ * Predict when a bin reaches a fill level
+ * @param {Object} current - { fillLevel, at } latest known level and when it was read
+ * @param {Object} rates - Result of computeFillRates()
+ * @param {Number} level - Fill level to reach
+ * @returns {Date|null} When the level is reached (current.at if it already is), or null if
+ *   not within HORIZON_DAYS or the rates are unknown
+ */
+exports.predictCrossing = ({ fillLevel, at }, rates, level) => {
+  const start = new Date(at);
+  if (fillLevel >= level) return start;
+  if (!rates) return null;
+
+  const horizon = start.getTime() + exports.HORIZON_DAYS * 24 * HOUR_MS;
+  let cursor = start;
+  let projected = fillLevel;
+
+  while (cursor.getTime() < horizon) {
+    const endOfDay = new Date(cursor);
+    endOfDay.setUTCHours(24, 0, 0, 0);
+
+    const rate = rates.byWeekday[cursor.getUTCDay()] ?? rates.overall;
+    const hoursLeft = (endOfDay - cursor) / HOUR_MS;
+
+    if (rate > 0 && projected + rate * hoursLeft >= level) {
+      const reachedAt = new Date(cursor.getTime() + ((level - projected) / rate) * HOUR_MS);
+      return reachedAt.getTime() <= horizon ? reachedAt : null;
+    }
+
+    projected += rate * hoursLeft;
+    cursor = endOfDay;
+  }
+
+  return null;
+};
+
+/**
+ * Forecast a bin from its readings
+ * @param {Object} current - { fillLevel, at }
+ * @param {Array} readings - [{ timestamp, fillLevel }] in time order, current one included
+ * @returns {Object} { fillRate, predictedCollectionAt, predictedFullAt }
+ */
+exports.forecastBin = (current, readings) => {
+  const rates = exports.computeFillRates(readings);
+
+  return {
+    fillRate: rates ? Math.round(rates.overall * 100) / 100 : null,
+    predictedCollectionAt: exports.predictCrossing(current, rates, exports.COLLECTION_LEVEL),
+    predictedFullAt: exports.predictCrossing(current, rates, exports.FULL_LEVEL)
+  };
+};
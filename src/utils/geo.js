@@ -0,0 +1,143 @@
+/**
+ * GeoJSON helpers
+ * Locations are accepted and returned as { lat, lng } and also stored as a GeoJSON Point
+ * ([lng, lat]) next to them, which is what 2dsphere indexes and $geoNear work on.
+ */
+
+const mongoose = require('mongoose');
+
+const isCoordinate = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+
+/**
+ * Convert a { lat, lng } pair to a GeoJSON Point
+ * @param {Object} coordinates - { lat, lng }
+ * @returns {Object|undefined} { type: 'Point', coordinates: [lng, lat] }, or undefined unless both are valid
+ */
+exports.toGeoPoint = (coordinates) => {
+  const lat = Number(coordinates?.lat);
+  const lng = Number(coordinates?.lng);
+  if (coordinates?.lat == null || coordinates?.lng == null) return undefined;
+  if (!isCoordinate(lat, 90) || !isCoordinate(lng, 180)) return undefined;
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+/**
+ * Convert a GeoJSON Point back to { lat, lng }
+ * @param {Object} point - GeoJSON Point
+ * @returns {Object|undefined} { lat, lng }
+ */
+exports.fromGeoPoint = (point) => {
+  if (!point || !Array.isArray(point.coordinates) || point.coordinates.length !== 2) return undefined;
+  const [lng, lat] = point.coordinates;
+  return { lat, lng };
+};
+
+// Schema definition for a GeoJSON Point; left out of the document when there are no coordinates
+exports.pointDefinition = {
+  type: {
+    type: String,
+    enum: ['Point']
+  },
+  coordinates: {
+    type: [Number],
+    default: undefined
+  }
+};
+
+/**
+ * Schema plugin keeping a GeoJSON Point in step with a { lat, lng } path
+ * Both paths share a parent, e.g. { parent: 'location' } syncs location.point from
+ * location.coordinates on save and on updates that set the coordinates or the whole parent.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { parent }
+ */
+exports.geoPointPlugin = (schema, { parent }) => {
+  const coordinatesPath = `${parent}.coordinates`;
+  const pointPath = `${parent}.point`;
+
+  schema.pre('validate', function (next) {
+    this.set(pointPath, exports.toGeoPoint(this.get(coordinatesPath)));
+    next();
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+    const update = this.getUpdate() || {};
+
+    // Fields may be set through $set or at the top level of the update
+    [update.$set, update].filter(Boolean).forEach(set => {
+      if (set[parent] && typeof set[parent] === 'object') {
+        // The whole parent is replaced, so the point goes inside it
+        set[parent].point = exports.toGeoPoint(set[parent].coordinates);
+      } else if (set[coordinatesPath] !== undefined) {
+        const point = exports.toGeoPoint(set[coordinatesPath]);
+        if (point) {
+          set[pointPath] = point;
+        } else {
+          update.$unset = { ...update.$unset, [pointPath]: 1 };
+        }
+      }
+    });
+
+    this.setUpdate(update);
+    next();
+  });
+
+  schema.index({ [pointPath]: '2dsphere' });
+};
+
+/**
+ * Schema plugin assigning documents to the Zone their point lies in
+ * Adds zoneId and looks it up with $geoIntersects whenever <parent>.point is set or cleared,
+ * on save and on updates. Register it after geoPointPlugin, which fills in the point.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { parent }
+ */
+exports.zonePlugin = (schema, { parent }) => {
+  const pointPath = `${parent}.point`;
+
+  // Required on use: the Zone model itself requires the models using this plugin
+  const findZoneId = async (point) => {
+    if (!point) return undefined;
+    const zone = await require('../models/Zone.model').findForPoint(point);
+    return zone ? zone._id : undefined;
+  };
+
+  schema.add({
+    zoneId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Zone'
+    }
+  });
+
+  schema.pre('save', async function () {
+    if (!this.isNew && !this.isModified(pointPath)) return;
+    this.zoneId = await findZoneId(exports.toGeoPoint(this.get(`${parent}.coordinates`)));
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function () {
+    const update = this.getUpdate() || {};
+    let touched = Boolean(update.$unset && update.$unset[pointPath]);
+    let point;
+
+    [update.$set, update].filter(Boolean).forEach(set => {
+      if (set[parent] && typeof set[parent] === 'object') {
+        touched = true;
+        point = set[parent].point;
+      } else if (set[pointPath]) {
+        touched = true;
+        point = set[pointPath];
+      }
+    });
+    if (!touched) return;
+
+    const zoneId = await findZoneId(point);
+    if (zoneId) {
+      update.$set = { ...update.$set, zoneId };
+    } else {
+      update.$unset = { ...update.$unset, zoneId: 1 };
+    }
+    this.setUpdate(update);
+  });
+
+  schema.index({ zoneId: 1 });
+};
@@ -2,30 +2,6 @@
  * Helper utility functions
  */
 
-/**
- * Calculate cost based on waste type and quantity
- * @param {String} wasteType - Type of waste
- * @param {String} quantity - Quantity description
- * @returns {Number} Estimated cost in LKR
- */
-exports.calculateCost = (wasteType, quantity) => {
-  const rates = {
-    household: 0, // Free
-    recyclable: 0, // Free
-    'e-waste': 0, // Free
-    bulky: 500 // LKR per item
-  };
-  
-  if (wasteType === 'bulky') {
-    // Parse quantity (e.g., "2 items", "1 piece")
-    const match = quantity.match(/\d+/);
-    const items = match ? parseInt(match[0]) : 1;
-    return rates.bulky * items;
-  }
-  
-  return rates[wasteType] || 0;
-};
-
 /**
  * Generate random coordinates within a radius
  * @param {Number} centerLat - Center latitude
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 /**
@@ -5,17 +6,19 @@ const jwt = require('jsonwebtoken');
  * @param {String} userId - User ID
  * @param {String} email - User email
  * @param {String} role - User role
+ * @param {String} sessionId - Session the token belongs to (checked for revocation)
  * @returns {String} JWT token
  */
-exports.generateToken = (userId, email, role) => {
+exports.generateToken = (userId, email, role, sessionId) => {
   const payload = {
     id: userId,
     email: email,
-    role: role
+    role: role,
+    sid: sessionId
   };
   
   const secret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-  const expiresIn = process.env.JWT_EXPIRES_IN || '7d';
+  const expiresIn = process.env.JWT_EXPIRES_IN || '15m';
   
   return jwt.sign(payload, secret, { expiresIn });
 };
@@ -30,3 +33,43 @@ exports.verifyToken = (token) => {
   return jwt.verify(token, secret);
 };
 
+/**
+ * Generate an opaque refresh token
+ * @returns {String} Random hex token
+ */
+exports.generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Hash a token for storage
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a short-lived token proving the password step of a two-factor login
+ * It carries no session, so the auth middleware never accepts it as an access token
+ * @param {String} userId - User ID
+ * @returns {String} JWT challenge token
+ */
+exports.generateChallengeToken = (userId) => {
+  const secret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+  return jwt.sign({ id: userId, purpose: 'two-factor' }, secret, { expiresIn: '5m' });
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {String} token - JWT challenge token
+ * @returns {Object} Decoded payload
+ */
+exports.verifyChallengeToken = (token) => {
+  const decoded = exports.verifyToken(token);
+  if (decoded.purpose !== 'two-factor') {
+    throw new Error('Not a two-factor challenge token');
+  }
+  return decoded;
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second step)
+ * Compatible with Google Authenticator, Authy, 1Password, etc.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret
+ * @returns {String} Base32-encoded 160-bit secret
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step for a timestamp
+ * @param {Number} timestamp - Milliseconds since epoch
+ * @returns {Number} Step counter
+ */
+exports.getStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code for a given step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Step counter (defaults to now)
+ * @returns {String} Zero-padded 6 digit code
+ */
+exports.generateCode = (secret, step = exports.getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} window - Steps accepted either side of now (default 1)
+ * @returns {Number|null} Matched step (to block replays), or null when invalid
+ */
+exports.verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const current = exports.getStep();
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = exports.generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI used by authenticator apps (usually shown as a QR code)
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Account label, e.g. the user's email
+ * @param {String} issuer - Service name shown in the app
+ * @returns {String} otpauth URI
+ */
+exports.buildOtpauthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'Smart Waste Management') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+exports.base32Encode = base32Encode;
+exports.base32Decode = base32Decode;